@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `isDefault` BOOLEAN NOT NULL DEFAULT false;
+
+-- Mark the existing single door as the default door
+UPDATE `Door` SET `isDefault` = true ORDER BY `createdAt` ASC LIMIT 1;
+
+-- DropForeignKey
+ALTER TABLE `RfidCard` DROP FOREIGN KEY `RfidCard_userId_fkey`;
+
+-- DropIndex
+DROP INDEX `RfidCard_userId_key` ON `RfidCard`;
+
+-- DropIndex
+DROP INDEX `RfidCard_uid_key` ON `RfidCard`;
+
+-- DropIndex
+DROP INDEX `RfidCard_uidHash_key` ON `RfidCard`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `RfidCard_userId_doorId_key` ON `RfidCard`(`userId`, `doorId`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `RfidCard_doorId_uid_key` ON `RfidCard`(`doorId`, `uid`);
+
+-- CreateIndex
+CREATE UNIQUE INDEX `RfidCard_doorId_uidHash_key` ON `RfidCard`(`doorId`, `uidHash`);
+
+-- CreateIndex
+CREATE INDEX `RfidCard_uidHash_idx` ON `RfidCard`(`uidHash`);
+
+-- AddForeignKey
+ALTER TABLE `RfidCard` ADD CONSTRAINT `RfidCard_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
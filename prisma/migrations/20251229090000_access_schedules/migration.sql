@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `AccessSchedule` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NULL,
+    `rfidCardId` INTEGER NULL,
+    `name` VARCHAR(191) NULL,
+    `daysOfWeek` VARCHAR(191) NOT NULL,
+    `startTime` VARCHAR(191) NOT NULL,
+    `endTime` VARCHAR(191) NOT NULL,
+    `validFrom` DATETIME(3) NULL,
+    `validUntil` DATETIME(3) NULL,
+    `timezone` VARCHAR(191) NOT NULL DEFAULT 'Asia/Ho_Chi_Minh',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `AccessSchedule` ADD CONSTRAINT `AccessSchedule_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AccessSchedule` ADD CONSTRAINT `AccessSchedule_rfidCardId_fkey` FOREIGN KEY (`rfidCardId`) REFERENCES `RfidCard`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
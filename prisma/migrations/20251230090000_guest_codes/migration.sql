@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `GuestCode` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `doorId` VARCHAR(191) NOT NULL,
+    `label` VARCHAR(191) NOT NULL,
+    `pinHash` VARCHAR(191) NOT NULL,
+    `maxUses` INTEGER NOT NULL DEFAULT 1,
+    `useCount` INTEGER NOT NULL DEFAULT 0,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `status` ENUM('ACTIVE', 'EXPIRED', 'EXHAUSTED', 'REVOKED') NOT NULL DEFAULT 'ACTIVE',
+    `lastUsedAt` DATETIME(3) NULL,
+    `createdById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `GuestCode_doorId_pinHash_idx`(`doorId`, `pinHash`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `GuestCode` ADD CONSTRAINT `GuestCode_doorId_fkey` FOREIGN KEY (`doorId`) REFERENCES `Door`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `GuestCode` ADD CONSTRAINT `GuestCode_createdById_fkey` FOREIGN KEY (`createdById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `doorPinHash` VARCHAR(191) NULL,
+    ADD COLUMN `doorPinSalt` VARCHAR(191) NULL,
+    ADD COLUMN `doorPinUpdatedAt` DATETIME(3) NULL;
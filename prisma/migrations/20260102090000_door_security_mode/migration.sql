@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `securityMode` ENUM('rfid_only', 'pin_only', 'rfid_or_pin', 'rfid_and_pin') NOT NULL DEFAULT 'rfid_or_pin';
+
+-- CreateTable
+CREATE TABLE `SecurityModeRule` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `doorId` VARCHAR(191) NOT NULL,
+    `mode` ENUM('rfid_only', 'pin_only', 'rfid_or_pin', 'rfid_and_pin') NOT NULL,
+    `daysOfWeek` VARCHAR(191) NOT NULL,
+    `startTime` VARCHAR(191) NOT NULL,
+    `endTime` VARCHAR(191) NOT NULL,
+    `timezone` VARCHAR(191) NOT NULL DEFAULT 'Asia/Ho_Chi_Minh',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `SecurityModeRule` ADD CONSTRAINT `SecurityModeRule_doorId_fkey` FOREIGN KEY (`doorId`) REFERENCES `Door`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `duressPinHash` VARCHAR(191) NULL,
+    ADD COLUMN `duressPinSalt` VARCHAR(191) NULL,
+    ADD COLUMN `duressAlerts` BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `duressPinHash` VARCHAR(191) NULL;
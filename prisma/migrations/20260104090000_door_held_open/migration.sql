@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `heldOpenThreshold` INTEGER NOT NULL DEFAULT 60;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `DoorCommand` (
+    `id` VARCHAR(191) NOT NULL,
+    `doorId` VARCHAR(191) NOT NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `status` ENUM('PENDING', 'SUCCEEDED', 'FAILED', 'TIMED_OUT') NOT NULL DEFAULT 'PENDING',
+    `error` VARCHAR(191) NULL,
+    `requestedById` INTEGER NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `ackedAt` DATETIME(3) NULL,
+
+    INDEX `DoorCommand_status_createdAt_idx`(`status`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `DoorCommand` ADD CONSTRAINT `DoorCommand_doorId_fkey` FOREIGN KEY (`doorId`) REFERENCES `Door`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `DoorCommand` ADD CONSTRAINT `DoorCommand_requestedById_fkey` FOREIGN KEY (`requestedById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
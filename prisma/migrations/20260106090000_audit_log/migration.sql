@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `AuditLog` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `actorId` INTEGER NULL,
+    `actorName` VARCHAR(191) NOT NULL,
+    `action` VARCHAR(191) NOT NULL,
+    `targetType` VARCHAR(191) NULL,
+    `targetId` VARCHAR(191) NULL,
+    `before` JSON NULL,
+    `after` JSON NULL,
+    `ip` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AuditLog_action_idx`(`action`),
+    INDEX `AuditLog_targetType_targetId_idx`(`targetType`, `targetId`),
+    INDEX `AuditLog_createdAt_idx`(`createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `AuditLog` ADD CONSTRAINT `AuditLog_actorId_fkey` FOREIGN KEY (`actorId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
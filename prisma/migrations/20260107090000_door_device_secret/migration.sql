@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `deviceSecret` VARCHAR(191) NULL;
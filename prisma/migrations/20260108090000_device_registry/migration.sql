@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `Alert` MODIFY `type` ENUM('fire', 'gas', 'door', 'device') NOT NULL;
+
+-- CreateTable
+CREATE TABLE `Device` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NULL,
+    `type` ENUM('door_controller', 'sensor_node', 'display') NULL,
+    `status` ENUM('UNREGISTERED', 'PENDING', 'ACTIVE', 'DECOMMISSIONED') NOT NULL DEFAULT 'PENDING',
+    `firmwareVersion` VARCHAR(191) NULL,
+    `capabilities` JSON NULL,
+    `room` VARCHAR(191) NULL,
+    `doorId` VARCHAR(191) NULL,
+    `secret` VARCHAR(191) NULL,
+    `provisioningCodeHash` VARCHAR(191) NULL,
+    `provisioningExpiresAt` DATETIME(3) NULL,
+    `provisionedAt` DATETIME(3) NULL,
+    `lastSeen` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Device` ADD CONSTRAINT `Device_doorId_fkey` FOREIGN KEY (`doorId`) REFERENCES `Door`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE `Device` ADD COLUMN `online` BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE `DeviceOutage` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `deviceId` VARCHAR(191) NOT NULL,
+    `startedAt` DATETIME(3) NOT NULL,
+    `endedAt` DATETIME(3) NULL,
+
+    INDEX `DeviceOutage_deviceId_startedAt_idx`(`deviceId`, `startedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `DeviceOutage` ADD CONSTRAINT `DeviceOutage_deviceId_fkey` FOREIGN KEY (`deviceId`) REFERENCES `Device`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
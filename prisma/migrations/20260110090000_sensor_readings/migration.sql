@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `SensorReading` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sensorId` VARCHAR(191) NOT NULL,
+    `kind` VARCHAR(191) NOT NULL,
+    `value` DOUBLE NOT NULL,
+    `recordedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SensorReading_sensorId_recordedAt_idx`(`sensorId`, `recordedAt`),
+    INDEX `SensorReading_recordedAt_idx`(`recordedAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SensorRollup` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sensorId` VARCHAR(191) NOT NULL,
+    `kind` VARCHAR(191) NOT NULL,
+    `resolution` ENUM('minute', 'hour') NOT NULL,
+    `bucket` DATETIME(3) NOT NULL,
+    `count` INTEGER NOT NULL,
+    `sum` DOUBLE NOT NULL,
+    `min` DOUBLE NOT NULL,
+    `max` DOUBLE NOT NULL,
+
+    INDEX `SensorRollup_resolution_bucket_idx`(`resolution`, `bucket`),
+    UNIQUE INDEX `SensorRollup_sensorId_resolution_bucket_key`(`sensorId`, `resolution`, `bucket`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `Alert` MODIFY `type` ENUM('fire', 'gas', 'door', 'device', 'sensor') NOT NULL,
+    ADD COLUMN `resolvedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `SensorThreshold` (
+    `sensorId` VARCHAR(191) NOT NULL,
+    `kind` VARCHAR(191) NOT NULL,
+    `warningAbove` DOUBLE NULL,
+    `criticalAbove` DOUBLE NULL,
+    `hysteresis` DOUBLE NOT NULL DEFAULT 0,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`sensorId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SensorAlertState` (
+    `sensorId` VARCHAR(191) NOT NULL,
+    `level` ENUM('NORMAL', 'WARNING', 'CRITICAL') NOT NULL DEFAULT 'NORMAL',
+    `alertId` INTEGER NULL,
+    `changedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    PRIMARY KEY (`sensorId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `Alert` ADD COLUMN `source` VARCHAR(191) NULL,
+    ADD COLUMN `occurrences` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `lastSeenAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ADD COLUMN `lastNotifiedAt` DATETIME(3) NULL;
+
+-- CreateIndex
+CREATE INDEX `Alert_type_source_idx` ON `Alert`(`type`, `source`);
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE `Alert` ADD COLUMN `status` ENUM('OPEN', 'ACKNOWLEDGED', 'RESOLVED') NOT NULL DEFAULT 'OPEN',
+    ADD COLUMN `silent` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `acknowledgedAt` DATETIME(3) NULL,
+    ADD COLUMN `resolvedById` INTEGER NULL;
+
+-- Existing alerts: derive the status from what was recorded so far
+UPDATE `Alert` SET `status` = 'ACKNOWLEDGED' WHERE `acknowledgedById` IS NOT NULL;
+UPDATE `Alert` SET `status` = 'RESOLVED' WHERE `resolvedAt` IS NOT NULL;
+
+-- CreateTable
+CREATE TABLE `AlertNote` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `alertId` INTEGER NOT NULL,
+    `userId` INTEGER NULL,
+    `authorName` VARCHAR(191) NOT NULL,
+    `text` TEXT NOT NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `AlertNote_alertId_createdAt_idx`(`alertId`, `createdAt`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `Alert_status_idx` ON `Alert`(`status`);
+
+-- AddForeignKey
+ALTER TABLE `Alert` ADD CONSTRAINT `Alert_resolvedById_fkey` FOREIGN KEY (`resolvedById`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AlertNote` ADD CONSTRAINT `AlertNote_alertId_fkey` FOREIGN KEY (`alertId`) REFERENCES `Alert`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `AlertNote` ADD CONSTRAINT `AlertNote_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
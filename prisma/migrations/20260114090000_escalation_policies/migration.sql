@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE `Alert` ADD COLUMN `escalationPolicyId` INTEGER NULL,
+    ADD COLUMN `escalationStep` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE `EscalationPolicy` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `name` VARCHAR(191) NOT NULL,
+    `alertType` ENUM('fire', 'gas', 'door', 'device', 'sensor') NULL,
+    `minLevel` ENUM('INFO', 'WARNING', 'CRITICAL') NOT NULL DEFAULT 'CRITICAL',
+    `steps` JSON NOT NULL,
+    `enabled` BOOLEAN NOT NULL DEFAULT true,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Alert` ADD CONSTRAINT `Alert_escalationPolicyId_fkey` FOREIGN KEY (`escalationPolicyId`) REFERENCES `EscalationPolicy`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
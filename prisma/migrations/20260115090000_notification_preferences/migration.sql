@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE `NotificationPreference` (
+    `userId` INTEGER NOT NULL,
+    `mutedCategories` VARCHAR(191) NOT NULL DEFAULT '',
+    `minLevel` ENUM('INFO', 'WARNING', 'CRITICAL') NOT NULL DEFAULT 'INFO',
+    `quietHoursStart` VARCHAR(191) NULL,
+    `quietHoursEnd` VARCHAR(191) NULL,
+    `timezone` VARCHAR(191) NULL,
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`userId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `NotificationPreference` ADD CONSTRAINT `NotificationPreference_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `lockedUntil` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `Alert` MODIFY `type` ENUM('fire', 'gas', 'door', 'device', 'sensor', 'security') NOT NULL;
+
+-- AlterTable
+ALTER TABLE `EscalationPolicy` MODIFY `alertType` ENUM('fire', 'gas', 'door', 'device', 'sensor', 'security') NULL;
+
+-- CreateTable
+CREATE TABLE `AuthAttempt` (
+    `key` VARCHAR(191) NOT NULL,
+    `failures` INTEGER NOT NULL DEFAULT 0,
+    `lastFailureAt` DATETIME(3) NOT NULL,
+    `blockedUntil` DATETIME(3) NULL,
+
+    INDEX `AuthAttempt_lastFailureAt_idx`(`lastFailureAt`),
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE `Role` (
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `permissions` TEXT NOT NULL,
+    `builtIn` BOOLEAN NOT NULL DEFAULT false,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`name`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Seed the built-in roles and the default custom roles. ADMIN gets every
+-- permission in code, so its list stays empty
+INSERT INTO `Role` (`name`, `description`, `permissions`, `builtIn`, `updatedAt`) VALUES
+    ('ADMIN', 'Quản trị viên, có mọi quyền', '', true, CURRENT_TIMESTAMP(3)),
+    ('USER', 'Thành viên gia đình', 'door.history.view,alerts.ack', true, CURRENT_TIMESTAMP(3)),
+    ('MAINTENANCE', 'Kỹ thuật viên bảo trì thiết bị', 'door.history.view,alerts.ack,alerts.manage,devices.manage', false, CURRENT_TIMESTAMP(3)),
+    ('CHILD', 'Trẻ em, chỉ dùng thẻ và mã PIN của mình', '', false, CURRENT_TIMESTAMP(3)),
+    ('GUEST', 'Khách ở lại, chỉ dùng thẻ và mã PIN của mình', '', false, CURRENT_TIMESTAMP(3));
+
+-- AlterTable
+ALTER TABLE `User` MODIFY `role` VARCHAR(191) NOT NULL DEFAULT 'USER';
+
+-- AlterTable
+ALTER TABLE `Invitation` MODIFY `role` VARCHAR(191) NOT NULL DEFAULT 'USER';
+
+-- AddForeignKey
+ALTER TABLE `User` ADD CONSTRAINT `User_role_fkey` FOREIGN KEY (`role`) REFERENCES `Role`(`name`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `Invitation` ADD CONSTRAINT `Invitation_role_fkey` FOREIGN KEY (`role`) REFERENCES `Role`(`name`) ON DELETE RESTRICT ON UPDATE CASCADE;
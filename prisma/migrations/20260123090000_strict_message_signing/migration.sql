@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE `Door` ADD COLUMN `allowUnsigned` BOOLEAN NOT NULL DEFAULT false;
+
+-- Doors already running without a device secret keep working, now as an
+-- explicit legacy exception that can be turned off per door
+UPDATE `Door` SET `allowUnsigned` = true WHERE `deviceSecret` IS NULL;
+
+-- CreateTable
+CREATE TABLE `MessageNonce` (
+    `key` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+
+    INDEX `MessageNonce_expiresAt_idx`(`expiresAt`),
+    PRIMARY KEY (`key`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
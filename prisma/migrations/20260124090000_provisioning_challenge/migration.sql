@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `Device` ADD COLUMN `provisioningNonce` VARCHAR(191) NULL,
+    ADD COLUMN `nonceExpiresAt` DATETIME(3) NULL;
+
+-- Pending codes were stored as plain SHA-256 hashes, which the challenge
+-- handshake cannot use; they have to be issued again
+UPDATE `Device` SET `provisioningCodeHash` = NULL, `provisioningExpiresAt` = NULL WHERE `provisioningCodeHash` IS NOT NULL;
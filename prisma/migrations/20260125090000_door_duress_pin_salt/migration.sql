@@ -0,0 +1,4 @@
+-- AlterTable
+-- Household duress PINs set before this keep their unsalted hash (checked
+-- with an empty salt) until an admin sets them again
+ALTER TABLE `Door` ADD COLUMN `duressPinSalt` VARCHAR(191) NULL;
@@ -3,15 +3,41 @@ const express = require('express');
 const cors = require('cors');
 const prisma = require('./lib/prisma');
 const mqttService = require('./services/mqtt.service');
+const guestCodeService = require('./services/guestCode.service');
+const doorCommandService = require('./services/doorCommand.service');
+const sensorService = require('./services/sensor.service');
+const escalationService = require('./services/escalation.service');
+const notificationService = require('./services/notification.service');
+const sessionService = require('./services/session.service');
+const authAttemptService = require('./services/authAttempt.service');
+const messageSigning = require('./services/messageSigning.service');
+const deviceService = require('./services/device.service');
 const authRoutes = require('./routes/auth.routes');
 const alertRoutes = require('./routes/alert.routes');
 const pushTokenRoutes = require('./routes/pushToken.routes');
 const pushRoutes = require('./routes/push.routes');
 const accessLogRoutes = require('./routes/accessLog.routes');
 const doorRoutes = require('./routes/door.routes');
+const accessScheduleRoutes = require('./routes/accessSchedule.routes');
+const auditRoutes = require('./routes/audit.routes');
+const deviceRoutes = require('./routes/device.routes');
+const sensorRoutes = require('./routes/sensor.routes');
+const escalationPolicyRoutes = require('./routes/escalationPolicy.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const notificationChannelRoutes = require('./routes/notificationChannel.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const roleRoutes = require('./routes/role.routes');
 
 const app = express();
 
+// Reverse proxy in front of the API whose X-Forwarded-For gives the client IP:
+// a hop count (e.g. 1) or addresses/subnets (e.g. loopback, 172.18.0.0/16).
+// Unset, the header is ignored
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -22,6 +48,15 @@ app.use('/api/push-tokens', pushTokenRoutes);
 app.use('/api/push', pushRoutes);
 app.use('/api/access-logs', accessLogRoutes);
 app.use('/api/doors', doorRoutes);
+app.use('/api/access-schedules', accessScheduleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/sensors', sensorRoutes);
+app.use('/api/escalation-policies', escalationPolicyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/notification-channels', notificationChannelRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
 
 // Health check
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
@@ -47,6 +82,51 @@ async function main() {
 
   mqttService.connect();
 
+  // Expire guest codes every minute
+  setInterval(() => {
+    guestCodeService.expireGuestCodes().catch(error => console.error('Guest code expiry error:', error));
+  }, 60000);
+
+  // Time out unacknowledged door commands every 10 seconds
+  setInterval(() => {
+    doorCommandService.expireCommands().catch(error => console.error('Door command expiry error:', error));
+  }, 10000);
+
+  // Roll sensor readings up into minute/hour buckets and prune old data every minute
+  setInterval(() => {
+    sensorService.downsampleReadings().catch(error => console.error('Sensor downsampling error:', error));
+  }, 60000);
+
+  // Escalate unacknowledged alerts every 30 seconds
+  setInterval(() => {
+    escalationService.runEscalations().catch(error => console.error('Alert escalation error:', error));
+  }, 30000);
+
+  // Drop old read notifications every hour
+  setInterval(() => {
+    notificationService.pruneNotifications().catch(error => console.error('Notification pruning error:', error));
+  }, 60 * 60 * 1000);
+
+  // Drop expired and long-revoked sessions every hour
+  setInterval(() => {
+    sessionService.pruneSessions().catch(error => console.error('Session pruning error:', error));
+  }, 60 * 60 * 1000);
+
+  // Forget failed login and PIN attempts that are no longer relevant every hour
+  setInterval(() => {
+    authAttemptService.pruneAttempts().catch(error => console.error('Auth attempt pruning error:', error));
+  }, 60 * 60 * 1000);
+
+  // Forget nonces of signed MQTT messages too old to be replayed every hour
+  setInterval(() => {
+    messageSigning.pruneNonces().catch(error => console.error('Message nonce pruning error:', error));
+  }, 60 * 60 * 1000);
+
+  // Forget unregistered devices that have been silent for a week every hour
+  setInterval(() => {
+    deviceService.pruneUnregisteredDevices().catch(error => console.error('Unregistered device pruning error:', error));
+  }, 60 * 60 * 1000);
+
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -2,6 +2,11 @@ const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
+  // Secrets are only read where explicitly selected, so they never leak through the API
+  omit: {
+    door: { deviceSecret: true },
+    device: { secret: true, provisioningCodeHash: true }
+  }
 });
 
 module.exports = prisma;
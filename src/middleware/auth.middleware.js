@@ -1,30 +1,90 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const roleService = require('../services/role.service');
 
-const authenticate = async (req, res, next) => {
+// `allowSetupPending` lets users whom an admin requires to use 2FA reach the
+// routes that set it up; every other route refuses them until they have
+const authenticateSession = ({ allowSetupPending }) => async (req, res, next) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
     if (!token) return res.status(401).json({ error: 'No token provided' });
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
-    
-    if (!user) return res.status(401).json({ error: 'User not found' });
+    // Tokens from before sessions existed cannot be revoked, so they are refused
+    if (!decoded.sid) return res.status(401).json({ error: 'Invalid token' });
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      // The role's permissions are needed by authorize()
+      include: { user: { include: { roleDefinition: true } } }
+    });
+
+    // Deleting a user removes their sessions too
+    if (!session || session.userId !== decoded.userId || !sessionService.isActive(session)) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    if (!allowSetupPending && twoFactorService.isSetupPending(session.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication setup required', twoFactorSetupRequired: true });
+    }
     
-    req.user = user;
+    req.user = session.user;
+    req.sessionId = session.id;
+    req.mfaVerifiedAt = session.mfaVerifiedAt;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
-const authorize = (...roles) => {
+const authenticate = authenticateSession({ allowSetupPending: false });
+const authenticateForSetup = authenticateSession({ allowSetupPending: true });
+
+// Requires every one of the permissions (role.service PERMISSIONS) through
+// the user's role; ADMIN has them all
+const authorize = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.every(permission => roleService.hasPermission(req.user, permission))) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
     next();
   };
 };
 
-module.exports = { authenticate, authorize };
+// Sensitive actions need 2FA enabled and a code entered in this session
+// within the last STEP_UP_WINDOW_MS (POST /api/auth/2fa/verify)
+const requireStepUp = (req, res, next) => {
+  if (!twoFactorService.isEnabled(req.user)) {
+    return res.status(403).json({ error: 'Two-factor authentication must be enabled', stepUpRequired: true });
+  }
+  if (!twoFactorService.isFreshVerification(req.mfaVerifiedAt)) {
+    return res.status(403).json({ error: 'Step-up authentication required', stepUpRequired: true });
+  }
+  next();
+};
+
+// users.manage only reaches accounts whose role its holder could hand out,
+// the same rule as for changing a role or deleting a user. `param` is the
+// route parameter holding the target user's ID
+const manageableUser = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const target = await prisma.user.findUnique({
+        where: { id: parseInt(req.params[param]) },
+        select: { id: true, role: true }
+      });
+      if (!target) {
+        return res.status(404).json({ error: 'Người dùng không tồn tại' });
+      }
+
+      await roleService.assertCanAssign(req.user, target.role);
+      next();
+    } catch (error) {
+      res.status(403).json({ error: error.message });
+    }
+  };
+};
+
+module.exports = { authenticate, authenticateForSetup, authorize, requireStepUp, manageableUser };
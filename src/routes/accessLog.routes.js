@@ -4,7 +4,7 @@ const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-router.get('/', authenticate, authorize('ADMIN'), async (req, res) => {
+router.get('/', authenticate, authorize('logs.view'), async (req, res) => {
   try {
     const { page, limit } = req.query;
     const result = await alertService.getAccessLogs({
@@ -0,0 +1,85 @@
+const express = require('express');
+const accessScheduleService = require('../services/accessSchedule.service');
+const auditService = require('../services/audit.service');
+const mqttService = require('../services/mqtt.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Re-publish the whitelist of every door affected by a schedule change
+async function publishScheduleWhitelists(schedule) {
+  const doorIds = await accessScheduleService.getScheduleDoorIds(schedule);
+  for (const doorId of doorIds) {
+    await mqttService.publishRfidWhitelist(doorId);
+  }
+}
+
+// List schedules, optionally filtered by user or card (schedules.manage)
+router.get('/', authenticate, authorize('schedules.manage'), async (req, res) => {
+  try {
+    const { userId, rfidCardId } = req.query;
+    const schedules = await accessScheduleService.getSchedules({
+      userId: parseInt(userId) || undefined,
+      rfidCardId: parseInt(rfidCardId) || undefined
+    });
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a schedule for a user or a card (schedules.manage)
+router.post('/', authenticate, authorize('schedules.manage'), async (req, res) => {
+  try {
+    const schedule = await accessScheduleService.createSchedule(req.body);
+    await publishScheduleWhitelists(schedule);
+    await auditService.logAction(req, {
+      action: 'access_schedule.create',
+      targetType: 'access_schedule',
+      targetId: schedule.id,
+      after: schedule
+    });
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update a schedule (schedules.manage)
+router.patch('/:id', authenticate, authorize('schedules.manage'), async (req, res) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    const before = await accessScheduleService.getSchedule(scheduleId);
+    const schedule = await accessScheduleService.updateSchedule(scheduleId, req.body);
+    await publishScheduleWhitelists(schedule);
+    await auditService.logAction(req, {
+      action: 'access_schedule.update',
+      targetType: 'access_schedule',
+      targetId: scheduleId,
+      before,
+      after: schedule
+    });
+    res.json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a schedule (schedules.manage)
+router.delete('/:id', authenticate, authorize('schedules.manage'), async (req, res) => {
+  try {
+    const schedule = await accessScheduleService.deleteSchedule(parseInt(req.params.id));
+    await publishScheduleWhitelists(schedule);
+    await auditService.logAction(req, {
+      action: 'access_schedule.delete',
+      targetType: 'access_schedule',
+      targetId: schedule.id,
+      before: schedule
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
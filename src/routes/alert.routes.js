@@ -1,17 +1,42 @@
 const express = require('express');
 const alertService = require('../services/alert.service');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
+// Hide silent alerts from users who may not see them, answering with the
+// route's own status for an alert that does not exist
+const visibleAlert = (notFoundStatus) => async (req, res, next) => {
+  try {
+    const alert = await alertService.getAlert(parseInt(req.params.id));
+    if (alert.silent && !alertService.canSeeSilent(req.user)) {
+      return res.status(notFoundStatus).json({ error: 'Cảnh báo không tồn tại' });
+    }
+    next();
+  } catch (error) {
+    res.status(notFoundStatus).json({ error: error.message });
+  }
+};
+
+// status accepts one status or a comma-separated list, e.g. OPEN,ACKNOWLEDGED
 router.get('/', authenticate, async (req, res) => {
   try {
     const { page, limit, type, level } = req.query;
+    const status = req.query.status ? req.query.status.split(',') : undefined;
+
+    if (status && !status.every(s => alertService.ALERT_STATUSES.includes(s))) {
+      return res.status(400).json({
+        error: `Trạng thái cảnh báo phải là một trong: ${alertService.ALERT_STATUSES.join(', ')}`
+      });
+    }
+
     const result = await alertService.getAlerts({
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 20,
       type,
-      level
+      level,
+      status,
+      includeSilent: alertService.canSeeSilent(req.user)
     });
     res.json(result);
   } catch (error) {
@@ -19,11 +44,25 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-router.patch('/:id/acknowledge', authenticate, async (req, res) => {
+// An alert with its notes
+router.get('/:id', authenticate, visibleAlert(404), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const alert = await alertService.getAlert(alertId);
+    const notes = await alertService.getNotes(alertId);
+    res.json({ ...alert, notes });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Acknowledge an open alert, optionally with a note
+router.patch('/:id/acknowledge', authenticate, authorize('alerts.ack'), visibleAlert(400), async (req, res) => {
   try {
     const alert = await alertService.acknowledgeAlert(
       parseInt(req.params.id),
-      req.user.id
+      req.user,
+      req.body.note
     );
     res.json(alert);
   } catch (error) {
@@ -31,4 +70,36 @@ router.patch('/:id/acknowledge', authenticate, async (req, res) => {
   }
 });
 
+// Resolve an open or acknowledged alert, optionally with a note
+router.patch('/:id/resolve', authenticate, authorize('alerts.ack'), visibleAlert(400), async (req, res) => {
+  try {
+    const alert = await alertService.resolveAlert(
+      parseInt(req.params.id),
+      req.user,
+      req.body.note
+    );
+    res.json(alert);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/:id/notes', authenticate, visibleAlert(404), async (req, res) => {
+  try {
+    const notes = await alertService.getNotes(parseInt(req.params.id));
+    res.json(notes);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+router.post('/:id/notes', authenticate, authorize('alerts.ack'), visibleAlert(400), async (req, res) => {
+  try {
+    const note = await alertService.addNote(parseInt(req.params.id), req.user, req.body.text);
+    res.status(201).json(note);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// List audit entries, newest first (logs.view).
+// action accepts a prefix wildcard such as "door.*"
+router.get('/', authenticate, authorize('logs.view'), async (req, res) => {
+  try {
+    const { page, limit, actorId, action, targetType, targetId, from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Thời gian lọc không hợp lệ' });
+    }
+
+    const result = await auditService.getAuditLogs({
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 200),
+      actorId: parseInt(actorId) || undefined,
+      action,
+      targetType,
+      targetId,
+      from,
+      to
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
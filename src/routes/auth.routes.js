@@ -1,29 +1,210 @@
 const express = require('express');
 const authService = require('../services/auth.service');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const sessionService = require('../services/session.service');
+const authAttemptService = require('../services/authAttempt.service');
+const twoFactorService = require('../services/twoFactor.service');
+const roleService = require('../services/role.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authenticateForSetup, authorize, manageableUser } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
+// Throttled attempts (see authAttempt.service) are answered with 429
+function sendAuthError(res, error, status) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+  }
+  res.status(status).json({ error: error.message });
+}
+
+// Whether the installation still needs its first admin, and whether anyone may register
+router.get('/registration', async (req, res) => {
+  try {
+    const status = await authService.getRegistrationStatus();
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates the first admin on a new installation; closed afterwards unless
+// OPEN_REGISTRATION=true. Household members join through /api/invitations
 router.post('/register', async (req, res) => {
   try {
-    const user = await authService.register(req.body);
+    const { username, password } = req.body;
+    const { bootstrap, ...user } = await authService.register({ username, password });
+    if (bootstrap) {
+      await auditService.logAction(req, {
+        action: 'user.bootstrap',
+        targetType: 'user',
+        targetId: user.id,
+        after: { username: user.username, role: user.role }
+      });
+    }
     res.status(201).json(user);
   } catch (error) {
+    if (error.message === authService.REGISTRATION_CLOSED) {
+      return res.status(403).json({ error: error.message });
+    }
     res.status(400).json({ error: error.message });
   }
 });
 
+// Returns a short-lived access token and a refresh token for this device, or
+// { twoFactorRequired, challengeToken } for accounts with 2FA
 router.post('/login', async (req, res) => {
   try {
-    const result = await authService.login(req.body);
+    const result = await authService.login(req.body, {
+      userAgent: req.headers['user-agent'],
+      ip: auditService.getClientIp(req)
+    });
     res.json(result);
+  } catch (error) {
+    sendAuthError(res, error, 401);
+  }
+});
+
+// Second login step for accounts with 2FA: challenge token plus a TOTP or recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const result = await authService.loginWithTwoFactor({ challengeToken, code }, {
+      userAgent: req.headers['user-agent'],
+      ip: auditService.getClientIp(req)
+    });
+    res.json(result);
+  } catch (error) {
+    sendAuthError(res, error, 401);
+  }
+});
+
+// Exchange a refresh token for new tokens; the old refresh token stops working
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await sessionService.refreshSession(req.body.refreshToken, {
+      ip: auditService.getClientIp(req)
+    });
+    res.json(tokens);
   } catch (error) {
     res.status(401).json({ error: error.message });
   }
 });
 
-router.get('/me', authenticate, (req, res) => {
-  res.json({ id: req.user.id, username: req.user.username, role: req.user.role });
+// End the current session
+router.post('/logout', authenticateForSetup, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.sessionId, 'logout');
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Devices the current user is signed in on
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out one of the current user's devices
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    await sessionService.revokeUserSession(req.user.id, req.params.sessionId, 'revoked_by_user');
+    res.status(204).send();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+router.get('/me', authenticateForSetup, (req, res) => {
+  res.json({
+    id: req.user.id,
+    username: req.user.username,
+    role: req.user.role,
+    permissions: roleService.permissionsOf(req.user)
+  });
+});
+
+// ==================== Two-factor authentication ====================
+
+router.get('/2fa', authenticateForSetup, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start enrollment: returns the secret and an otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticateForSetup, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.startEnrollment(req.user);
+    res.json(enrollment);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Finish enrollment with a code from the app. The recovery codes are only shown here
+router.post('/2fa/enable', authenticateForSetup, async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user, req.body.code);
+    // The code just entered also counts as this session's 2FA check
+    await sessionService.markVerified(req.sessionId);
+    await auditService.logAction(req, { action: 'user.2fa_enable', targetType: 'user', targetId: req.user.id });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    await twoFactorService.disable(req.user, req.body.code, { ip: auditService.getClientIp(req) });
+    await auditService.logAction(req, { action: 'user.2fa_disable', targetType: 'user', targetId: req.user.id });
+    res.json({ message: 'Đã tắt xác thực hai bước' });
+  } catch (error) {
+    sendAuthError(res, error, 400);
+  }
+});
+
+// Replace the recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code, {
+      ip: auditService.getClientIp(req)
+    });
+    res.json(result);
+  } catch (error) {
+    sendAuthError(res, error, 400);
+  }
+});
+
+// Step-up: enter a code to unlock sensitive actions for STEP_UP_WINDOW_MS
+router.post('/2fa/verify', authenticate, async (req, res) => {
+  try {
+    if (!twoFactorService.isEnabled(req.user)) {
+      return res.status(400).json({ error: 'Xác thực hai bước chưa được bật' });
+    }
+    
+    const { method } = await twoFactorService.verifyCode(req.user, req.body.code, {
+      ip: auditService.getClientIp(req)
+    });
+    const verifiedAt = await sessionService.markVerified(req.sessionId);
+    res.json({
+      method,
+      verifiedAt,
+      validUntil: new Date(verifiedAt.getTime() + twoFactorService.STEP_UP_WINDOW)
+    });
+  } catch (error) {
+    sendAuthError(res, error, 401);
+  }
 });
 
 // Change password (authenticated user)
@@ -40,6 +221,9 @@ router.patch('/password', authenticate, async (req, res) => {
     }
     
     const result = await authService.changePassword(req.user.id, { currentPassword, newPassword });
+    // Other devices have to sign in again with the new password
+    await sessionService.revokeAllSessions(req.user.id, { except: req.sessionId, reason: 'password_change' });
+    await auditService.logAction(req, { action: 'user.password_change', targetType: 'user', targetId: req.user.id });
     res.json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -62,7 +246,7 @@ router.patch('/profile', authenticate, async (req, res) => {
   }
 });
 
-router.get('/users', authenticate, authorize('ADMIN'), async (req, res) => {
+router.get('/users', authenticate, authorize('users.manage'), async (req, res) => {
   try {
     const users = await authService.getUsers();
     res.json(users);
@@ -71,18 +255,142 @@ router.get('/users', authenticate, authorize('ADMIN'), async (req, res) => {
   }
 });
 
-router.patch('/users/:id/role', authenticate, authorize('ADMIN'), async (req, res) => {
+router.patch('/users/:id/role', authenticate, authorize('users.manage'), async (req, res) => {
   try {
-    const user = await authService.updateUserRole(parseInt(req.params.id), req.body.role);
+    const userId = parseInt(req.params.id);
+    const before = await authService.getUserById(userId);
+    const user = await authService.updateUserRole(req.user, userId, req.body.role);
+    await auditService.logAction(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: userId,
+      before: { username: before?.username, role: before?.role },
+      after: { username: user.username, role: user.role }
+    });
     res.json(user);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-router.delete('/users/:id', authenticate, authorize('ADMIN'), async (req, res) => {
+// Lift a lockout after too many failed logins or door PIN attempts (users.manage)
+router.post('/users/:id/unlock', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const result = await authAttemptService.unlockUser(userId);
+    await auditService.logAction(req, {
+      action: 'user.unlock',
+      targetType: 'user',
+      targetId: userId,
+      before: { username: result.username, locked: result.wasLocked },
+      after: { username: result.username, locked: false }
+    });
+    res.json({ id: result.id, username: result.username, locked: false });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Require a user to set up 2FA, or lift the requirement (users.manage)
+router.put('/users/:id/2fa/required', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    if (typeof req.body.required !== 'boolean') {
+      return res.status(400).json({ error: 'required phải là true hoặc false' });
+    }
+    
+    const userId = parseInt(req.params.id);
+    const user = await twoFactorService.setRequired(userId, req.body.required);
+    await auditService.logAction(req, {
+      action: 'user.2fa_require',
+      targetType: 'user',
+      targetId: userId,
+      after: { username: user.username, required: user.totpRequired }
+    });
+    res.json({
+      id: user.id,
+      username: user.username,
+      twoFactorRequired: user.totpRequired,
+      twoFactorEnabled: Boolean(user.totpEnabledAt)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove 2FA from a user who lost both the app and the recovery codes (users.manage)
+router.delete('/users/:id/2fa', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const result = await twoFactorService.reset(userId);
+    await auditService.logAction(req, {
+      action: 'user.2fa_reset',
+      targetType: 'user',
+      targetId: userId,
+      before: { username: result.username, enabled: result.wasEnabled }
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Active sessions of a user (users.manage)
+router.get('/users/:id/sessions', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(parseInt(req.params.id));
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign a user out of one device, e.g. a lost phone (users.manage)
+router.delete('/users/:id/sessions/:sessionId', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const session = await sessionService.revokeUserSession(userId, req.params.sessionId, 'revoked_by_admin');
+    await auditService.logAction(req, {
+      action: 'session.revoke',
+      targetType: 'user',
+      targetId: userId,
+      before: { sessionId: session.id, deviceName: session.deviceName }
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Sign a user out everywhere (users.manage)
+router.delete('/users/:id/sessions', authenticate, authorize('users.manage'), manageableUser(), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const revoked = await sessionService.revokeAllSessions(userId, { reason: 'revoked_by_admin' });
+    await auditService.logAction(req, {
+      action: 'session.revoke_all',
+      targetType: 'user',
+      targetId: userId,
+      after: { revoked }
+    });
+    res.json({ revoked });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/users/:id', authenticate, authorize('users.manage'), async (req, res) => {
   try {
-    await authService.deleteUser(parseInt(req.params.id));
+    const userId = parseInt(req.params.id);
+    const before = await authService.getUserById(userId);
+    // Same rule as for changing roles: no deleting accounts above your own
+    if (before) await roleService.assertCanAssign(req.user, before.role);
+    await authService.deleteUser(userId);
+    await auditService.logAction(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: userId,
+      before: before && { username: before.username, role: before.role }
+    });
     res.status(204).send();
   } catch (error) {
     res.status(400).json({ error: error.message });
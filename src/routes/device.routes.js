@@ -0,0 +1,119 @@
+const express = require('express');
+const deviceService = require('../services/device.service');
+const deviceHealthService = require('../services/deviceHealth.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Device fields recorded in the audit log
+function deviceAuditFields(device) {
+  return {
+    name: device.name,
+    type: device.type,
+    status: device.status,
+    room: device.room,
+    doorId: device.doorId
+  };
+}
+
+// List devices, optionally by status or type (devices.manage)
+router.get('/', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const devices = await deviceService.listDevices({ status, type });
+    res.json(devices);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a device (devices.manage)
+router.get('/:id', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const device = await deviceService.getDevice(req.params.id);
+    res.json(device);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Last seen, online state, availability and recent outages of a device (devices.manage)
+router.get('/:id/health', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const health = await deviceHealthService.getDeviceHealth(req.params.id, { limit });
+    res.json(health);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Register a device (devices.manage). The response carries the one-time
+// provisioning code to enter on the device; it is not shown again
+router.post('/', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const { device, provisioningCode } = await deviceService.registerDevice(req.body);
+    await auditService.logAction(req, {
+      action: 'device.register',
+      targetType: 'device',
+      targetId: device.id,
+      after: deviceAuditFields(device)
+    });
+    res.status(201).json({ ...device, provisioningCode });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Issue a new provisioning code, e.g. after the device was reflashed (devices.manage)
+router.post('/:id/provisioning-code', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const device = await deviceService.getDevice(req.params.id);
+    if (['UNREGISTERED', 'DECOMMISSIONED'].includes(device.status)) {
+      return res.status(400).json({ error: 'Thiết bị chưa được đăng ký' });
+    }
+
+    const provisioningCode = await deviceService.issueProvisioningCode(device.id);
+    await auditService.logAction(req, { action: 'device.provisioning_code', targetType: 'device', targetId: device.id });
+    res.json({ deviceId: device.id, provisioningCode });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update name, room, door or capabilities (devices.manage)
+router.patch('/:id', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const before = await deviceService.getDevice(req.params.id);
+    const device = await deviceService.updateDevice(req.params.id, req.body);
+    await auditService.logAction(req, {
+      action: 'device.update',
+      targetType: 'device',
+      targetId: device.id,
+      before: deviceAuditFields(before),
+      after: deviceAuditFields(device)
+    });
+    res.json(device);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Decommission a device and revoke its credentials (devices.manage)
+router.delete('/:id', authenticate, authorize('devices.manage'), async (req, res) => {
+  try {
+    const device = await deviceService.decommissionDevice(req.params.id);
+    await auditService.logAction(req, {
+      action: 'device.decommission',
+      targetType: 'device',
+      targetId: device.id,
+      after: deviceAuditFields(device)
+    });
+    res.json(device);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
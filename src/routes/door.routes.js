@@ -1,36 +1,179 @@
 const express = require('express');
 const doorService = require('../services/door.service');
 const mqttService = require('../services/mqtt.service');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const guestCodeService = require('../services/guestCode.service');
+const doorCommandService = require('../services/doorCommand.service');
+const auditService = require('../services/audit.service');
+const alertService = require('../services/alert.service');
+const authAttemptService = require('../services/authAttempt.service');
+const { authenticate, authorize, requireStepUp, manageableUser } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// ==================== Single Door Management ====================
+// Routes below are mounted twice: at /api/doors (default door, for legacy
+// single-door clients) and at /api/doors/:doorId
+const doorRouter = express.Router({ mergeParams: true });
 
-// Get the door (single door system)
-router.get('/', authenticate, async (req, res) => {
+// Door fields recorded in the audit log (never PIN hashes)
+function doorAuditFields(door) {
+  return door && {
+    name: door.name,
+    location: door.location,
+    securityMode: door.securityMode,
+    heldOpenThreshold: door.heldOpenThreshold
+  };
+}
+
+function auditDoor(req, door, action, values = {}) {
+  return auditService.logAction(req, { action, targetType: 'door', targetId: door.id, ...values });
+}
+
+// Guesses of the current PIN are counted per admin and per IP
+function pinAttempt(req) {
+  return { subject: req.user.id, ip: auditService.getClientIp(req), user: req.user };
+}
+
+// Run a PIN change that checks the current PIN. The attempt is reserved
+// before the check, so parallel guesses are all counted; a wrong current PIN
+// is a failure, any other refusal gives the reservation back
+async function withPinAttempt(req, change) {
+  const attempt = await authAttemptService.reserveAttempt('door_pin', pinAttempt(req));
+  
+  try {
+    const result = await change();
+    await authAttemptService.recordSuccess(attempt);
+    return result;
+  } catch (error) {
+    const settle = error.message === 'Mã PIN hiện tại không đúng'
+      ? authAttemptService.recordFailure(attempt)
+      : authAttemptService.releaseAttempt(attempt);
+    await settle.catch(recordError => console.error('PIN attempt record error:', recordError));
+    throw error;
+  }
+}
+
+// Error response of the PIN change routes; a throttled attempt is answered with 429
+function pinChangeError(req, res, error) {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+  }
+  
+  if (error.message === 'Mã PIN hiện tại không đúng') {
+    return res.status(401).json({ error: error.message });
+  }
+  
+  res.status(400).json({ error: error.message });
+}
+
+// ==================== Door Management ====================
+
+// List all doors
+router.get('/list', authenticate, async (req, res) => {
   try {
-    const door = await doorService.getDoor();
+    const doors = await doorService.listDoors();
+    res.json(doors);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a door (door.manage)
+router.post('/', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const { name, location, pin } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Cần nhập tên cửa' });
+    }
+    
+    if (!pin || pin.length !== 4 || !/^\d+$/.test(pin)) {
+      return res.status(400).json({ error: 'Mã PIN phải là 4 chữ số' });
+    }
+    
+    const door = await doorService.createDoor({ name, location, pin });
+    await auditDoor(req, door, 'door.create', { after: doorAuditFields(door) });
+    res.status(201).json(door);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get the door
+doorRouter.get('/', authenticate, async (req, res) => {
+  try {
+    const door = await doorService.getDoor(req.params.doorId);
     res.json(door);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get door config for ESP32
-router.get('/config', authenticate, async (req, res) => {
+// Update door name/location/held-open threshold (door.manage)
+doorRouter.patch('/', authenticate, authorize('door.manage'), async (req, res) => {
   try {
-    const config = await doorService.getDoorConfig();
+    const before = await doorService.resolveDoor(req.params.doorId);
+    const door = await doorService.updateDoor(req.params.doorId, req.body);
+    await auditDoor(req, door, 'door.update', { before: doorAuditFields(before), after: doorAuditFields(door) });
+    res.json(door);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a door (door.manage, the default door cannot be deleted)
+doorRouter.delete('/', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const door = await doorService.deleteDoor(req.params.doorId);
+    await auditDoor(req, door, 'door.delete', { before: doorAuditFields(door) });
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get door config for ESP32 (door.manage; it carries the door PIN hash)
+doorRouter.get('/config', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const config = await doorService.getDoorConfig(req.params.doorId);
     res.json(config);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Issue a new HMAC secret for the door's ESP32 (door.manage). The secret is only
+// shown in this response; from now on the door must sign its MQTT messages
+doorRouter.post('/device-secret', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const result = await doorService.rotateDeviceSecret(req.params.doorId);
+    await auditService.logAction(req, { action: 'door.device_secret_rotate', targetType: 'door', targetId: result.doorId });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Accept unsigned messages from a door with legacy firmware, or stop doing so
+// (door.manage). Refused once the door has a device secret
+doorRouter.put('/legacy-unsigned', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const before = await doorService.resolveDoor(req.params.doorId);
+    const door = await doorService.setAllowUnsigned(req.params.doorId, req.body.enabled);
+    await auditDoor(req, door, 'door.legacy_unsigned', {
+      before: { allowUnsigned: before.allowUnsigned },
+      after: { allowUnsigned: door.allowUnsigned }
+    });
+    res.json({ doorId: door.id, allowUnsigned: door.allowUnsigned });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ==================== PIN Management ====================
 
-// Update PIN (Admin only)
-router.patch('/pin', authenticate, authorize('ADMIN'), async (req, res) => {
+// Update PIN (door.pin.manage)
+doorRouter.patch('/pin', authenticate, authorize('door.pin.manage'), async (req, res) => {
   try {
     const { pin, currentPin } = req.body;
     
@@ -42,47 +185,254 @@ router.patch('/pin', authenticate, authorize('ADMIN'), async (req, res) => {
       return res.status(400).json({ error: 'Mã PIN mới phải là 4 chữ số' });
     }
     
-    const door = await doorService.updateDoorPin(pin, currentPin);
+    const door = await withPinAttempt(req, () => doorService.updateDoorPin(pin, currentPin, req.params.doorId));
     
     // Publish to ESP32 via MQTT
     const pinHash = doorService.sha256(pin);
-    mqttService.publish('door/config/pin', {
+    await mqttService.publishToDoor(door, 'config/pin', {
       action: 'update_pin',
       pinHash,
       timestamp: Date.now()
     });
     
     // Create alert for PIN change
-    const alertService = require('../services/alert.service');
     await alertService.createAlert({
       type: 'door',
       level: 'INFO',
-      message: `Mã PIN cửa đã được thay đổi bởi ${req.user.username}`
+      message: `Mã PIN ${door.name} đã được thay đổi bởi ${req.user.username}`
     });
     
     // Send push notification
     const pushService = require('../services/push.service');
     await pushService.sendToAll(
       'Mã PIN cửa đã thay đổi',
-      `${req.user.username} đã thay đổi mã PIN cửa`
+      `${req.user.username} đã thay đổi mã PIN ${door.name}`,
+      { category: 'admin_changes', level: 'INFO' }
     );
     
+    await auditDoor(req, door, 'door.pin_change');
+    
     res.json({ message: 'Đã cập nhật PIN', doorId: door.id });
   } catch (error) {
-    // Return 401 for wrong current PIN
-    if (error.message === 'Mã PIN hiện tại không đúng') {
+    pinChangeError(req, res, error);
+  }
+});
+
+// Set the household duress PIN (door.pin.manage, never pushed to the ESP32)
+doorRouter.put('/pin/duress', authenticate, authorize('door.pin.manage'), async (req, res) => {
+  try {
+    const { pin, currentPin } = req.body;
+    
+    if (!currentPin || currentPin.length !== 4 || !/^\d+$/.test(currentPin)) {
+      return res.status(400).json({ error: 'Mã PIN hiện tại phải là 4 chữ số' });
+    }
+    
+    if (!pin || !/^\d{4,8}$/.test(pin)) {
+      return res.status(400).json({ error: 'Mã PIN phải có từ 4 đến 8 chữ số' });
+    }
+    
+    const door = await withPinAttempt(req, () => doorService.setDoorDuressPin(pin, currentPin, req.params.doorId));
+    await auditDoor(req, door, 'door.duress_pin_set');
+    res.json({ message: 'Đã cập nhật mã PIN khẩn cấp', doorId: door.id });
+  } catch (error) {
+    pinChangeError(req, res, error);
+  }
+});
+
+// Remove the household duress PIN (door.pin.manage)
+doorRouter.delete('/pin/duress', authenticate, authorize('door.pin.manage'), async (req, res) => {
+  try {
+    const door = await doorService.clearDoorDuressPin(req.params.doorId);
+    await auditDoor(req, door, 'door.duress_pin_clear');
+    res.json({ message: 'Đã xóa mã PIN khẩn cấp', doorId: door.id });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== Security Mode ====================
+
+// Get security mode, time-of-day rules and the mode currently in force (door.manage)
+doorRouter.get('/security', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const config = await doorService.getSecurityConfig(req.params.doorId);
+    res.json(config);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set the base security mode (door.manage)
+doorRouter.put('/security', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const before = await doorService.resolveDoor(req.params.doorId);
+    const door = await doorService.updateSecurityMode(req.params.doorId, req.body.mode);
+    await auditDoor(req, door, 'door.security_mode_change', {
+      before: { securityMode: before.securityMode },
+      after: { securityMode: door.securityMode }
+    });
+    
+    // Publish to ESP32 via MQTT
+    await mqttService.publishSecurityConfig(door.id);
+    
+    res.json(await doorService.getSecurityConfig(door.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Add a time-of-day security mode rule (door.manage)
+doorRouter.post('/security/rules', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const rule = await doorService.addSecurityRule(req.params.doorId, req.body);
+    await auditService.logAction(req, {
+      action: 'door.security_rule_add',
+      targetType: 'door',
+      targetId: rule.doorId,
+      after: rule
+    });
+    
+    // Publish to ESP32 via MQTT
+    await mqttService.publishSecurityConfig(rule.doorId);
+    
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a time-of-day security mode rule (door.manage)
+doorRouter.delete('/security/rules/:ruleId', authenticate, authorize('door.manage'), async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const rule = await doorService.removeSecurityRule(door.id, parseInt(req.params.ruleId));
+    await auditDoor(req, door, 'door.security_rule_remove', { before: rule });
+    
+    // Publish to ESP32 via MQTT
+    await mqttService.publishSecurityConfig(req.params.doorId);
+    
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== Personal PINs ====================
+
+// Get current user's personal PIN status
+router.get('/user-pin', authenticate, async (req, res) => {
+  try {
+    const status = await doorService.getUserPinStatus(req.user.id);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set or rotate current user's personal PIN
+router.put('/user-pin', authenticate, async (req, res) => {
+  try {
+    const { pin, currentPassword } = req.body;
+    
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Cần nhập mật khẩu hiện tại' });
+    }
+    
+    if (!pin || !/^\d{4,8}$/.test(pin)) {
+      return res.status(400).json({ error: 'Mã PIN phải có từ 4 đến 8 chữ số' });
+    }
+    
+    const result = await doorService.setUserPin(req.user.id, pin, currentPassword);
+    await auditService.logAction(req, { action: 'user_pin.set', targetType: 'user', targetId: req.user.id });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Mật khẩu hiện tại không đúng') {
       return res.status(401).json({ error: error.message });
     }
     res.status(400).json({ error: error.message });
   }
 });
 
+// Reset a user's personal PIN (door.pin.manage, only for roles the caller could assign)
+router.delete('/user-pin/:userId', authenticate, authorize('door.pin.manage'), manageableUser('userId'), async (req, res) => {
+  try {
+    const user = await doorService.resetUserPin(parseInt(req.params.userId));
+    await auditService.logAction(req, { action: 'user_pin.reset', targetType: 'user', targetId: user.id });
+    res.json({ message: `Đã đặt lại mã PIN của ${user.username}` });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== Duress PINs ====================
+
+// Set or rotate current user's duress PIN (opens the door and raises a silent alarm)
+router.put('/duress-pin', authenticate, async (req, res) => {
+  try {
+    const { pin, currentPassword } = req.body;
+    
+    if (!currentPassword) {
+      return res.status(400).json({ error: 'Cần nhập mật khẩu hiện tại' });
+    }
+    
+    if (!pin || !/^\d{4,8}$/.test(pin)) {
+      return res.status(400).json({ error: 'Mã PIN phải có từ 4 đến 8 chữ số' });
+    }
+    
+    const result = await doorService.setUserDuressPin(req.user.id, pin, currentPassword);
+    await auditService.logAction(req, { action: 'duress_pin.set', targetType: 'user', targetId: req.user.id });
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Mật khẩu hiện tại không đúng') {
+      return res.status(401).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove current user's duress PIN
+router.delete('/duress-pin', authenticate, async (req, res) => {
+  try {
+    const result = await doorService.clearUserDuressPin(req.user.id);
+    await auditService.logAction(req, { action: 'duress_pin.clear', targetType: 'user', targetId: req.user.id });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List admins and whether they receive duress notifications (users.manage)
+router.get('/duress-recipients', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const admins = await doorService.getDuressAlertSettings();
+    res.json(admins);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Choose whether an admin receives duress notifications (users.manage, only for roles the caller could assign)
+router.put('/duress-recipients/:userId', authenticate, authorize('users.manage'), manageableUser('userId'), async (req, res) => {
+  try {
+    const user = await doorService.setDuressAlerts(parseInt(req.params.userId), req.body.enabled === true);
+    await auditService.logAction(req, {
+      action: 'duress_alerts.change',
+      targetType: 'user',
+      targetId: user.id,
+      after: { duressAlerts: user.duressAlerts }
+    });
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ==================== RFID Enrollment Flow ====================
 
 // Get all users with RFID status
-router.get('/users-rfid-status', authenticate, authorize('ADMIN'), async (req, res) => {
+doorRouter.get('/users-rfid-status', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
-    const users = await doorService.getAllUsersWithRfidStatus();
+    const users = await doorService.getAllUsersWithRfidStatus(req.params.doorId);
     res.json(users);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -90,17 +440,17 @@ router.get('/users-rfid-status', authenticate, authorize('ADMIN'), async (req, r
 });
 
 // Get enrollment status
-router.get('/enrollment/status', authenticate, authorize('ADMIN'), async (req, res) => {
+doorRouter.get('/enrollment/status', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
-    const status = await doorService.getEnrollmentStatus();
+    const status = await doorService.getEnrollmentStatus(req.params.doorId);
     res.json(status);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Start RFID enrollment for a user (Admin only)
-router.post('/enrollment/start', authenticate, authorize('ADMIN'), async (req, res) => {
+// Start RFID enrollment for a user (rfid.enroll)
+doorRouter.post('/enrollment/start', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
     const { userId, confirmReplace } = req.body;
     
@@ -108,8 +458,8 @@ router.post('/enrollment/start', authenticate, authorize('ADMIN'), async (req, r
       return res.status(400).json({ error: 'Cần chọn người dùng' });
     }
     
-    // Check if user has existing card
-    const rfidStatus = await doorService.getUserRfidStatus(userId);
+    // Check if user has existing card on this door
+    const rfidStatus = await doorService.getUserRfidStatus(userId, req.params.doorId);
     
     if (rfidStatus.hasCard && !confirmReplace) {
       return res.status(409).json({ 
@@ -120,16 +470,19 @@ router.post('/enrollment/start', authenticate, authorize('ADMIN'), async (req, r
     }
     
     // Start enrollment
-    const result = await doorService.startEnrollment(userId);
+    const result = await doorService.startEnrollment(userId, req.params.doorId);
     
     // Send MQTT command to ESP32 to enter enrollment mode
-    mqttService.publish('door/enrollment', {
+    const door = await doorService.resolveDoor(result.doorId);
+    await mqttService.publishToDoor(door, 'enrollment', {
       action: 'start',
       userId: result.userId,
       username: result.username,
       timestamp: Date.now()
     });
     
+    await auditDoor(req, door, 'rfid.enrollment_start', { after: { userId: result.userId, username: result.username } });
+    
     res.json({ 
       message: 'Đã bắt đầu chế độ đăng ký thẻ',
       ...result
@@ -139,17 +492,20 @@ router.post('/enrollment/start', authenticate, authorize('ADMIN'), async (req, r
   }
 });
 
-// Cancel enrollment (Admin only)
-router.post('/enrollment/cancel', authenticate, authorize('ADMIN'), async (req, res) => {
+// Cancel enrollment (rfid.enroll)
+doorRouter.post('/enrollment/cancel', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
-    await doorService.cancelEnrollment();
+    await doorService.cancelEnrollment(req.params.doorId);
     
     // Send MQTT command to ESP32 to exit enrollment mode
-    mqttService.publish('door/enrollment', {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    await mqttService.publishToDoor(door, 'enrollment', {
       action: 'cancel',
       timestamp: Date.now()
     });
     
+    await auditDoor(req, door, 'rfid.enrollment_cancel');
+    
     res.json({ message: 'Đã hủy chế độ đăng ký' });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -159,9 +515,9 @@ router.post('/enrollment/cancel', authenticate, authorize('ADMIN'), async (req,
 // ==================== RFID Management (User-linked) ====================
 
 // Get users without RFID card
-router.get('/users-without-card', authenticate, authorize('ADMIN'), async (req, res) => {
+doorRouter.get('/users-without-card', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
-    const users = await doorService.getUsersWithoutCard();
+    const users = await doorService.getUsersWithoutCard(req.params.doorId);
     res.json(users);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -169,9 +525,9 @@ router.get('/users-without-card', authenticate, authorize('ADMIN'), async (req,
 });
 
 // Get user's RFID status
-router.get('/rfid/user/:userId', authenticate, async (req, res) => {
+doorRouter.get('/rfid/user/:userId', authenticate, async (req, res) => {
   try {
-    const status = await doorService.getUserRfidStatus(parseInt(req.params.userId));
+    const status = await doorService.getUserRfidStatus(parseInt(req.params.userId), req.params.doorId);
     res.json(status);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -179,9 +535,9 @@ router.get('/rfid/user/:userId', authenticate, async (req, res) => {
 });
 
 // Get current user's RFID status
-router.get('/rfid/my-card', authenticate, async (req, res) => {
+doorRouter.get('/rfid/my-card', authenticate, async (req, res) => {
   try {
-    const status = await doorService.getUserRfidStatus(req.user.id);
+    const status = await doorService.getUserRfidStatus(req.user.id, req.params.doorId);
     res.json(status);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -189,16 +545,20 @@ router.get('/rfid/my-card', authenticate, async (req, res) => {
 });
 
 // Report lost card (user can report their own card)
-router.post('/rfid/report-lost', authenticate, async (req, res) => {
+doorRouter.post('/rfid/report-lost', authenticate, async (req, res) => {
   try {
     const result = await doorService.reportLostCard(req.user.id);
     
-    // Publish updated whitelist to ESP32 immediately
-    const whitelist = await doorService.getRfidWhitelist();
-    mqttService.publish('door/config/rfid', {
-      action: 'update_rfid',
-      whitelist,
-      timestamp: Date.now()
+    // Publish updated whitelist to every affected ESP32 immediately
+    for (const doorId of result.doorIds) {
+      await mqttService.publishRfidWhitelist(doorId);
+    }
+    
+    await auditService.logAction(req, {
+      action: 'rfid.report_lost',
+      targetType: 'user',
+      targetId: req.user.id,
+      before: { cardUid: result.card.uid, doorIds: result.doorIds }
     });
     
     // Publish real-time notification to web clients
@@ -210,7 +570,6 @@ router.post('/rfid/report-lost', authenticate, async (req, res) => {
     });
     
     // Create alert for admins
-    const alertService = require('../services/alert.service');
     await alertService.createAlert({
       type: 'door',
       level: 'WARNING',
@@ -221,7 +580,8 @@ router.post('/rfid/report-lost', authenticate, async (req, res) => {
     const pushService = require('../services/push.service');
     await pushService.sendToAll(
       'Thẻ RFID bị mất',
-      `${req.user.username} đã báo mất thẻ RFID. Thẻ đã bị vô hiệu hóa.`
+      `${req.user.username} đã báo mất thẻ RFID. Thẻ đã bị vô hiệu hóa.`,
+      { category: 'card_lost', level: 'WARNING' }
     );
     
     res.json(result);
@@ -230,23 +590,24 @@ router.post('/rfid/report-lost', authenticate, async (req, res) => {
   }
 });
 
-// Add RFID card to user manually (Admin only) - Legacy support
-router.post('/rfid', authenticate, authorize('ADMIN'), async (req, res) => {
+// Add RFID card to user manually (rfid.enroll) - Legacy support
+doorRouter.post('/rfid', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
     const { userId, uid } = req.body;
     if (!userId || !uid) {
       return res.status(400).json({ error: 'Cần userId và UID thẻ' });
     }
     
-    const card = await doorService.addRfidCard(userId, uid);
+    const card = await doorService.addRfidCard(userId, uid, req.params.doorId);
+    await auditService.logAction(req, {
+      action: 'rfid.card_add',
+      targetType: 'rfid_card',
+      targetId: card.id,
+      after: { userId: card.userId, uid: card.uid, doorId: card.doorId }
+    });
     
     // Publish updated whitelist to ESP32
-    const whitelist = await doorService.getRfidWhitelist();
-    mqttService.publish('door/config/rfid', {
-      action: 'update_rfid',
-      whitelist,
-      timestamp: Date.now()
-    });
+    await mqttService.publishRfidWhitelist(card.doorId);
     
     res.status(201).json(card);
   } catch (error) {
@@ -254,19 +615,21 @@ router.post('/rfid', authenticate, authorize('ADMIN'), async (req, res) => {
   }
 });
 
-// Revoke user's RFID card (Admin only)
-router.post('/rfid/revoke/:userId', authenticate, authorize('ADMIN'), async (req, res) => {
+// Revoke user's RFID card (rfid.enroll)
+doorRouter.post('/rfid/revoke/:userId', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
-    await doorService.revokeUserCard(userId);
+    const card = await doorService.revokeUserCard(userId, req.params.doorId);
+    await auditService.logAction(req, {
+      action: 'rfid.card_revoke',
+      targetType: 'rfid_card',
+      targetId: card.id,
+      before: { userId, uid: card.uid, doorId: card.doorId, status: 'ACTIVE' },
+      after: { status: card.status }
+    });
     
     // Publish updated whitelist to ESP32
-    const whitelist = await doorService.getRfidWhitelist();
-    mqttService.publish('door/config/rfid', {
-      action: 'update_rfid',
-      whitelist,
-      timestamp: Date.now()
-    });
+    await mqttService.publishRfidWhitelist(card.doorId);
     
     res.json({ message: 'Đã thu hồi thẻ RFID' });
   } catch (error) {
@@ -274,18 +637,21 @@ router.post('/rfid/revoke/:userId', authenticate, authorize('ADMIN'), async (req
   }
 });
 
-// Remove RFID card by ID (Admin only)
-router.delete('/rfid/:cardId', authenticate, authorize('ADMIN'), async (req, res) => {
+// Remove RFID card by ID (rfid.enroll)
+doorRouter.delete('/rfid/:cardId', authenticate, authorize('rfid.enroll'), async (req, res) => {
   try {
-    await doorService.removeRfidCard(parseInt(req.params.cardId));
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const card = await doorService.removeRfidCard(parseInt(req.params.cardId), door.id);
+    await auditService.logAction(req, {
+      action: 'rfid.card_remove',
+      targetType: 'rfid_card',
+      targetId: card.id,
+      before: { userId: card.userId, uid: card.uid, doorId: card.doorId },
+      after: { status: card.status }
+    });
     
     // Publish updated whitelist to ESP32
-    const whitelist = await doorService.getRfidWhitelist();
-    mqttService.publish('door/config/rfid', {
-      action: 'update_rfid',
-      whitelist,
-      timestamp: Date.now()
-    });
+    await mqttService.publishRfidWhitelist(card.doorId);
     
     res.status(204).send();
   } catch (error) {
@@ -295,14 +661,16 @@ router.delete('/rfid/:cardId', authenticate, authorize('ADMIN'), async (req, res
 
 // ==================== Access Logs ====================
 
-// Get access logs
-router.get('/logs', authenticate, async (req, res) => {
+// Get access logs (door.history.view); duress openings only for the duress recipients
+doorRouter.get('/logs', authenticate, authorize('door.history.view'), async (req, res) => {
   try {
     const { page, limit, event } = req.query;
     const logs = await doorService.getAccessLogs({
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 50,
-      eventFilter: event
+      eventFilter: event,
+      doorId: req.params.doorId,
+      includeDuress: alertService.canSeeSilent(req.user)
     });
     res.json(logs);
   } catch (error) {
@@ -310,14 +678,15 @@ router.get('/logs', authenticate, async (req, res) => {
   }
 });
 
-// Get door open/close history (read-only)
-router.get('/history', authenticate, async (req, res) => {
+// Get door open/close history (read-only, door.history.view)
+doorRouter.get('/history', authenticate, authorize('door.history.view'), async (req, res) => {
   try {
     const { page, limit, event } = req.query;
     const history = await doorService.getDoorHistory({
       page: parseInt(page) || 1,
       limit: parseInt(limit) || 20,
-      eventFilter: event
+      eventFilter: event,
+      doorId: req.params.doorId
     });
     res.json(history);
   } catch (error) {
@@ -325,32 +694,174 @@ router.get('/history', authenticate, async (req, res) => {
   }
 });
 
-// ==================== Commands ====================
+// ==================== Guest Codes ====================
 
-// Remote unlock (Admin only)
-router.post('/unlock', authenticate, authorize('ADMIN'), async (req, res) => {
+// List guest codes (guest_codes.manage)
+doorRouter.get('/guest-codes', authenticate, authorize('guest_codes.manage'), async (req, res) => {
   try {
-    mqttService.publish('door/command', {
-      action: 'unlock',
-      timestamp: Date.now()
+    const codes = await guestCodeService.getGuestCodes({
+      doorId: req.params.doorId,
+      status: req.query.status
     });
-    res.json({ message: 'Đã gửi lệnh mở khóa' });
+    res.json(codes);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Reset alarm (Admin only)
-router.post('/reset-alarm', authenticate, authorize('ADMIN'), async (req, res) => {
+// Create a one-time or N-use guest PIN (guest_codes.manage)
+doorRouter.post('/guest-codes', authenticate, authorize('guest_codes.manage'), async (req, res) => {
   try {
-    mqttService.publish('door/command', {
-      action: 'reset_alarm',
-      timestamp: Date.now()
+    const { label, maxUses, expiresAt, expiresInMinutes, pin } = req.body;
+    
+    if (!expiresAt && !expiresInMinutes) {
+      return res.status(400).json({ error: 'Cần thời gian hết hạn' });
+    }
+    
+    const code = await guestCodeService.createGuestCode({
+      doorId: req.params.doorId,
+      label,
+      maxUses: maxUses === undefined ? 1 : maxUses,
+      expiresAt: expiresAt || Date.now() + expiresInMinutes * 60 * 1000,
+      pin,
+      createdById: req.user.id
+    });
+    
+    await auditService.logAction(req, {
+      action: 'guest_code.create',
+      targetType: 'guest_code',
+      targetId: code.id,
+      after: { doorId: code.doorId, label: code.label, maxUses: code.maxUses, expiresAt: code.expiresAt }
+    });
+    
+    res.status(201).json(code);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revoke a guest code (guest_codes.manage)
+doorRouter.delete('/guest-codes/:codeId', authenticate, authorize('guest_codes.manage'), async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const code = await guestCodeService.revokeGuestCode(parseInt(req.params.codeId), door.id);
+    await auditService.logAction(req, {
+      action: 'guest_code.revoke',
+      targetType: 'guest_code',
+      targetId: code.id,
+      after: { status: code.status }
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ==================== Commands ====================
+
+// Send a command to a door's ESP32. With wait=true, resolves once the device
+// acks (or the command times out) so the response carries the real outcome
+async function sendDoorCommand(req, door, action) {
+  const command = await doorCommandService.createCommand({
+    doorId: door.id,
+    action,
+    requestedById: req.user.id
+  });
+  
+  const wait = req.query.wait === 'true' || req.body?.wait === true;
+  const ack = wait ? doorCommandService.waitForAck(command.id) : null;
+  
+  await mqttService.publishToDoor(door, 'command', {
+    action,
+    commandId: command.id,
+    timestamp: Date.now()
+  });
+  
+  return ack || command;
+}
+
+// Reply with a command's status (PENDING when the client did not wait for the ack)
+function sendCommandResult(res, command, sentMessage) {
+  const statusCode = { FAILED: 502, TIMED_OUT: 504 }[command.status] || 200;
+  const messages = {
+    SUCCEEDED: 'Thiết bị đã thực hiện lệnh',
+    FAILED: `Thiết bị báo lỗi: ${command.error}`,
+    TIMED_OUT: 'Thiết bị không phản hồi'
+  };
+  
+  res.status(statusCode).json({
+    message: messages[command.status] || sentMessage,
+    commandId: command.id,
+    status: command.status
+  });
+}
+
+// Remote unlock (door.unlock, with a fresh 2FA check)
+doorRouter.post('/unlock', authenticate, authorize('door.unlock'), requireStepUp, async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    // The remote_unlock access log is written when the device acks (mqtt.service)
+    const command = await sendDoorCommand(req, door, 'unlock');
+    await auditDoor(req, door, 'door.unlock', { after: { commandId: command.id, status: command.status } });
+    sendCommandResult(res, command, 'Đã gửi lệnh mở khóa');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset alarm (door.unlock)
+doorRouter.post('/reset-alarm', authenticate, authorize('door.unlock'), async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const command = await sendDoorCommand(req, door, 'reset_alarm');
+    await auditDoor(req, door, 'door.reset_alarm', { after: { commandId: command.id, status: command.status } });
+    sendCommandResult(res, command, 'Đã gửi lệnh reset alarm');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent commands and their delivery status (door.unlock)
+doorRouter.get('/commands', authenticate, authorize('door.unlock'), async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const { page = 1, limit = 20 } = req.query;
+    const result = await doorCommandService.getCommands({
+      doorId: door.id,
+      page: parseInt(page),
+      limit: parseInt(limit)
     });
-    res.json({ message: 'Đã gửi lệnh reset alarm' });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Get one command's delivery status (door.unlock)
+doorRouter.get('/commands/:commandId', authenticate, authorize('door.unlock'), async (req, res) => {
+  try {
+    const door = await doorService.resolveDoor(req.params.doorId);
+    const command = await doorCommandService.getCommand(req.params.commandId, door.id);
+    res.json(command);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Load the door for /:doorId routes, 404 if it does not exist
+async function loadDoor(req, res, next) {
+  try {
+    const door = await doorService.getDoorById(req.params.doorId);
+    if (!door) {
+      return res.status(404).json({ error: 'Cửa không tồn tại' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+router.use('/', doorRouter);
+router.use('/:doorId', loadDoor, doorRouter);
+
 module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const escalationService = require('../services/escalation.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// List escalation policies (alerts.manage)
+router.get('/', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const policies = await escalationService.listPolicies();
+    res.json(policies);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get an escalation policy (alerts.manage)
+router.get('/:id', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const policy = await escalationService.getPolicy(parseInt(req.params.id));
+    res.json(policy);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Create an escalation policy (alerts.manage)
+router.post('/', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const policy = await escalationService.createPolicy(req.body);
+    await auditService.logAction(req, {
+      action: 'escalation_policy.create',
+      targetType: 'escalation_policy',
+      targetId: policy.id,
+      after: policy
+    });
+    res.status(201).json(policy);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update an escalation policy (alerts.manage)
+router.patch('/:id', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const policyId = parseInt(req.params.id);
+    const before = await escalationService.getPolicy(policyId);
+    const policy = await escalationService.updatePolicy(policyId, req.body);
+    await auditService.logAction(req, {
+      action: 'escalation_policy.update',
+      targetType: 'escalation_policy',
+      targetId: policyId,
+      before,
+      after: policy
+    });
+    res.json(policy);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete an escalation policy (alerts.manage)
+router.delete('/:id', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const policy = await escalationService.deletePolicy(parseInt(req.params.id));
+    await auditService.logAction(req, {
+      action: 'escalation_policy.delete',
+      targetType: 'escalation_policy',
+      targetId: policy.id,
+      before: policy
+    });
+    res.json({ message: 'Đã xóa chính sách leo thang' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const invitationService = require('../services/invitation.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Invite someone to the household with a preset role (users.manage). The code
+// and link are only shown in this response
+router.post('/', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const { role, note, expiresAt } = req.body;
+    const invitation = await invitationService.createInvitation({
+      role,
+      note,
+      expiresAt,
+      createdBy: req.user
+    });
+    await auditService.logAction(req, {
+      action: 'invitation.create',
+      targetType: 'invitation',
+      targetId: invitation.id,
+      after: { role: invitation.role, note: invitation.note, expiresAt: invitation.expiresAt }
+    });
+    res.status(201).json(invitation);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// List invitations, optionally by status: PENDING, ACCEPTED, EXPIRED, REVOKED (users.manage)
+router.get('/', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const invitations = await invitationService.listInvitations({ status: req.query.status });
+    res.json(invitations);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(parseInt(req.params.id));
+    await auditService.logAction(req, {
+      action: 'invitation.revoke',
+      targetType: 'invitation',
+      targetId: invitation.id,
+      before: { role: invitation.role, note: invitation.note }
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Role and expiry of an invitation, for the sign-up screen (public)
+router.get('/code/:code', async (req, res) => {
+  try {
+    const invitation = await invitationService.previewInvitation(req.params.code);
+    res.json(invitation);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Create an account from an invitation (public); sign in afterwards
+router.post('/accept', async (req, res) => {
+  try {
+    const { code, username, password } = req.body;
+    const { user, invitationId } = await invitationService.acceptInvitation(code, { username, password });
+    await auditService.logAction(req, {
+      action: 'invitation.accept',
+      targetType: 'invitation',
+      targetId: invitationId,
+      after: { userId: user.id, username: user.username, role: user.role }
+    });
+    res.status(201).json(user);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
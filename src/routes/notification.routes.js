@@ -0,0 +1,50 @@
+const express = require('express');
+const notificationService = require('../services/notification.service');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Current user's inbox, newest first; unread=true lists only unread ones
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { page, limit, unread } = req.query;
+    const result = await notificationService.getNotifications(req.user.id, {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      unread: unread === 'true'
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Badge count for the app
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/read-all', authenticate, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllAsRead(req.user.id);
+    res.json({ updated, unreadCount: 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/:id/read', authenticate, async (req, res) => {
+  try {
+    const notification = await notificationService.markAsRead(req.user.id, parseInt(req.params.id));
+    res.json(notification);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const notificationChannelService = require('../services/notificationChannel.service');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Current user's email, webhook and bot channels
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const channels = await notificationChannelService.listChannels(req.user.id);
+    res.json(channels);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent delivery results across all channels, including FCM
+router.get('/deliveries', authenticate, async (req, res) => {
+  try {
+    const deliveries = await notificationChannelService.getDeliveries(req.user.id, {
+      channelId: req.query.channelId ? parseInt(req.query.channelId) : undefined,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    res.json(deliveries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const channel = await notificationChannelService.getChannel(req.user.id, parseInt(req.params.id));
+    res.json(channel);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Add a channel. For webhooks the response carries the signing secret,
+// which is not shown again
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { type, name, config, enabled } = req.body;
+    const channel = await notificationChannelService.createChannel(req.user.id, { type, name, config, enabled });
+    res.status(201).json(channel);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.patch('/:id', authenticate, async (req, res) => {
+  try {
+    const { name, config, enabled } = req.body;
+    const channel = await notificationChannelService.updateChannel(req.user.id, parseInt(req.params.id), {
+      name,
+      config,
+      enabled
+    });
+    res.json(channel);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    await notificationChannelService.deleteChannel(req.user.id, parseInt(req.params.id));
+    res.status(204).send();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Send a test message and return the delivery result
+router.post('/:id/test', authenticate, async (req, res) => {
+  try {
+    const delivery = await notificationChannelService.testChannel(req.user.id, parseInt(req.params.id));
+    res.json(delivery);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+module.exports = router;
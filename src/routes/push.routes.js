@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const pushService = require('../services/push.service');
-const { authenticate } = require('../middleware/auth.middleware');
+const notificationPreferenceService = require('../services/notificationPreference.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
 
 // Register FCM token
 router.post('/register', authenticate, async (req, res) => {
@@ -31,13 +32,34 @@ router.post('/unregister', authenticate, async (req, res) => {
   }
 });
 
-// Test notification (admin only)
-router.post('/test', authenticate, async (req, res) => {
+// Current user's notification categories, minimum level and quiet hours
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await notificationPreferenceService.getPreferences(req.user.id);
+    res.json(preferences);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update them; fields left out keep their current value
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const { categories, minLevel, quietHours } = req.body;
+    const preferences = await notificationPreferenceService.updatePreferences(req.user.id, {
+      categories,
+      minLevel,
+      quietHours
+    });
+    res.json(preferences);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Test notification (alerts.manage)
+router.post('/test', authenticate, authorize('alerts.manage'), async (req, res) => {
   try {
-    if (req.user.role !== 'ADMIN') {
-      return res.status(403).json({ error: 'Admin only' });
-    }
-    
     const { title, body, userId } = req.body;
     
     if (userId) {
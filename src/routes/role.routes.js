@@ -0,0 +1,83 @@
+const express = require('express');
+const roleService = require('../services/role.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Every permission a role can be given, with a description (users.manage)
+router.get('/permissions', authenticate, authorize('users.manage'), (req, res) => {
+  res.json(roleService.listPermissions());
+});
+
+// Roles with their permissions and how many users have them (users.manage)
+router.get('/', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const roles = await roleService.listRoles();
+    res.json(roles);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:name', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const role = await roleService.getRole(req.params.name);
+    res.json(role);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Create a custom role, e.g. MAINTENANCE with only door.history.view (users.manage)
+router.post('/', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const role = await roleService.createRole(req.user, { name, description, permissions });
+    await auditService.logAction(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: role.name,
+      after: { description: role.description, permissions: role.permissions }
+    });
+    res.status(201).json(role);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change the description or permissions of a role; ADMIN cannot be changed (users.manage)
+router.patch('/:name', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    const { before, after } = await roleService.updateRole(req.user, req.params.name, { description, permissions });
+    await auditService.logAction(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: after.name,
+      before: { description: before.description, permissions: before.permissions },
+      after: { description: after.description, permissions: after.permissions }
+    });
+    res.json(after);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a custom role that no user or pending invitation has (users.manage)
+router.delete('/:name', authenticate, authorize('users.manage'), async (req, res) => {
+  try {
+    const role = await roleService.deleteRole(req.user, req.params.name);
+    await auditService.logAction(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: role.name,
+      before: { description: role.description, permissions: role.permissions }
+    });
+    res.status(204).send();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const sensorService = require('../services/sensor.service');
+const sensorThresholdService = require('../services/sensorThreshold.service');
+const auditService = require('../services/audit.service');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Threshold fields recorded in the audit log
+function thresholdAuditFields(thresholds) {
+  if (!thresholds) return null;
+  return {
+    warningAbove: thresholds.warningAbove,
+    criticalAbove: thresholds.criticalAbove,
+    hysteresis: thresholds.hysteresis
+  };
+}
+
+// Sensors with configured thresholds (alerts.manage)
+router.get('/thresholds', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const thresholds = await sensorThresholdService.listThresholds();
+    res.json(thresholds);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Effective thresholds and current alert level of a sensor
+router.get('/:id/thresholds', authenticate, async (req, res) => {
+  try {
+    const status = await sensorThresholdService.getSensorAlertStatus(req.params.id);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set WARNING/CRITICAL thresholds and hysteresis of a sensor (alerts.manage)
+router.put('/:id/thresholds', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const { warningAbove, criticalAbove, hysteresis } = req.body;
+    const before = await sensorThresholdService.getThresholds(req.params.id);
+    const thresholds = await sensorThresholdService.setThresholds(req.params.id, {
+      warningAbove,
+      criticalAbove,
+      hysteresis
+    });
+    await auditService.logAction(req, {
+      action: 'sensor.threshold_change',
+      targetType: 'sensor',
+      targetId: req.params.id,
+      before: thresholdAuditFields(before),
+      after: thresholdAuditFields(thresholds)
+    });
+    res.json(thresholds);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revert a sensor to the default thresholds of its kind (alerts.manage)
+router.delete('/:id/thresholds', authenticate, authorize('alerts.manage'), async (req, res) => {
+  try {
+    const before = await sensorThresholdService.getThresholds(req.params.id);
+    await sensorThresholdService.clearThresholds(req.params.id);
+    await auditService.logAction(req, {
+      action: 'sensor.threshold_reset',
+      targetType: 'sensor',
+      targetId: req.params.id,
+      before: thresholdAuditFields(before)
+    });
+    res.json({ message: 'Đã khôi phục ngưỡng mặc định' });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Readings of a sensor for charting, oldest first. Defaults to the last
+// 24 hours; resolution is raw, minute, hour or auto (picked from the range)
+router.get('/:id/readings', authenticate, async (req, res) => {
+  try {
+    const { from, to, resolution = 'auto' } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Thời gian lọc không hợp lệ' });
+    }
+
+    if (resolution !== 'auto' && !sensorService.RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        error: `Độ phân giải phải là auto hoặc một trong: ${sensorService.RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DAY);
+    if (start >= end) {
+      return res.status(400).json({ error: 'Thời gian bắt đầu phải trước thời gian kết thúc' });
+    }
+
+    const result = await sensorService.getReadings(req.params.id, { from: start, to: end, resolution });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const prisma = require('../lib/prisma');
+
+const DEFAULT_TIMEZONE = process.env.ACCESS_SCHEDULE_TIMEZONE || 'Asia/Ho_Chi_Minh';
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ==================== Schedule Evaluation ====================
+
+function parseDays(daysOfWeek) {
+  return daysOfWeek.split(',').filter(Boolean).map(Number);
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of `date` in `timezone`
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(get('weekday')),
+    minutes: Number(get('hour')) * 60 + Number(get('minute'))
+  };
+}
+
+// Offset of `timezone` from UTC in minutes at `date` (for the ESP32, which has no tz database)
+function getUtcOffset(timezone, date = new Date()) {
+  const local = new Date(date.toLocaleString('en-US', { timeZone: timezone }));
+  const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return Math.round((local - utc) / 60000);
+}
+
+function isScheduleActive(schedule, now = new Date()) {
+  if (schedule.validFrom && now < new Date(schedule.validFrom)) return false;
+  if (schedule.validUntil && now > new Date(schedule.validUntil)) return false;
+
+  const days = parseDays(schedule.daysOfWeek);
+  const start = toMinutes(schedule.startTime);
+  const end = toMinutes(schedule.endTime);
+  const { day, minutes } = getLocalTime(now, schedule.timezone || DEFAULT_TIMEZONE);
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window: the part after midnight belongs to the previous day
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) ||
+    (days.includes(previousDay) && minutes < end);
+}
+
+// Card schedules take precedence over the user's schedules
+function getApplicableSchedules(card) {
+  if (card.accessSchedules?.length) return card.accessSchedules;
+  return card.user?.accessSchedules || [];
+}
+
+// No schedules means unrestricted access
+function isWithinSchedule(schedules, now = new Date()) {
+  if (!schedules || schedules.length === 0) return true;
+  return schedules.some(schedule => isScheduleActive(schedule, now));
+}
+
+// Compact form pushed to the ESP32 in the RFID whitelist
+function toDeviceSchedule(schedule) {
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  return {
+    days: parseDays(schedule.daysOfWeek),
+    start: schedule.startTime,
+    end: schedule.endTime,
+    validFrom: schedule.validFrom ? Math.floor(new Date(schedule.validFrom).getTime() / 1000) : null,
+    validUntil: schedule.validUntil ? Math.floor(new Date(schedule.validUntil).getTime() / 1000) : null,
+    timezone,
+    utcOffset: getUtcOffset(timezone)
+  };
+}
+
+// ==================== Schedule Management ====================
+
+function formatSchedule(schedule) {
+  return { ...schedule, daysOfWeek: parseDays(schedule.daysOfWeek) };
+}
+
+function buildScheduleData({ name, daysOfWeek, startTime, endTime, validFrom, validUntil, timezone }) {
+  const data = {};
+
+  if (name !== undefined) data.name = name;
+
+  if (daysOfWeek !== undefined) {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      !daysOfWeek.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw new Error('Ngày trong tuần phải là danh sách số từ 0 (Chủ nhật) đến 6');
+    }
+    data.daysOfWeek = [...new Set(daysOfWeek)].sort().join(',');
+  }
+
+  if (startTime !== undefined) {
+    if (!TIME_PATTERN.test(startTime)) throw new Error('Giờ bắt đầu phải có dạng HH:mm');
+    data.startTime = startTime;
+  }
+
+  if (endTime !== undefined) {
+    if (!TIME_PATTERN.test(endTime)) throw new Error('Giờ kết thúc phải có dạng HH:mm');
+    data.endTime = endTime;
+  }
+
+  if (validFrom !== undefined) data.validFrom = validFrom ? new Date(validFrom) : null;
+  if (validUntil !== undefined) data.validUntil = validUntil ? new Date(validUntil) : null;
+
+  if (timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new Error('Múi giờ không hợp lệ');
+    }
+    data.timezone = timezone;
+  }
+
+  return data;
+}
+
+async function getSchedules({ userId, rfidCardId }) {
+  const where = {};
+  if (userId) where.userId = userId;
+  if (rfidCardId) where.rfidCardId = rfidCardId;
+
+  const schedules = await prisma.accessSchedule.findMany({
+    where,
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return schedules.map(formatSchedule);
+}
+
+async function getSchedule(scheduleId) {
+  const schedule = await prisma.accessSchedule.findUnique({ where: { id: scheduleId } });
+  return schedule ? formatSchedule(schedule) : null;
+}
+
+async function createSchedule({ userId, rfidCardId, ...fields }) {
+  if (!userId === !rfidCardId) {
+    throw new Error('Lịch truy cập phải gắn với một người dùng hoặc một thẻ RFID');
+  }
+
+  if (!fields.daysOfWeek || !fields.startTime || !fields.endTime) {
+    throw new Error('Cần ngày trong tuần, giờ bắt đầu và giờ kết thúc');
+  }
+
+  const schedule = await prisma.accessSchedule.create({
+    data: { userId, rfidCardId, ...buildScheduleData(fields) }
+  });
+
+  return formatSchedule(schedule);
+}
+
+async function updateSchedule(scheduleId, fields) {
+  const schedule = await prisma.accessSchedule.update({
+    where: { id: scheduleId },
+    data: buildScheduleData(fields)
+  });
+
+  return formatSchedule(schedule);
+}
+
+async function deleteSchedule(scheduleId) {
+  return prisma.accessSchedule.delete({ where: { id: scheduleId } });
+}
+
+// Doors whose whitelist depends on a schedule
+async function getScheduleDoorIds(schedule) {
+  const cards = await prisma.rfidCard.findMany({
+    where: schedule.rfidCardId ? { id: schedule.rfidCardId } : { userId: schedule.userId },
+    select: { doorId: true }
+  });
+
+  return [...new Set(cards.map(card => card.doorId))];
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_PATTERN,
+  toMinutes,
+  getLocalTime,
+  isScheduleActive,
+  getApplicableSchedules,
+  isWithinSchedule,
+  toDeviceSchedule,
+  buildScheduleData,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleDoorIds
+};
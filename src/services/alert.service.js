@@ -1,4 +1,16 @@
 const prisma = require('../lib/prisma');
+const roleService = require('./role.service');
+
+// Repeats of an open alert from the same source within this window are
+// counted on that alert instead of creating new rows (0 disables grouping)
+const DEDUP_WINDOW = parseInt(process.env.ALERT_DEDUP_WINDOW_MS ?? 300000);
+// Minimum time between pushes for repeats of one alert group
+const PUSH_INTERVAL = parseInt(process.env.ALERT_PUSH_INTERVAL_MS) || 300000;
+const LEVEL_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+const ALERT_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'RESOLVED'];
+const MAX_NOTE_LENGTH = 2000;
+const USER_SELECT = { select: { id: true, username: true } };
+const ALERT_INCLUDE = { acknowledgedBy: USER_SELECT, resolvedBy: USER_SELECT };
 
 // MQTT service will be injected to avoid circular dependency
 let mqttPublish = null;
@@ -7,32 +19,118 @@ function setMqttPublish(publishFn) {
   mqttPublish = publishFn;
 }
 
-async function createAlert({ type, level, message }) {
+function toIso(date) {
+  return date ? date.toISOString() : null;
+}
+
+// Alert as published on home/alert/new and home/alert/updated
+function alertEventPayload(alert) {
+  return {
+    id: alert.id,
+    type: alert.type,
+    level: alert.level,
+    status: alert.status,
+    message: alert.message,
+    occurrences: alert.occurrences,
+    createdAt: toIso(alert.createdAt),
+    acknowledgedAt: toIso(alert.acknowledgedAt),
+    acknowledgedBy: alert.acknowledgedBy || null,
+    resolvedAt: toIso(alert.resolvedAt),
+    resolvedBy: alert.resolvedBy || null
+  };
+}
+
+// Silent alerts are never published, not even their later transitions
+function publishAlert(topic, alert) {
+  if (mqttPublish && !alert.silent) {
+    mqttPublish(topic, alertEventPayload(alert));
+  }
+}
+
+// Open alert of the group still inside the dedup window
+async function findOpenAlert(type, source) {
+  return prisma.alert.findFirst({
+    where: {
+      type,
+      source,
+      resolvedAt: null,
+      lastSeenAt: { gte: new Date(Date.now() - DEDUP_WINDOW) }
+    },
+    orderBy: { lastSeenAt: 'desc' }
+  });
+}
+
+// Alerts with a source are grouped: a repeat bumps the open alert's
+// occurrence count, last-seen time and message (and level, if higher).
+// The result carries isNew/escalated for the caller's notification decision.
+// Silent alerts are stored but not published to the local display (e.g. duress)
+async function createAlert({ type, level, message, source, silent = false }) {
+  const open = source && DEDUP_WINDOW > 0 ? await findOpenAlert(type, source) : null;
+  if (open) {
+    const now = new Date();
+    const escalated = LEVEL_RANK[level] > LEVEL_RANK[open.level];
+    const alert = await prisma.alert.update({
+      where: { id: open.id },
+      data: {
+        message,
+        occurrences: { increment: 1 },
+        lastSeenAt: now,
+        // An escalation is notified right away
+        ...(escalated && { level, lastNotifiedAt: now })
+      },
+      include: ALERT_INCLUDE
+    });
+
+    if (escalated) {
+      publishAlert('home/alert/updated', alert);
+    }
+    return { ...alert, isNew: false, escalated };
+  }
+
   const alert = await prisma.alert.create({
-    data: { type, level, message },
-    include: { acknowledgedBy: { select: { id: true, username: true } } }
+    data: { type, level, message, source, silent, lastNotifiedAt: new Date() },
+    include: ALERT_INCLUDE
   });
 
   // Publish new alert to MQTT for real-time updates
-  if (mqttPublish) {
-    mqttPublish('home/alert/new', {
-      id: alert.id,
-      type: alert.type,
-      level: alert.level,
-      message: alert.message,
-      createdAt: alert.createdAt.toISOString(),
-      acknowledgedBy: null
-    });
+  if (mqttPublish && !silent) {
+    publishAlert('home/alert/new', alert);
     console.log('📢 Alert published to MQTT:', alert.message);
   }
 
-  return alert;
+  return { ...alert, isNew: true, escalated: false };
 }
 
-async function getAlerts({ page = 1, limit = 20, type, level }) {
+// Whether a push should go out for this occurrence of an alert. New and
+// escalated alerts always notify; repeats at most once per PUSH_INTERVAL
+async function claimNotification(alert) {
+  if (alert.isNew || alert.escalated) return true;
+
+  const now = new Date();
+  const { count } = await prisma.alert.updateMany({
+    where: {
+      id: alert.id,
+      OR: [{ lastNotifiedAt: null }, { lastNotifiedAt: { lt: new Date(now.getTime() - PUSH_INTERVAL) } }]
+    },
+    data: { lastNotifiedAt: now }
+  });
+
+  return count > 0;
+}
+
+// status may be a single status or a list of them
+// Silent (duress) alerts are only for the admins who receive duress
+// notifications; anyone else, e.g. the coerced user's phone, must not see them
+function canSeeSilent(user) {
+  return user?.role === roleService.ADMIN_ROLE && Boolean(user.duressAlerts);
+}
+
+async function getAlerts({ page = 1, limit = 20, type, level, status, includeSilent = false }) {
   const where = {};
+  if (!includeSilent) where.silent = false;
   if (type) where.type = type;
   if (level) where.level = level;
+  if (status) where.status = Array.isArray(status) ? { in: status } : status;
 
   const [alerts, total] = await Promise.all([
     prisma.alert.findMany({
@@ -40,7 +138,7 @@ async function getAlerts({ page = 1, limit = 20, type, level }) {
       orderBy: { createdAt: 'desc' },
       skip: (page - 1) * limit,
       take: limit,
-      include: { acknowledgedBy: { select: { id: true, username: true } } }
+      include: ALERT_INCLUDE
     }),
     prisma.alert.count({ where })
   ]);
@@ -48,10 +146,108 @@ async function getAlerts({ page = 1, limit = 20, type, level }) {
   return { alerts, total, page, totalPages: Math.ceil(total / limit) };
 }
 
-async function acknowledgeAlert(alertId, userId) {
-  return prisma.alert.update({
+async function getAlert(alertId) {
+  const alert = await prisma.alert.findUnique({
     where: { id: alertId },
-    data: { acknowledgedById: userId }
+    include: ALERT_INCLUDE
+  });
+
+  if (!alert) {
+    throw new Error('Cảnh báo không tồn tại');
+  }
+
+  return alert;
+}
+
+function validateNote(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Nội dung ghi chú không được để trống');
+  }
+
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw new Error(`Ghi chú tối đa ${MAX_NOTE_LENGTH} ký tự`);
+  }
+}
+
+// Move an alert out of one of the `from` statuses. Guarded so that when two
+// users act at once only one succeeds; returns null for the other
+async function transitionAlert(alertId, from, data) {
+  const { count } = await prisma.alert.updateMany({
+    where: { id: alertId, status: { in: from } },
+    data
+  });
+
+  if (count === 0) return null;
+
+  const alert = await getAlert(alertId);
+  publishAlert('home/alert/updated', alert);
+  return alert;
+}
+
+// Why a transition was refused: the alert is gone or already past that state
+async function transitionError(alertId) {
+  const alert = await getAlert(alertId);
+  return new Error(alert.status === 'RESOLVED' ? 'Cảnh báo đã được xử lý' : 'Cảnh báo đã được xác nhận');
+}
+
+async function acknowledgeAlert(alertId, user, note) {
+  if (note !== undefined) validateNote(note);
+
+  const alert = await transitionAlert(alertId, ['OPEN'], {
+    status: 'ACKNOWLEDGED',
+    acknowledgedById: user.id,
+    acknowledgedAt: new Date()
+  });
+
+  if (!alert) {
+    throw await transitionError(alertId);
+  }
+
+  if (note !== undefined) {
+    await addNote(alertId, user, note);
+  }
+
+  return alert;
+}
+
+// Resolve an alert. Without a user the condition behind it cleared by itself
+// (e.g. a sensor back to normal); an alert already resolved is then left alone
+async function resolveAlert(alertId, user = null, note) {
+  if (note !== undefined) validateNote(note);
+
+  const alert = await transitionAlert(alertId, ['OPEN', 'ACKNOWLEDGED'], {
+    status: 'RESOLVED',
+    resolvedAt: new Date(),
+    resolvedById: user ? user.id : null
+  });
+
+  if (!alert) {
+    if (!user) return null;
+    throw await transitionError(alertId);
+  }
+
+  if (note !== undefined) {
+    await addNote(alertId, user, note);
+  }
+
+  return alert;
+}
+
+async function addNote(alertId, user, text) {
+  validateNote(text);
+  await getAlert(alertId);
+
+  return prisma.alertNote.create({
+    data: { alertId, userId: user.id, authorName: user.username, text: text.trim() }
+  });
+}
+
+async function getNotes(alertId) {
+  await getAlert(alertId);
+
+  return prisma.alertNote.findMany({
+    where: { alertId },
+    orderBy: { createdAt: 'asc' }
   });
 }
 
@@ -74,4 +270,18 @@ async function getAccessLogs({ page = 1, limit = 20 }) {
   return { logs, total, page, totalPages: Math.ceil(total / limit) };
 }
 
-module.exports = { createAlert, getAlerts, acknowledgeAlert, createAccessLog, getAccessLogs, setMqttPublish };
+module.exports = {
+  ALERT_STATUSES,
+  createAlert,
+  claimNotification,
+  canSeeSilent,
+  getAlerts,
+  getAlert,
+  acknowledgeAlert,
+  resolveAlert,
+  addNote,
+  getNotes,
+  createAccessLog,
+  getAccessLogs,
+  setMqttPublish
+};
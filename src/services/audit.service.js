@@ -0,0 +1,56 @@
+const prisma = require('../lib/prisma');
+
+// Client IP. X-Forwarded-For is only honoured for the proxies trusted with
+// TRUST_PROXY (see index.js), otherwise any client could forge it
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+// Record an action by the request's user. Never throws: a failed audit write
+// must not turn a completed action into an error response
+async function logAction(req, { action, targetType, targetId, before, after }) {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        actorId: req.user?.id ?? null,
+        actorName: req.user?.username || 'system',
+        action,
+        targetType,
+        targetId: targetId === undefined || targetId === null ? null : String(targetId),
+        before: before ?? undefined,
+        after: after ?? undefined,
+        ip: getClientIp(req)
+      }
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error.message);
+    return null;
+  }
+}
+
+async function getAuditLogs({ page = 1, limit = 50, actorId, action, targetType, targetId, from, to }) {
+  const where = {};
+  if (actorId) where.actorId = actorId;
+  if (action) where.action = action.endsWith('.*') ? { startsWith: action.slice(0, -1) } : action;
+  if (targetType) where.targetType = targetType;
+  if (targetId) where.targetId = String(targetId);
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lte = new Date(to);
+  }
+
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.auditLog.count({ where })
+  ]);
+
+  return { logs, total, page, totalPages: Math.ceil(total / limit) };
+}
+
+module.exports = { getClientIp, logAction, getAuditLogs };
@@ -1,8 +1,27 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
+const sessionService = require('./session.service');
+const authAttemptService = require('./authAttempt.service');
+const twoFactorService = require('./twoFactor.service');
+const roleService = require('./role.service');
+
+// Self-registration is only for setting up a new installation unless enabled;
+// household members join through invitations (invitation.service)
+const OPEN_REGISTRATION = process.env.OPEN_REGISTRATION === 'true';
+const REGISTRATION_CLOSED = 'Đăng ký đã đóng, vui lòng dùng lời mời từ quản trị viên';
+
+function validateCredentials({ username, password }) {
+  if (typeof username !== 'string' || username.trim().length < 3) {
+    throw new Error('Tên đăng nhập phải có ít nhất 3 ký tự');
+  }
+  if (typeof password !== 'string' || password.length < 4) {
+    throw new Error('Mật khẩu phải có ít nhất 4 ký tự');
+  }
+}
+
+async function createUser({ username, password, role }) {
+  validateCredentials({ username, password });
 
-async function register({ username, password, role = 'USER' }) {
   const existing = await prisma.user.findUnique({ where: { username } });
   if (existing) throw new Error('Username already exists');
 
@@ -16,32 +35,122 @@ async function register({ username, password, role = 'USER' }) {
   return user;
 }
 
-async function login({ username, password }) {
+// First-run bootstrap: while there are no users, registering creates the admin
+async function getRegistrationStatus() {
+  const userCount = await prisma.user.count();
+  return { bootstrap: userCount === 0, openRegistration: OPEN_REGISTRATION };
+}
+
+// The role is never taken from the request: the first account is the admin,
+// later ones (only with OPEN_REGISTRATION=true) are plain users
+async function register({ username, password }) {
+  const { bootstrap } = await getRegistrationStatus();
+  if (!bootstrap && !OPEN_REGISTRATION) throw new Error(REGISTRATION_CLOSED);
+
+  const user = await createUser({
+    username,
+    password,
+    role: bootstrap ? roleService.ADMIN_ROLE : roleService.DEFAULT_ROLE
+  });
+
+  // Two first-run registrations can race past the check above; only the
+  // earliest account is kept
+  if (bootstrap && await prisma.user.count({ where: { id: { lt: user.id } } }) > 0) {
+    await prisma.user.delete({ where: { id: user.id } });
+    throw new Error(REGISTRATION_CLOSED);
+  }
+
+  return { ...user, bootstrap };
+}
+
+// `client` ({ userAgent, ip }) describes the device for the session list.
+// Failures are counted per username and per IP (see authAttempt.service)
+async function login({ username, password, deviceName }, client = {}) {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    throw new Error('Invalid credentials');
+  }
+
   const user = await prisma.user.findUnique({ where: { username } });
-  if (!user) throw new Error('Invalid credentials');
+  const attempt = await authAttemptService.reserveAttempt('login', { subject: username, ip: client.ip, user });
 
-  const valid = await bcrypt.compare(password, user.passwordHash);
-  if (!valid) throw new Error('Invalid credentials');
+  const valid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+  if (!valid) {
+    await authAttemptService.recordFailure(attempt);
+    throw new Error('Invalid credentials');
+  }
 
-  const token = jwt.sign(
-    { userId: user.id, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+  await authAttemptService.recordSuccess(attempt);
+
+  // With 2FA the password only earns a challenge, see loginWithTwoFactor()
+  if (twoFactorService.isEnabled(user)) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.createChallenge(user, { deviceName }),
+      expiresIn: twoFactorService.CHALLENGE_TTL
+    };
+  }
+
+  return startSession(user, { deviceName, ...client });
+}
+
+async function startSession(user, options) {
+  const tokens = await sessionService.createSession(user, options);
 
   return {
-    token,
-    user: { id: user.id, username: user.username, role: user.role }
+    ...tokens,
+    user: { id: user.id, username: user.username, role: user.role },
+    // Sessions of such users can only reach the 2FA setup routes
+    twoFactorSetupRequired: twoFactorService.isSetupPending(user)
   };
 }
 
+// Second login step: the challenge token from login() and a TOTP or recovery code
+async function loginWithTwoFactor({ challengeToken, code }, client = {}) {
+  const challenge = twoFactorService.readChallenge(challengeToken);
+
+  const user = await prisma.user.findUnique({ where: { id: challenge.userId } });
+  if (!twoFactorService.isEnabled(user)) {
+    throw new Error('Phiên xác thực hai bước không hợp lệ hoặc đã hết hạn');
+  }
+
+  await twoFactorService.verifyCode(user, code, { ip: client.ip });
+
+  return startSession(user, {
+    deviceName: challenge.deviceName,
+    ...client,
+    mfaVerifiedAt: new Date()
+  });
+}
+
 async function getUsers() {
-  return prisma.user.findMany({
-    select: { id: true, username: true, role: true, createdAt: true }
+  const users = await prisma.user.findMany({
+    select: {
+      id: true,
+      username: true,
+      role: true,
+      createdAt: true,
+      lockedUntil: true,
+      totpEnabledAt: true,
+      totpRequired: true
+    }
   });
+  return users.map(({ totpEnabledAt, totpRequired, ...user }) => ({
+    ...user,
+    locked: authAttemptService.isLocked(user),
+    twoFactorEnabled: Boolean(totpEnabledAt),
+    twoFactorRequired: totpRequired
+  }));
 }
 
-async function updateUserRole(userId, role) {
+// Any role from the Role table, including custom ones, that `actor` may hand
+// out; the user's current role counts too, so non-admins cannot demote an admin
+async function updateUserRole(actor, userId, role) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) throw new Error('Người dùng không tồn tại');
+
+  await roleService.assertCanAssign(actor, user.role);
+  await roleService.assertCanAssign(actor, role);
+
   return prisma.user.update({
     where: { id: userId },
     data: { role },
@@ -95,4 +204,17 @@ async function getUserById(userId) {
   });
 }
 
-module.exports = { register, login, getUsers, updateUserRole, deleteUser, changePassword, updateProfile, getUserById };
+module.exports = {
+  REGISTRATION_CLOSED,
+  createUser,
+  getRegistrationStatus,
+  register,
+  login,
+  loginWithTwoFactor,
+  getUsers,
+  updateUserRole,
+  deleteUser,
+  changePassword,
+  updateProfile,
+  getUserById
+};
@@ -0,0 +1,237 @@
+const prisma = require('../lib/prisma');
+const alertService = require('./alert.service');
+const pushService = require('./push.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+
+const MINUTE = 60 * 1000;
+// Failures per key before any waiting is required; an IP gets more because
+// the whole household may sign in from behind one router
+const FREE_ATTEMPTS = parseInt(process.env.AUTH_FREE_ATTEMPTS) || 3;
+const FREE_IP_ATTEMPTS = parseInt(process.env.AUTH_FREE_IP_ATTEMPTS) || 20;
+// Wait after the first failure past the free ones; doubles with every further failure
+const BACKOFF_BASE = parseInt(process.env.AUTH_BACKOFF_BASE_MS) || 1000;
+const BACKOFF_MAX = parseInt(process.env.AUTH_BACKOFF_MAX_MS) || 15 * MINUTE;
+// Failures of one account that lock it, and for how long
+const LOCKOUT_THRESHOLD = parseInt(process.env.AUTH_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_DURATION = parseInt(process.env.AUTH_LOCKOUT_DURATION_MS) || 30 * MINUTE;
+// A key starts over once it has not failed for this long
+const ATTEMPT_WINDOW = parseInt(process.env.AUTH_ATTEMPT_WINDOW_MS) || 60 * MINUTE;
+
+// What is being guessed in each scope, for messages and alerts
+const SCOPES = {
+  login: 'đăng nhập',
+  door_pin: 'nhập mã PIN cửa',
+  two_factor: 'nhập mã xác thực hai bước'
+};
+
+// `subject` identifies the account: the username for logins (so unknown
+// usernames are throttled too), the user ID for door PIN changes and 2FA codes
+function keysFor(scope, { subject, ip }) {
+  const keys = { subject: `${scope}:user:${String(subject).toLowerCase()}` };
+  if (ip) keys.ip = `${scope}:ip:${ip}`;
+  return keys;
+}
+
+function backoffFor(failures, freeAttempts) {
+  if (failures <= freeAttempts) return 0;
+  return Math.min(BACKOFF_BASE * 2 ** (failures - freeAttempts - 1), BACKOFF_MAX);
+}
+
+function isLocked(user, now = new Date()) {
+  return Boolean(user?.lockedUntil) && user.lockedUntil > now;
+}
+
+// Error for the routes to answer with 429 and a Retry-After header
+function tooManyAttempts(message, until) {
+  const error = new Error(message);
+  error.retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+  return error;
+}
+
+// Count an attempt on one key, in the database so parallel requests each get
+// their own number. A key that has been quiet for ATTEMPT_WINDOW starts over;
+// moving lastFailureAt along makes only the first of parallel requests reset it
+async function incrementKey(key, now) {
+  await prisma.authAttempt.updateMany({
+    where: { key, lastFailureAt: { lt: new Date(now.getTime() - ATTEMPT_WINDOW) } },
+    data: { failures: 0, blockedUntil: null, lastFailureAt: now }
+  });
+
+  const upsert = () => prisma.authAttempt.upsert({
+    where: { key },
+    update: { failures: { increment: 1 }, lastFailureAt: now },
+    create: { key, failures: 1, lastFailureAt: now }
+  });
+
+  // Two first attempts may both try to create the row
+  return upsert().catch(error => {
+    if (error.code === 'P2002') return upsert();
+    throw error;
+  });
+}
+
+// Reserve an attempt on a key before anything is checked. Within the free
+// attempts the incremented count alone decides; past them only one request
+// at a time gets through, by claiming the key with the wait before the next
+async function reserveKey(key, freeAttempts, now) {
+  const attempt = await incrementKey(key, now);
+  const reservation = { key, failures: attempt.failures, blockedUntil: null };
+
+  if (attempt.failures <= freeAttempts) {
+    return reservation;
+  }
+
+  reservation.blockedUntil = new Date(now.getTime() + backoffFor(attempt.failures, freeAttempts));
+  const { count } = await prisma.authAttempt.updateMany({
+    where: { key, OR: [{ blockedUntil: null }, { blockedUntil: { lte: now } }] },
+    data: { blockedUntil: reservation.blockedUntil }
+  });
+
+  if (count === 0) {
+    await releaseKey({ ...reservation, blockedUntil: null });
+    const current = await prisma.authAttempt.findUnique({ where: { key } });
+    return { key, rejectedUntil: current?.blockedUntil || reservation.blockedUntil };
+  }
+
+  return reservation;
+}
+
+// Take back a reservation that turned out not to be a failure
+async function releaseKey({ key, blockedUntil }) {
+  await prisma.authAttempt.updateMany({
+    where: { key, failures: { gt: 0 } },
+    data: { failures: { decrement: 1 } }
+  });
+
+  if (blockedUntil) {
+    await prisma.authAttempt.updateMany({
+      where: { key, blockedUntil },
+      data: { blockedUntil: null }
+    });
+  }
+}
+
+// Reserve an attempt before the password, code or PIN is checked, so that
+// parallel guesses are all counted before any of them is verified. Throws
+// while the account is locked or any key is still backing off; rejected
+// attempts are not counted, so waiting is the only way forward. The returned
+// attempt is settled with recordFailure, recordSuccess or releaseAttempt
+async function reserveAttempt(scope, { subject, ip, user }) {
+  const now = new Date();
+
+  if (isLocked(user, now)) {
+    throw tooManyAttempts(
+      `Tài khoản tạm thời bị khóa đến ${user.lockedUntil.toISOString()}`,
+      user.lockedUntil
+    );
+  }
+
+  const keys = keysFor(scope, { subject, ip });
+  const reserved = [];
+
+  for (const [name, key] of Object.entries(keys)) {
+    const reservation = await reserveKey(key, name === 'ip' ? FREE_IP_ATTEMPTS : FREE_ATTEMPTS, now);
+
+    if (reservation.rejectedUntil) {
+      await Promise.all(reserved.map(releaseKey));
+      throw tooManyAttempts('Quá nhiều lần thử sai, vui lòng thử lại sau', reservation.rejectedUntil);
+    }
+
+    reserved.push(reservation);
+  }
+
+  return { scope, user, keys, reserved, failures: reserved[0].failures };
+}
+
+// Lock the account and raise a security alert. Guarded so parallel failures
+// lock (and alert) only once
+async function lockUser(scope, user, failures, now) {
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_DURATION);
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+    data: { lockedUntil }
+  });
+
+  if (count === 0) return null;
+
+  const alert = await alertService.createAlert({
+    type: 'security',
+    level: 'WARNING',
+    message: `Tài khoản ${user.username} bị tạm khóa sau ${failures} lần ${SCOPES[scope]} sai`,
+    source: `lockout:${user.id}`
+  });
+
+  if (await alertService.claimNotification(alert)) {
+    await pushService.sendToAll('Tài khoản bị tạm khóa', alert.message, {
+      category: notificationPreferenceService.categoryForAlert(alert),
+      level: alert.level
+    });
+  }
+
+  return lockedUntil;
+}
+
+// The reserved attempt failed; it is already counted. `user` is the account
+// being guessed, when it exists; it is locked once its key reaches
+// LOCKOUT_THRESHOLD failures
+async function recordFailure({ scope, user, failures }) {
+  const lockedUntil = user && failures >= LOCKOUT_THRESHOLD
+    ? await lockUser(scope, user, failures, new Date())
+    : null;
+
+  return { failures, lockedUntil };
+}
+
+// A success clears the account's counter. The IP's only gets its reservation
+// back, so one valid account cannot be used to keep guessing others from the
+// same address
+async function recordSuccess({ keys, reserved }) {
+  await prisma.authAttempt.deleteMany({ where: { key: keys.subject } });
+  await Promise.all(reserved.filter(({ key }) => key !== keys.subject).map(releaseKey));
+}
+
+// The attempt was refused for some other reason before anything was checked
+async function releaseAttempt({ reserved }) {
+  await Promise.all(reserved.map(releaseKey));
+}
+
+// Lift a lockout and forget the account's failures (Admin)
+async function unlockUser(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) throw new Error('Người dùng không tồn tại');
+
+  await prisma.user.update({ where: { id: userId }, data: { lockedUntil: null } });
+  await prisma.authAttempt.deleteMany({
+    where: {
+      key: {
+        in: [
+          keysFor('login', { subject: user.username }).subject,
+          keysFor('door_pin', { subject: user.id }).subject,
+          keysFor('two_factor', { subject: user.id }).subject
+        ]
+      }
+    }
+  });
+
+  return { id: user.id, username: user.username, wasLocked: isLocked(user) };
+}
+
+async function pruneAttempts() {
+  const { count } = await prisma.authAttempt.deleteMany({
+    where: {
+      lastFailureAt: { lt: new Date(Date.now() - ATTEMPT_WINDOW) },
+      OR: [{ blockedUntil: null }, { blockedUntil: { lt: new Date() } }]
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  isLocked,
+  reserveAttempt,
+  recordFailure,
+  recordSuccess,
+  releaseAttempt,
+  unlockUser,
+  pruneAttempts
+};
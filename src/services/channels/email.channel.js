@@ -0,0 +1,212 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Sends notifications as plain-text email through the SMTP server in
+// SMTP_HOST/SMTP_PORT (a relay, a provider, or a local catcher such as MailHog).
+// SMTP_USER/SMTP_PASS are only sent over TLS (SMTP_SECURE or STARTTLS), unless
+// SMTP_ALLOW_INSECURE_AUTH=true for a relay on a trusted local network
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const TIMEOUT = parseInt(process.env.SMTP_TIMEOUT_MS) || 10000;
+
+function smtpConfig() {
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+    from: process.env.SMTP_FROM || 'smarthome@localhost'
+  };
+}
+
+// ==================== SMTP Client ====================
+
+// One connection per message; replies are read in order as commands are sent
+class SmtpSession {
+  constructor(socket) {
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setEncoding('utf8');
+    socket.setTimeout(TIMEOUT, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line), lines: this.lines };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    while (this.waiters.length > 0) {
+      this.waiters.shift().reject(this.error);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  // STARTTLS: continue the session over TLS on the same connection
+  async upgrade(host) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('timeout');
+    plain.setTimeout(0);
+
+    const secure = await new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: plain, servername: host }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+    this.attach(secure);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+
+    socket.setTimeout(TIMEOUT, () => socket.destroy(new Error('SMTP timeout')));
+    socket.once('error', reject);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+  });
+}
+
+function hasExtension(ehloReply, name) {
+  return ehloReply.lines.some(line => line.slice(4).toUpperCase().startsWith(name));
+}
+
+// Address part of "Name <user@host>"
+function envelopeAddress(from) {
+  const match = from.match(/<([^>]+)>/);
+  return match ? match[1] : from;
+}
+
+function encodeHeader(value) {
+  return `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// Base64 bodies never contain a line starting with "." so no dot-stuffing is needed
+function buildMessage({ from, to, subject, text }) {
+  const domain = envelopeAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: <${to}>`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+async function sendMail({ to, subject, text }) {
+  const config = smtpConfig();
+  if (!config.host) {
+    throw new Error('SMTP chưa được cấu hình (SMTP_HOST)');
+  }
+
+  const session = new SmtpSession(await connect(config));
+  try {
+    await session.command(null, [220]);
+    const ehlo = await session.command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = config.secure;
+
+    if (!encrypted && hasExtension(ehlo, 'STARTTLS')) {
+      await session.command('STARTTLS', [220]);
+      await session.upgrade(config.host);
+      await session.command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (config.user) {
+      if (!encrypted && !config.allowInsecureAuth) {
+        throw new Error('Máy chủ SMTP không hỗ trợ TLS, không gửi mật khẩu qua kết nối không mã hóa');
+      }
+
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass || ''}`).toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${envelopeAddress(config.from)}>`, [250]);
+    await session.command(`RCPT TO:<${to}>`, [250, 251]);
+    await session.command('DATA', [354]);
+    await session.command(`${buildMessage({ from: config.from, to, subject, text })}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+  } finally {
+    session.close();
+  }
+}
+
+// ==================== Channel ====================
+
+function validateConfig({ address } = {}) {
+  if (typeof address !== 'string' || !EMAIL_PATTERN.test(address)) {
+    throw new Error('Địa chỉ email không hợp lệ');
+  }
+  return { address };
+}
+
+async function send(config, { title, body }) {
+  await sendMail({ to: config.address, subject: title, text: body });
+}
+
+module.exports = { type: 'email', validateConfig, send };
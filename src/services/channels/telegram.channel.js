@@ -0,0 +1,37 @@
+// Sends notifications through a chat bot with the Telegram Bot API. The bot
+// token is server-wide (TELEGRAM_BOT_TOKEN); each user only picks the chat.
+// TELEGRAM_API_URL points at a compatible API or a local stand-in
+
+const TIMEOUT = parseInt(process.env.TELEGRAM_TIMEOUT_MS) || 10000;
+// Numeric chat IDs (negative for groups) or public @channel names
+const CHAT_ID_PATTERN = /^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/;
+
+function validateConfig({ chatId } = {}) {
+  const value = chatId === undefined || chatId === null ? '' : String(chatId);
+  if (!CHAT_ID_PATTERN.test(value)) {
+    throw new Error('Chat ID không hợp lệ');
+  }
+  return { chatId: value };
+}
+
+async function send(config, { title, body }) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    throw new Error('Bot chưa được cấu hình (TELEGRAM_BOT_TOKEN)');
+  }
+
+  const apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+  const response = await fetch(`${apiUrl}/bot${token}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ chat_id: config.chatId, text: `${title}\n${body}` }),
+    signal: AbortSignal.timeout(TIMEOUT)
+  });
+
+  const result = await response.json().catch(() => null);
+  if (!response.ok || !result?.ok) {
+    throw new Error(`Bot API: ${result?.description || `HTTP ${response.status}`}`);
+  }
+}
+
+module.exports = { type: 'telegram', validateConfig, send };
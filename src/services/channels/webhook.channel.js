@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// POSTs notifications as JSON to a URL of the user's choice. Each request
+// carries X-SmartHome-Timestamp and
+//   X-SmartHome-Signature: sha256=HMAC-SHA256(secret, timestamp + "." + body), hex encoded
+// so receivers can check it came from us and reject replays.
+//
+// Users pick the URL, so it must not reach the server's own network: private,
+// loopback and link-local addresses are refused, both when the URL is saved
+// and on every connection (the name may resolve differently by then), and
+// redirects are never followed. Hosts in WEBHOOK_ALLOWED_HOSTS (comma
+// separated, e.g. a Home Assistant on the LAN) are exempt
+
+const TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isAllowedHost(hostname) {
+  const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase());
+  return allowed.includes(hostname.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return BLOCKED_ADDRESSES.check(address, family);
+}
+
+// dns.lookup that refuses to hand out internal addresses, used for every
+// webhook connection so the check covers the address actually connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error('Webhook không được trỏ tới địa chỉ nội bộ'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// URL hostname without the brackets of an IPv6 literal
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+async function assertPublicHost(url) {
+  const host = hostOf(url);
+  if (isAllowedHost(host)) return;
+
+  // IP literals never go through the lookup
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) {
+      throw new Error('Webhook không được trỏ tới địa chỉ nội bộ');
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch {
+    // Names that do not resolve yet are checked again when sending
+    return;
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('Webhook không được trỏ tới địa chỉ nội bộ');
+  }
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// The secret is generated here, never chosen by the user, and kept across
+// URL changes
+async function validateConfig({ url } = {}, current = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('URL webhook không hợp lệ');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('URL webhook phải dùng http hoặc https');
+  }
+
+  await assertPublicHost(parsed);
+
+  return {
+    url: parsed.toString(),
+    secret: current?.secret || crypto.randomBytes(32).toString('hex')
+  };
+}
+
+// The secret is only shown when the channel is created
+function publicConfig({ url }) {
+  return { url };
+}
+
+// POST with Node's http client: it never follows redirects, so a 3xx
+// answer fails like any other non-2xx one
+function post(url, headers, body) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method: 'POST', headers, lookup: publicLookup, timeout: TIMEOUT }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error('Webhook timeout')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function send(config, { title, body, category, level }) {
+  const url = new URL(config.url);
+  const host = hostOf(url);
+  if (net.isIP(host) && !isAllowedHost(host) && isBlockedAddress(host)) {
+    throw new Error('Webhook không được trỏ tới địa chỉ nội bộ');
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const payload = JSON.stringify({
+    event: 'notification',
+    title,
+    body,
+    category: category || null,
+    level: level || null,
+    timestamp: Number(timestamp)
+  });
+
+  const status = await post(url, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+    'X-SmartHome-Timestamp': timestamp,
+    'X-SmartHome-Signature': `sha256=${sign(config.secret, timestamp, payload)}`
+  }, payload);
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook trả về HTTP ${status}`);
+  }
+}
+
+module.exports = { type: 'webhook', sign, validateConfig, publicConfig, send };
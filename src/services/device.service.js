@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const doorService = require('./door.service');
+const messageSigning = require('./messageSigning.service');
+
+const DEVICE_TYPES = ['door_controller', 'sensor_node', 'display'];
+// Device IDs end up in MQTT topics, so no wildcards or separators
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PROVISIONING_CODE_TTL = 24 * 60 * 60 * 1000;
+const PROVISIONING_CHALLENGE_TTL = 2 * 60 * 1000;
+const PROVISIONING_KEY_ITERATIONS = 100000;
+// Heartbeats from unknown IDs are recorded up to this many at a time
+const UNREGISTERED_DEVICE_LIMIT = parseInt(process.env.UNREGISTERED_DEVICE_LIMIT) || 20;
+const UNREGISTERED_DEVICE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+function generateProvisioningCode() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Key the server and the device both derive from the one-time code. Only this
+// key is stored, and neither it nor the code ever crosses the broker
+function deriveCodeKey(code, deviceId) {
+  return crypto.pbkdf2Sync(code, deviceId, PROVISIONING_KEY_ITERATIONS, 32, 'sha256');
+}
+
+// What the device answers a challenge with: HMAC over the server's nonce
+function computeProvisioningProof(codeKey, deviceId, nonce) {
+  return crypto.createHmac('sha256', codeKey).update(`provision\n${deviceId}\n${nonce}`).digest('hex');
+}
+
+// Key protecting the issued secret in the provisioning response; derived from
+// the code key, so an eavesdropper seeing the nonce and proof cannot rebuild it
+function deriveWrappingKey(codeKey, deviceId, nonce) {
+  return Buffer.from(crypto.hkdfSync('sha256', codeKey, Buffer.from(nonce, 'hex'), `provision-wrap\n${deviceId}`, 32));
+}
+
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('hex'),
+    secret: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex')
+  };
+}
+
+async function validateDeviceFields({ type, doorId, capabilities }) {
+  if (type !== undefined && !DEVICE_TYPES.includes(type)) {
+    throw new Error(`Loại thiết bị phải là một trong: ${DEVICE_TYPES.join(', ')}`);
+  }
+
+  if (capabilities !== undefined && capabilities !== null &&
+    (!Array.isArray(capabilities) || !capabilities.every(c => typeof c === 'string'))) {
+    throw new Error('Danh sách chức năng không hợp lệ');
+  }
+
+  if (doorId) {
+    await doorService.resolveDoor(doorId);
+  }
+}
+
+async function listDevices({ status, type } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (type) where.type = type;
+
+  return prisma.device.findMany({
+    where,
+    orderBy: [{ status: 'asc' }, { createdAt: 'asc' }],
+    include: { door: { select: { id: true, name: true } } }
+  });
+}
+
+async function getDevice(deviceId) {
+  const device = await prisma.device.findUnique({
+    where: { id: deviceId },
+    include: { door: { select: { id: true, name: true } } }
+  });
+
+  if (!device) {
+    throw new Error('Thiết bị không tồn tại');
+  }
+
+  return device;
+}
+
+// New one-time code for the provisioning handshake; returned once
+async function issueProvisioningCode(deviceId) {
+  const code = generateProvisioningCode();
+
+  await prisma.device.update({
+    where: { id: deviceId },
+    data: {
+      provisioningCodeHash: deriveCodeKey(code, deviceId).toString('hex'),
+      provisioningExpiresAt: new Date(Date.now() + PROVISIONING_CODE_TTL),
+      provisioningNonce: null,
+      nonceExpiresAt: null
+    }
+  });
+
+  return code;
+}
+
+// Register a device (or adopt one that was flagged from its heartbeats)
+async function registerDevice({ id, name, type, room, doorId, capabilities }) {
+  if (!isValidDeviceId(id)) {
+    throw new Error('Mã thiết bị chỉ gồm chữ, số, "-" và "_" (tối đa 64 ký tự)');
+  }
+
+  if (!type) {
+    throw new Error('Cần chọn loại thiết bị');
+  }
+
+  await validateDeviceFields({ type, doorId, capabilities });
+
+  const existing = await prisma.device.findUnique({ where: { id } });
+  if (existing && !['UNREGISTERED', 'DECOMMISSIONED'].includes(existing.status)) {
+    throw new Error('Thiết bị đã được đăng ký');
+  }
+
+  const data = { name, type, room, doorId, capabilities, status: 'PENDING' };
+  await prisma.device.upsert({
+    where: { id },
+    update: data,
+    create: { id, ...data }
+  });
+
+  const provisioningCode = await issueProvisioningCode(id);
+  return { device: await getDevice(id), provisioningCode };
+}
+
+async function updateDevice(deviceId, { name, room, doorId, capabilities }) {
+  await getDevice(deviceId);
+  await validateDeviceFields({ doorId, capabilities });
+
+  return prisma.device.update({
+    where: { id: deviceId },
+    data: { name, room, doorId, capabilities }
+  });
+}
+
+// Revoke a device's credentials. A decommissioned door controller's door gets a
+// fresh secret nobody holds, so the old hardware can no longer talk to it
+async function decommissionDevice(deviceId) {
+  const device = await getDevice(deviceId);
+
+  if (device.status === 'DECOMMISSIONED') {
+    throw new Error('Thiết bị đã ngừng sử dụng');
+  }
+
+  const updated = await prisma.device.update({
+    where: { id: deviceId },
+    data: {
+      status: 'DECOMMISSIONED',
+      online: false,
+      secret: null,
+      provisioningCodeHash: null,
+      provisioningExpiresAt: null,
+      provisioningNonce: null,
+      nonceExpiresAt: null
+    }
+  });
+
+  // A retired device is not "down"; close its outage so availability stops counting
+  await prisma.deviceOutage.updateMany({
+    where: { deviceId, endedAt: null },
+    data: { endedAt: new Date() }
+  });
+
+  if (device.type === 'door_controller' && device.doorId) {
+    await doorService.rotateDeviceSecret(device.doorId);
+  }
+
+  return updated;
+}
+
+// Why a device cannot be provisioned right now, if anything
+function provisioningRefusal(device) {
+  if (!device || ['UNREGISTERED', 'DECOMMISSIONED'].includes(device.status)) {
+    return 'unknown_device';
+  }
+
+  if (!device.provisioningCodeHash) {
+    return 'not_provisioning';
+  }
+
+  if (device.provisioningExpiresAt <= new Date()) {
+    return 'code_expired';
+  }
+
+  return null;
+}
+
+function findProvisioningDevice(deviceId) {
+  return prisma.device.findUnique({
+    where: { id: deviceId },
+    omit: { provisioningCodeHash: false }
+  });
+}
+
+// Provisioning handshake, step 1: a registered device asks for a challenge.
+// A new challenge replaces any earlier one
+async function createProvisioningChallenge(deviceId) {
+  const device = await findProvisioningDevice(deviceId);
+
+  const reason = provisioningRefusal(device);
+  if (reason) {
+    return { success: false, reason };
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await prisma.device.update({
+    where: { id: deviceId },
+    data: {
+      provisioningNonce: nonce,
+      nonceExpiresAt: new Date(Date.now() + PROVISIONING_CHALLENGE_TTL)
+    }
+  });
+
+  return { success: true, nonce };
+}
+
+// Provisioning handshake, step 2: the device answers the challenge with an
+// HMAC proving it knows the code and receives its secret, encrypted with a
+// key derived from the code key and the nonce
+async function provisionDevice({ deviceId, nonce, proof, firmwareVersion, capabilities }) {
+  const device = await findProvisioningDevice(deviceId);
+
+  const reason = provisioningRefusal(device);
+  if (reason) {
+    return { success: false, reason };
+  }
+
+  if (!device.provisioningNonce || device.provisioningNonce !== nonce || device.nonceExpiresAt <= new Date()) {
+    return { success: false, reason: 'invalid_challenge' };
+  }
+
+  // Each challenge gets one answer, right or wrong, so the code cannot be guessed against it
+  const claimed = await prisma.device.updateMany({
+    where: { id: deviceId, provisioningNonce: nonce },
+    data: { provisioningNonce: null, nonceExpiresAt: null }
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, reason: 'invalid_challenge' };
+  }
+
+  const codeKey = Buffer.from(device.provisioningCodeHash, 'hex');
+  const expected = Buffer.from(computeProvisioningProof(codeKey, deviceId, nonce), 'hex');
+  const received = Buffer.from(String(proof || ''), 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(expected, received)) {
+    return { success: false, reason: 'invalid_proof' };
+  }
+
+  const secret = messageSigning.generateSecret();
+  const provisioned = await prisma.device.update({
+    where: { id: deviceId },
+    data: {
+      status: 'ACTIVE',
+      secret,
+      provisioningCodeHash: null,
+      provisioningExpiresAt: null,
+      provisionedAt: new Date(),
+      lastSeen: new Date(),
+      online: true,
+      firmwareVersion: firmwareVersion || device.firmwareVersion,
+      capabilities: Array.isArray(capabilities) ? capabilities : undefined
+    }
+  });
+
+  // The door controller signs its MQTT messages with the door's secret
+  if (device.type === 'door_controller' && device.doorId) {
+    await prisma.door.update({
+      where: { id: device.doorId },
+      data: { deviceSecret: secret, allowUnsigned: false }
+    });
+  }
+
+  return {
+    success: true,
+    device: provisioned,
+    credentials: encryptSecret(secret, deriveWrappingKey(codeKey, deviceId, nonce))
+  };
+}
+
+// A code that was sent in plaintext is known to anyone on the broker; drop it
+// so only a freshly issued code can provision the device
+async function revokeProvisioningCode(deviceId) {
+  await prisma.device.updateMany({
+    where: { id: deviceId, provisioningCodeHash: { not: null } },
+    data: {
+      provisioningCodeHash: null,
+      provisioningExpiresAt: null,
+      provisioningNonce: null,
+      nonceExpiresAt: null
+    }
+  });
+}
+
+// Active door_controller operating a door, if one is registered
+async function findDoorController(doorId) {
+  return prisma.device.findFirst({
+    where: { doorId, type: 'door_controller', status: 'ACTIVE' }
+  });
+}
+
+// Record a heartbeat. Devices nobody registered are kept as UNREGISTERED
+// so admins can see and adopt them, up to UNREGISTERED_DEVICE_LIMIT; beyond
+// that, heartbeats from new IDs are dropped (ignored: true)
+async function recordHeartbeat(deviceId, { firmwareVersion } = {}) {
+  const device = await prisma.device.findUnique({ where: { id: deviceId } });
+  const now = new Date();
+
+  if (!device) {
+    const unregistered = await prisma.device.count({ where: { status: 'UNREGISTERED' } });
+    if (unregistered >= UNREGISTERED_DEVICE_LIMIT) {
+      return { known: false, firstSeen: false, ignored: true, status: 'UNREGISTERED' };
+    }
+
+    await prisma.device.create({
+      data: { id: deviceId, status: 'UNREGISTERED', firmwareVersion, lastSeen: now }
+    });
+    return { known: false, firstSeen: true, status: 'UNREGISTERED' };
+  }
+
+  await prisma.device.update({
+    where: { id: deviceId },
+    data: { lastSeen: now, firmwareVersion: firmwareVersion || undefined }
+  });
+
+  return { known: device.status === 'ACTIVE', firstSeen: false, status: device.status, device };
+}
+
+// Forget unregistered devices that have gone quiet, making room for new ones
+async function pruneUnregisteredDevices() {
+  const { count } = await prisma.device.deleteMany({
+    where: {
+      status: 'UNREGISTERED',
+      lastSeen: { lt: new Date(Date.now() - UNREGISTERED_DEVICE_RETENTION) }
+    }
+  });
+
+  return count;
+}
+
+module.exports = {
+  DEVICE_TYPES,
+  isValidDeviceId,
+  listDevices,
+  getDevice,
+  registerDevice,
+  updateDevice,
+  issueProvisioningCode,
+  decommissionDevice,
+  createProvisioningChallenge,
+  provisionDevice,
+  revokeProvisioningCode,
+  findDoorController,
+  recordHeartbeat,
+  pruneUnregisteredDevices
+};
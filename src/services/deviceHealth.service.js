@@ -0,0 +1,142 @@
+const prisma = require('../lib/prisma');
+const deviceService = require('./device.service');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const AVAILABILITY_WINDOWS = { last24h: DAY, last7d: 7 * DAY, last30d: 30 * DAY };
+
+// Human-readable duration for notifications, e.g. "2h 5m"
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.max(1, Math.round(ms / 1000))}s`;
+  if (minutes < 60) return `${minutes}m`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function outageDuration(outage, now = new Date()) {
+  return (outage.endedAt || now).getTime() - outage.startedAt.getTime();
+}
+
+// Mark an active device online after a heartbeat. Returns the outage it
+// recovered from, or null if it was not offline
+async function markOnline(deviceId) {
+  // Guarded so concurrent heartbeats report a recovery only once
+  const { count } = await prisma.device.updateMany({
+    where: { id: deviceId, status: 'ACTIVE', online: false },
+    data: { online: true }
+  });
+
+  if (count === 0) return null;
+
+  const outage = await prisma.deviceOutage.findFirst({
+    where: { deviceId, endedAt: null },
+    orderBy: { startedAt: 'desc' }
+  });
+
+  if (!outage) {
+    return { deviceId, startedAt: null, endedAt: new Date() };
+  }
+
+  return prisma.deviceOutage.update({
+    where: { id: outage.id },
+    data: { endedAt: new Date() }
+  });
+}
+
+// Mark active devices that missed their heartbeats offline and open an outage
+// for each. State lives in the database, so a restart picks up where it left off
+async function markStaleDevicesOffline(thresholdMs) {
+  const cutoff = new Date(Date.now() - thresholdMs);
+  const stale = await prisma.device.findMany({
+    where: { status: 'ACTIVE', online: true, lastSeen: { lt: cutoff } }
+  });
+
+  const wentOffline = [];
+  for (const device of stale) {
+    const { count } = await prisma.device.updateMany({
+      where: { id: device.id, online: true, lastSeen: { lt: cutoff } },
+      data: { online: false }
+    });
+    if (count === 0) continue;
+
+    const outage = await prisma.deviceOutage.create({
+      data: { deviceId: device.id, startedAt: device.lastSeen }
+    });
+    wentOffline.push({ device, outage });
+  }
+
+  return wentOffline;
+}
+
+// Share of [from, to] the device was not in an outage, as a percentage
+function computeAvailability(outages, from, to) {
+  const total = to.getTime() - from.getTime();
+  if (total <= 0) return null;
+
+  let downtime = 0;
+  for (const outage of outages) {
+    const start = Math.max(outage.startedAt.getTime(), from.getTime());
+    const end = Math.min((outage.endedAt || to).getTime(), to.getTime());
+    if (end > start) downtime += end - start;
+  }
+
+  return Math.round((1 - downtime / total) * 10000) / 100;
+}
+
+async function getDeviceHealth(deviceId, { limit = 10 } = {}) {
+  const device = await deviceService.getDevice(deviceId);
+  const now = new Date();
+  const monitoredSince = device.provisionedAt;
+
+  const [outages, recentOutages] = await Promise.all([
+    prisma.deviceOutage.findMany({
+      where: {
+        deviceId,
+        OR: [{ endedAt: null }, { endedAt: { gte: new Date(now.getTime() - AVAILABILITY_WINDOWS.last30d) } }]
+      }
+    }),
+    prisma.deviceOutage.findMany({
+      where: { deviceId },
+      orderBy: { startedAt: 'desc' },
+      take: limit
+    })
+  ]);
+
+  const availability = {};
+  for (const [name, length] of Object.entries(AVAILABILITY_WINDOWS)) {
+    // Only the time the device has been monitored counts
+    availability[name] = monitoredSince
+      ? computeAvailability(outages, new Date(Math.max(now.getTime() - length, monitoredSince.getTime())), now)
+      : null;
+  }
+
+  const currentOutage = recentOutages.find(o => !o.endedAt) || null;
+  const lastRecovery = recentOutages.find(o => o.endedAt);
+  const since = device.online
+    ? (lastRecovery ? lastRecovery.endedAt : monitoredSince)
+    : (currentOutage ? currentOutage.startedAt : null);
+
+  return {
+    deviceId: device.id,
+    name: device.name,
+    status: device.status,
+    online: device.online,
+    lastSeen: device.lastSeen,
+    since,
+    currentOutage: currentOutage && { ...currentOutage, durationMs: outageDuration(currentOutage, now) },
+    availability,
+    outagesLast30d: outages.length,
+    recentOutages: recentOutages.map(o => ({ ...o, durationMs: outageDuration(o, now) }))
+  };
+}
+
+module.exports = {
+  formatDuration,
+  markOnline,
+  markStaleDevicesOffline,
+  computeAvailability,
+  getDeviceHealth
+};
@@ -1,29 +1,103 @@
 const prisma = require('../lib/prisma');
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const accessScheduleService = require('./accessSchedule.service');
+const messageSigning = require('./messageSigning.service');
+const roleService = require('./role.service');
 
 // SHA-256 hash function
 function sha256(input) {
   return crypto.createHash('sha256').update(input).digest('hex');
 }
 
-// ==================== Single Door Management ====================
+// ==================== Door Management ====================
 
-// Get or create the single door
+// PIN hashes never leave the backend; a 4-8 digit PIN is easily recovered from its hash
+const DOOR_PIN_FIELDS = { pinHash: true, duressPinHash: true, duressPinSalt: true };
+
+// Get or create the default door (used by legacy single-door clients)
 async function getOrCreateDoor(pin = '1234') {
-  let door = await prisma.door.findFirst();
+  let door = await prisma.door.findFirst({ where: { isDefault: true } });
   
   if (!door) {
     const pinHash = sha256(pin);
     door = await prisma.door.create({
-      data: { name: 'Cửa chính', location: 'Tầng 1', pinHash }
+      data: { name: 'Cửa chính', location: 'Tầng 1', pinHash, isDefault: true }
     });
   }
   
   return door;
 }
 
-async function getDoor() {
+async function getDoorById(doorId) {
+  return prisma.door.findUnique({ where: { id: doorId } });
+}
+
+// Resolve a door by ID, falling back to the default door when no ID is given
+async function resolveDoor(doorId) {
+  if (!doorId) return getOrCreateDoor();
+  
+  const door = await getDoorById(doorId);
+  if (!door) {
+    throw new Error('Cửa không tồn tại');
+  }
+  
+  return door;
+}
+
+// Prisma filter selecting cards of a door (default door when no ID is given)
+function cardDoorFilter(doorId) {
+  return doorId ? { doorId } : { door: { isDefault: true } };
+}
+
+async function listDoors() {
+  return prisma.door.findMany({
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+    omit: DOOR_PIN_FIELDS,
+    include: {
+      _count: { select: { rfidCards: { where: { status: 'ACTIVE' } } } }
+    }
+  });
+}
+
+async function createDoor({ name, location, pin }) {
+  return prisma.door.create({
+    data: { name, location, pinHash: sha256(pin) },
+    omit: DOOR_PIN_FIELDS
+  });
+}
+
+async function updateDoor(doorId, { name, location, heldOpenThreshold }) {
+  const door = await resolveDoor(doorId);
+  
+  if (heldOpenThreshold !== undefined &&
+    (!Number.isInteger(heldOpenThreshold) || heldOpenThreshold < 10 || heldOpenThreshold > 3600)) {
+    throw new Error('Thời gian cửa mở tối đa phải từ 10 đến 3600 giây');
+  }
+  
+  return prisma.door.update({
+    where: { id: door.id },
+    data: { name, location, heldOpenThreshold },
+    omit: DOOR_PIN_FIELDS
+  });
+}
+
+async function deleteDoor(doorId) {
+  const door = await resolveDoor(doorId);
+  
+  if (door.isDefault) {
+    throw new Error('Không thể xóa cửa mặc định');
+  }
+  
+  return prisma.door.delete({ where: { id: door.id } });
+}
+
+async function getDoor(doorId) {
+  const where = doorId ? { id: doorId } : { isDefault: true };
+  
   return prisma.door.findFirst({
+    where,
+    omit: DOOR_PIN_FIELDS,
     include: {
       rfidCards: {
         where: { status: 'ACTIVE' },
@@ -36,8 +110,8 @@ async function getDoor() {
   });
 }
 
-async function updateDoorPin(newPin, currentPin) {
-  const door = await getOrCreateDoor();
+async function updateDoorPin(newPin, currentPin, doorId) {
+  const door = await resolveDoor(doorId);
   
   // Validate current PIN
   const currentPinHash = sha256(currentPin);
@@ -45,6 +119,10 @@ async function updateDoorPin(newPin, currentPin) {
     throw new Error('Mã PIN hiện tại không đúng');
   }
   
+  if (matchesUserPin(newPin, door.duressPinSalt || '', door.duressPinHash)) {
+    throw new Error('Mã PIN cửa phải khác mã PIN khẩn cấp của cửa');
+  }
+  
   const pinHash = sha256(newPin);
   
   return prisma.door.update({
@@ -53,8 +131,8 @@ async function updateDoorPin(newPin, currentPin) {
   });
 }
 
-async function updateDoorStatus(isOnline) {
-  const door = await getOrCreateDoor();
+async function updateDoorStatus(isOnline, doorId) {
+  const door = await resolveDoor(doorId);
   
   return prisma.door.update({
     where: { id: door.id },
@@ -65,24 +143,441 @@ async function updateDoorStatus(isOnline) {
   });
 }
 
+// HMAC key of the door's ESP32 (null until one is issued; messages are then unsigned)
+async function getDeviceSecret(doorId) {
+  const door = await prisma.door.findUnique({
+    where: { id: doorId },
+    select: { deviceSecret: true }
+  });
+  
+  return door?.deviceSecret || null;
+}
+
+// Issue a new device secret; returned once so it can be flashed to the ESP32
+async function rotateDeviceSecret(doorId) {
+  const door = await resolveDoor(doorId);
+  const deviceSecret = messageSigning.generateSecret();
+  
+  await prisma.door.update({
+    where: { id: door.id },
+    data: { deviceSecret, allowUnsigned: false }
+  });
+  
+  return { doorId: door.id, deviceSecret };
+}
+
+// Let a door whose firmware cannot sign yet send plain messages. Only until
+// it has a device secret: from then on its messages must always be signed
+async function setAllowUnsigned(doorId, enabled) {
+  const door = await resolveDoor(doorId);
+  
+  if (typeof enabled !== 'boolean') {
+    throw new Error('enabled phải là true hoặc false');
+  }
+  
+  if (enabled && await getDeviceSecret(door.id)) {
+    throw new Error('Cửa đã có khóa bí mật, tin nhắn phải được ký');
+  }
+  
+  return prisma.door.update({
+    where: { id: door.id },
+    data: { allowUnsigned: enabled }
+  });
+}
+
+// ==================== Personal PINs ====================
+// Personal and duress PINs are keyed in after the user's ID, so they only
+// have to differ from the user's other PIN and are never checked against
+// anyone else's. Rejecting a PIN because it is taken would reveal it
+
+// Hash a personal PIN with the user's salt
+function hashUserPin(pin, salt) {
+  return sha256(salt + pin);
+}
+
+function matchesUserPin(pin, salt, hash) {
+  return Boolean(hash) && hashUserPin(pin, salt) === hash;
+}
+
+async function getUserPinStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { doorPinHash: true, doorPinUpdatedAt: true, duressPinHash: true }
+  });
+  
+  if (!user) {
+    throw new Error('Người dùng không tồn tại');
+  }
+  
+  return {
+    // Entered on the keypad before the personal or duress PIN
+    userId,
+    hasPin: !!user.doorPinHash,
+    hasDuressPin: !!user.duressPinHash,
+    updatedAt: user.doorPinUpdatedAt
+  };
+}
+
+// Set or rotate the user's own PIN (confirmed with their account password)
+async function setUserPin(userId, pin, currentPassword) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('Người dùng không tồn tại');
+  }
+  
+  const valid = await bcrypt.compare(currentPassword, user.passwordHash);
+  if (!valid) {
+    throw new Error('Mật khẩu hiện tại không đúng');
+  }
+  
+  // Otherwise the PIN could not tell a normal unlock from a duress one
+  if (matchesUserPin(pin, user.duressPinSalt, user.duressPinHash)) {
+    throw new Error('Mã PIN cá nhân phải khác mã PIN khẩn cấp của bạn');
+  }
+  
+  const doorPinSalt = crypto.randomBytes(16).toString('hex');
+  
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      doorPinSalt,
+      doorPinHash: hashUserPin(pin, doorPinSalt),
+      doorPinUpdatedAt: new Date()
+    }
+  });
+  
+  return { message: 'Đã cập nhật mã PIN cá nhân' };
+}
+
+// Clear a user's PIN (admin reset); the user must set a new one
+async function resetUserPin(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('Người dùng không tồn tại');
+  }
+  
+  return prisma.user.update({
+    where: { id: userId },
+    data: { doorPinHash: null, doorPinSalt: null, doorPinUpdatedAt: new Date() },
+    select: { id: true, username: true }
+  });
+}
+
+// Validate a PIN entered on a door: with a user ID that user's personal PIN,
+// without one the shared door PIN, then duress PINs in both cases.
+// A duress PIN unlocks like any other; `duress` tells the caller to raise the silent alarm
+async function authenticatePin(pin, doorId, userId = null) {
+  const door = await resolveDoor(doorId);
+  
+  if (userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, role: true, doorPinHash: true, doorPinSalt: true }
+    });
+    if (user && matchesUserPin(pin, user.doorPinSalt, user.doorPinHash)) {
+      return { allowed: true, userId: user.id, username: user.username, role: user.role };
+    }
+  } else if (sha256(pin) === door.pinHash) {
+    return { allowed: true, userId: null, username: null };
+  }
+  
+  const duress = await findDuressPin(pin, door, userId);
+  if (duress) {
+    return { allowed: true, ...duress, duress: true };
+  }
+  
+  return { allowed: false, reason: 'invalid_pin' };
+}
+
+// ==================== Duress PINs ====================
+
+// Match a PIN against the user's own duress PIN (when the user is known),
+// then the door's household duress PIN
+async function findDuressPin(pin, door, userId = null) {
+  const user = userId && await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, username: true, role: true, duressPinHash: true, duressPinSalt: true }
+  });
+  if (user && matchesUserPin(pin, user.duressPinSalt, user.duressPinHash)) {
+    return { userId: user.id, username: user.username, role: user.role };
+  }
+  
+  // Duress PINs set before salting have no salt: sha256('' + pin)
+  if (matchesUserPin(pin, door.duressPinSalt || '', door.duressPinHash)) {
+    return { userId: null, username: null };
+  }
+  
+  return null;
+}
+
+// Set or rotate the user's own duress PIN (confirmed with their account password)
+async function setUserDuressPin(userId, pin, currentPassword) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('Người dùng không tồn tại');
+  }
+  
+  const valid = await bcrypt.compare(currentPassword, user.passwordHash);
+  if (!valid) {
+    throw new Error('Mật khẩu hiện tại không đúng');
+  }
+  
+  if (matchesUserPin(pin, user.doorPinSalt, user.doorPinHash)) {
+    throw new Error('Mã PIN khẩn cấp phải khác mã PIN cá nhân của bạn');
+  }
+  
+  const duressPinSalt = crypto.randomBytes(16).toString('hex');
+  
+  await prisma.user.update({
+    where: { id: userId },
+    data: { duressPinSalt, duressPinHash: hashUserPin(pin, duressPinSalt) }
+  });
+  
+  return { message: 'Đã cập nhật mã PIN khẩn cấp' };
+}
+
+async function clearUserDuressPin(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { duressPinHash: null, duressPinSalt: null }
+  });
+  
+  return { message: 'Đã xóa mã PIN khẩn cấp' };
+}
+
+// Set the household duress PIN of a door (confirmed with the door PIN)
+async function setDoorDuressPin(pin, currentPin, doorId) {
+  const door = await resolveDoor(doorId);
+  
+  if (sha256(currentPin) !== door.pinHash) {
+    throw new Error('Mã PIN hiện tại không đúng');
+  }
+  
+  if (sha256(pin) === door.pinHash) {
+    throw new Error('Mã PIN khẩn cấp phải khác mã PIN cửa');
+  }
+  
+  const duressPinSalt = crypto.randomBytes(16).toString('hex');
+  
+  return prisma.door.update({
+    where: { id: door.id },
+    data: { duressPinSalt, duressPinHash: hashUserPin(pin, duressPinSalt) }
+  });
+}
+
+async function clearDoorDuressPin(doorId) {
+  const door = await resolveDoor(doorId);
+  
+  return prisma.door.update({
+    where: { id: door.id },
+    data: { duressPinHash: null, duressPinSalt: null }
+  });
+}
+
+// Admins chosen to receive the discreet duress notification
+async function getDuressAlertRecipients() {
+  return prisma.user.findMany({
+    where: { role: roleService.ADMIN_ROLE, duressAlerts: true },
+    select: { id: true, username: true }
+  });
+}
+
+// All admins with whether they receive duress notifications
+async function getDuressAlertSettings() {
+  return prisma.user.findMany({
+    where: { role: roleService.ADMIN_ROLE },
+    select: { id: true, username: true, duressAlerts: true },
+    orderBy: { username: 'asc' }
+  });
+}
+
+async function setDuressAlerts(userId, enabled) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new Error('Người dùng không tồn tại');
+  }
+  
+  if (enabled && user.role !== roleService.ADMIN_ROLE) {
+    throw new Error('Chỉ quản trị viên mới có thể nhận cảnh báo khẩn cấp');
+  }
+  
+  return prisma.user.update({
+    where: { id: userId },
+    data: { duressAlerts: enabled },
+    select: { id: true, username: true, duressAlerts: true }
+  });
+}
+
+// ==================== Security Mode ====================
+
+const SECURITY_MODES = ['rfid_only', 'pin_only', 'rfid_or_pin', 'rfid_and_pin'];
+
+function validateSecurityMode(mode) {
+  if (!SECURITY_MODES.includes(mode)) {
+    throw new Error(`Chế độ bảo mật phải là một trong: ${SECURITY_MODES.join(', ')}`);
+  }
+}
+
+async function getSecurityRules(doorId) {
+  return prisma.securityModeRule.findMany({
+    where: { doorId },
+    orderBy: { id: 'asc' }
+  });
+}
+
+// Mode in force at `now`: the first active time-of-day rule, else the door's base mode
+async function getEffectiveSecurityMode(door, now = new Date()) {
+  const rules = await getSecurityRules(door.id);
+  const active = rules.find(rule => accessScheduleService.isScheduleActive(rule, now));
+  return active ? active.mode : door.securityMode || 'rfid_or_pin';
+}
+
+async function getSecurityConfig(doorId) {
+  const door = await resolveDoor(doorId);
+  const rules = await getSecurityRules(door.id);
+  
+  return {
+    mode: door.securityMode,
+    effectiveMode: await getEffectiveSecurityMode(door),
+    rules: rules.map(rule => ({
+      ...rule,
+      daysOfWeek: rule.daysOfWeek.split(',').map(Number)
+    }))
+  };
+}
+
+// Security config pushed to the ESP32 (rules included so it can switch modes offline)
+async function getDeviceSecurityConfig(door) {
+  const rules = await getSecurityRules(door.id);
+  
+  return {
+    mode: await getEffectiveSecurityMode(door),
+    defaultMode: door.securityMode,
+    rules: rules.map(rule => ({
+      mode: rule.mode,
+      ...accessScheduleService.toDeviceSchedule(rule)
+    }))
+  };
+}
+
+async function updateSecurityMode(doorId, mode) {
+  validateSecurityMode(mode);
+  const door = await resolveDoor(doorId);
+  
+  return prisma.door.update({
+    where: { id: door.id },
+    data: { securityMode: mode }
+  });
+}
+
+async function addSecurityRule(doorId, { mode, daysOfWeek = [0, 1, 2, 3, 4, 5, 6], startTime, endTime, timezone }) {
+  validateSecurityMode(mode);
+  const door = await resolveDoor(doorId);
+  
+  if (!startTime || !endTime) {
+    throw new Error('Cần giờ bắt đầu và giờ kết thúc');
+  }
+  
+  return prisma.securityModeRule.create({
+    data: {
+      doorId: door.id,
+      mode,
+      ...accessScheduleService.buildScheduleData({ daysOfWeek, startTime, endTime, timezone })
+    }
+  });
+}
+
+async function removeSecurityRule(doorId, ruleId) {
+  const door = await resolveDoor(doorId);
+  const rule = await prisma.securityModeRule.findFirst({
+    where: { id: ruleId, doorId: door.id }
+  });
+  
+  if (!rule) {
+    throw new Error('Quy tắc không tồn tại');
+  }
+  
+  await prisma.securityModeRule.delete({ where: { id: rule.id } });
+  return rule;
+}
+
+// PIN check for two-factor unlocks: the user's personal PIN if set, else the door PIN
+async function verifyPinForUser(userId, pin, door) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { doorPinHash: true, doorPinSalt: true }
+  });
+  
+  if (user?.doorPinHash) {
+    return hashUserPin(pin, user.doorPinSalt) === user.doorPinHash;
+  }
+  
+  return sha256(pin) === door.pinHash;
+}
+
+// Check a granted card against the door's security mode (pin is the PIN entered with the card, if any)
+async function checkRfidSecurity(door, userId, pin) {
+  const mode = await getEffectiveSecurityMode(door);
+  
+  if (mode === 'pin_only') {
+    return { allowed: false, reason: 'rfid_disabled', mode };
+  }
+  
+  if (mode !== 'rfid_and_pin') {
+    return { allowed: true, method: 'rfid', mode };
+  }
+  
+  if (!pin) {
+    return { allowed: false, reason: 'pin_required', mode };
+  }
+  
+  const valid = await verifyPinForUser(userId, pin, door);
+  if (valid) {
+    return { allowed: true, method: 'rfid_pin', mode };
+  }
+  
+  // A duress PIN with the card opens the door and raises the silent alarm
+  if (await findDuressPin(pin, door, userId)) {
+    return { allowed: true, method: 'rfid_pin', mode, duress: true };
+  }
+  
+  return { allowed: false, reason: 'invalid_pin', mode };
+}
+
+// Check a PIN-only unlock (personal, shared or guest PIN) against the door's security mode
+async function checkPinSecurity(door) {
+  const mode = await getEffectiveSecurityMode(door);
+  
+  if (mode === 'rfid_only') {
+    return { allowed: false, reason: 'pin_disabled', mode };
+  }
+  
+  if (mode === 'rfid_and_pin') {
+    return { allowed: false, reason: 'rfid_required', mode };
+  }
+  
+  return { allowed: true, mode };
+}
+
 // ==================== RFID Enrollment Flow ====================
 
 // Start enrollment mode for a user
-async function startEnrollment(userId) {
-  const door = await getOrCreateDoor();
+async function startEnrollment(userId, doorId) {
+  const door = await resolveDoor(doorId);
   
   // Check if user exists
   const user = await prisma.user.findUnique({
     where: { id: userId },
-    include: { rfidCard: true }
+    include: { rfidCards: { where: { doorId: door.id } } }
   });
   
   if (!user) {
     throw new Error('Người dùng không tồn tại');
   }
   
-  // Check if user already has an active card
-  const hasActiveCard = user.rfidCard && user.rfidCard.status === 'ACTIVE';
+  // Check if user already has an active card on this door
+  const existingCard = user.rfidCards[0];
+  const hasActiveCard = !!existingCard && existingCard.status === 'ACTIVE';
   
   // Update door to enrollment mode
   await prisma.door.update({
@@ -94,16 +589,17 @@ async function startEnrollment(userId) {
   });
   
   return { 
+    doorId: door.id,
     userId, 
     username: user.username,
     hasExistingCard: hasActiveCard,
-    existingCardUid: user.rfidCard?.uid || null
+    existingCardUid: existingCard?.uid || null
   };
 }
 
 // Cancel enrollment mode
-async function cancelEnrollment() {
-  const door = await getOrCreateDoor();
+async function cancelEnrollment(doorId) {
+  const door = await resolveDoor(doorId);
   
   await prisma.door.update({
     where: { id: door.id },
@@ -115,10 +611,10 @@ async function cancelEnrollment() {
 }
 
 // Process scanned RFID during enrollment (called from MQTT handler)
-async function processEnrollmentScan(uid) {
-  const door = await prisma.door.findFirst();
+async function processEnrollmentScan(uid, doorId) {
+  const door = await resolveDoor(doorId);
   
-  if (!door || !door.enrollmentMode || !door.enrollmentUserId) {
+  if (!door.enrollmentMode || !door.enrollmentUserId) {
     return { success: false, error: 'Không trong chế độ đăng ký' };
   }
   
@@ -126,7 +622,7 @@ async function processEnrollmentScan(uid) {
   const uidUpper = uid.toUpperCase();
   const uidHash = sha256(uidUpper);
   
-  // Check if UID already exists and belongs to another ACTIVE user
+  // Check if UID already belongs to another ACTIVE user (on any door)
   const existingCardWithUid = await prisma.rfidCard.findFirst({
     where: { 
       uidHash,
@@ -149,14 +645,14 @@ async function processEnrollmentScan(uid) {
     };
   }
   
-  // Delete any existing card with this UID (revoked cards from other users)
+  // Delete any existing card with this UID on this door (revoked cards from other users)
   await prisma.rfidCard.deleteMany({
-    where: { uidHash, userId: { not: userId } }
+    where: { doorId: door.id, uidHash, userId: { not: userId } }
   });
   
-  // Delete current user's old card if exists (to avoid unique constraint)
+  // Delete current user's old card on this door if exists (to avoid unique constraint)
   await prisma.rfidCard.deleteMany({
-    where: { userId }
+    where: { doorId: door.id, userId }
   });
   
   // Create new card
@@ -198,8 +694,9 @@ async function processEnrollmentScan(uid) {
 }
 
 // Get enrollment status
-async function getEnrollmentStatus() {
+async function getEnrollmentStatus(doorId) {
   const door = await prisma.door.findFirst({
+    where: doorId ? { id: doorId } : { isDefault: true },
     select: {
       enrollmentMode: true,
       enrollmentUserId: true
@@ -224,10 +721,10 @@ async function getEnrollmentStatus() {
 
 // ==================== RFID Card Management ====================
 
-// Get user's RFID card status
-async function getUserRfidStatus(userId) {
+// Get user's RFID card status on a door
+async function getUserRfidStatus(userId, doorId) {
   const card = await prisma.rfidCard.findFirst({
-    where: { userId, status: 'ACTIVE' }
+    where: { userId, status: 'ACTIVE', ...cardDoorFilter(doorId) }
   });
   
   return {
@@ -241,10 +738,10 @@ async function getUserRfidStatus(userId) {
   };
 }
 
-// Revoke user's RFID card
-async function revokeUserCard(userId) {
+// Revoke user's RFID card on a door
+async function revokeUserCard(userId, doorId) {
   const card = await prisma.rfidCard.findFirst({
-    where: { userId, status: 'ACTIVE' }
+    where: { userId, status: 'ACTIVE', ...cardDoorFilter(doorId) }
   });
   
   if (!card) {
@@ -258,52 +755,57 @@ async function revokeUserCard(userId) {
 }
 
 // Report lost card - user can report their own card as lost
+// The physical card is lost, so it is revoked on every door it was enrolled on
 async function reportLostCard(userId) {
-  const card = await prisma.rfidCard.findFirst({
+  const cards = await prisma.rfidCard.findMany({
     where: { userId, status: 'ACTIVE' },
     include: { user: { select: { id: true, username: true } } }
   });
   
-  if (!card) {
+  if (cards.length === 0) {
     throw new Error('Bạn không có thẻ RFID đang hoạt động');
   }
   
-  // Revoke the card
-  const revokedCard = await prisma.rfidCard.update({
-    where: { id: card.id },
+  const card = cards[0];
+  
+  // Revoke the cards
+  await prisma.rfidCard.updateMany({
+    where: { id: { in: cards.map(c => c.id) } },
     data: { status: 'REVOKED' }
   });
   
-  // Log the event
-  const door = await getOrCreateDoor();
-  await prisma.doorAccessLog.create({
-    data: {
-      doorId: door.id,
-      userId,
-      event: 'card_reported_lost',
-      rfidUid: card.uid,
-      method: 'user_report'
-    }
-  });
+  // Log the event on each affected door
+  for (const revoked of cards) {
+    await prisma.doorAccessLog.create({
+      data: {
+        doorId: revoked.doorId,
+        userId,
+        event: 'card_reported_lost',
+        rfidUid: revoked.uid,
+        method: 'user_report'
+      }
+    });
+  }
   
   return {
     success: true,
     card: {
-      id: revokedCard.id,
-      uid: revokedCard.uid,
+      id: card.id,
+      uid: card.uid,
       username: card.user.username
     },
+    doorIds: cards.map(c => c.doorId),
     message: `Thẻ RFID của ${card.user.username} đã bị vô hiệu hóa`
   };
 }
 
 // Legacy: Add RFID card directly (for manual entry)
-async function addRfidCard(userId, uid) {
-  const door = await getOrCreateDoor();
+async function addRfidCard(userId, uid, doorId) {
+  const door = await resolveDoor(doorId);
   
-  // Check if user already has an active card
+  // Check if user already has an active card on this door
   const existingUserCard = await prisma.rfidCard.findFirst({
-    where: { userId, status: 'ACTIVE' }
+    where: { userId, doorId: door.id, status: 'ACTIVE' }
   });
   
   if (existingUserCard) {
@@ -313,15 +815,20 @@ async function addRfidCard(userId, uid) {
   const uidUpper = uid.toUpperCase();
   const uidHash = sha256(uidUpper);
   
-  // Check if UID already exists
+  // Check if UID already belongs to another user (on any door)
   const existingUidCard = await prisma.rfidCard.findFirst({
-    where: { uidHash, status: 'ACTIVE' }
+    where: { uidHash, status: 'ACTIVE', userId: { not: userId } }
   });
   
   if (existingUidCard) {
     throw new Error('UID thẻ đã được sử dụng');
   }
   
+  // Clear revoked cards on this door that would hit the unique constraints
+  await prisma.rfidCard.deleteMany({
+    where: { doorId: door.id, OR: [{ userId }, { uidHash }] }
+  });
+  
   return prisma.rfidCard.create({
     data: { 
       doorId: door.id, 
@@ -336,8 +843,13 @@ async function addRfidCard(userId, uid) {
   });
 }
 
-// Remove/Revoke RFID card
-async function removeRfidCard(cardId) {
+// Remove/Revoke RFID card of a door
+async function removeRfidCard(cardId, doorId) {
+  const card = await prisma.rfidCard.findUnique({ where: { id: cardId } });
+  if (!card || card.doorId !== doorId) {
+    throw new Error('Thẻ RFID không tồn tại');
+  }
+  
   return prisma.rfidCard.update({
     where: { id: cardId },
     data: { status: 'REVOKED' }
@@ -346,11 +858,12 @@ async function removeRfidCard(cardId) {
 
 // ==================== RFID Authentication (Normal Usage) ====================
 
-async function authenticateRfid(uidHash) {
+async function authenticateRfid(uidHash, doorId) {
   const card = await prisma.rfidCard.findFirst({
-    where: { uidHash },
+    where: { uidHash, ...cardDoorFilter(doorId) },
     include: { 
-      user: { select: { id: true, username: true, role: true } }
+      user: { select: { id: true, username: true, role: true, accessSchedules: true } },
+      accessSchedules: true
     }
   });
   
@@ -367,7 +880,18 @@ async function authenticateRfid(uidHash) {
     };
   }
   
-  // Card is active - access granted
+  // Card is active - check its access schedule
+  const schedules = accessScheduleService.getApplicableSchedules(card);
+  if (!accessScheduleService.isWithinSchedule(schedules)) {
+    return {
+      allowed: false,
+      reason: 'outside_schedule',
+      userId: card.userId,
+      username: card.user.username
+    };
+  }
+  
+  // Access granted
   return {
     allowed: true,
     userId: card.userId,
@@ -376,37 +900,43 @@ async function authenticateRfid(uidHash) {
   };
 }
 
-async function getUserByRfidHash(uidHash) {
+async function getUserByRfidHash(uidHash, doorId) {
   const card = await prisma.rfidCard.findFirst({
-    where: { uidHash, status: 'ACTIVE' },
+    where: { uidHash, status: 'ACTIVE', ...cardDoorFilter(doorId) },
     include: { user: true }
   });
   return card?.user || null;
 }
 
-async function getRfidWhitelist() {
-  const door = await getOrCreateDoor();
+async function getRfidWhitelist(doorId) {
+  const door = await resolveDoor(doorId);
   
   const cards = await prisma.rfidCard.findMany({
     where: { doorId: door.id, status: 'ACTIVE' },
-    include: { user: { select: { username: true } } }
+    include: {
+      user: { select: { username: true, accessSchedules: true } },
+      accessSchedules: true
+    }
   });
   
+  // Schedules are included so the ESP32 can enforce them offline (empty = unrestricted)
   return cards.map(card => ({
     uidHash: card.uidHash,
-    username: card.user.username
+    username: card.user.username,
+    schedules: accessScheduleService.getApplicableSchedules(card)
+      .map(accessScheduleService.toDeviceSchedule)
   }));
 }
 
 // ==================== Access Logs ====================
 
-async function createAccessLog({ event, rfidUid, method, userId = null }) {
-  const door = await getOrCreateDoor();
+async function createAccessLog({ event, rfidUid, method, userId = null, doorId }) {
+  const door = await resolveDoor(doorId);
   
   // Find user by RFID if not provided
   if (!userId && rfidUid) {
     const uidHash = sha256(rfidUid.toUpperCase());
-    const user = await getUserByRfidHash(uidHash);
+    const user = await getUserByRfidHash(uidHash, door.id);
     userId = user?.id || null;
   }
   
@@ -415,10 +945,28 @@ async function createAccessLog({ event, rfidUid, method, userId = null }) {
   });
 }
 
-async function getAccessLogs({ page = 1, limit = 50, eventFilter }) {
-  const door = await getOrCreateDoor();
+// Events after which the door is expected to open
+const AUTHORIZED_OPEN_EVENTS = ['access_granted', 'duress_unlock', 'remote_unlock'];
+
+// Whether the door was unlocked legitimately within the last `windowMs`
+async function hasRecentAuthorizedAccess(doorId, windowMs) {
+  const log = await prisma.doorAccessLog.findFirst({
+    where: {
+      doorId,
+      event: { in: AUTHORIZED_OPEN_EVENTS },
+      timestamp: { gte: new Date(Date.now() - windowMs) }
+    }
+  });
+  
+  return !!log;
+}
+
+// Duress openings are left out unless `includeDuress` (see alertService.canSeeSilent)
+async function getAccessLogs({ page = 1, limit = 50, eventFilter, doorId, includeDuress = false }) {
+  const door = await resolveDoor(doorId);
   const where = { doorId: door.id };
   if (eventFilter) where.event = eventFilter;
+  if (!includeDuress) where.AND = [{ event: { not: 'duress_unlock' } }];
   
   const [logs, total] = await Promise.all([
     prisma.doorAccessLog.findMany({
@@ -438,16 +986,16 @@ async function getAccessLogs({ page = 1, limit = 50, eventFilter }) {
 
 // Get door open/close history (for display)
 // NOTE: This only shows ACCESS events, not card management events like lost card reports
-async function getDoorHistory({ page = 1, limit = 20, eventFilter }) {
-  const door = await getOrCreateDoor();
+async function getDoorHistory({ page = 1, limit = 20, eventFilter, doorId }) {
+  const door = await resolveDoor(doorId);
   
   // Build where clause based on filter
   // IMPORTANT: card_reported_lost is excluded - it's a card management event, not an access event
   let eventCondition;
   if (eventFilter === 'granted') {
-    eventCondition = { in: ['door_opened', 'access_granted'] };
+    eventCondition = { in: ['door_opened', 'access_granted', 'remote_unlock'] };
   } else if (eventFilter === 'denied') {
-    eventCondition = { in: ['access_denied', 'alarm_triggered'] };
+    eventCondition = { in: ['access_denied', 'alarm_triggered', 'forced_entry', 'door_held_open'] };
   } else {
     // All ACCESS events only (excludes card_reported_lost, enrollment_success, enrollment_failed)
     eventCondition = { 
@@ -455,8 +1003,11 @@ async function getDoorHistory({ page = 1, limit = 20, eventFilter }) {
         'door_opened', 
         'door_closed', 
         'access_granted', 
+        'remote_unlock',
         'access_denied',
-        'alarm_triggered'
+        'alarm_triggered',
+        'forced_entry',
+        'door_held_open'
       ] 
     };
   }
@@ -495,63 +1046,98 @@ async function getDoorHistory({ page = 1, limit = 20, eventFilter }) {
 
 // ==================== Config for ESP32 ====================
 
-async function getDoorConfig() {
-  const door = await getDoor();
+async function getDoorConfig(doorId) {
+  const door = await prisma.door.findFirst({ where: doorId ? { id: doorId } : { isDefault: true } });
   if (!door) return null;
   
   return {
+    doorId: door.id,
     pinHash: door.pinHash,
-    whitelist: door.rfidCards.map(card => ({
-      uidHash: card.uidHash,
-      username: card.user.username
-    }))
+    security: await getDeviceSecurityConfig(door),
+    whitelist: await getRfidWhitelist(door.id)
   };
 }
 
-// Get users without RFID card (for assignment)
-async function getUsersWithoutCard() {
+// Get users without an active RFID card on a door (for assignment)
+async function getUsersWithoutCard(doorId) {
   return prisma.user.findMany({
     where: { 
-      OR: [
-        { rfidCard: null },
-        { rfidCard: { status: 'REVOKED' } }
-      ]
+      rfidCards: { none: { status: 'ACTIVE', ...cardDoorFilter(doorId) } }
     },
     select: { id: true, username: true, role: true }
   });
 }
 
-// Get all users with their RFID status
-async function getAllUsersWithRfidStatus() {
+// Get all users with their RFID status on a door
+async function getAllUsersWithRfidStatus(doorId) {
   const users = await prisma.user.findMany({
-    include: {
-      rfidCard: {
-        where: { status: 'ACTIVE' }
+    select: {
+      id: true,
+      username: true,
+      role: true,
+      doorPinHash: true,
+      rfidCards: {
+        where: { status: 'ACTIVE', ...cardDoorFilter(doorId) }
       }
     },
     orderBy: { username: 'asc' }
   });
   
-  return users.map(user => ({
-    id: user.id,
-    username: user.username,
-    role: user.role,
-    hasRfidCard: !!user.rfidCard,
-    rfidCard: user.rfidCard ? {
-      id: user.rfidCard.id,
-      uid: user.rfidCard.uid,
-      status: user.rfidCard.status,
-      createdAt: user.rfidCard.createdAt
-    } : null
-  }));
+  return users.map(user => {
+    const card = user.rfidCards[0];
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      hasDoorPin: !!user.doorPinHash,
+      hasRfidCard: !!card,
+      rfidCard: card ? {
+        id: card.id,
+        uid: card.uid,
+        status: card.status,
+        createdAt: card.createdAt
+      } : null
+    };
+  });
 }
 
 module.exports = {
   sha256,
   getOrCreateDoor,
+  getDoorById,
+  resolveDoor,
+  listDoors,
+  createDoor,
+  updateDoor,
+  deleteDoor,
   getDoor,
   updateDoorPin,
   updateDoorStatus,
+  getDeviceSecret,
+  rotateDeviceSecret,
+  setAllowUnsigned,
+  // Personal PINs
+  getUserPinStatus,
+  setUserPin,
+  resetUserPin,
+  authenticatePin,
+  // Duress PINs
+  setUserDuressPin,
+  clearUserDuressPin,
+  setDoorDuressPin,
+  clearDoorDuressPin,
+  getDuressAlertRecipients,
+  getDuressAlertSettings,
+  setDuressAlerts,
+  // Security mode
+  getEffectiveSecurityMode,
+  getSecurityConfig,
+  getDeviceSecurityConfig,
+  updateSecurityMode,
+  addSecurityRule,
+  removeSecurityRule,
+  checkRfidSecurity,
+  checkPinSecurity,
   // Enrollment
   startEnrollment,
   cancelEnrollment,
@@ -569,6 +1155,7 @@ module.exports = {
   getRfidWhitelist,
   // Logs
   createAccessLog,
+  hasRecentAuthorizedAccess,
   getAccessLogs,
   getDoorHistory,
   // Config
@@ -0,0 +1,116 @@
+const prisma = require('../lib/prisma');
+
+const COMMAND_TIMEOUT = parseInt(process.env.DOOR_COMMAND_TIMEOUT_MS) || 10000;
+
+// Requests waiting for a command's ack: commandId -> callback
+const waiters = new Map();
+
+async function createCommand({ doorId, action, requestedById }) {
+  return prisma.doorCommand.create({
+    data: { doorId, action, requestedById }
+  });
+}
+
+async function getCommand(commandId, doorId) {
+  const command = await prisma.doorCommand.findUnique({
+    where: { id: commandId },
+    include: { requestedBy: { select: { id: true, username: true } } }
+  });
+
+  if (!command || command.doorId !== doorId) {
+    throw new Error('Lệnh không tồn tại');
+  }
+
+  return command;
+}
+
+async function getCommands({ doorId, page = 1, limit = 20 }) {
+  const where = { doorId };
+
+  const [commands, total] = await Promise.all([
+    prisma.doorCommand.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+      include: { requestedBy: { select: { id: true, username: true } } }
+    }),
+    prisma.doorCommand.count({ where })
+  ]);
+
+  return { commands, total, page, totalPages: Math.ceil(total / limit) };
+}
+
+function notifyWaiter(command) {
+  const waiter = waiters.get(command.id);
+  if (waiter) {
+    waiters.delete(command.id);
+    waiter(command);
+  }
+}
+
+// Record the device's ack; returns null if the command is unknown or already settled
+async function acknowledgeCommand(commandId, doorId, { success, error }) {
+  const { count } = await prisma.doorCommand.updateMany({
+    where: { id: commandId, doorId, status: 'PENDING' },
+    data: {
+      status: success ? 'SUCCEEDED' : 'FAILED',
+      error: success ? null : error || 'unknown_error',
+      ackedAt: new Date()
+    }
+  });
+
+  if (count === 0) return null;
+
+  const command = await prisma.doorCommand.findUnique({ where: { id: commandId } });
+  notifyWaiter(command);
+  return command;
+}
+
+async function timeOutCommand(commandId) {
+  await prisma.doorCommand.updateMany({
+    where: { id: commandId, status: 'PENDING' },
+    data: { status: 'TIMED_OUT' }
+  });
+
+  return prisma.doorCommand.findUnique({ where: { id: commandId } });
+}
+
+// Resolve with the settled command once acked, or timed out after COMMAND_TIMEOUT.
+// Call before publishing the command so a fast ack cannot be missed
+function waitForAck(commandId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      waiters.delete(commandId);
+      timeOutCommand(commandId).then(resolve, reject);
+    }, COMMAND_TIMEOUT);
+
+    waiters.set(commandId, (command) => {
+      clearTimeout(timer);
+      resolve(command);
+    });
+  });
+}
+
+// Mark commands nobody waited for as TIMED_OUT (runs periodically)
+async function expireCommands() {
+  const { count } = await prisma.doorCommand.updateMany({
+    where: { status: 'PENDING', createdAt: { lte: new Date(Date.now() - COMMAND_TIMEOUT) } },
+    data: { status: 'TIMED_OUT' }
+  });
+
+  if (count > 0) {
+    console.log(`⏰ ${count} door command(s) timed out`);
+  }
+
+  return count;
+}
+
+module.exports = {
+  createCommand,
+  getCommand,
+  getCommands,
+  acknowledgeCommand,
+  waitForAck,
+  expireCommands
+};
@@ -0,0 +1,262 @@
+const prisma = require('../lib/prisma');
+const pushService = require('./push.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+const mqttService = require('./mqtt.service');
+
+const MINUTE = 60 * 1000;
+const ALERT_TYPES = ['fire', 'gas', 'door', 'device', 'sensor', 'security'];
+const ALERT_LEVELS = ['INFO', 'WARNING', 'CRITICAL'];
+const STEP_ACTIONS = ['renotify', 'notify_users', 'mqtt_publish'];
+const MAX_STEPS = 10;
+// Escalation may sound alarms and sirens, but never reach door or other device topics
+const ESCALATION_TOPIC_PATTERN = /^home\/(alarm|siren)(\/[A-Za-z0-9_-]+)+$/;
+
+// ==================== Policies ====================
+
+async function validateStep(step, previous) {
+  if (!step || typeof step !== 'object') {
+    throw new Error('Bước leo thang không hợp lệ');
+  }
+
+  if (typeof step.afterMinutes !== 'number' || !(step.afterMinutes > 0)) {
+    throw new Error('afterMinutes của mỗi bước phải là số dương');
+  }
+
+  if (previous && step.afterMinutes < previous.afterMinutes) {
+    throw new Error('Các bước phải theo thứ tự thời gian tăng dần');
+  }
+
+  if (!STEP_ACTIONS.includes(step.action)) {
+    throw new Error(`Hành động phải là một trong: ${STEP_ACTIONS.join(', ')}`);
+  }
+
+  if (step.action === 'notify_users') {
+    if (!Array.isArray(step.userIds) || step.userIds.length === 0 || !step.userIds.every(Number.isInteger)) {
+      throw new Error('Cần danh sách người nhận (userIds) cho bước notify_users');
+    }
+
+    const found = await prisma.user.count({ where: { id: { in: step.userIds } } });
+    if (found !== new Set(step.userIds).size) {
+      throw new Error('Người nhận không tồn tại');
+    }
+  }
+
+  if (step.action === 'mqtt_publish') {
+    if (typeof step.topic !== 'string' || !step.topic || /[+#]/.test(step.topic)) {
+      throw new Error('Topic MQTT không hợp lệ');
+    }
+
+    if (!ESCALATION_TOPIC_PATTERN.test(step.topic)) {
+      throw new Error('Chỉ được gửi lệnh MQTT tới home/alarm/... hoặc home/siren/...');
+    }
+
+    if (step.message !== undefined && (typeof step.message !== 'object' || step.message === null || Array.isArray(step.message))) {
+      throw new Error('Nội dung lệnh MQTT phải là một object');
+    }
+  }
+}
+
+async function validateSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('Chính sách cần ít nhất một bước');
+  }
+
+  if (steps.length > MAX_STEPS) {
+    throw new Error(`Tối đa ${MAX_STEPS} bước`);
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    await validateStep(steps[i], steps[i - 1]);
+  }
+}
+
+// Only the fields a step's action uses are stored
+function normalizeStep({ afterMinutes, action, userIds, topic, message }) {
+  if (action === 'notify_users') return { afterMinutes, action, userIds: [...new Set(userIds)] };
+  if (action === 'mqtt_publish') return { afterMinutes, action, topic, message: message || {} };
+  return { afterMinutes, action };
+}
+
+async function validatePolicy({ name, alertType, minLevel, steps }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new Error('Tên chính sách không được để trống');
+  }
+
+  if (alertType !== undefined && alertType !== null && !ALERT_TYPES.includes(alertType)) {
+    throw new Error(`Loại cảnh báo phải là một trong: ${ALERT_TYPES.join(', ')}`);
+  }
+
+  if (minLevel !== undefined && !ALERT_LEVELS.includes(minLevel)) {
+    throw new Error(`Mức cảnh báo phải là một trong: ${ALERT_LEVELS.join(', ')}`);
+  }
+
+  if (steps !== undefined) {
+    await validateSteps(steps);
+  }
+}
+
+async function listPolicies() {
+  return prisma.escalationPolicy.findMany({ orderBy: { id: 'asc' } });
+}
+
+async function getPolicy(policyId) {
+  const policy = await prisma.escalationPolicy.findUnique({ where: { id: policyId } });
+
+  if (!policy) {
+    throw new Error('Chính sách leo thang không tồn tại');
+  }
+
+  return policy;
+}
+
+async function createPolicy({ name, alertType = null, minLevel = 'CRITICAL', steps, enabled = true }) {
+  if (name === undefined) {
+    throw new Error('Tên chính sách không được để trống');
+  }
+
+  await validatePolicy({ name, alertType, minLevel, steps });
+
+  return prisma.escalationPolicy.create({
+    data: {
+      name: name.trim(),
+      alertType,
+      minLevel,
+      steps: steps.map(normalizeStep),
+      enabled: Boolean(enabled)
+    }
+  });
+}
+
+async function updatePolicy(policyId, { name, alertType, minLevel, steps, enabled }) {
+  await getPolicy(policyId);
+  await validatePolicy({ name, alertType, minLevel, steps });
+
+  return prisma.escalationPolicy.update({
+    where: { id: policyId },
+    data: {
+      name: name?.trim(),
+      alertType,
+      minLevel,
+      steps: steps?.map(normalizeStep),
+      enabled: enabled === undefined ? undefined : Boolean(enabled)
+    }
+  });
+}
+
+async function deletePolicy(policyId) {
+  const policy = await getPolicy(policyId);
+  await prisma.escalationPolicy.delete({ where: { id: policyId } });
+  return policy;
+}
+
+// ==================== Escalation Job ====================
+
+// Policy for an alert: one for its type takes precedence over a catch-all
+function findPolicyFor(alert, policies) {
+  const matching = policies.filter(policy =>
+    (policy.alertType === null || policy.alertType === alert.type) &&
+    ALERT_LEVELS.indexOf(alert.level) >= ALERT_LEVELS.indexOf(policy.minLevel)
+  );
+
+  return matching.find(policy => policy.alertType === alert.type) || matching[0] || null;
+}
+
+function describeStep(step) {
+  if (step.action === 'renotify') return 'Leo thang: gửi lại thông báo cho mọi người';
+  if (step.action === 'notify_users') return `Leo thang: thông báo cho ${step.userIds.length} người liên hệ dự phòng`;
+  return `Leo thang: gửi lệnh MQTT tới ${step.topic}`;
+}
+
+async function executeStep(alert, step) {
+  const title = '⏰ Cảnh báo chưa được xác nhận';
+
+  if (step.action === 'renotify') {
+    await pushService.sendToAll(title, alert.message, {
+      category: notificationPreferenceService.categoryForAlert(alert),
+      level: alert.level
+    });
+  } else if (step.action === 'notify_users') {
+    // Contacts chosen in the policy are reached regardless of their preferences
+    for (const userId of step.userIds) {
+      await pushService.sendToUser(userId, title, alert.message);
+    }
+  } else if (step.action === 'mqtt_publish') {
+    // Policies saved before the topic allowlist may still point elsewhere
+    if (!ESCALATION_TOPIC_PATTERN.test(step.topic)) {
+      console.warn(`Escalation step skipped, topic not allowed: ${step.topic}`);
+      return;
+    }
+
+    mqttService.publish(step.topic, {
+      ...step.message,
+      alertId: alert.id,
+      alertType: alert.type,
+      level: alert.level
+    });
+  }
+
+  // Keep the escalation visible in the alert's thread
+  await prisma.alertNote.create({
+    data: { alertId: alert.id, userId: null, authorName: 'system', text: describeStep(step) }
+  });
+}
+
+// Run the next due step of every open alert. Acknowledging or resolving an
+// alert takes it out of OPEN, which stops its escalation
+async function runEscalations() {
+  const policies = await prisma.escalationPolicy.findMany({
+    where: { enabled: true },
+    orderBy: { id: 'asc' }
+  });
+  if (policies.length === 0) return 0;
+
+  const now = Date.now();
+  const firstDelay = Math.min(...policies.map(policy => policy.steps[0].afterMinutes));
+  // Silent (duress) alerts must not reach anyone beyond the chosen admins
+  const alerts = await prisma.alert.findMany({
+    where: {
+      status: 'OPEN',
+      silent: false,
+      escalationStep: { lt: MAX_STEPS },
+      createdAt: { lte: new Date(now - firstDelay * MINUTE) }
+    }
+  });
+
+  let executed = 0;
+  for (const alert of alerts) {
+    // An alert keeps the policy it started escalating under
+    const policy = alert.escalationPolicyId
+      ? policies.find(p => p.id === alert.escalationPolicyId)
+      : findPolicyFor(alert, policies);
+    if (!policy) continue;
+
+    const step = policy.steps[alert.escalationStep];
+    if (!step || now - alert.createdAt.getTime() < step.afterMinutes * MINUTE) continue;
+
+    // Claim the step first so overlapping runs never carry it out twice
+    const { count } = await prisma.alert.updateMany({
+      where: { id: alert.id, status: 'OPEN', escalationStep: alert.escalationStep },
+      data: { escalationStep: alert.escalationStep + 1, escalationPolicyId: policy.id }
+    });
+    if (count === 0) continue;
+
+    try {
+      await executeStep(alert, step);
+      executed++;
+    } catch (error) {
+      console.error(`Escalation step of alert ${alert.id} failed:`, error);
+    }
+  }
+
+  return executed;
+}
+
+module.exports = {
+  listPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  findPolicyFor,
+  runEscalations
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const doorService = require('./door.service');
+
+const GUEST_PIN_LENGTH = 6;
+const MAX_GUEST_CODE_USES = 100;
+
+// Never expose the PIN hash through the API
+function formatGuestCode(code) {
+  const { pinHash, ...rest } = code;
+  return rest;
+}
+
+function generatePin() {
+  return crypto.randomInt(0, 10 ** GUEST_PIN_LENGTH).toString().padStart(GUEST_PIN_LENGTH, '0');
+}
+
+async function isPinInUse(doorId, pinHash) {
+  const existing = await prisma.guestCode.findFirst({
+    where: { doorId, pinHash, status: 'ACTIVE' }
+  });
+  return !!existing;
+}
+
+// Mint a guest PIN; the plain PIN is only returned here, once
+async function createGuestCode({ doorId, label, maxUses = 1, expiresAt, pin, createdById }) {
+  const door = await doorService.resolveDoor(doorId);
+
+  if (!label) {
+    throw new Error('Cần nhập tên khách');
+  }
+
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_GUEST_CODE_USES) {
+    throw new Error(`Số lần sử dụng phải từ 1 đến ${MAX_GUEST_CODE_USES}`);
+  }
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+    throw new Error('Thời gian hết hạn phải ở tương lai');
+  }
+
+  let guestPin = pin;
+  if (guestPin) {
+    if (!/^\d{4,8}$/.test(guestPin)) {
+      throw new Error('Mã khách phải có từ 4 đến 8 chữ số');
+    }
+    if (doorService.sha256(guestPin) === door.pinHash || await isPinInUse(door.id, doorService.sha256(guestPin))) {
+      throw new Error('Mã khách đã được sử dụng');
+    }
+  } else {
+    do {
+      guestPin = generatePin();
+    } while (await isPinInUse(door.id, doorService.sha256(guestPin)));
+  }
+
+  const code = await prisma.guestCode.create({
+    data: {
+      doorId: door.id,
+      label,
+      pinHash: doorService.sha256(guestPin),
+      maxUses,
+      expiresAt: expiry,
+      createdById
+    }
+  });
+
+  return { ...formatGuestCode(code), pin: guestPin };
+}
+
+async function getGuestCodes({ doorId, status }) {
+  const door = await doorService.resolveDoor(doorId);
+  const where = { doorId: door.id };
+  if (status) where.status = status;
+
+  const codes = await prisma.guestCode.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    include: { createdBy: { select: { id: true, username: true } } }
+  });
+
+  return codes.map(formatGuestCode);
+}
+
+async function revokeGuestCode(codeId, doorId) {
+  const code = await prisma.guestCode.findUnique({ where: { id: codeId } });
+
+  if (!code || code.doorId !== doorId) {
+    throw new Error('Mã khách không tồn tại');
+  }
+
+  const revoked = await prisma.guestCode.update({
+    where: { id: codeId },
+    data: { status: 'REVOKED' }
+  });
+
+  return formatGuestCode(revoked);
+}
+
+// Validate a guest PIN entered on the door keypad and consume one use
+async function redeemGuestCode(pinHash, doorId) {
+  const now = new Date();
+  const code = await prisma.guestCode.findFirst({
+    where: { doorId, pinHash, status: 'ACTIVE' }
+  });
+
+  if (!code) {
+    return { allowed: false, reason: 'unknown_code' };
+  }
+
+  if (code.expiresAt <= now) {
+    await prisma.guestCode.update({
+      where: { id: code.id },
+      data: { status: 'EXPIRED' }
+    });
+    return { allowed: false, reason: 'code_expired', label: code.label };
+  }
+
+  // Guarded increment so concurrent entries cannot exceed the usage limit
+  const { count } = await prisma.guestCode.updateMany({
+    where: { id: code.id, status: 'ACTIVE', useCount: { lt: code.maxUses } },
+    data: { useCount: { increment: 1 }, lastUsedAt: now }
+  });
+
+  if (count === 0) {
+    return { allowed: false, reason: 'code_exhausted', label: code.label };
+  }
+
+  const remainingUses = code.maxUses - code.useCount - 1;
+  if (remainingUses <= 0) {
+    await prisma.guestCode.update({
+      where: { id: code.id },
+      data: { status: 'EXHAUSTED' }
+    });
+  }
+
+  return {
+    allowed: true,
+    guestCodeId: code.id,
+    label: code.label,
+    remainingUses
+  };
+}
+
+// Mark codes past their expiry time as EXPIRED (runs periodically)
+async function expireGuestCodes() {
+  const { count } = await prisma.guestCode.updateMany({
+    where: { status: 'ACTIVE', expiresAt: { lte: new Date() } },
+    data: { status: 'EXPIRED' }
+  });
+
+  if (count > 0) {
+    console.log(`⏰ Expired ${count} guest code(s)`);
+  }
+
+  return count;
+}
+
+module.exports = {
+  createGuestCode,
+  getGuestCodes,
+  revokeGuestCode,
+  redeemGuestCode,
+  expireGuestCodes
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const authService = require('./auth.service');
+const roleService = require('./role.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_TTL = parseInt(process.env.INVITATION_TTL_MS) || 7 * DAY;
+const MAX_TTL = 30 * DAY;
+const STATUSES = ['PENDING', 'ACCEPTED', 'EXPIRED', 'REVOKED'];
+// Where the app opens invitations, e.g. https://home.example.com/invite;
+// without it only the code is handed out
+const INVITE_BASE_URL = process.env.INVITE_BASE_URL;
+const MAX_NOTE_LENGTH = 191;
+const INVALID_INVITATION = 'Lời mời không hợp lệ hoặc đã hết hạn';
+const USER_SELECT = { select: { id: true, username: true } };
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function statusOf(invitation, now = new Date()) {
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt <= now) return 'EXPIRED';
+  return 'PENDING';
+}
+
+// Never expose the code hash through the API
+function formatInvitation(invitation) {
+  const { codeHash, ...rest } = invitation;
+  return { ...rest, status: statusOf(invitation) };
+}
+
+function inviteLink(code) {
+  if (!INVITE_BASE_URL) return null;
+  const separator = INVITE_BASE_URL.includes('?') ? '&' : '?';
+  return `${INVITE_BASE_URL}${separator}code=${encodeURIComponent(code)}`;
+}
+
+function parseExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) {
+    return new Date(Date.now() + DEFAULT_TTL);
+  }
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+    throw new Error('Thời gian hết hạn phải ở tương lai');
+  }
+  if (expiry.getTime() - Date.now() > MAX_TTL) {
+    throw new Error('Lời mời chỉ có hiệu lực tối đa 30 ngày');
+  }
+  return expiry;
+}
+
+// Mint an invitation; the code (and link) is only returned here, once
+// `createdBy` can only invite with roles it could assign itself
+async function createInvitation({ role = roleService.DEFAULT_ROLE, note, expiresAt, createdBy }) {
+  await roleService.assertCanAssign(createdBy, role);
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw new Error(`Ghi chú tối đa ${MAX_NOTE_LENGTH} ký tự`);
+  }
+
+  const code = crypto.randomBytes(18).toString('base64url');
+  const invitation = await prisma.invitation.create({
+    data: {
+      codeHash: hashCode(code),
+      role,
+      note: note?.trim() || null,
+      expiresAt: parseExpiry(expiresAt),
+      createdById: createdBy.id
+    }
+  });
+
+  return { ...formatInvitation(invitation), code, link: inviteLink(code) };
+}
+
+async function listInvitations({ status } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw new Error(`Trạng thái phải là một trong: ${STATUSES.join(', ')}`);
+  }
+
+  const invitations = await prisma.invitation.findMany({
+    orderBy: { createdAt: 'desc' },
+    include: { createdBy: USER_SELECT, acceptedBy: USER_SELECT }
+  });
+
+  return invitations
+    .map(formatInvitation)
+    .filter(invitation => !status || invitation.status === status);
+}
+
+// Guarded so an invitation being accepted right now cannot also be revoked
+async function revokeInvitation(id) {
+  const { count } = await prisma.invitation.updateMany({
+    where: { id, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new Error('Lời mời không tồn tại hoặc đã được sử dụng');
+  }
+
+  return formatInvitation(await prisma.invitation.findUnique({ where: { id } }));
+}
+
+async function findPending(code) {
+  const invitation = typeof code === 'string' && code
+    ? await prisma.invitation.findUnique({ where: { codeHash: hashCode(code) } })
+    : null;
+
+  if (!invitation || statusOf(invitation) !== 'PENDING') {
+    throw new Error(INVALID_INVITATION);
+  }
+
+  return invitation;
+}
+
+// What the sign-up screen shows before the invitation is accepted
+async function previewInvitation(code) {
+  const invitation = await findPending(code);
+  return { role: invitation.role, note: invitation.note, expiresAt: invitation.expiresAt };
+}
+
+// Create an account with the invitation's role. The invitation is claimed
+// first, so parallel requests with one code cannot create two accounts
+async function acceptInvitation(code, { username, password }) {
+  const invitation = await findPending(code);
+  const now = new Date();
+
+  const { count } = await prisma.invitation.updateMany({
+    where: { id: invitation.id, acceptedAt: null, revokedAt: null, expiresAt: { gt: now } },
+    data: { acceptedAt: now }
+  });
+  if (count === 0) throw new Error(INVALID_INVITATION);
+
+  let user;
+  try {
+    user = await authService.createUser({ username, password, role: invitation.role });
+  } catch (error) {
+    // Give the invitation back, e.g. to retry with another username
+    await prisma.invitation.update({ where: { id: invitation.id }, data: { acceptedAt: null } });
+    throw error;
+  }
+
+  await prisma.invitation.update({ where: { id: invitation.id }, data: { acceptedById: user.id } });
+  return { user, invitationId: invitation.id };
+}
+
+module.exports = {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  previewInvitation,
+  acceptInvitation
+};
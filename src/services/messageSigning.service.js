@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+
+// Signed MQTT envelope exchanged with door controllers:
+//   { payload: "<JSON string>", seq, nonce, sig }
+// sig = HMAC-SHA256(secret, topic \n seq \n nonce \n payload), hex encoded.
+// Outgoing seq strictly increases so the device can drop anything not newer
+// than the last seq it accepted; incoming seq is the device's Unix time in ms.
+
+// Accepted difference between a device's clock and ours
+const MAX_CLOCK_SKEW = parseInt(process.env.MQTT_SIGNATURE_MAX_SKEW_MS) || 60000;
+const MAX_NONCE_LENGTH = 64;
+
+let lastSeq = 0;
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function computeSignature(secret, topic, { payload, seq, nonce }) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${topic}\n${seq}\n${nonce}\n${payload}`)
+    .digest('hex');
+}
+
+// Millisecond-based so it keeps increasing across backend restarts
+function nextSeq() {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  return lastSeq;
+}
+
+function signMessage(secret, topic, message) {
+  const envelope = {
+    payload: JSON.stringify(message),
+    seq: nextSeq(),
+    nonce: crypto.randomBytes(8).toString('hex')
+  };
+
+  return { ...envelope, sig: computeSignature(secret, topic, envelope) };
+}
+
+// Remember a nonce for as long as its message could pass the clock check.
+// Stored in the database so replays are caught across restarts; the primary
+// key makes two deliveries of the same message race safely
+async function claimNonce(deviceKey, nonce, now) {
+  try {
+    await prisma.messageNonce.create({
+      data: { key: `${deviceKey}:${nonce}`, expiresAt: new Date(now + 2 * MAX_CLOCK_SKEW) }
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+}
+
+async function pruneNonces() {
+  const { count } = await prisma.messageNonce.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  return count;
+}
+
+// Verify a device's envelope; returns { valid, reason } or { valid, message }
+async function verifyMessage(secret, topic, envelope, deviceKey) {
+  const { payload, seq, nonce, sig } = envelope || {};
+
+  if (typeof payload !== 'string' || !Number.isFinite(seq) || typeof sig !== 'string' ||
+      typeof nonce !== 'string' || !nonce || nonce.length > MAX_NONCE_LENGTH) {
+    return { valid: false, reason: 'unsigned_message' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, topic, envelope), 'hex');
+  const received = Buffer.from(sig, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  const now = Date.now();
+  if (Math.abs(now - seq) > MAX_CLOCK_SKEW) {
+    return { valid: false, reason: 'stale_message' };
+  }
+
+  if (!await claimNonce(deviceKey, nonce, now)) {
+    return { valid: false, reason: 'replayed_message' };
+  }
+
+  try {
+    return { valid: true, message: JSON.parse(payload) };
+  } catch {
+    return { valid: false, reason: 'invalid_payload' };
+  }
+}
+
+module.exports = { generateSecret, computeSignature, signMessage, verifyMessage, pruneNonces };
@@ -1,25 +1,71 @@
 const mqtt = require('mqtt');
 const alertService = require('./alert.service');
 const pushService = require('./push.service');
+const notificationPreferenceService = require('./notificationPreference.service');
+const guestCodeService = require('./guestCode.service');
+const doorCommandService = require('./doorCommand.service');
+const messageSigning = require('./messageSigning.service');
+const deviceService = require('./device.service');
+const deviceHealthService = require('./deviceHealth.service');
+const sensorService = require('./sensor.service');
+const sensorThresholdService = require('./sensorThreshold.service');
 
 let client = null;
+// Doors reporting status without a registered controller; registered devices
+// are tracked in the database by deviceHealthService
 const deviceLastSeen = new Map();
+const lastSecurityMode = new Map();
 const OFFLINE_THRESHOLD = parseInt(process.env.ESP32_OFFLINE_THRESHOLD_MS) || 30000;
+// A door opening this long after the last unlock counts as forced entry
+const FORCED_ENTRY_WINDOW = parseInt(process.env.DOOR_FORCED_ENTRY_WINDOW_MS) || 30000;
+// Held-open alerts escalate to CRITICAL from this repetition on
+const HELD_OPEN_CRITICAL_AFTER = 3;
+// Doors currently open: doorId -> { openedAt, alertCount }
+const openDoors = new Map();
+// A door's rejected messages are logged at most once per reason in this
+// interval, so a faulty or hostile publisher cannot flood doorAccessLog
+const REJECTED_MESSAGE_LOG_INTERVAL = parseInt(process.env.DOOR_REJECTED_LOG_INTERVAL_MS) || 60000;
+// Last message_rejected row: `${doorId}:${reason}` -> logged at
+const lastRejectionLogged = new Map();
+
+// Door subtopics, published as door/<subtopic> by the default door
+// and as door/<doorId>/<subtopic> by every other door
+const DOOR_SUBTOPICS = [
+  'access',
+  'alarm',
+  'status',
+  'rfid/check',
+  'rfid/auth',
+  'pin/auth',
+  'guest/auth',
+  'enrollment/result',
+  'command/ack'
+];
 
 const TOPICS = [
-  'home/sensor/fire',
-  'home/sensor/gas',
+  // Every sensor reading is stored; fire and gas also raise alerts
+  'home/sensor/+',
   'home/door/state',
   'home/device/heartbeat',
-  // Single door access topics
+  // Provisioning handshake of registered devices
+  'home/device/provision/request',
+  // Default door access topics (legacy single-door firmware)
   'door/access',
   'door/alarm',
   'door/status',
   // RFID enrollment topics
   'door/rfid/check',
   'door/rfid/auth',
+  // PIN authentication (personal and shared PINs)
+  'door/pin/auth',
+  // Guest PIN authentication
+  'door/guest/auth',
   // Enrollment result (for logging)
-  'door/enrollment/result'
+  'door/enrollment/result',
+  // Command acknowledgements
+  'door/command/ack',
+  // Per-door topics
+  ...DOOR_SUBTOPICS.map(subtopic => `door/+/${subtopic}`)
 ];
 
 function connect() {
@@ -47,11 +93,19 @@ function connect() {
     alertService.setMqttPublish(publish);
   });
 
-  client.on('message', handleMessage);
+  // A bad message must not become an unhandled rejection and stop the server
+  client.on('message', (topic, message) => handleMessage(topic, message)
+    .catch(error => console.error(`MQTT handler error on ${topic}:`, error)));
   client.on('error', (err) => console.error('MQTT error:', err));
 
   // Check for offline devices every 10 seconds
   setInterval(checkOfflineDevices, 10000);
+
+  // Check for doors left open every 5 seconds
+  setInterval(checkHeldOpenDoors, 5000);
+
+  // Apply time-of-day security mode switches every minute
+  setInterval(checkSecurityModes, 60000);
 }
 
 async function handleMessage(topic, message) {
@@ -60,91 +114,238 @@ async function handleMessage(topic, message) {
 
   if (topic === 'home/sensor/fire') {
     await handleFireAlert(payload);
-  } else if (topic === 'home/sensor/gas') {
-    await handleGasAlert(payload);
+  } else if (topic.startsWith('home/sensor/')) {
+    await handleSensorThresholds(topic.slice('home/sensor/'.length), payload);
   } else if (topic === 'home/door/state') {
     await handleDoorEvent(payload);
   } else if (topic === 'home/device/heartbeat') {
-    deviceLastSeen.set(payload.deviceId, Date.now());
+    await handleHeartbeat(payload);
+  } else if (topic === 'home/device/provision/request') {
+    await handleProvisionRequest(payload);
   }
   // Door access system topics
   else if (topic.startsWith('door/')) {
     await handleDoorAccessMessage(topic, payload);
   }
+
+  if (topic.startsWith('home/sensor/')) {
+    await storeSensorReading(topic, payload);
+  }
 }
 
-// ==================== Single Door Access Handlers ====================
+// ==================== Door Access Handlers ====================
 const doorService = require('./door.service');
 
+// Split a door topic into its door ID and subtopic (legacy topics have no door ID)
+function parseDoorTopic(topic) {
+  const rest = topic.slice('door/'.length);
+  if (DOOR_SUBTOPICS.includes(rest)) {
+    return { doorId: null, subtopic: rest };
+  }
+
+  const [doorId, ...parts] = rest.split('/');
+  return { doorId, subtopic: parts.join('/') };
+}
+
+// The default door keeps the legacy un-prefixed topics so existing firmware works unchanged
+function doorTopic(door, subtopic) {
+  return door.isDefault ? `door/${subtopic}` : `door/${door.id}/${subtopic}`;
+}
+
+// Messages to a door are signed once the door has a device secret
+async function publishToDoor(door, subtopic, message) {
+  const topic = doorTopic(door, subtopic);
+  const secret = await doorService.getDeviceSecret(door.id);
+  publish(topic, secret ? messageSigning.signMessage(secret, topic, message) : message);
+}
+
+// Check a door message's signature and unwrap it. Once a door has a device
+// secret every message must be signed; before that only doors explicitly
+// flagged for legacy firmware (allowUnsigned) may send plain JSON
+async function verifyDoorMessage(door, topic, payload) {
+  const secret = await doorService.getDeviceSecret(door.id);
+  if (secret) return messageSigning.verifyMessage(secret, topic, payload, door.id);
+  if (door.allowUnsigned) return { valid: true, message: payload };
+
+  return { valid: false, reason: 'door_not_provisioned' };
+}
+
+async function rejectDoorMessage(door, topic, reason) {
+  console.warn(`🚫 Rejected message on ${topic}: ${reason}`);
+
+  const key = `${door.id}:${reason}`;
+  const now = Date.now();
+  if (now - (lastRejectionLogged.get(key) || 0) < REJECTED_MESSAGE_LOG_INTERVAL) return;
+  lastRejectionLogged.set(key, now);
+
+  await doorService.createAccessLog({
+    event: 'message_rejected',
+    rfidUid: null,
+    method: reason,
+    doorId: door.id
+  });
+}
+
+// Push a door's security mode and time-of-day rules to its controller
+async function publishSecurityConfig(doorId) {
+  const door = await doorService.resolveDoor(doorId);
+  const security = await doorService.getDeviceSecurityConfig(door);
+  await publishToDoor(door, 'config/security', {
+    action: 'update_security',
+    ...security,
+    timestamp: Date.now()
+  });
+  lastSecurityMode.set(door.id, security.mode);
+}
+
+// Push the current RFID whitelist to a door's controller
+async function publishRfidWhitelist(doorId) {
+  const door = await doorService.resolveDoor(doorId);
+  const whitelist = await doorService.getRfidWhitelist(door.id);
+  await publishToDoor(door, 'config/rfid', {
+    action: 'update_rfid',
+    whitelist,
+    timestamp: Date.now()
+  });
+}
+
 async function handleDoorAccessMessage(topic, payload) {
-  if (topic === 'door/access') {
-    // Log access attempt with user lookup
+  const { doorId, subtopic } = parseDoorTopic(topic);
+
+  let door;
+  try {
+    door = await doorService.resolveDoor(doorId);
+  } catch (error) {
+    console.error(`Unknown door on ${topic}:`, error.message);
+    return;
+  }
+
+  const verified = await verifyDoorMessage(door, topic, payload);
+  if (!verified.valid) {
+    await rejectDoorMessage(door, topic, verified.reason);
+    return;
+  }
+  payload = verified.message;
+
+  if (subtopic === 'access') {
+    // Log access attempt with user lookup (userId is sent for personal PINs)
     await doorService.createAccessLog({
       event: payload.event,
       rfidUid: payload.rfidUid,
-      method: payload.method
+      method: payload.method,
+      userId: parseInt(payload.userId) || null,
+      doorId: door.id
     });
 
     // Get username for notification
     let username = 'Unknown';
     if (payload.rfidUid) {
       const uidHash = doorService.sha256(payload.rfidUid.toUpperCase());
-      const user = await doorService.getUserByRfidHash(uidHash);
+      const user = await doorService.getUserByRfidHash(uidHash, door.id);
       username = user?.username || payload.rfidUid;
     }
 
     // Send push notification for denied access
     if (payload.event === 'access_denied') {
-      await pushService.sendToAll('🚪 Truy cập bị từ chối', `${username} - ${payload.method}`);
+      await pushService.sendToAll('🚪 Truy cập bị từ chối', `${username} - ${payload.method}`, {
+        category: 'access_denied',
+        level: 'WARNING'
+      });
     }
   }
-  else if (topic === 'door/alarm') {
+  else if (subtopic === 'alarm') {
     // Log alarm and send notification
     await doorService.createAccessLog({
       event: 'alarm_triggered',
       rfidUid: payload.lastRfid,
-      method: payload.reason
+      method: payload.reason,
+      doorId: door.id
     });
 
-    await alertService.createAlert({
+    const alert = await alertService.createAlert({
       type: 'door',
       level: 'CRITICAL',
-      message: `Cảnh báo cửa: ${payload.reason} (${payload.failCount} lần thất bại)`
+      message: `Cảnh báo cửa (${door.name}): ${payload.reason} (${payload.failCount} lần thất bại)`,
+      source: `alarm:${door.id}`
     });
 
-    await pushService.sendToAll('🚨 CẢNH BÁO CỬA!', payload.reason);
+    await notifyAlert(alert, '🚨 CẢNH BÁO CỬA!', `${door.name}: ${payload.reason}`);
   }
-  else if (topic === 'door/status') {
+  else if (subtopic === 'status') {
     // Update door online status
-    await doorService.updateDoorStatus(payload.online);
-    deviceLastSeen.set('door', Date.now());
+    await doorService.updateDoorStatus(payload.online, door.id);
+    await handleDoorStatusSeen(door);
   }
   // ==================== RFID Handlers ====================
-  else if (topic === 'door/rfid/check') {
+  else if (subtopic === 'rfid/check') {
     // Check if in enrollment mode first
-    const enrollmentStatus = await doorService.getEnrollmentStatus();
+    const enrollmentStatus = await doorService.getEnrollmentStatus(door.id);
     if (enrollmentStatus.active) {
       // Enrollment mode - register new card
-      await handleEnrollmentScan(payload);
+      await handleEnrollmentScan(payload, door);
     } else {
       // Normal mode - authenticate card
-      await handleRfidAuth(payload);
+      await handleRfidAuth(payload, door);
     }
   }
-  else if (topic === 'door/rfid/auth') {
+  else if (subtopic === 'rfid/auth') {
     // ESP32 requesting RFID authentication (normal usage)
-    await handleRfidAuth(payload);
+    await handleRfidAuth(payload, door);
+  }
+  else if (subtopic === 'pin/auth') {
+    // ESP32 requesting PIN authentication
+    await handlePinAuth(payload, door);
+  }
+  else if (subtopic === 'guest/auth') {
+    // ESP32 requesting guest PIN authentication
+    await handleGuestAuth(payload, door);
+  }
+  else if (subtopic === 'command/ack') {
+    // ESP32 reporting the outcome of a command
+    await handleCommandAck(payload, door);
+  }
+}
+
+// Handle a command acknowledgement ({ commandId, success, error })
+async function handleCommandAck(payload, door) {
+  const { commandId, success, error } = payload;
+
+  if (!commandId) {
+    console.error('Command ack without commandId:', payload);
+    return;
+  }
+
+  const command = await doorCommandService.acknowledgeCommand(commandId, door.id, {
+    success: success === true,
+    error
+  });
+
+  if (!command) {
+    console.log(`Ignoring ack for unknown or settled command ${commandId}`);
+    return;
+  }
+
+  // Only a confirmed remote unlock excuses the opening that follows from
+  // forced entry detection (hasRecentAuthorizedAccess)
+  if (command.action === 'unlock' && command.status === 'SUCCEEDED') {
+    await doorService.createAccessLog({
+      event: 'remote_unlock',
+      rfidUid: null,
+      method: 'remote',
+      userId: command.requestedById,
+      doorId: door.id
+    });
   }
 }
 
 // Handle RFID scan during enrollment
-async function handleEnrollmentScan(payload) {
+async function handleEnrollmentScan(payload, door) {
   const { uid } = payload;
   
   console.log('📥 handleEnrollmentScan called with UID:', uid);
 
   if (!uid) {
-    publish('door/enrollment/result', {
+    await publishToDoor(door, 'enrollment/result', {
       success: false,
       error: 'UID không hợp lệ',
       timestamp: Date.now()
@@ -154,14 +355,14 @@ async function handleEnrollmentScan(payload) {
 
   try {
     // Check enrollment status first
-    const enrollmentStatus = await doorService.getEnrollmentStatus();
+    const enrollmentStatus = await doorService.getEnrollmentStatus(door.id);
     console.log('📋 Enrollment status:', enrollmentStatus);
     
-    const result = await doorService.processEnrollmentScan(uid);
+    const result = await doorService.processEnrollmentScan(uid, door.id);
     console.log('📋 processEnrollmentScan result:', result);
 
     // Send result back to ESP32
-    publish('door/enrollment/result', {
+    await publishToDoor(door, 'enrollment/result', {
       success: result.success,
       message: result.success ? result.message : result.error,
       username: result.card?.user?.username,
@@ -170,22 +371,18 @@ async function handleEnrollmentScan(payload) {
 
     // If successful, also update the whitelist
     if (result.success) {
-      const whitelist = await doorService.getRfidWhitelist();
-      publish('door/config/rfid', {
-        action: 'update_rfid',
-        whitelist,
-        timestamp: Date.now()
-      });
+      await publishRfidWhitelist(door.id);
 
       // Send push notification
       await pushService.sendToAll(
         '✅ Đăng ký thẻ RFID',
-        `Đã đăng ký thẻ cho ${result.card.user.username}`
+        `Đã đăng ký thẻ cho ${result.card.user.username}`,
+        { category: 'admin_changes', level: 'INFO' }
       );
     }
   } catch (error) {
     console.error('Enrollment scan error:', error);
-    publish('door/enrollment/result', {
+    await publishToDoor(door, 'enrollment/result', {
       success: false,
       error: error.message,
       timestamp: Date.now()
@@ -194,11 +391,11 @@ async function handleEnrollmentScan(payload) {
 }
 
 // Handle RFID authentication request (normal usage)
-async function handleRfidAuth(payload) {
-  const { uidHash, uid } = payload;
+async function handleRfidAuth(payload, door) {
+  const { uidHash, uid, pin } = payload;
 
   if (!uidHash && !uid) {
-    publish('door/rfid/result', {
+    await publishToDoor(door, 'rfid/result', {
       uid: uid || '',
       allow: false,
       reason: 'invalid_request',
@@ -210,35 +407,63 @@ async function handleRfidAuth(payload) {
   try {
     // Use uidHash if provided, otherwise hash the uid
     const hash = uidHash || doorService.sha256(uid.toUpperCase());
-    const result = await doorService.authenticateRfid(hash);
+    let result = await doorService.authenticateRfid(hash, door.id);
+
+    // Enforce the door's security mode (a card alone is refused in rfid_and_pin)
+    let method = 'rfid';
+    let security = {};
+    if (result.allowed) {
+      security = await doorService.checkRfidSecurity(door, result.userId, pin);
+      if (security.allowed) {
+        method = security.method;
+      } else {
+        result = { ...result, allowed: false, reason: security.reason };
+      }
+    }
 
-    // Send response to ESP32 (topic: door/rfid/result)
-    publish('door/rfid/result', {
+    // Send response to ESP32 (topic: door/rfid/result or door/<doorId>/rfid/result)
+    await publishToDoor(door, 'rfid/result', {
       uid: uid,
       allow: result.allowed,
       username: result.username || 'Unknown',
       reason: result.reason,
+      requirePin: result.reason === 'pin_required',
       timestamp: Date.now()
     });
 
+    // First step of a two-factor unlock: wait for the ESP32 to resend with the PIN
+    if (result.reason === 'pin_required') return;
+
+    if (result.allowed && security.duress) {
+      await handleDuressUnlock(door, {
+        rfidUid: uid || 'HASHED',
+        method,
+        userId: result.userId,
+        username: result.username
+      });
+      return;
+    }
+
     // Log the access attempt
     await doorService.createAccessLog({
       event: result.allowed ? 'access_granted' : 'access_denied',
       rfidUid: uid || 'HASHED',
-      method: result.reason || 'rfid',
-      userId: result.userId
+      method: result.reason || method,
+      userId: result.userId,
+      doorId: door.id
     });
 
     // Send notification for denied access
     if (!result.allowed && result.reason !== 'unknown_card') {
       await pushService.sendToAll(
         '🚪 Truy cập bị từ chối',
-        `${result.username || 'Unknown'} - ${result.reason}`
+        `${result.username || 'Unknown'} - ${result.reason}`,
+        { category: 'access_denied', level: 'WARNING' }
       );
     }
   } catch (error) {
     console.error('RFID auth error:', error);
-    publish('door/rfid/result', {
+    await publishToDoor(door, 'rfid/result', {
       uid: payload.uid || '',
       allow: false,
       reason: 'server_error',
@@ -247,30 +472,250 @@ async function handleRfidAuth(payload) {
   }
 }
 
+// Handle PIN authentication request. Personal PINs come with the user ID
+// keyed in before them and resolve to that user
+async function handlePinAuth(payload, door) {
+  const { pin } = payload;
+  const userId = parseInt(payload.userId) || null;
+
+  if (!pin) {
+    await publishToDoor(door, 'pin/result', {
+      allow: false,
+      reason: 'invalid_request',
+      timestamp: Date.now()
+    });
+    return;
+  }
+
+  try {
+    const security = await doorService.checkPinSecurity(door);
+    const result = security.allowed
+      ? await doorService.authenticatePin(pin, door.id, userId)
+      : { allowed: false, reason: security.reason };
+
+    // Send response to ESP32 (topic: door/pin/result or door/<doorId>/pin/result)
+    await publishToDoor(door, 'pin/result', {
+      allow: result.allowed,
+      username: result.username || 'Unknown',
+      reason: result.reason,
+      timestamp: Date.now()
+    });
+
+    if (result.duress) {
+      await handleDuressUnlock(door, {
+        rfidUid: null,
+        method: 'pin',
+        userId: result.userId,
+        username: result.username
+      });
+      return;
+    }
+
+    await doorService.createAccessLog({
+      event: result.allowed ? 'access_granted' : 'access_denied',
+      rfidUid: null,
+      method: result.allowed ? 'pin' : 'invalid_pin',
+      userId: result.userId,
+      doorId: door.id
+    });
+  } catch (error) {
+    console.error('PIN auth error:', error);
+    await publishToDoor(door, 'pin/result', {
+      allow: false,
+      reason: 'server_error',
+      timestamp: Date.now()
+    });
+  }
+}
+
+// Handle guest PIN authentication request
+async function handleGuestAuth(payload, door) {
+  const { pin, pinHash } = payload;
+
+  if (!pin && !pinHash) {
+    await publishToDoor(door, 'guest/result', {
+      allow: false,
+      reason: 'invalid_request',
+      timestamp: Date.now()
+    });
+    return;
+  }
+
+  try {
+    const hash = pinHash || doorService.sha256(pin);
+    const security = await doorService.checkPinSecurity(door);
+    const result = security.allowed
+      ? await guestCodeService.redeemGuestCode(hash, door.id)
+      : { allowed: false, reason: security.reason };
+
+    // Send response to ESP32 (topic: door/guest/result or door/<doorId>/guest/result)
+    await publishToDoor(door, 'guest/result', {
+      allow: result.allowed,
+      label: result.label,
+      remainingUses: result.remainingUses,
+      reason: result.reason,
+      timestamp: Date.now()
+    });
+
+    await doorService.createAccessLog({
+      event: result.allowed ? 'access_granted' : 'access_denied',
+      rfidUid: null,
+      method: result.allowed ? 'guest_pin' : 'invalid_guest_pin',
+      doorId: door.id
+    });
+
+    if (result.allowed) {
+      await pushService.sendToAll(
+        '🔑 Mã khách đã được sử dụng',
+        `${result.label} đã mở ${door.name}`,
+        { category: 'guest_access', level: 'INFO' }
+      );
+    }
+  } catch (error) {
+    console.error('Guest auth error:', error);
+    await publishToDoor(door, 'guest/result', {
+      allow: false,
+      reason: 'server_error',
+      timestamp: Date.now()
+    });
+  }
+}
+
+// Duress unlock: the ESP32 was answered like a normal unlock, the alarm is raised silently.
+// The alert is not published to the local display and only chosen admins are notified
+async function handleDuressUnlock(door, { rfidUid, method, userId, username }) {
+  await doorService.createAccessLog({
+    event: 'duress_unlock',
+    rfidUid,
+    method,
+    userId,
+    doorId: door.id
+  });
+
+  const who = username || 'Mã PIN hộ gia đình';
+  const alert = await alertService.createAlert({
+    type: 'door',
+    level: 'CRITICAL',
+    message: `Mở cửa bị ép buộc tại ${door.name} (${who})`,
+    source: `duress:${door.id}`,
+    silent: true
+  });
+
+  if (!(await alertService.claimNotification(alert))) return;
+
+  const recipients = await doorService.getDuressAlertRecipients();
+  for (const recipient of recipients) {
+    await pushService.sendToUser(recipient.id, 'Thông báo bảo mật', `${door.name} - ${who}`);
+  }
+}
+
+// Push an alert to everyone. Repeats of an alert group are pushed at most once
+// per ALERT_PUSH_INTERVAL_MS, with the number of occurrences so far
+async function notifyAlert(alert, title, body = alert.message) {
+  if (!(await alertService.claimNotification(alert))) return;
+
+  const repeats = alert.occurrences > 1 ? ` (×${alert.occurrences})` : '';
+  await pushService.sendToAll(title, `${body}${repeats}`, {
+    category: notificationPreferenceService.categoryForAlert(alert),
+    level: alert.level
+  });
+}
+
 async function handleFireAlert(payload) {
   if (payload.detected) {
     const alert = await alertService.createAlert({
       type: 'fire',
       level: 'CRITICAL',
-      message: `Fire detected at ${payload.location || 'unknown location'}`
+      message: `Fire detected at ${payload.location || 'unknown location'}`,
+      source: `fire:${payload.location || 'unknown'}`
     });
-    await pushService.sendToAll('🔥 Fire Alert!', alert.message);
+    await notifyAlert(alert, '🔥 Fire Alert!');
   }
 }
 
-async function handleGasAlert(payload) {
-  if (payload.level > (payload.threshold || 500)) {
+// Alert when a sensor crosses its WARNING/CRITICAL threshold, and resolve
+// the alert once the reading is back to normal
+async function handleSensorThresholds(kind, payload) {
+  const sensorId = sensorService.sensorIdFor(kind, payload);
+  const value = sensorService.readingValue(kind, payload);
+  if (!sensorId || !sensorService.isValidValue(value)) return;
+
+  const transition = await sensorThresholdService.evaluateReading(sensorId, kind, value);
+  if (!transition) return;
+
+  const isGas = kind === 'gas';
+  const label = sensorId === kind ? '' : ` (${sensorId})`;
+  const reading = isGas ? `${value} ppm` : `${value}`;
+
+  if (transition.raised) {
+    // The CRITICAL alert supersedes the WARNING one
+    if (transition.alertId) {
+      await alertService.resolveAlert(transition.alertId);
+    }
+
     const alert = await alertService.createAlert({
-      type: 'gas',
-      level: payload.level > 800 ? 'CRITICAL' : 'WARNING',
-      message: `Gas leak detected: ${payload.level} ppm`
+      type: isGas ? 'gas' : 'sensor',
+      level: transition.to,
+      message: isGas
+        ? `Gas leak detected${label}: ${reading}`
+        : `${kind}${label} above ${transition.to} threshold: ${reading}`,
+      source: sensorId
     });
-    await pushService.sendToAll('⚠️ Gas Leak!', alert.message);
+    await sensorThresholdService.attachAlert(sensorId, alert.id);
+    await notifyAlert(alert, isGas ? '⚠️ Gas Leak!' : '⚠️ Sensor Alert');
+  } else if (transition.resolved) {
+    if (transition.alertId) {
+      await alertService.resolveAlert(transition.alertId);
+    }
+
+    console.log(`✅ ${sensorId} back to normal: ${reading}`);
+    await pushService.sendToAll(
+      isGas ? '✅ Gas Level Normal' : '✅ Sensor Normal',
+      `${isGas ? 'Gas' : kind}${label} back to normal: ${reading}`,
+      { category: isGas ? 'gas' : 'sensor', level: 'INFO' }
+    );
+  }
+}
+
+// Keep the reading for charts; a storage failure must not affect alerting
+async function storeSensorReading(topic, payload) {
+  try {
+    await sensorService.recordReading(topic.slice('home/sensor/'.length), payload);
+  } catch (error) {
+    console.error('Sensor reading storage error:', error);
+  }
+}
+
+// Door named in a state message, read before its signature is checked
+function claimedDoorId(payload) {
+  if (typeof payload?.payload !== 'string') return payload?.doorId;
+
+  try {
+    return JSON.parse(payload.payload).doorId;
+  } catch {
+    return undefined;
   }
 }
 
 async function handleDoorEvent(payload) {
-  const { status, state, actor, abnormal } = payload;
+  // The topic is shared by all doors, so the message is checked against the
+  // secret of the door it names; a forged doorId fails that door's signature
+  let door;
+  try {
+    door = await doorService.resolveDoor(claimedDoorId(payload));
+  } catch (error) {
+    // Retained or stale messages may still come from a door that was deleted
+    console.error('Unknown door on home/door/state:', error.message);
+    return;
+  }
+
+  const verified = await verifyDoorMessage(door, 'home/door/state', payload);
+  if (!verified.valid) {
+    await rejectDoorMessage(door, 'home/door/state', verified.reason);
+    return;
+  }
+
+  const { status, state, actor, abnormal } = verified.message;
 
   // Use 'status' (from new format) or 'state' (from old format)
   const eventType = status || state;
@@ -281,12 +726,20 @@ async function handleDoorEvent(payload) {
       actor: actor || 'unknown'
     });
 
+    // Correlate with access events before logging the opening itself
+    if (eventType === 'open') {
+      await handleDoorOpened(door);
+    } else {
+      openDoors.delete(door.id);
+    }
+
     // Log door open/close events to DoorAccessLog for history
     const event = eventType === 'open' ? 'door_opened' : 'door_closed';
     await doorService.createAccessLog({
       event,
       rfidUid: null,
-      method: actor || 'system'
+      method: actor || 'system',
+      doorId: door.id
     });
   }
 
@@ -294,22 +747,243 @@ async function handleDoorEvent(payload) {
     const alert = await alertService.createAlert({
       type: 'door',
       level: 'WARNING',
-      message: `Abnormal door access: ${eventType} by ${actor || 'unknown'}`
+      message: `Abnormal door access: ${eventType} by ${actor || 'unknown'}`,
+      source: `abnormal:${actor || 'unknown'}`
+    });
+    await notifyAlert(alert, '🚪 Door Alert!');
+  }
+}
+
+// Start tracking an opened door and raise a forced entry alert if nobody unlocked it
+async function handleDoorOpened(door) {
+  // Repeated 'open' states while the door stays open
+  if (openDoors.has(door.id)) return;
+
+  openDoors.set(door.id, { openedAt: Date.now(), alertCount: 0 });
+
+  if (await doorService.hasRecentAuthorizedAccess(door.id, FORCED_ENTRY_WINDOW)) return;
+
+  await doorService.createAccessLog({
+    event: 'forced_entry',
+    rfidUid: null,
+    method: 'door_sensor',
+    doorId: door.id
+  });
+
+  const alert = await alertService.createAlert({
+    type: 'door',
+    level: 'CRITICAL',
+    message: `Cửa bị mở trái phép: ${door.name}`,
+    source: `forced_entry:${door.id}`
+  });
+  await notifyAlert(alert, '🚨 Cửa bị mở trái phép!');
+}
+
+// Alert again every heldOpenThreshold seconds while a door stays open
+async function checkHeldOpenDoors() {
+  const now = Date.now();
+  for (const [doorId, openState] of openDoors) {
+    try {
+      const door = await doorService.getDoorById(doorId);
+      if (!door) {
+        openDoors.delete(doorId);
+        continue;
+      }
+
+      const openFor = now - openState.openedAt;
+      const periods = Math.floor(openFor / (door.heldOpenThreshold * 1000));
+      if (periods <= openState.alertCount) continue;
+
+      openState.alertCount = periods;
+      const seconds = Math.round(openFor / 1000);
+
+      await doorService.createAccessLog({
+        event: 'door_held_open',
+        rfidUid: null,
+        method: `${seconds}s`,
+        doorId: door.id
+      });
+
+      const alert = await alertService.createAlert({
+        type: 'door',
+        level: periods >= HELD_OPEN_CRITICAL_AFTER ? 'CRITICAL' : 'WARNING',
+        message: `${door.name} đã mở ${seconds} giây`,
+        source: `held_open:${door.id}`
+      });
+      await notifyAlert(alert, '🚪 Cửa chưa đóng');
+    } catch (error) {
+      console.error('Held-open check error:', error);
+    }
+  }
+}
+
+// ==================== Device Registry ====================
+
+// Track heartbeats of registered devices; flag the others instead of tracking them
+async function handleHeartbeat(payload) {
+  const { deviceId, firmwareVersion } = payload;
+
+  if (!deviceService.isValidDeviceId(deviceId)) {
+    console.warn('Heartbeat with invalid deviceId:', deviceId);
+    return;
+  }
+
+  const result = await deviceService.recordHeartbeat(deviceId, { firmwareVersion });
+  if (result.known) {
+    await handleDeviceOnline(result.device);
+    return;
+  }
+
+  console.warn(`⚠️ Heartbeat from ${result.status.toLowerCase()} device ${deviceId}`);
+
+  // One grouped alert rather than one per made-up ID
+  if (result.ignored) {
+    await alertService.createAlert({
+      type: 'device',
+      level: 'WARNING',
+      message: `Quá nhiều thiết bị lạ gửi tín hiệu, bỏ qua: ${deviceId}`,
+      source: 'unregistered-device-limit'
+    });
+    return;
+  }
+
+  if (result.firstSeen) {
+    await alertService.createAlert({
+      type: 'device',
+      level: 'WARNING',
+      message: `Thiết bị lạ gửi tín hiệu: ${deviceId}`,
+      source: deviceId
     });
-    await pushService.sendToAll('🚪 Door Alert!', alert.message);
   }
 }
 
+// Provisioning handshake, answered on home/device/<deviceId>/provision/response.
+// A request with only the deviceId gets a challenge nonce; the device then
+// sends { deviceId, nonce, proof } and receives its encrypted secret
+async function handleProvisionRequest(payload) {
+  const { deviceId, nonce, proof } = payload;
+
+  if (!deviceService.isValidDeviceId(deviceId)) {
+    console.warn('Invalid provisioning request:', deviceId);
+    return;
+  }
+
+  const responseTopic = `home/device/${deviceId}/provision/response`;
+  const reject = (reason) => {
+    console.warn(`🚫 Provisioning of ${deviceId} rejected: ${reason}`);
+    publish(responseTopic, { deviceId, status: 'rejected', reason, timestamp: Date.now() });
+  };
+
+  // Old firmware sent the code itself; everyone on the broker has seen it now
+  if (payload.code !== undefined) {
+    await deviceService.revokeProvisioningCode(deviceId);
+    reject('code_sent_in_clear');
+    return;
+  }
+
+  if (!nonce && !proof) {
+    const challenge = await deviceService.createProvisioningChallenge(deviceId);
+    if (!challenge.success) {
+      reject(challenge.reason);
+      return;
+    }
+
+    publish(responseTopic, { deviceId, status: 'challenge', nonce: challenge.nonce, timestamp: Date.now() });
+    return;
+  }
+
+  const result = await deviceService.provisionDevice(payload);
+  if (!result.success) {
+    reject(result.reason);
+    return;
+  }
+
+  console.log(`🔑 Device ${deviceId} provisioned`);
+  publish(responseTopic, {
+    deviceId,
+    status: 'provisioned',
+    type: result.device.type,
+    doorId: result.device.doorId,
+    ...result.credentials,
+    timestamp: Date.now()
+  });
+}
+
+// ==================== Device Health ====================
+
+function deviceLabel(device) {
+  return device.name ? `${device.name} (${device.id})` : `ESP32 ${device.id}`;
+}
+
+// Notify when a device that was marked offline is heard from again
+async function handleDeviceOnline(device) {
+  const outage = await deviceHealthService.markOnline(device.id);
+  if (!outage) return;
+
+  const downFor = outage.startedAt
+    ? ` after ${deviceHealthService.formatDuration(outage.endedAt - outage.startedAt)}`
+    : '';
+  console.log(`✅ Device ${device.id} back online${downFor}`);
+  await pushService.sendToAll('✅ Device Recovered', `${deviceLabel(device)} is back online${downFor}`, {
+    category: 'device_offline',
+    level: 'INFO'
+  });
+}
+
+// A door's status message counts as a heartbeat of its registered controller
+async function handleDoorStatusSeen(door) {
+  const controller = await deviceService.findDoorController(door.id);
+  if (!controller) {
+    deviceLastSeen.set(door.isDefault ? 'door' : `door-${door.id}`, Date.now());
+    return;
+  }
+
+  const result = await deviceService.recordHeartbeat(controller.id);
+  await handleDeviceOnline(result.device);
+}
+
 async function checkOfflineDevices() {
+  try {
+    const wentOffline = await deviceHealthService.markStaleDevicesOffline(OFFLINE_THRESHOLD);
+    for (const { device } of wentOffline) {
+      console.warn(`📡 Device ${device.id} went offline`);
+      await pushService.sendToAll('📡 Device Offline', `${deviceLabel(device)} is offline`, {
+        category: 'device_offline',
+        level: 'WARNING'
+      });
+    }
+  } catch (error) {
+    console.error('Device health check error:', error);
+  }
+
   const now = Date.now();
   for (const [deviceId, lastSeen] of deviceLastSeen) {
     if (now - lastSeen > OFFLINE_THRESHOLD) {
-      await pushService.sendToAll('📡 Device Offline', `ESP32 ${deviceId} is offline`);
+      await pushService.sendToAll('📡 Device Offline', `ESP32 ${deviceId} is offline`, {
+        category: 'device_offline',
+        level: 'WARNING'
+      });
       deviceLastSeen.delete(deviceId);
     }
   }
 }
 
+// Publish a door's security config whenever its effective mode changes
+async function checkSecurityModes() {
+  try {
+    const doors = await doorService.listDoors();
+    for (const door of doors) {
+      const mode = await doorService.getEffectiveSecurityMode(door);
+      if (lastSecurityMode.get(door.id) !== mode) {
+        console.log(`🔐 Security mode of ${door.name}: ${mode}`);
+        await publishSecurityConfig(door.id);
+      }
+    }
+  } catch (error) {
+    console.error('Security mode check error:', error);
+  }
+}
+
 function publish(topic, message) {
   if (client) {
     console.log(`MQTT PUBLISH [${topic}]:`, message);
@@ -317,4 +991,10 @@ function publish(topic, message) {
   }
 }
 
-module.exports = { connect, publish };
+module.exports = {
+  connect,
+  publish,
+  publishToDoor,
+  publishRfidWhitelist,
+  publishSecurityConfig
+};
@@ -0,0 +1,76 @@
+const prisma = require('../lib/prisma');
+
+// Read notifications are dropped after this long; unread ones are kept
+const READ_RETENTION = parseInt(process.env.NOTIFICATION_RETENTION_MS) || 90 * 24 * 60 * 60 * 1000;
+
+// Store one inbox entry per recipient
+async function createNotifications(userIds, { title, body, category = null, level = null }) {
+  if (userIds.length === 0) return 0;
+
+  const { count } = await prisma.notification.createMany({
+    data: userIds.map(userId => ({ userId, title, body, category, level }))
+  });
+  return count;
+}
+
+async function getUnreadCount(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+async function getNotifications(userId, { page = 1, limit = 20, unread = false } = {}) {
+  const where = { userId };
+  if (unread) where.readAt = null;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.notification.count({ where }),
+    getUnreadCount(userId)
+  ]);
+
+  return { notifications, total, unreadCount, page, totalPages: Math.ceil(total / limit) };
+}
+
+// Users can only mark their own notifications
+async function markAsRead(userId, notificationId) {
+  const notification = await prisma.notification.findUnique({ where: { id: notificationId } });
+
+  if (!notification || notification.userId !== userId) {
+    throw new Error('Thông báo không tồn tại');
+  }
+
+  if (notification.readAt) return notification;
+
+  return prisma.notification.update({
+    where: { id: notificationId },
+    data: { readAt: new Date() }
+  });
+}
+
+async function markAllAsRead(userId) {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, readAt: null },
+    data: { readAt: new Date() }
+  });
+  return count;
+}
+
+async function pruneNotifications() {
+  const { count } = await prisma.notification.deleteMany({
+    where: { readAt: { lt: new Date(Date.now() - READ_RETENTION) } }
+  });
+  return count;
+}
+
+module.exports = {
+  createNotifications,
+  getUnreadCount,
+  getNotifications,
+  markAsRead,
+  markAllAsRead,
+  pruneNotifications
+};
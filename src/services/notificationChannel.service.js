@@ -0,0 +1,180 @@
+const prisma = require('../lib/prisma');
+
+// Delivery channels besides FCM. Each one exports
+//   validateConfig(config, current) - normalized config (or a promise of it), throws on invalid input
+//   send(config, message)           - delivers { title, body, category, level }, throws on failure
+//   publicConfig(config)            - optional, config without secrets
+const CHANNELS = {
+  email: require('./channels/email.channel'),
+  webhook: require('./channels/webhook.channel'),
+  telegram: require('./channels/telegram.channel')
+};
+const CHANNEL_TYPES = Object.keys(CHANNELS);
+const MAX_CHANNELS_PER_USER = 10;
+
+function formatChannel(channel) {
+  const adapter = CHANNELS[channel.type];
+  return {
+    ...channel,
+    config: adapter.publicConfig ? adapter.publicConfig(channel.config) : channel.config
+  };
+}
+
+async function listChannels(userId) {
+  const channels = await prisma.notificationChannel.findMany({
+    where: { userId },
+    orderBy: { id: 'asc' }
+  });
+  return channels.map(formatChannel);
+}
+
+// Users can only see and change their own channels
+async function findOwnChannel(userId, channelId) {
+  const channel = await prisma.notificationChannel.findUnique({ where: { id: channelId } });
+
+  if (!channel || channel.userId !== userId) {
+    throw new Error('Kênh thông báo không tồn tại');
+  }
+
+  return channel;
+}
+
+async function getChannel(userId, channelId) {
+  return formatChannel(await findOwnChannel(userId, channelId));
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Tên kênh không được để trống');
+  }
+}
+
+// Returns the channel with its full config, so a generated webhook secret
+// can be shown once
+async function createChannel(userId, { type, name, config, enabled = true }) {
+  if (!CHANNEL_TYPES.includes(type)) {
+    throw new Error(`Loại kênh phải là một trong: ${CHANNEL_TYPES.join(', ')}`);
+  }
+
+  validateName(name);
+  const normalized = await CHANNELS[type].validateConfig(config);
+
+  const count = await prisma.notificationChannel.count({ where: { userId } });
+  if (count >= MAX_CHANNELS_PER_USER) {
+    throw new Error(`Tối đa ${MAX_CHANNELS_PER_USER} kênh thông báo`);
+  }
+
+  return prisma.notificationChannel.create({
+    data: { userId, type, name: name.trim(), config: normalized, enabled: Boolean(enabled) }
+  });
+}
+
+async function updateChannel(userId, channelId, { name, config, enabled }) {
+  const channel = await findOwnChannel(userId, channelId);
+
+  if (name !== undefined) validateName(name);
+  const normalized = config === undefined ? undefined : await CHANNELS[channel.type].validateConfig(config, channel.config);
+
+  const updated = await prisma.notificationChannel.update({
+    where: { id: channelId },
+    data: {
+      name: name?.trim(),
+      config: normalized,
+      enabled: enabled === undefined ? undefined : Boolean(enabled)
+    }
+  });
+
+  return formatChannel(updated);
+}
+
+async function deleteChannel(userId, channelId) {
+  const channel = await findOwnChannel(userId, channelId);
+  await prisma.notificationChannel.delete({ where: { id: channelId } });
+  return formatChannel(channel);
+}
+
+// ==================== Delivery ====================
+
+// A failure to record must not affect delivery
+async function recordDeliveries(deliveries) {
+  if (deliveries.length === 0) return;
+
+  try {
+    await prisma.notificationDelivery.createMany({ data: deliveries });
+  } catch (error) {
+    console.error('Notification delivery log error:', error);
+  }
+}
+
+// Send through one channel; returns the delivery result instead of throwing
+async function deliver(channel, message) {
+  const result = {
+    userId: channel.userId,
+    channelId: channel.id,
+    channelType: channel.type,
+    title: message.title,
+    status: 'SENT',
+    error: null
+  };
+
+  try {
+    await CHANNELS[channel.type].send(channel.config, message);
+  } catch (error) {
+    console.error(`Notification channel ${channel.id} (${channel.type}) failed:`, error.message);
+    result.status = 'FAILED';
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+// Send a notification through every enabled channel of `userIds`, in
+// parallel so one slow endpoint does not hold up the others
+async function dispatch(userIds, message) {
+  if (userIds.length === 0) return [];
+
+  const channels = await prisma.notificationChannel.findMany({
+    where: { userId: { in: userIds }, enabled: true }
+  });
+
+  const results = await Promise.all(channels.map(channel => deliver(channel, message)));
+  await recordDeliveries(results);
+  return results;
+}
+
+// Send a test message through one channel, even if it is disabled
+async function testChannel(userId, channelId) {
+  const channel = await findOwnChannel(userId, channelId);
+  const result = await deliver(channel, {
+    title: 'Thông báo thử',
+    body: `Kênh "${channel.name}" đã được cấu hình đúng`,
+    category: null,
+    level: 'INFO'
+  });
+  await recordDeliveries([result]);
+  return result;
+}
+
+async function getDeliveries(userId, { channelId, limit = 50 } = {}) {
+  const where = { userId };
+  if (channelId) where.channelId = channelId;
+
+  return prisma.notificationDelivery.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  listChannels,
+  getChannel,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  recordDeliveries,
+  dispatch,
+  testChannel,
+  getDeliveries
+};
@@ -0,0 +1,192 @@
+const prisma = require('../lib/prisma');
+const { DEFAULT_TIMEZONE, TIME_PATTERN, toMinutes, getLocalTime } = require('./accessSchedule.service');
+
+// What a push is about; each user chooses which of these they receive
+const CATEGORIES = [
+  'fire',
+  'gas',
+  'sensor',
+  'door_alarm',
+  'access_denied',
+  'guest_access',
+  'card_lost',
+  'device_offline',
+  'admin_changes',
+  'account_security'
+];
+const LEVELS = ['INFO', 'WARNING', 'CRITICAL'];
+// Category of the pushes sent for each alert type
+const ALERT_CATEGORIES = {
+  fire: 'fire',
+  gas: 'gas',
+  sensor: 'sensor',
+  door: 'door_alarm',
+  device: 'device_offline',
+  security: 'account_security'
+};
+
+function parseCategories(mutedCategories) {
+  return mutedCategories.split(',').filter(Boolean);
+}
+
+function categoryForAlert(alert) {
+  return ALERT_CATEGORIES[alert.type];
+}
+
+function formatPreferences(userId, preference) {
+  const muted = preference ? parseCategories(preference.mutedCategories) : [];
+  const categories = {};
+  for (const category of CATEGORIES) {
+    categories[category] = !muted.includes(category);
+  }
+
+  return {
+    userId,
+    categories,
+    minLevel: preference ? preference.minLevel : 'INFO',
+    quietHours: preference && preference.quietHoursStart
+      ? {
+        start: preference.quietHoursStart,
+        end: preference.quietHoursEnd,
+        timezone: preference.timezone || DEFAULT_TIMEZONE
+      }
+      : null
+  };
+}
+
+async function getPreferences(userId) {
+  const preference = await prisma.notificationPreference.findUnique({ where: { userId } });
+  return formatPreferences(userId, preference);
+}
+
+function buildPreferenceData(current, { categories, minLevel, quietHours }) {
+  const data = {};
+
+  if (categories !== undefined) {
+    if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+      throw new Error('categories phải là object dạng { loại: true/false }');
+    }
+
+    for (const [category, enabled] of Object.entries(categories)) {
+      if (!CATEGORIES.includes(category)) {
+        throw new Error(`Loại thông báo phải là một trong: ${CATEGORIES.join(', ')}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new Error('Giá trị của mỗi loại thông báo phải là true hoặc false');
+      }
+    }
+
+    const muted = CATEGORIES.filter(category =>
+      categories[category] === undefined ? !current.categories[category] : !categories[category]
+    );
+    data.mutedCategories = muted.join(',');
+  }
+
+  if (minLevel !== undefined) {
+    if (!LEVELS.includes(minLevel)) {
+      throw new Error(`Mức tối thiểu phải là một trong: ${LEVELS.join(', ')}`);
+    }
+    data.minLevel = minLevel;
+  }
+
+  if (quietHours === null) {
+    data.quietHoursStart = null;
+    data.quietHoursEnd = null;
+    data.timezone = null;
+  } else if (quietHours !== undefined) {
+    const { start, end, timezone } = quietHours;
+
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      throw new Error('Giờ bắt đầu và kết thúc giờ yên lặng phải có dạng HH:mm');
+    }
+    if (start === end) {
+      throw new Error('Giờ bắt đầu và kết thúc giờ yên lặng phải khác nhau');
+    }
+
+    if (timezone !== undefined && timezone !== null) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        throw new Error('Múi giờ không hợp lệ');
+      }
+    }
+
+    data.quietHoursStart = start;
+    data.quietHoursEnd = end;
+    data.timezone = timezone || null;
+  }
+
+  return data;
+}
+
+// Partial update: categories left out keep their current setting,
+// quietHours: null turns quiet hours off
+async function updatePreferences(userId, fields) {
+  const current = await getPreferences(userId);
+  const data = buildPreferenceData(current, fields);
+
+  const preference = await prisma.notificationPreference.upsert({
+    where: { userId },
+    update: data,
+    create: { userId, ...data }
+  });
+
+  return formatPreferences(userId, preference);
+}
+
+function isQuietTime(preference, now = new Date()) {
+  if (!preference || !preference.quietHoursStart) return false;
+
+  const start = toMinutes(preference.quietHoursStart);
+  const end = toMinutes(preference.quietHoursEnd);
+  const { minutes } = getLocalTime(now, preference.timezone || DEFAULT_TIMEZONE);
+
+  // Overnight quiet hours (e.g. 22:00-07:00) wrap around midnight
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Whether a user with `preference` wants notifications of `category` and
+// `level` at all (null: the user kept the defaults and receives everything)
+function wantsNotification(preference, { category, level = 'INFO' }) {
+  if (!preference) return true;
+  if (parseCategories(preference.mutedCategories).includes(category)) return false;
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(preference.minLevel);
+}
+
+// Whether such a notification is pushed to the user's phone right now
+function shouldDeliver(preference, { category, level = 'INFO' }, now = new Date()) {
+  if (!wantsNotification(preference, { category, level })) return false;
+  return level === 'CRITICAL' || !isQuietTime(preference, now);
+}
+
+// Split `userIds` into those who get the notification in their inbox and
+// those it is also pushed to; quiet hours only hold back the push. Pushes
+// without a category (tests, duress notices, escalation contacts) bypass
+// preferences
+async function filterRecipients(userIds, { category, level } = {}) {
+  if (!category || userIds.length === 0) return { inbox: userIds, push: userIds };
+
+  const preferences = await prisma.notificationPreference.findMany({
+    where: { userId: { in: userIds } }
+  });
+  const byUser = new Map(preferences.map(p => [p.userId, p]));
+  const now = new Date();
+
+  return {
+    inbox: userIds.filter(userId => wantsNotification(byUser.get(userId), { category, level })),
+    push: userIds.filter(userId => shouldDeliver(byUser.get(userId), { category, level }, now))
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  categoryForAlert,
+  getPreferences,
+  updatePreferences,
+  isQuietTime,
+  wantsNotification,
+  shouldDeliver,
+  filterRecipients
+};
@@ -1,6 +1,9 @@
 const admin = require('firebase-admin');
 const prisma = require('../lib/prisma');
 const path = require('path');
+const notificationPreferenceService = require('./notificationPreference.service');
+const notificationService = require('./notification.service');
+const notificationChannelService = require('./notificationChannel.service');
 
 // Initialize Firebase Admin (lazy init)
 let firebaseInitialized = false;
@@ -73,13 +76,59 @@ async function removeToken(token) {
   return prisma.pushToken.delete({ where: { token } }).catch(() => null);
 }
 
-async function sendToUser(userId, title, body) {
+// Keep an inbox copy so notifications survive a missing FCM setup or a phone
+// that is off; a failure here must not stop the push
+async function saveToInbox(userIds, title, body, { category, level }) {
+  try {
+    await notificationService.createNotifications(userIds, { title, body, category, level });
+  } catch (error) {
+    console.error('Notification inbox error:', error);
+  }
+}
+
+// Email, webhook and bot channels the recipients set up. Not awaited: they
+// run alongside FCM so a slow endpoint never delays the push itself
+function sendToChannels(userIds, title, body, { category, level }) {
+  notificationChannelService.dispatch(userIds, { title, body, category, level })
+    .catch(error => console.error('Notification channel error:', error));
+}
+
+// One FCM delivery record per user: sent if any of their devices got it
+async function recordFcmDeliveries(tokens, title, responses) {
+  const results = new Map();
+
+  tokens.forEach((t, idx) => {
+    const resp = responses[idx];
+    const current = results.get(t.userId);
+    if (current && current.status === 'SENT') return;
+
+    results.set(t.userId, {
+      userId: t.userId,
+      channelType: 'fcm',
+      title,
+      status: resp.success ? 'SENT' : 'FAILED',
+      error: resp.success ? null : (resp.error?.message || 'FCM send failed')
+    });
+  });
+
+  await notificationChannelService.recordDeliveries([...results.values()]);
+}
+
+// `options` ({ category, level }) describe the notification so each user's
+// notification preferences and quiet hours can be applied
+async function sendToUser(userId, title, body, options = {}) {
+  const { inbox, push } = await notificationPreferenceService.filterRecipients([userId], options);
+  await saveToInbox(inbox, title, body, options);
+  if (push.length === 0) return;
+
+  sendToChannels(push, title, body, options);
+
   initFirebase();
   if (!firebaseInitialized) return;
 
   const tokens = await prisma.pushToken.findMany({
     where: { userId },
-    select: { token: true }
+    select: { token: true, userId: true }
   });
 
   if (tokens.length === 0) return;
@@ -89,21 +138,38 @@ async function sendToUser(userId, title, body) {
     tokens: tokens.map(t => t.token)
   };
 
+  let responses;
   try {
-    await admin.messaging().sendEachForMulticast(message);
+    const response = await admin.messaging().sendEachForMulticast(message);
+    responses = response.responses;
   } catch (error) {
     console.error('FCM send error:', error);
+    responses = tokens.map(() => ({ success: false, error }));
   }
+  await recordFcmDeliveries(tokens, title, responses);
 }
 
-async function sendToAll(title, body) {
+async function sendToAll(title, body, options = {}) {
+  const users = await prisma.user.findMany({ select: { id: true } });
+  const { inbox, push } = await notificationPreferenceService.filterRecipients(users.map(u => u.id), options);
+  await saveToInbox(inbox, title, body, options);
+  sendToChannels(push, title, body, options);
+
   initFirebase();
   if (!firebaseInitialized) {
     console.log('⚠️ Firebase not initialized - skipping push notification');
     return;
   }
 
-  const tokens = await prisma.pushToken.findMany({ select: { token: true, id: true } });
+  if (push.length === 0) {
+    console.log('🔕 No recipients want this notification');
+    return;
+  }
+
+  const tokens = await prisma.pushToken.findMany({
+    where: { userId: { in: push } },
+    select: { token: true, id: true, userId: true }
+  });
   if (tokens.length === 0) {
     console.log('⚠️ No FCM tokens registered');
     return;
@@ -114,8 +180,10 @@ async function sendToAll(title, body) {
     tokens: tokens.map(t => t.token)
   };
 
+  let responses;
   try {
     const response = await admin.messaging().sendEachForMulticast(message);
+    responses = response.responses;
     console.log(`FCM sent: ${response.successCount} success, ${response.failureCount} failed`);
 
     // Log failures and remove invalid tokens
@@ -142,7 +210,9 @@ async function sendToAll(title, body) {
     }
   } catch (error) {
     console.error('FCM send error:', error);
+    responses = tokens.map(() => ({ success: false, error }));
   }
+  await recordFcmDeliveries(tokens, title, responses);
 }
 
 module.exports = { registerToken, removeToken, sendToUser, sendToAll };
@@ -0,0 +1,180 @@
+const prisma = require('../lib/prisma');
+
+// Everything a role can be allowed to do; routes check these with authorize()
+const PERMISSIONS = {
+  'door.history.view': 'Xem lịch sử ra vào cửa',
+  'door.unlock': 'Mở khóa cửa từ xa, tắt báo động và xem lệnh gửi cửa',
+  'door.manage': 'Thêm, sửa, xóa cửa; chế độ an ninh và khóa bí mật của thiết bị cửa',
+  'door.pin.manage': 'Đổi mã PIN cửa, mã PIN khẩn cấp và mã PIN cá nhân của người khác',
+  'rfid.enroll': 'Đăng ký, thu hồi và xóa thẻ RFID',
+  'guest_codes.manage': 'Tạo và thu hồi mã khách',
+  'schedules.manage': 'Quản lý lịch truy cập',
+  'alerts.ack': 'Xác nhận, xử lý và ghi chú cảnh báo',
+  'alerts.manage': 'Chính sách leo thang, ngưỡng cảm biến và thông báo thử',
+  'devices.manage': 'Quản lý thiết bị',
+  'users.manage': 'Quản lý người dùng, vai trò, lời mời và phiên đăng nhập',
+  'logs.view': 'Xem nhật ký kiểm toán và nhật ký truy cập'
+};
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+// Has every permission, including ones added later, and cannot be changed
+const ADMIN_ROLE = 'ADMIN';
+const DEFAULT_ROLE = 'USER';
+const ROLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{1,31}$/;
+const MAX_DESCRIPTION_LENGTH = 191;
+
+function parsePermissions(permissions) {
+  return permissions ? permissions.split(',').filter(Boolean) : [];
+}
+
+// Permissions of a user loaded with its roleDefinition
+function permissionsOf(user) {
+  if (!user) return [];
+  if (user.role === ADMIN_ROLE) return PERMISSION_NAMES;
+  return parsePermissions(user.roleDefinition?.permissions).filter(name => PERMISSIONS[name]);
+}
+
+function hasPermission(user, permission) {
+  return permissionsOf(user).includes(permission);
+}
+
+// users.manage must not lead to more permissions: non-admins can only hand
+// out permissions they have themselves, and only admins can grant ADMIN
+function assertCanGrant(actor, roleName, permissions) {
+  if (actor.role === ADMIN_ROLE) return;
+
+  const own = permissionsOf(actor);
+  if (roleName === ADMIN_ROLE || !permissions.every(name => own.includes(name))) {
+    throw new Error('Không thể cấp quyền mà bạn không có');
+  }
+}
+
+async function assertCanAssign(actor, roleName) {
+  const role = await findRole(roleName);
+  assertCanGrant(actor, role.name, parsePermissions(role.permissions));
+  return role;
+}
+
+function formatRole(role) {
+  const { _count, ...rest } = role;
+  return {
+    ...rest,
+    permissions: role.name === ADMIN_ROLE ? PERMISSION_NAMES : parsePermissions(role.permissions),
+    ...(_count && { userCount: _count.users })
+  };
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) {
+    throw new Error('permissions phải là một danh sách');
+  }
+
+  const unknown = permissions.filter(name => !PERMISSIONS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Quyền không hợp lệ: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(permissions)].join(',');
+}
+
+function validateDescription(description) {
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    throw new Error(`Mô tả tối đa ${MAX_DESCRIPTION_LENGTH} ký tự`);
+  }
+}
+
+function listPermissions() {
+  return PERMISSION_NAMES.map(name => ({ name, description: PERMISSIONS[name] }));
+}
+
+async function listRoles() {
+  const roles = await prisma.role.findMany({
+    orderBy: [{ builtIn: 'desc' }, { name: 'asc' }],
+    include: { _count: { select: { users: true } } }
+  });
+  return roles.map(formatRole);
+}
+
+async function findRole(name) {
+  const role = typeof name === 'string' ? await prisma.role.findUnique({ where: { name } }) : null;
+  if (!role) throw new Error('Vai trò không tồn tại');
+  return role;
+}
+
+async function getRole(name) {
+  return formatRole(await findRole(name));
+}
+
+async function createRole(actor, { name, description, permissions = [] }) {
+  if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+    throw new Error('Tên vai trò phải viết hoa, bắt đầu bằng chữ cái, gồm 2-32 ký tự A-Z, 0-9, _');
+  }
+  validateDescription(description);
+  const normalized = validatePermissions(permissions);
+  assertCanGrant(actor, name, permissions);
+
+  const existing = await prisma.role.findUnique({ where: { name } });
+  if (existing) throw new Error('Vai trò đã tồn tại');
+
+  const role = await prisma.role.create({
+    data: { name, description: description?.trim() || null, permissions: normalized }
+  });
+  return formatRole(role);
+}
+
+async function updateRole(actor, name, { description, permissions }) {
+  const role = await findRole(name);
+  if (role.name === ADMIN_ROLE) throw new Error('Không thể thay đổi vai trò ADMIN');
+
+  validateDescription(description);
+  if (permissions !== undefined) {
+    validatePermissions(permissions);
+    // Both the old and the new permissions, or a role could be stripped of
+    // permissions the actor does not have
+    assertCanGrant(actor, name, [...parsePermissions(role.permissions), ...permissions]);
+  }
+
+  const updated = await prisma.role.update({
+    where: { name },
+    data: {
+      description: description === undefined ? undefined : description?.trim() || null,
+      permissions: permissions === undefined ? undefined : validatePermissions(permissions)
+    }
+  });
+  return { before: formatRole(role), after: formatRole(updated) };
+}
+
+// Roles still assigned to a user or an invitation have to stay
+async function deleteRole(actor, name) {
+  const role = await findRole(name);
+  if (role.builtIn) throw new Error('Không thể xóa vai trò mặc định');
+  assertCanGrant(actor, name, parsePermissions(role.permissions));
+
+  const [users, invitations] = await Promise.all([
+    prisma.user.count({ where: { role: name } }),
+    prisma.invitation.count({ where: { role: name, acceptedAt: null, revokedAt: null } })
+  ]);
+  if (users > 0 || invitations > 0) {
+    throw new Error('Vai trò đang được gán cho người dùng hoặc lời mời');
+  }
+
+  await prisma.invitation.updateMany({ where: { role: name }, data: { role: DEFAULT_ROLE } });
+  await prisma.role.delete({ where: { name } });
+  return formatRole(role);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLE,
+  permissionsOf,
+  hasPermission,
+  assertCanAssign,
+  listPermissions,
+  listRoles,
+  findRole,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,218 @@
+const prisma = require('../lib/prisma');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each resolution is kept; older raw readings survive only as rollups
+const RETENTION = {
+  raw: parseInt(process.env.SENSOR_RAW_RETENTION_MS) || DAY,
+  minute: parseInt(process.env.SENSOR_MINUTE_RETENTION_MS) || 7 * DAY,
+  hour: parseInt(process.env.SENSOR_HOUR_RETENTION_MS) || 365 * DAY
+};
+const BUCKET_SIZE = { minute: MINUTE, hour: HOUR };
+const RESOLUTIONS = ['raw', 'minute', 'hour'];
+// Longest range served from the finer resolutions when resolution=auto
+const AUTO_MAX_SPAN = { raw: 6 * HOUR, minute: 7 * DAY };
+const MAX_POINTS = 5000;
+const SENSOR_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Numeric value of a payload: gas level in ppm, fire detection as 1/0,
+// or the `value` field of any other sensor
+function readingValue(kind, payload) {
+  if (kind === 'gas') return payload.level;
+  if (kind === 'fire') return payload.detected ? 1 : 0;
+  return payload.value;
+}
+
+function isValidSensorId(sensorId) {
+  return typeof sensorId === 'string' && SENSOR_ID_PATTERN.test(sensorId);
+}
+
+// Firmware with a single sensor of a kind sends no ID, so the kind doubles
+// as its sensor ID. Returns null for IDs we cannot store
+function sensorIdFor(kind, payload) {
+  const sensorId = String(payload.sensorId || payload.deviceId || kind);
+  return isValidSensorId(sensorId) ? sensorId : null;
+}
+
+function isValidValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Store a payload from home/sensor/<kind>
+async function recordReading(kind, payload) {
+  const value = readingValue(kind, payload);
+  if (!isValidValue(value)) return null;
+
+  const sensorId = sensorIdFor(kind, payload);
+  if (!sensorId) return null;
+
+  return prisma.sensorReading.create({
+    data: { sensorId, kind, value }
+  });
+}
+
+function bucketStart(time, size) {
+  return new Date(Math.floor(time.getTime() / size) * size);
+}
+
+// Merge readings or finer rollups into one rollup per sensor and bucket
+function aggregate(rows, resolution) {
+  const size = BUCKET_SIZE[resolution];
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const bucket = bucketStart(row.time, size);
+    const key = `${row.sensorId}:${bucket.getTime()}`;
+    const current = buckets.get(key);
+
+    if (!current) {
+      buckets.set(key, {
+        sensorId: row.sensorId,
+        kind: row.kind,
+        resolution,
+        bucket,
+        count: row.count,
+        sum: row.sum,
+        min: row.min,
+        max: row.max
+      });
+      continue;
+    }
+
+    current.count += row.count;
+    current.sum += row.sum;
+    current.min = Math.min(current.min, row.min);
+    current.max = Math.max(current.max, row.max);
+  }
+
+  return [...buckets.values()];
+}
+
+// Roll up every complete bucket after the newest existing rollup:
+// raw readings into minutes, minutes into hours
+async function rollUp(resolution) {
+  const size = BUCKET_SIZE[resolution];
+  const end = bucketStart(new Date(), size);
+  const latest = await prisma.sensorRollup.findFirst({
+    where: { resolution },
+    orderBy: { bucket: 'desc' }
+  });
+  const start = latest ? new Date(latest.bucket.getTime() + size) : undefined;
+
+  let rows;
+  if (resolution === 'minute') {
+    const readings = await prisma.sensorReading.findMany({
+      where: { recordedAt: { gte: start, lt: end } }
+    });
+    rows = readings.map(r => ({
+      sensorId: r.sensorId,
+      kind: r.kind,
+      time: r.recordedAt,
+      count: 1,
+      sum: r.value,
+      min: r.value,
+      max: r.value
+    }));
+  } else {
+    const minutes = await prisma.sensorRollup.findMany({
+      where: { resolution: 'minute', bucket: { gte: start, lt: end } }
+    });
+    rows = minutes.map(r => ({ ...r, time: r.bucket }));
+  }
+
+  const rollups = aggregate(rows, resolution);
+  if (rollups.length > 0) {
+    await prisma.sensorRollup.createMany({ data: rollups, skipDuplicates: true });
+  }
+
+  return rollups.length;
+}
+
+async function pruneReadings() {
+  const now = Date.now();
+
+  await prisma.sensorReading.deleteMany({
+    where: { recordedAt: { lt: new Date(now - RETENTION.raw) } }
+  });
+
+  for (const resolution of Object.keys(BUCKET_SIZE)) {
+    await prisma.sensorRollup.deleteMany({
+      where: { resolution, bucket: { lt: new Date(now - RETENTION[resolution]) } }
+    });
+  }
+}
+
+// Periodic downsampling job
+async function downsampleReadings() {
+  const minutes = await rollUp('minute');
+  const hours = await rollUp('hour');
+  await pruneReadings();
+  return { minutes, hours };
+}
+
+// Finest resolution that still holds `from` and keeps the point count sane
+function pickResolution(from, to) {
+  const span = to - from;
+  const age = Date.now() - from.getTime();
+
+  if (span <= AUTO_MAX_SPAN.raw && age <= RETENTION.raw) return 'raw';
+  if (span <= AUTO_MAX_SPAN.minute && age <= RETENTION.minute) return 'minute';
+  return 'hour';
+}
+
+async function getReadings(sensorId, { from, to, resolution = 'auto' }) {
+  if (resolution === 'auto') {
+    resolution = pickResolution(from, to);
+  }
+
+  if (resolution === 'raw') {
+    const readings = await prisma.sensorReading.findMany({
+      where: { sensorId, recordedAt: { gte: from, lte: to } },
+      orderBy: { recordedAt: 'asc' },
+      take: MAX_POINTS
+    });
+
+    return {
+      sensorId,
+      resolution,
+      from,
+      to,
+      points: readings.map(r => ({ time: r.recordedAt, value: r.value }))
+    };
+  }
+
+  const rollups = await prisma.sensorRollup.findMany({
+    where: { sensorId, resolution, bucket: { gte: bucketStart(from, BUCKET_SIZE[resolution]), lte: to } },
+    orderBy: { bucket: 'asc' },
+    take: MAX_POINTS
+  });
+
+  return {
+    sensorId,
+    resolution,
+    from,
+    to,
+    points: rollups.map(r => ({
+      time: r.bucket,
+      avg: r.sum / r.count,
+      min: r.min,
+      max: r.max,
+      count: r.count
+    }))
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  readingValue,
+  isValidSensorId,
+  sensorIdFor,
+  isValidValue,
+  recordReading,
+  rollUp,
+  pruneReadings,
+  downsampleReadings,
+  getReadings
+};
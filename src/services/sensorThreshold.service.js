@@ -0,0 +1,166 @@
+const prisma = require('../lib/prisma');
+const sensorService = require('./sensor.service');
+
+// Used for sensors nobody configured; gas keeps the limits the firmware shipped with
+const DEFAULT_THRESHOLDS = {
+  gas: { warningAbove: 500, criticalAbove: 800, hysteresis: 50 }
+};
+const LEVEL_RANK = { NORMAL: 0, WARNING: 1, CRITICAL: 2 };
+
+function isOptionalNumber(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value));
+}
+
+function validateThresholds({ warningAbove, criticalAbove, hysteresis }) {
+  if (!isOptionalNumber(warningAbove) || !isOptionalNumber(criticalAbove)) {
+    throw new Error('Ngưỡng cảnh báo phải là số');
+  }
+
+  if (warningAbove == null && criticalAbove == null) {
+    throw new Error('Cần ít nhất một ngưỡng cảnh báo');
+  }
+
+  if (warningAbove != null && criticalAbove != null && warningAbove >= criticalAbove) {
+    throw new Error('Ngưỡng WARNING phải nhỏ hơn ngưỡng CRITICAL');
+  }
+
+  if (hysteresis !== undefined && (typeof hysteresis !== 'number' || !Number.isFinite(hysteresis) || hysteresis < 0)) {
+    throw new Error('Độ trễ (hysteresis) phải là số không âm');
+  }
+}
+
+// Kind of a sensor without a configured threshold: from its latest reading,
+// or its ID for single-sensor firmware where the ID is the kind
+async function findSensorKind(sensorId) {
+  const reading = await prisma.sensorReading.findFirst({
+    where: { sensorId },
+    orderBy: { recordedAt: 'desc' }
+  });
+  return reading ? reading.kind : sensorId;
+}
+
+// Effective thresholds of a sensor; null when it has none
+async function getThresholds(sensorId, kind) {
+  const configured = await prisma.sensorThreshold.findUnique({ where: { sensorId } });
+  if (configured) {
+    return { ...configured, isDefault: false };
+  }
+
+  const sensorKind = kind || await findSensorKind(sensorId);
+  const defaults = DEFAULT_THRESHOLDS[sensorKind];
+  return defaults ? { sensorId, kind: sensorKind, ...defaults, isDefault: true } : null;
+}
+
+async function listThresholds() {
+  return prisma.sensorThreshold.findMany({ orderBy: { sensorId: 'asc' } });
+}
+
+async function setThresholds(sensorId, { warningAbove = null, criticalAbove = null, hysteresis = 0 }) {
+  if (!sensorService.isValidSensorId(sensorId)) {
+    throw new Error('Mã cảm biến không hợp lệ');
+  }
+
+  validateThresholds({ warningAbove, criticalAbove, hysteresis });
+  const kind = await findSensorKind(sensorId);
+
+  return prisma.sensorThreshold.upsert({
+    where: { sensorId },
+    update: { warningAbove, criticalAbove, hysteresis },
+    create: { sensorId, kind, warningAbove, criticalAbove, hysteresis }
+  });
+}
+
+// Thresholds together with the sensor's current alert level
+async function getSensorAlertStatus(sensorId) {
+  const [thresholds, state] = await Promise.all([
+    getThresholds(sensorId),
+    prisma.sensorAlertState.findUnique({ where: { sensorId } })
+  ]);
+
+  return {
+    sensorId,
+    thresholds,
+    level: state ? state.level : 'NORMAL',
+    alertId: state ? state.alertId : null,
+    since: state ? state.changedAt : null
+  };
+}
+
+// Go back to the defaults of the sensor's kind
+async function clearThresholds(sensorId) {
+  await prisma.sensorThreshold.deleteMany({ where: { sensorId } });
+}
+
+// Level for a value. A level already reached is kept until the value falls
+// `hysteresis` below its threshold, so readings hovering around it don't flap
+function levelFor(value, thresholds, current) {
+  if (!thresholds) return 'NORMAL';
+
+  const limit = (threshold, level) =>
+    LEVEL_RANK[current] >= LEVEL_RANK[level] ? threshold - thresholds.hysteresis : threshold;
+
+  if (thresholds.criticalAbove != null && value > limit(thresholds.criticalAbove, 'CRITICAL')) return 'CRITICAL';
+  if (thresholds.warningAbove != null && value > limit(thresholds.warningAbove, 'WARNING')) return 'WARNING';
+  return 'NORMAL';
+}
+
+// Compare a reading against the sensor's thresholds and record level changes.
+// Returns the transition, or null while the level stays the same:
+//   raised   - the level went up; an alert should be created
+//   resolved - the sensor is back to NORMAL; alertId is the alert to resolve
+async function evaluateReading(sensorId, kind, value) {
+  const state = await prisma.sensorAlertState.findUnique({ where: { sensorId } });
+  const current = state ? state.level : 'NORMAL';
+  const thresholds = await getThresholds(sensorId, kind);
+  const level = levelFor(value, thresholds, current);
+
+  if (level === current) return null;
+
+  if (state) {
+    // Guarded so two readings processed together report a crossing only once
+    const { count } = await prisma.sensorAlertState.updateMany({
+      where: { sensorId, level: current },
+      data: { level, changedAt: new Date(), alertId: level === 'NORMAL' ? null : undefined }
+    });
+    if (count === 0) return null;
+  } else {
+    try {
+      await prisma.sensorAlertState.create({ data: { sensorId, level } });
+    } catch (error) {
+      if (error.code === 'P2002') return null;
+      throw error;
+    }
+  }
+
+  return {
+    sensorId,
+    kind,
+    value,
+    from: current,
+    to: level,
+    thresholds,
+    alertId: state ? state.alertId : null,
+    raised: LEVEL_RANK[level] > LEVEL_RANK[current],
+    resolved: level === 'NORMAL'
+  };
+}
+
+// Remember the alert of the current excursion so it can be resolved later
+async function attachAlert(sensorId, alertId) {
+  return prisma.sensorAlertState.update({
+    where: { sensorId },
+    data: { alertId }
+  });
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  getSensorAlertStatus,
+  listThresholds,
+  setThresholds,
+  clearThresholds,
+  levelFor,
+  evaluateReading,
+  attachAlert
+};
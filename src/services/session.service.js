@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+// Sliding: every refresh pushes the expiry back
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_MS) || 30 * DAY;
+// Revoked sessions are kept this long (reuse detection, admin review) before being pruned
+const REVOKED_RETENTION = 30 * DAY;
+const MAX_DEVICE_NAME = 100;
+
+// Session fields that are safe to show; never the token hashes
+const SESSION_SELECT = {
+  id: true,
+  userId: true,
+  deviceName: true,
+  userAgent: true,
+  ip: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  revokedReason: true,
+  mfaVerifiedAt: true
+};
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function deviceNameFor(deviceName, userAgent) {
+  const name = typeof deviceName === 'string' && deviceName.trim()
+    ? deviceName.trim()
+    : userAgent || 'Thiết bị không xác định';
+  return name.slice(0, MAX_DEVICE_NAME);
+}
+
+function isActive(session, now = new Date()) {
+  return Boolean(session) && !session.revokedAt && session.expiresAt > now;
+}
+
+// Access tokens carry the session ID so revoking the session cuts them off
+function issueTokens(user, sessionId, secret) {
+  const token = jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  return {
+    token,
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId
+  };
+}
+
+// Start a session for a user who just proved who they are. `mfaVerifiedAt`
+// is set when that proof included a 2FA code
+async function createSession(user, { deviceName, userAgent, ip, mfaVerifiedAt = null } = {}) {
+  const secret = newSecret();
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      deviceName: deviceNameFor(deviceName, userAgent),
+      userAgent: userAgent || null,
+      ip: ip || null,
+      refreshTokenHash: hashSecret(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+      mfaVerifiedAt
+    }
+  });
+
+  return issueTokens(user, session.id, secret);
+}
+
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+
+  const index = refreshToken.indexOf('.');
+  if (index <= 0 || index === refreshToken.length - 1) return null;
+
+  return { sessionId: refreshToken.slice(0, index), secret: refreshToken.slice(index + 1) };
+}
+
+async function revokeSession(sessionId, reason) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count > 0;
+}
+
+// Trade a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; if it is ever presented again,
+// someone else has a copy and the session is revoked for both
+async function refreshSession(refreshToken, { ip } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new Error('Refresh token không hợp lệ');
+
+  const session = await prisma.session.findUnique({
+    where: { id: parsed.sessionId },
+    include: { user: true }
+  });
+
+  if (!isActive(session)) {
+    throw new Error('Phiên đăng nhập đã hết hạn hoặc bị thu hồi');
+  }
+
+  const hash = hashSecret(parsed.secret);
+
+  if (hash === session.previousTokenHash) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    throw new Error('Refresh token đã được sử dụng, phiên đăng nhập đã bị thu hồi');
+  }
+
+  if (hash !== session.refreshTokenHash) {
+    throw new Error('Refresh token không hợp lệ');
+  }
+
+  const secret = newSecret();
+  // Guarded so two refreshes with the same token cannot both succeed
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: hash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      ip: ip || undefined,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+    }
+  });
+
+  if (count === 0) throw new Error('Refresh token không hợp lệ');
+
+  return issueTokens(session.user, session.id, secret);
+}
+
+// Record a passed 2FA check (step-up) in the session
+async function markVerified(sessionId) {
+  const verifiedAt = new Date();
+  await prisma.session.update({ where: { id: sessionId }, data: { mfaVerifiedAt: verifiedAt } });
+  return verifiedAt;
+}
+
+// Active sessions of a user, most recently used first
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' },
+    select: SESSION_SELECT
+  });
+
+  return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+}
+
+// Revoke a session of `userId`; users (and admins acting on a user) can only
+// reach that user's sessions
+async function revokeUserSession(userId, sessionId, reason) {
+  const session = await prisma.session.findUnique({ where: { id: sessionId }, select: SESSION_SELECT });
+
+  if (!session || session.userId !== userId) {
+    throw new Error('Phiên đăng nhập không tồn tại');
+  }
+
+  await revokeSession(sessionId, reason);
+  return session;
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+async function revokeAllSessions(userId, { except = null, reason }) {
+  const where = { userId, revokedAt: null };
+  if (except) where.id = { not: except };
+
+  const { count } = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+}
+
+async function pruneSessions() {
+  const now = Date.now();
+  const { count } = await prisma.session.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: new Date(now) } },
+        { revokedAt: { lt: new Date(now - REVOKED_RETENTION) } }
+      ]
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  isActive,
+  createSession,
+  refreshSession,
+  revokeSession,
+  markVerified,
+  listSessions,
+  revokeUserSession,
+  revokeAllSessions,
+  pruneSessions
+};
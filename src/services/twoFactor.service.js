@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+const authAttemptService = require('./authAttempt.service');
+
+const MINUTE = 60 * 1000;
+const ISSUER = process.env.TOTP_ISSUER || 'SmartHome';
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+// Steps accepted either side of the current one, for clock drift
+const TOTP_DRIFT = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Time between a correct password and the TOTP code
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+// How long a 2FA check covers sensitive actions such as remote unlock
+const STEP_UP_WINDOW = parseInt(process.env.STEP_UP_WINDOW_MS) || 5 * MINUTE;
+const INVALID_CODE = 'Mã xác thực không đúng';
+
+// ==================== TOTP ====================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+// HOTP (RFC 4226) of the base32 secret at a time step
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Time step the code belongs to, or null. Steps up to `lastStep` were already
+// used and are refused
+function matchTotp(secret, code, lastStep = null, now = Date.now()) {
+  const step = currentStep(now);
+
+  for (let candidate = step - TOTP_DRIFT; candidate <= step + TOTP_DRIFT; candidate++) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+    if (safeEqual(totpAt(secret, candidate), code)) return candidate;
+  }
+
+  return null;
+}
+
+function otpauthUri(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ==================== Recovery codes ====================
+
+// Dashes and spaces are only for readability
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.replace(/[\s-]/g, '').toLowerCase() : '';
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+// Replace all recovery codes of a user; the plain codes are only returned here
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await prisma.recoveryCode.deleteMany({ where: { userId } });
+  await prisma.recoveryCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+  });
+
+  return codes;
+}
+
+// ==================== Enrollment ====================
+
+function isEnabled(user) {
+  return Boolean(user?.totpEnabledAt);
+}
+
+// Required by an admin but not set up yet: the user can only enroll
+function isSetupPending(user) {
+  return Boolean(user?.totpRequired) && !isEnabled(user);
+}
+
+async function getStatus(user) {
+  const recoveryCodesLeft = isEnabled(user)
+    ? await prisma.recoveryCode.count({ where: { userId: user.id, usedAt: null } })
+    : 0;
+
+  return {
+    enabled: isEnabled(user),
+    enabledAt: user.totpEnabledAt || null,
+    required: Boolean(user.totpRequired),
+    recoveryCodesLeft
+  };
+}
+
+// Start (or restart) enrollment with a new secret. 2FA is not active until
+// a code from the app is confirmed with enable()
+async function startEnrollment(user) {
+  if (isEnabled(user)) throw new Error('Xác thực hai bước đã được bật');
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await prisma.user.update({ where: { id: user.id }, data: { totpSecret: secret } });
+
+  return { secret, otpauthUri: otpauthUri(user.username, secret) };
+}
+
+// Confirm enrollment with a code from the app; returns the recovery codes
+async function enable(user, code) {
+  if (isEnabled(user)) throw new Error('Xác thực hai bước đã được bật');
+  if (!user.totpSecret) throw new Error('Chưa bắt đầu thiết lập xác thực hai bước');
+
+  const step = matchTotp(user.totpSecret, normalizeCode(code));
+  if (step === null) throw new Error(INVALID_CODE);
+
+  // Guarded so a parallel restart of the enrollment is not enabled by accident
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, totpSecret: user.totpSecret, totpEnabledAt: null },
+    data: { totpEnabledAt: new Date(), totpLastStep: step }
+  });
+  if (count === 0) throw new Error('Xác thực hai bước đã được bật');
+
+  return { recoveryCodes: await generateRecoveryCodes(user.id) };
+}
+
+async function clearTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null }
+  });
+  await prisma.recoveryCode.deleteMany({ where: { userId } });
+}
+
+// Turn 2FA off; needs a current code and is refused while an admin requires it
+async function disable(user, code, { ip } = {}) {
+  if (!isEnabled(user)) throw new Error('Xác thực hai bước chưa được bật');
+  if (user.totpRequired) throw new Error('Quản trị viên yêu cầu tài khoản này bật xác thực hai bước');
+
+  await verifyCode(user, code, { ip });
+  await clearTwoFactor(user.id);
+}
+
+async function regenerateRecoveryCodes(user, code, { ip } = {}) {
+  if (!isEnabled(user)) throw new Error('Xác thực hai bước chưa được bật');
+
+  await verifyCode(user, code, { ip });
+  return { recoveryCodes: await generateRecoveryCodes(user.id) };
+}
+
+// ==================== Verification ====================
+
+// Each TOTP step and each recovery code is accepted once, even when two
+// requests race with the same code
+async function consumeTotp(user, code) {
+  const step = matchTotp(user.totpSecret, code, user.totpLastStep ?? null);
+  if (step === null) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+    data: { totpLastStep: step }
+  });
+  return count > 0;
+}
+
+async function consumeRecoveryCode(user, code) {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count > 0;
+}
+
+// Check a TOTP or recovery code of a user with 2FA enabled. Wrong codes
+// count towards the same backoff and lockout as passwords
+async function verifyCode(user, code, { ip } = {}) {
+  const attempt = await authAttemptService.reserveAttempt('two_factor', { subject: user.id, ip, user });
+
+  const normalized = normalizeCode(code);
+  let method = null;
+
+  if (/^\d+$/.test(normalized)) {
+    if (await consumeTotp(user, normalized)) method = 'totp';
+  } else if (normalized && await consumeRecoveryCode(user, normalized)) {
+    method = 'recovery_code';
+  }
+
+  if (!method) {
+    await authAttemptService.recordFailure(attempt);
+    throw new Error(INVALID_CODE);
+  }
+
+  await authAttemptService.recordSuccess(attempt);
+  return { method };
+}
+
+// ==================== Login challenge ====================
+
+// Proof of a correct password, exchanged for a session together with a code
+function createChallenge(user, { deviceName } = {}) {
+  return jwt.sign(
+    { userId: user.id, purpose: 'two_factor', deviceName },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+function readChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose === 'two_factor') return decoded;
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new Error('Phiên xác thực hai bước không hợp lệ hoặc đã hết hạn');
+}
+
+function isFreshVerification(mfaVerifiedAt, now = Date.now()) {
+  return Boolean(mfaVerifiedAt) && now - new Date(mfaVerifiedAt).getTime() <= STEP_UP_WINDOW;
+}
+
+// ==================== Admin ====================
+
+async function setRequired(userId, required) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { totpRequired: Boolean(required) },
+    select: { id: true, username: true, totpRequired: true, totpEnabledAt: true }
+  });
+}
+
+// Remove 2FA from a user who lost the authenticator and the recovery codes
+async function reset(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) throw new Error('Người dùng không tồn tại');
+
+  await clearTwoFactor(userId);
+  return { id: user.id, username: user.username, wasEnabled: isEnabled(user) };
+}
+
+module.exports = {
+  CHALLENGE_TTL,
+  STEP_UP_WINDOW,
+  base32Encode,
+  totpAt,
+  currentStep,
+  matchTotp,
+  isEnabled,
+  isSetupPending,
+  getStatus,
+  startEnrollment,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  verifyCode,
+  createChallenge,
+  readChallenge,
+  isFreshVerification,
+  setRequired,
+  reset
+};
@@ -9,14 +9,15 @@ const prisma = require('./lib/prisma');
 async function createTestDoorHistory() {
   console.log('🚪 Creating test door history events...\n');
 
-  // Get or create door
-  let door = await prisma.door.findFirst();
+  // Get or create the default door
+  let door = await prisma.door.findFirst({ where: { isDefault: true } });
   if (!door) {
     door = await prisma.door.create({
       data: {
         name: 'Cửa chính',
         location: 'Tầng 1',
         pinHash: 'test-hash',
+        isDefault: true,
       },
     });
     console.log('✅ Created door:', door.id);
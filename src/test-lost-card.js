@@ -13,12 +13,14 @@ async function testLostCard() {
   // Find a user with an active RFID card
   const userWithCard = await prisma.user.findFirst({
     where: {
-      rfidCard: {
-        status: 'ACTIVE'
+      rfidCards: {
+        some: { status: 'ACTIVE' }
       }
     },
     include: {
-      rfidCard: true
+      rfidCards: {
+        where: { status: 'ACTIVE' }
+      }
     }
   });
 
@@ -34,9 +36,10 @@ async function testLostCard() {
     return;
   }
 
+  const card = userWithCard.rfidCards[0];
   console.log(`✅ Found user with card: ${userWithCard.username}`);
-  console.log(`   Card UID: ${userWithCard.rfidCard.uid}`);
-  console.log(`   Card Status: ${userWithCard.rfidCard.status}\n`);
+  console.log(`   Card UID: ${card.uid}`);
+  console.log(`   Card Status: ${card.status}\n`);
 
   console.log('📤 Simulating lost card report...');
   
@@ -45,11 +48,12 @@ async function testLostCard() {
     console.log('✅ Card reported lost successfully!');
     console.log(`   Message: ${result.message}`);
     console.log(`   Card ID: ${result.card.id}`);
-    console.log(`   Card UID: ${result.card.uid}\n`);
+    console.log(`   Card UID: ${result.card.uid}`);
+    console.log(`   Doors: ${result.doorIds.join(', ')}\n`);
 
     // Verify the card is revoked
     const updatedCard = await prisma.rfidCard.findUnique({
-      where: { id: userWithCard.rfidCard.id }
+      where: { id: card.id }
     });
     console.log(`📋 Card status after report: ${updatedCard.status}`);
 
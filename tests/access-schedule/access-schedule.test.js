@@ -0,0 +1,146 @@
+/**
+ * Access Schedule Tests
+ * Tests for time-based RFID access windows
+ */
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+  },
+  rfidCard: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/lib/prisma');
+const accessScheduleService = require('../../src/services/accessSchedule.service');
+const doorService = require('../../src/services/door.service');
+
+// Mon/Wed 09:00-12:00 in Vietnam (UTC+7)
+const cleanerSchedule = {
+  daysOfWeek: '1,3',
+  startTime: '09:00',
+  endTime: '12:00',
+  validFrom: null,
+  validUntil: null,
+  timezone: 'Asia/Ho_Chi_Minh',
+};
+
+describe('Access Schedules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isScheduleActive', () => {
+    it('allows access inside the weekday window', () => {
+      // Monday 2025-12-29 10:00 in Vietnam = 03:00 UTC
+      const now = new Date('2025-12-29T03:00:00Z');
+      expect(accessScheduleService.isScheduleActive(cleanerSchedule, now)).toBe(true);
+    });
+
+    it('denies access outside the time window', () => {
+      // Monday 2025-12-29 13:00 in Vietnam
+      const now = new Date('2025-12-29T06:00:00Z');
+      expect(accessScheduleService.isScheduleActive(cleanerSchedule, now)).toBe(false);
+    });
+
+    it('denies access on other weekdays', () => {
+      // Tuesday 2025-12-30 10:00 in Vietnam
+      const now = new Date('2025-12-30T03:00:00Z');
+      expect(accessScheduleService.isScheduleActive(cleanerSchedule, now)).toBe(false);
+    });
+
+    it('evaluates the weekday in the schedule timezone', () => {
+      // Sunday 2025-12-28 20:00 UTC is already Monday 03:00 in Vietnam
+      const schedule = { ...cleanerSchedule, startTime: '00:00', endTime: '06:00' };
+      const now = new Date('2025-12-28T20:00:00Z');
+      expect(accessScheduleService.isScheduleActive(schedule, now)).toBe(true);
+    });
+
+    it('supports overnight windows', () => {
+      // Fri 22:00 - 06:00, checked Saturday 02:00 in Vietnam
+      const schedule = { ...cleanerSchedule, daysOfWeek: '5', startTime: '22:00', endTime: '06:00' };
+      const now = new Date('2026-01-02T19:00:00Z');
+      expect(accessScheduleService.isScheduleActive(schedule, now)).toBe(true);
+    });
+
+    it('respects the validity window', () => {
+      const schedule = { ...cleanerSchedule, validUntil: new Date('2025-12-01T00:00:00Z') };
+      const now = new Date('2025-12-29T03:00:00Z');
+      expect(accessScheduleService.isScheduleActive(schedule, now)).toBe(false);
+    });
+  });
+
+  describe('getApplicableSchedules', () => {
+    it('prefers card schedules over user schedules', () => {
+      const cardSchedule = { id: 1 };
+      const userSchedule = { id: 2 };
+      const card = { accessSchedules: [cardSchedule], user: { accessSchedules: [userSchedule] } };
+
+      expect(accessScheduleService.getApplicableSchedules(card)).toEqual([cardSchedule]);
+    });
+
+    it('falls back to user schedules', () => {
+      const userSchedule = { id: 2 };
+      const card = { accessSchedules: [], user: { accessSchedules: [userSchedule] } };
+
+      expect(accessScheduleService.getApplicableSchedules(card)).toEqual([userSchedule]);
+    });
+
+    it('treats no schedules as unrestricted', () => {
+      expect(accessScheduleService.isWithinSchedule([])).toBe(true);
+    });
+  });
+
+  describe('authenticateRfid', () => {
+    it('denies an active card outside its schedule', async () => {
+      const schedule = { ...cleanerSchedule, daysOfWeek: '0', startTime: '00:00', endTime: '00:01' };
+      jest.useFakeTimers().setSystemTime(new Date('2025-12-29T03:00:00Z'));
+
+      prisma.rfidCard.findFirst.mockResolvedValue({
+        status: 'ACTIVE',
+        userId: 5,
+        accessSchedules: [schedule],
+        user: { id: 5, username: 'cleaner', role: 'USER', accessSchedules: [] },
+      });
+
+      const result = await doorService.authenticateRfid('hash');
+      jest.useRealTimers();
+
+      expect(result).toEqual({
+        allowed: false,
+        reason: 'outside_schedule',
+        userId: 5,
+        username: 'cleaner',
+      });
+    });
+  });
+
+  describe('RFID whitelist', () => {
+    it('includes device schedules for offline enforcement', async () => {
+      prisma.door.findFirst.mockResolvedValue({ id: 'door-1', isDefault: true });
+      prisma.rfidCard.findMany.mockResolvedValue([
+        {
+          uidHash: 'hash',
+          accessSchedules: [],
+          user: { username: 'cleaner', accessSchedules: [cleanerSchedule] },
+        },
+      ]);
+
+      const whitelist = await doorService.getRfidWhitelist();
+
+      expect(whitelist[0].schedules).toEqual([
+        {
+          days: [1, 3],
+          start: '09:00',
+          end: '12:00',
+          validFrom: null,
+          validUntil: null,
+          timezone: 'Asia/Ho_Chi_Minh',
+          utcOffset: 420,
+        },
+      ]);
+    });
+  });
+});
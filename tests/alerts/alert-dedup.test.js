@@ -0,0 +1,217 @@
+/**
+ * Alert Grouping Tests
+ * Tests for deduplicating repeated alerts and rate-limiting their pushes
+ */
+
+jest.mock('../../src/lib/prisma', () => ({
+  alert: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  sensorReading: {
+    create: jest.fn(),
+  },
+  door: {
+    findMany: jest.fn(),
+  },
+  device: {
+    findMany: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const alertService = require('../../src/services/alert.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const openAlert = (overrides = {}) => ({
+  id: 5,
+  type: 'fire',
+  level: 'WARNING',
+  message: 'Fire detected at kitchen',
+  source: 'fire:kitchen',
+  occurrences: 3,
+  lastSeenAt: new Date(),
+  createdAt: new Date(),
+  ...overrides,
+});
+
+describe('Alert Grouping', () => {
+  let publish;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publish = jest.fn();
+    alertService.setMqttPublish(publish);
+    prisma.alert.findFirst.mockResolvedValue(null);
+    prisma.alert.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: 1, occurrences: 1, ...data, createdAt: new Date() }));
+    prisma.alert.update.mockImplementation(({ where, data }) => Promise.resolve({
+      ...openAlert({ id: where.id }),
+      ...data,
+      occurrences: openAlert().occurrences + data.occurrences.increment,
+    }));
+  });
+
+  describe('createAlert', () => {
+    it('counts a repeat on the open alert of the same group', async () => {
+      prisma.alert.findFirst.mockResolvedValue(openAlert());
+
+      const alert = await alertService.createAlert({
+        type: 'fire',
+        level: 'WARNING',
+        message: 'Fire detected at kitchen',
+        source: 'fire:kitchen',
+      });
+
+      expect(prisma.alert.findFirst).toHaveBeenCalledWith({
+        where: {
+          type: 'fire',
+          source: 'fire:kitchen',
+          resolvedAt: null,
+          lastSeenAt: { gte: expect.any(Date) },
+        },
+        orderBy: { lastSeenAt: 'desc' },
+      });
+      expect(prisma.alert.create).not.toHaveBeenCalled();
+      expect(prisma.alert.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 5 },
+        data: { message: 'Fire detected at kitchen', occurrences: { increment: 1 }, lastSeenAt: expect.any(Date) },
+      }));
+      expect(alert).toMatchObject({ id: 5, occurrences: 4, isNew: false, escalated: false });
+      // The display already shows this alert
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('raises the level of the group when a repeat is more severe', async () => {
+      prisma.alert.findFirst.mockResolvedValue(openAlert());
+
+      const alert = await alertService.createAlert({
+        type: 'fire',
+        level: 'CRITICAL',
+        message: 'Fire detected at kitchen',
+        source: 'fire:kitchen',
+      });
+
+      expect(prisma.alert.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ level: 'CRITICAL', lastNotifiedAt: expect.any(Date) }),
+      }));
+      expect(alert.escalated).toBe(true);
+    });
+
+    it('creates and publishes a new alert when the group has no open alert', async () => {
+      const alert = await alertService.createAlert({
+        type: 'fire',
+        level: 'CRITICAL',
+        message: 'Fire detected at kitchen',
+        source: 'fire:kitchen',
+      });
+
+      expect(prisma.alert.create).toHaveBeenCalled();
+      expect(publish).toHaveBeenCalledWith('home/alert/new', expect.objectContaining({ id: 1 }));
+      expect(alert.isNew).toBe(true);
+    });
+
+    it('never groups alerts without a source', async () => {
+      await alertService.createAlert({ type: 'door', level: 'INFO', message: 'Mã PIN đã được thay đổi' });
+
+      expect(prisma.alert.findFirst).not.toHaveBeenCalled();
+      expect(prisma.alert.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('claimNotification', () => {
+    it('always notifies new alerts without touching the database', async () => {
+      await expect(alertService.claimNotification({ id: 1, isNew: true })).resolves.toBe(true);
+      expect(prisma.alert.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('suppresses repeats pushed within the interval', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(alertService.claimNotification({ id: 5, isNew: false, escalated: false })).resolves.toBe(false);
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 5,
+          OR: [{ lastNotifiedAt: null }, { lastNotifiedAt: { lt: expect.any(Date) } }],
+        },
+        data: { lastNotifiedAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe('fire sensor storm', () => {
+    let handleMessage;
+
+    const fire = () =>
+      handleMessage('home/sensor/fire', Buffer.from(JSON.stringify({ detected: true, location: 'kitchen' })));
+
+    beforeAll(() => {
+      jest.useFakeTimers();
+      mqttService.connect();
+      const client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+      jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    });
+
+    it('stores one alert and sends one push for a burst of detections', async () => {
+      let stored = null;
+      prisma.alert.findFirst.mockImplementation(() => Promise.resolve(stored));
+      prisma.alert.create.mockImplementation(({ data }) => {
+        stored = { id: 9, occurrences: 1, ...data, createdAt: new Date() };
+        return Promise.resolve(stored);
+      });
+      prisma.alert.update.mockImplementation(({ data }) => {
+        stored = { ...stored, lastSeenAt: data.lastSeenAt, occurrences: stored.occurrences + 1 };
+        return Promise.resolve(stored);
+      });
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+
+      for (let i = 0; i < 5; i++) {
+        await fire();
+      }
+
+      expect(prisma.alert.create).toHaveBeenCalledTimes(1);
+      expect(stored.occurrences).toBe(5);
+      expect(pushService.sendToAll).toHaveBeenCalledTimes(1);
+      expect(pushService.sendToAll).toHaveBeenCalledWith(
+        '🔥 Fire Alert!',
+        'Fire detected at kitchen',
+        { category: 'fire', level: 'CRITICAL' }
+      );
+    });
+
+    it('includes the occurrence count when a repeat is pushed after the interval', async () => {
+      prisma.alert.findFirst.mockResolvedValue(openAlert({ level: 'CRITICAL' }));
+      prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+
+      await fire();
+
+      expect(pushService.sendToAll).toHaveBeenCalledWith('🔥 Fire Alert!', 'Fire detected at kitchen (×4)', expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Alert Escalation Tests
+ * Tests for escalation policies applied to alerts nobody acknowledges
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  escalationPolicy: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+  },
+  alert: {
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  alertNote: {
+    create: jest.fn(),
+  },
+  user: {
+    count: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/mqtt.service', () => ({
+  connect: jest.fn(),
+  publish: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+const prisma = require('../../src/lib/prisma');
+const mqttService = require('../../src/services/mqtt.service');
+const pushService = require('../../src/services/push.service');
+const escalationService = require('../../src/services/escalation.service');
+
+const MINUTE = 60 * 1000;
+
+const firePolicy = {
+  id: 1,
+  name: 'Cháy',
+  alertType: 'fire',
+  minLevel: 'CRITICAL',
+  enabled: true,
+  steps: [
+    { afterMinutes: 5, action: 'renotify' },
+    { afterMinutes: 10, action: 'notify_users', userIds: [4, 5] },
+    { afterMinutes: 15, action: 'mqtt_publish', topic: 'home/siren/command', message: { action: 'on' } },
+  ],
+};
+
+const catchAllPolicy = {
+  id: 2,
+  name: 'Mặc định',
+  alertType: null,
+  minLevel: 'WARNING',
+  enabled: true,
+  steps: [{ afterMinutes: 30, action: 'renotify' }],
+};
+
+const fireAlert = (overrides = {}) => ({
+  id: 12,
+  type: 'fire',
+  level: 'CRITICAL',
+  status: 'OPEN',
+  message: 'Fire detected at kitchen',
+  escalationStep: 0,
+  escalationPolicyId: null,
+  createdAt: new Date(Date.now() - 6 * MINUTE),
+  ...overrides,
+});
+
+describe('Alert Escalation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    jest.spyOn(pushService, 'sendToUser').mockResolvedValue();
+    prisma.escalationPolicy.findMany.mockResolvedValue([catchAllPolicy, firePolicy]);
+    prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('runEscalations', () => {
+    it('re-notifies everyone once the first step is due and records it on the alert', async () => {
+      prisma.alert.findMany.mockResolvedValue([fireAlert()]);
+
+      await escalationService.runEscalations();
+
+      expect(prisma.alert.findMany).toHaveBeenCalledWith({
+        where: expect.objectContaining({ status: 'OPEN', silent: false }),
+      });
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: { id: 12, status: 'OPEN', escalationStep: 0 },
+        data: { escalationStep: 1, escalationPolicyId: 1 },
+      });
+      expect(pushService.sendToAll).toHaveBeenCalledWith(
+        '⏰ Cảnh báo chưa được xác nhận',
+        'Fire detected at kitchen',
+        { category: 'fire', level: 'CRITICAL' }
+      );
+      expect(prisma.alertNote.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ alertId: 12, userId: null, authorName: 'system' }),
+      });
+    });
+
+    it('waits until a step is due', async () => {
+      prisma.alert.findMany.mockResolvedValue([fireAlert({ escalationStep: 1, escalationPolicyId: 1 })]);
+
+      await escalationService.runEscalations();
+
+      expect(prisma.alert.updateMany).not.toHaveBeenCalled();
+      expect(pushService.sendToUser).not.toHaveBeenCalled();
+    });
+
+    it('notifies the secondary contacts, then triggers the siren', async () => {
+      prisma.alert.findMany.mockResolvedValue([fireAlert({
+        escalationStep: 1,
+        escalationPolicyId: 1,
+        createdAt: new Date(Date.now() - 11 * MINUTE),
+      })]);
+
+      await escalationService.runEscalations();
+
+      expect(pushService.sendToUser).toHaveBeenCalledWith(4, expect.any(String), 'Fire detected at kitchen');
+      expect(pushService.sendToUser).toHaveBeenCalledWith(5, expect.any(String), 'Fire detected at kitchen');
+
+      prisma.alert.findMany.mockResolvedValue([fireAlert({
+        escalationStep: 2,
+        escalationPolicyId: 1,
+        createdAt: new Date(Date.now() - 16 * MINUTE),
+      })]);
+
+      await escalationService.runEscalations();
+
+      expect(mqttService.publish).toHaveBeenCalledWith('home/siren/command', {
+        action: 'on',
+        alertId: 12,
+        alertType: 'fire',
+        level: 'CRITICAL',
+      });
+    });
+
+    it('stops when the alert was acknowledged before the step was claimed', async () => {
+      prisma.alert.findMany.mockResolvedValue([fireAlert()]);
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+
+      await escalationService.runEscalations();
+
+      expect(pushService.sendToAll).not.toHaveBeenCalled();
+      expect(prisma.alertNote.create).not.toHaveBeenCalled();
+    });
+
+    it('does nothing after the last step', async () => {
+      prisma.alert.findMany.mockResolvedValue([fireAlert({
+        escalationStep: 3,
+        escalationPolicyId: 1,
+        createdAt: new Date(Date.now() - 60 * MINUTE),
+      })]);
+
+      await escalationService.runEscalations();
+
+      expect(prisma.alert.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findPolicyFor', () => {
+    it('prefers a policy for the alert type over a catch-all', () => {
+      expect(escalationService.findPolicyFor(fireAlert(), [catchAllPolicy, firePolicy])).toBe(firePolicy);
+    });
+
+    it('skips policies above the alert level', () => {
+      const alert = fireAlert({ level: 'WARNING' });
+      expect(escalationService.findPolicyFor(alert, [catchAllPolicy, firePolicy])).toBe(catchAllPolicy);
+      expect(escalationService.findPolicyFor({ ...alert, level: 'INFO' }, [catchAllPolicy, firePolicy])).toBeNull();
+    });
+  });
+
+  describe('POST /api/escalation-policies', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/escalation-policies', require('../../src/routes/escalationPolicy.routes'));
+    });
+
+    it('creates a policy and audits it', async () => {
+      prisma.user.count.mockResolvedValue(2);
+      prisma.escalationPolicy.create.mockImplementation(({ data }) => Promise.resolve({ id: 3, ...data }));
+
+      const res = await request(app).post('/api/escalation-policies').send({
+        name: 'Cháy',
+        alertType: 'fire',
+        steps: [
+          { afterMinutes: 5, action: 'renotify', userIds: [9] },
+          { afterMinutes: 10, action: 'notify_users', userIds: [4, 5] },
+        ],
+      });
+
+      expect(res.status).toBe(201);
+      expect(prisma.escalationPolicy.create).toHaveBeenCalledWith({
+        data: {
+          name: 'Cháy',
+          alertType: 'fire',
+          minLevel: 'CRITICAL',
+          steps: [
+            { afterMinutes: 5, action: 'renotify' },
+            { afterMinutes: 10, action: 'notify_users', userIds: [4, 5] },
+          ],
+          enabled: true,
+        },
+      });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'escalation_policy.create', targetId: '3' }),
+      });
+    });
+
+    it('rejects steps that go back in time', async () => {
+      const res = await request(app).post('/api/escalation-policies').send({
+        name: 'Sai',
+        steps: [
+          { afterMinutes: 10, action: 'renotify' },
+          { afterMinutes: 5, action: 'renotify' },
+        ],
+      });
+
+      expect(res.status).toBe(400);
+      expect(prisma.escalationPolicy.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects wildcard MQTT topics', async () => {
+      const res = await request(app).post('/api/escalation-policies').send({
+        name: 'Còi',
+        steps: [{ afterMinutes: 5, action: 'mqtt_publish', topic: 'home/#' }],
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Topic MQTT không hợp lệ');
+    });
+
+    it('only publishes to alarm and siren topics', async () => {
+      const door = await request(app).post('/api/escalation-policies').send({
+        name: 'Mở cửa',
+        steps: [{ afterMinutes: 5, action: 'mqtt_publish', topic: 'door/unlock', message: { action: 'unlock' } }],
+      });
+      const sensor = await request(app).post('/api/escalation-policies').send({
+        name: 'Cảm biến',
+        steps: [{ afterMinutes: 5, action: 'mqtt_publish', topic: 'home/sensor/fire' }],
+      });
+
+      expect(door.status).toBe(400);
+      expect(sensor.status).toBe(400);
+      expect(door.body.error).toContain('home/siren/');
+      expect(prisma.escalationPolicy.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown secondary contacts', async () => {
+      prisma.user.count.mockResolvedValue(1);
+
+      const res = await request(app).post('/api/escalation-policies').send({
+        name: 'Dự phòng',
+        steps: [{ afterMinutes: 5, action: 'notify_users', userIds: [4, 99] }],
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Người nhận không tồn tại');
+    });
+  });
+});
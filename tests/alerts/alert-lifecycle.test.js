@@ -0,0 +1,230 @@
+/**
+ * Alert Lifecycle Tests
+ * Tests for open -> acknowledged -> resolved transitions, notes and state filtering
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  alert: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  alertNote: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 7, username: 'minh', role: 'USER' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+const prisma = require('../../src/lib/prisma');
+const alertService = require('../../src/services/alert.service');
+
+const storedAlert = (overrides = {}) => ({
+  id: 3,
+  type: 'gas',
+  level: 'CRITICAL',
+  status: 'OPEN',
+  message: 'Gas leak detected: 850 ppm',
+  occurrences: 1,
+  silent: false,
+  createdAt: new Date('2026-01-13T08:00:00Z'),
+  acknowledgedAt: null,
+  acknowledgedBy: null,
+  resolvedAt: null,
+  resolvedBy: null,
+  ...overrides,
+});
+
+describe('Alert Lifecycle', () => {
+  let app;
+  let publish;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/alerts', require('../../src/routes/alert.routes'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publish = jest.fn();
+    alertService.setMqttPublish(publish);
+    prisma.alertNote.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+  });
+
+  describe('PATCH /api/alerts/:id/acknowledge', () => {
+    it('acknowledges an open alert, records a note and publishes the update', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({
+        status: 'ACKNOWLEDGED',
+        acknowledgedAt: new Date('2026-01-13T08:05:00Z'),
+        acknowledgedBy: { id: 7, username: 'minh' },
+      }));
+
+      const res = await request(app)
+        .patch('/api/alerts/3/acknowledge')
+        .send({ note: 'Đang kiểm tra bếp' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, status: { in: ['OPEN'] } },
+        data: { status: 'ACKNOWLEDGED', acknowledgedById: 7, acknowledgedAt: expect.any(Date) },
+      });
+      expect(prisma.alertNote.create).toHaveBeenCalledWith({
+        data: { alertId: 3, userId: 7, authorName: 'minh', text: 'Đang kiểm tra bếp' },
+      });
+      expect(publish).toHaveBeenCalledWith('home/alert/updated', expect.objectContaining({
+        id: 3,
+        status: 'ACKNOWLEDGED',
+        acknowledgedAt: '2026-01-13T08:05:00.000Z',
+        acknowledgedBy: { id: 7, username: 'minh' },
+      }));
+    });
+
+    it('refuses to acknowledge an alert twice', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({ status: 'ACKNOWLEDGED' }));
+
+      const res = await request(app).patch('/api/alerts/3/acknowledge');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cảnh báo đã được xác nhận');
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('returns an error for an unknown alert', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+      prisma.alert.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).patch('/api/alerts/99/acknowledge');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cảnh báo không tồn tại');
+    });
+  });
+
+  describe('PATCH /api/alerts/:id/resolve', () => {
+    it('resolves an acknowledged alert and records who resolved it', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({ status: 'RESOLVED', resolvedAt: new Date() }));
+
+      const res = await request(app).patch('/api/alerts/3/resolve');
+
+      expect(res.status).toBe(200);
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, status: { in: ['OPEN', 'ACKNOWLEDGED'] } },
+        data: { status: 'RESOLVED', resolvedAt: expect.any(Date), resolvedById: 7 },
+      });
+      expect(publish).toHaveBeenCalledWith('home/alert/updated', expect.objectContaining({ status: 'RESOLVED' }));
+    });
+
+    it('refuses to resolve a resolved alert', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({ status: 'RESOLVED' }));
+
+      const res = await request(app).patch('/api/alerts/3/resolve');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cảnh báo đã được xử lý');
+    });
+
+    it('rejects an empty note before changing the alert', async () => {
+      const res = await request(app).patch('/api/alerts/3/resolve').send({ note: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.alert.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('automatic resolution', () => {
+    it('leaves an alert someone already resolved alone', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(alertService.resolveAlert(3)).resolves.toBeNull();
+    });
+
+    it('keeps transitions of silent alerts off MQTT', async () => {
+      prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({ silent: true, status: 'RESOLVED', resolvedAt: new Date() }));
+
+      await alertService.resolveAlert(3);
+
+      expect(publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notes', () => {
+    it('adds a note to the thread', async () => {
+      prisma.alert.findUnique.mockResolvedValue(storedAlert());
+
+      const res = await request(app).post('/api/alerts/3/notes').send({ text: ' Đã gọi thợ sửa ' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ alertId: 3, authorName: 'minh', text: 'Đã gọi thợ sửa' });
+    });
+
+    it('returns the alert with its notes in order', async () => {
+      prisma.alert.findUnique.mockResolvedValue(storedAlert());
+      prisma.alertNote.findMany.mockResolvedValue([{ id: 1, text: 'first' }, { id: 2, text: 'second' }]);
+
+      const res = await request(app).get('/api/alerts/3');
+
+      expect(res.status).toBe(200);
+      expect(res.body.notes.map(n => n.text)).toEqual(['first', 'second']);
+      expect(prisma.alertNote.findMany).toHaveBeenCalledWith({
+        where: { alertId: 3 },
+        orderBy: { createdAt: 'asc' },
+      });
+    });
+  });
+
+  describe('GET /api/alerts', () => {
+    it('filters by one or more states', async () => {
+      prisma.alert.findMany.mockResolvedValue([]);
+      prisma.alert.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/alerts').query({ status: 'OPEN,ACKNOWLEDGED' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.alert.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { silent: false, status: { in: ['OPEN', 'ACKNOWLEDGED'] } },
+      }));
+    });
+
+    it('leaves silent duress alerts out for other users', async () => {
+      prisma.alert.findMany.mockResolvedValue([]);
+      prisma.alert.count.mockResolvedValue(0);
+      prisma.alert.findUnique.mockResolvedValue(storedAlert({ silent: true }));
+
+      const list = await request(app).get('/api/alerts');
+      const single = await request(app).get('/api/alerts/3');
+
+      expect(prisma.alert.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { silent: false } }));
+      expect(single.status).toBe(404);
+      expect(prisma.alertNote.findMany).not.toHaveBeenCalled();
+    });
+
+    it('shows silent alerts to the duress recipients', () => {
+      expect(alertService.canSeeSilent({ role: 'ADMIN', duressAlerts: true })).toBe(true);
+      expect(alertService.canSeeSilent({ role: 'ADMIN', duressAlerts: false })).toBe(false);
+      expect(alertService.canSeeSilent({ role: 'USER', duressAlerts: true })).toBe(false);
+    });
+
+    it('rejects an unknown state', async () => {
+      const res = await request(app).get('/api/alerts').query({ status: 'CLOSED' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
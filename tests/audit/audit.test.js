@@ -0,0 +1,167 @@
+/**
+ * Audit Log Tests
+ * Tests for recording admin actions and the /api/audit endpoint
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  role: {
+    findUnique: jest.fn(({ where }) =>
+      Promise.resolve(['ADMIN', 'USER'].includes(where.name) ? { name: where.name, permissions: '' } : null)),
+  },
+  auditLog: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  };
+  return {
+    authenticate,
+    authenticateForSetup: authenticate,
+    authorize: () => (req, res, next) => next(),
+    manageableUser: () => (req, res, next) => next(),
+  };
+});
+
+const prisma = require('../../src/lib/prisma');
+const auditService = require('../../src/services/audit.service');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../../src/routes/auth.routes'));
+  app.use('/api/audit', require('../../src/routes/audit.routes'));
+  return app;
+};
+
+describe('Audit Log', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.auditLog.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+  });
+
+  describe('logAction', () => {
+    const req = {
+      user: { id: 1, username: 'admin' },
+      headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' },
+      // What express resolves from X-Forwarded-For for a trusted proxy
+      ip: '203.0.113.7',
+    };
+
+    it('records actor, target and the client IP behind the proxy', async () => {
+      await auditService.logAction(req, { action: 'door.unlock', targetType: 'door', targetId: 'door-1' });
+
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          actorId: 1,
+          actorName: 'admin',
+          action: 'door.unlock',
+          targetType: 'door',
+          targetId: 'door-1',
+          ip: '203.0.113.7',
+        }),
+      });
+    });
+
+    it('does not take the IP from X-Forwarded-For itself', () => {
+      const forged = { headers: { 'x-forwarded-for': '198.51.100.1' }, ip: '10.0.0.1' };
+
+      expect(auditService.getClientIp(forged)).toBe('10.0.0.1');
+    });
+
+    it('never fails the caller when the write fails', async () => {
+      prisma.auditLog.create.mockRejectedValue(new Error('db down'));
+
+      await expect(auditService.logAction(req, { action: 'door.unlock' })).resolves.toBeNull();
+    });
+  });
+
+  describe('admin routes', () => {
+    it('records before and after values of a role change', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 5, username: 'bob', role: 'USER' });
+      prisma.user.update.mockResolvedValue({ id: 5, username: 'bob', role: 'ADMIN' });
+
+      const response = await request(app).patch('/api/auth/users/5/role').send({ role: 'ADMIN' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'user.role_change',
+          targetType: 'user',
+          targetId: '5',
+          before: { username: 'bob', role: 'USER' },
+          after: { username: 'bob', role: 'ADMIN' },
+        }),
+      });
+    });
+
+    it('keeps the deleted user in the audit entry', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 5, username: 'bob', role: 'USER' });
+      prisma.user.delete.mockResolvedValue({ id: 5 });
+
+      const response = await request(app).delete('/api/auth/users/5');
+
+      expect(response.status).toBe(204);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'user.delete',
+          before: { username: 'bob', role: 'USER' },
+        }),
+      });
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    beforeEach(() => {
+      prisma.auditLog.findMany.mockResolvedValue([]);
+      prisma.auditLog.count.mockResolvedValue(0);
+    });
+
+    it('filters by actor, target and an action prefix', async () => {
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ actorId: '1', action: 'door.*', targetType: 'door', targetId: 'door-1' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.auditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          actorId: 1,
+          action: { startsWith: 'door.' },
+          targetType: 'door',
+          targetId: 'door-1',
+        },
+      }));
+    });
+
+    it('filters by time range', async () => {
+      await request(app).get('/api/audit').query({ from: '2026-01-01', to: '2026-01-31' });
+
+      const { where } = prisma.auditLog.findMany.mock.calls[0][0];
+      expect(where.createdAt).toEqual({ gte: new Date('2026-01-01'), lte: new Date('2026-01-31') });
+    });
+
+    it('rejects an invalid date', async () => {
+      const response = await request(app).get('/api/audit').query({ from: 'yesterday' });
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Brute-force Protection Tests
+ * Tests for attempt counters with exponential backoff and temporary account
+ * lockout on login and door PIN changes
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  authAttempt: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  door: {
+    findFirst: jest.fn(),
+  },
+  session: {
+    create: jest.fn(),
+  },
+  role: {
+    findUnique: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/alert.service', () => ({
+  createAlert: jest.fn(),
+  claimNotification: jest.fn(),
+}));
+
+jest.mock('../../src/services/push.service', () => ({
+  sendToAll: jest.fn(),
+  sendToUser: jest.fn(),
+}));
+
+jest.mock('../../src/services/mqtt.service', () => ({
+  publishToDoor: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => {
+  const authenticate = (req, res, next) => {
+    req.user = mockCurrentUser;
+    req.sessionId = 'session-1';
+    next();
+  };
+  return {
+    authenticate,
+    authenticateForSetup: authenticate,
+    authorize: () => (req, res, next) => next(),
+    requireStepUp: (req, res, next) => next(),
+    manageableUser: jest.requireActual('../../src/middleware/auth.middleware').manageableUser,
+  };
+});
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = require('../../src/lib/prisma');
+const alertService = require('../../src/services/alert.service');
+const pushService = require('../../src/services/push.service');
+const authAttemptService = require('../../src/services/authAttempt.service');
+
+const MINUTE = 60 * 1000;
+const passwordHash = bcrypt.hashSync('secret123', 4);
+const an = { id: 2, username: 'an', role: 'USER', passwordHash, lockedUntil: null };
+const admin = { id: 1, username: 'admin', role: 'ADMIN', lockedUntil: null };
+let mockCurrentUser = admin;
+
+// In-memory AuthAttempt table
+let attempts;
+
+// The where clauses authAttempt.service uses with updateMany
+function matches(row, where) {
+  if (where.lastFailureAt && !(row.lastFailureAt < where.lastFailureAt.lt)) return false;
+  if (where.failures && !(row.failures > where.failures.gt)) return false;
+  if (where.blockedUntil && row.blockedUntil?.getTime() !== where.blockedUntil.getTime()) return false;
+  if (where.OR && !(row.blockedUntil == null || row.blockedUntil <= where.OR[1].blockedUntil.lte)) return false;
+  return true;
+}
+
+function applyData(row, data) {
+  const updated = { ...row, ...data };
+  if (data.failures?.increment) updated.failures = row.failures + data.failures.increment;
+  if (data.failures?.decrement) updated.failures = row.failures - data.failures.decrement;
+  return updated;
+}
+
+function useAttemptStore() {
+  attempts = new Map();
+  prisma.authAttempt.findUnique.mockImplementation(async ({ where }) => attempts.get(where.key) || null);
+  prisma.authAttempt.upsert.mockImplementation(async ({ where, create, update }) => {
+    const row = attempts.has(where.key) ? applyData(attempts.get(where.key), update) : { blockedUntil: null, ...create };
+    attempts.set(where.key, row);
+    return row;
+  });
+  prisma.authAttempt.updateMany.mockImplementation(async ({ where, data }) => {
+    const row = attempts.get(where.key);
+    if (!row || !matches(row, where)) return { count: 0 };
+    attempts.set(where.key, applyData(row, data));
+    return { count: 1 };
+  });
+  prisma.authAttempt.deleteMany.mockImplementation(async ({ where }) => {
+    if (!where.key) return { count: 0 };
+    const keys = typeof where.key === 'string' ? [where.key] : where.key.in;
+    keys.forEach(key => attempts.delete(key));
+    return { count: keys.length };
+  });
+}
+
+function login(app, password, ip = '10.0.0.5') {
+  return request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', ip)
+    .send({ username: 'an', password });
+}
+
+// Let the backoff of every key run out without resetting the failure counts
+function skipBackoff() {
+  for (const attempt of attempts.values()) attempt.blockedUntil = null;
+}
+
+describe('Brute-force Protection', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAttemptStore();
+    mockCurrentUser = admin;
+    app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth.routes'));
+    app.use('/api/doors', require('../../src/routes/door.routes'));
+    prisma.user.findUnique.mockResolvedValue(an);
+    prisma.role.findUnique.mockImplementation(({ where }) => Promise.resolve({ name: where.name, builtIn: true, permissions: '' }));
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.session.create.mockImplementation(({ data }) => ({ id: 'session-1', ...data }));
+    alertService.createAlert.mockImplementation(async alert => ({ id: 7, isNew: true, ...alert }));
+    alertService.claimNotification.mockResolvedValue(true);
+  });
+
+  describe('Login', () => {
+    it('lets the first failures through and then doubles the wait', async () => {
+      for (let i = 0; i < 3; i++) {
+        expect((await login(app, 'wrong')).status).toBe(401);
+      }
+      expect(attempts.get('login:user:an').blockedUntil).toBeNull();
+
+      await login(app, 'wrong');
+      const first = attempts.get('login:user:an').blockedUntil - Date.now();
+      skipBackoff();
+      await login(app, 'wrong');
+      const second = attempts.get('login:user:an').blockedUntil - Date.now();
+
+      expect(first).toBeGreaterThan(0);
+      expect(first).toBeLessThanOrEqual(1000);
+      expect(second).toBeGreaterThan(1000);
+      expect(second).toBeLessThanOrEqual(2000);
+    });
+
+    it('answers 429 with Retry-After while backing off, even for the right password', async () => {
+      attempts.set('login:user:an', {
+        key: 'login:user:an',
+        failures: 6,
+        lastFailureAt: new Date(),
+        blockedUntil: new Date(Date.now() + 30000),
+      });
+
+      const res = await login(app, 'secret123');
+
+      expect(res.status).toBe(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(25);
+      expect(res.body.retryAfter).toBe(Number(res.headers['retry-after']));
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+
+    it('throttles an IP guessing many usernames', async () => {
+      attempts.set('login:ip:10.0.0.5', {
+        key: 'login:ip:10.0.0.5',
+        failures: 25,
+        lastFailureAt: new Date(),
+        blockedUntil: new Date(Date.now() + 60000),
+      });
+
+      expect((await login(app, 'secret123')).status).toBe(429);
+      expect((await login(app, 'secret123', '10.0.0.6')).status).toBe(200);
+    });
+
+    it('throttles unknown usernames like existing ones', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      await login(app, 'wrong');
+
+      expect(attempts.get('login:user:an').failures).toBe(1);
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('starts counting again after a successful login', async () => {
+      await login(app, 'wrong');
+      await login(app, 'wrong');
+
+      expect((await login(app, 'secret123')).status).toBe(200);
+      expect(attempts.has('login:user:an')).toBe(false);
+      expect(attempts.get('login:ip:10.0.0.5').failures).toBe(2);
+    });
+
+    it('locks the account after too many failures and raises an alert', async () => {
+      for (let i = 0; i < 10; i++) {
+        skipBackoff();
+        await login(app, 'wrong');
+      }
+
+      expect(prisma.user.updateMany).toHaveBeenCalledTimes(1);
+      const { where, data } = prisma.user.updateMany.mock.calls[0][0];
+      expect(where.id).toBe(2);
+      expect(data.lockedUntil - Date.now()).toBeGreaterThan(29 * MINUTE);
+      expect(alertService.createAlert).toHaveBeenCalledWith({
+        type: 'security',
+        level: 'WARNING',
+        message: 'Tài khoản an bị tạm khóa sau 10 lần đăng nhập sai',
+        source: 'lockout:2',
+      });
+      expect(pushService.sendToAll).toHaveBeenCalledWith(
+        'Tài khoản bị tạm khóa',
+        expect.any(String),
+        { category: 'account_security', level: 'WARNING' }
+      );
+    });
+
+    it('refuses a locked account even with the right password', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...an, lockedUntil: new Date(Date.now() + 10 * MINUTE) });
+
+      const res = await login(app, 'secret123');
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toMatch('Tài khoản tạm thời bị khóa');
+    });
+
+    it('counts parallel guesses before checking any of them', async () => {
+      const results = await Promise.all(Array.from({ length: 8 }, () => login(app, 'wrong')));
+      const statuses = results.map(res => res.status);
+
+      // Three free attempts, then one past them claims the key; the rest wait
+      expect(statuses.filter(status => status === 401)).toHaveLength(4);
+      expect(statuses.filter(status => status === 429)).toHaveLength(4);
+      expect(attempts.get('login:user:an').failures).toBe(4);
+      expect(attempts.get('login:ip:10.0.0.5').failures).toBe(4);
+    });
+
+    it('alerts only once when parallel failures race to lock the account', async () => {
+      prisma.user.updateMany.mockResolvedValue({ count: 0 });
+      attempts.set('login:user:an', { key: 'login:user:an', failures: 12, lastFailureAt: new Date(), blockedUntil: null });
+
+      await login(app, 'wrong');
+
+      expect(alertService.createAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Door PIN changes', () => {
+    const door = {
+      id: 'door-uuid-123',
+      name: 'Cửa chính',
+      pinHash: crypto.createHash('sha256').update('1234').digest('hex'),
+      isDefault: true,
+    };
+
+    beforeEach(() => {
+      prisma.door.findFirst.mockResolvedValue(door);
+    });
+
+    function changePin(currentPin) {
+      return request(app).patch('/api/doors/pin').send({ pin: '4321', currentPin });
+    }
+
+    it('counts wrong current PINs per admin', async () => {
+      const res = await changePin('0000');
+
+      expect(res.status).toBe(401);
+      expect(attempts.get('door_pin:user:1').failures).toBe(1);
+    });
+
+    it('blocks PIN guessing with 429 once backing off', async () => {
+      for (let i = 0; i < 4; i++) await changePin('0000');
+
+      const res = await changePin('1111');
+
+      expect(res.status).toBe(429);
+      expect(res.headers['retry-after']).toBeDefined();
+    });
+
+    it('locks the admin after too many wrong PINs', async () => {
+      for (let i = 0; i < 10; i++) {
+        skipBackoff();
+        await changePin('0000');
+      }
+
+      expect(alertService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'security',
+        message: 'Tài khoản admin bị tạm khóa sau 10 lần nhập mã PIN cửa sai',
+      }));
+
+      mockCurrentUser = { ...admin, lockedUntil: new Date(Date.now() + 10 * MINUTE) };
+      expect((await changePin('1234')).status).toBe(429);
+    });
+
+    it('does not count a refusal that is not about the current PIN', async () => {
+      prisma.door.findFirst.mockResolvedValue({ ...door, duressPinHash: crypto.createHash('sha256').update('4321').digest('hex') });
+
+      const res = await changePin('1234');
+
+      expect(res.status).toBe(400);
+      expect(attempts.get('door_pin:user:1').failures).toBe(0);
+    });
+
+    it('applies to the duress PIN too', async () => {
+      await request(app).put('/api/doors/pin/duress').send({ pin: '9111', currentPin: '0000' });
+
+      expect(attempts.get('door_pin:user:1').failures).toBe(1);
+    });
+  });
+
+  describe('Admin', () => {
+    it('shows lockout state in the user list', async () => {
+      prisma.user.findMany.mockResolvedValue([
+        { id: 1, username: 'admin', lockedUntil: null },
+        { id: 2, username: 'an', lockedUntil: new Date(Date.now() + MINUTE) },
+        { id: 3, username: 'binh', lockedUntil: new Date(Date.now() - MINUTE) },
+      ]);
+
+      const res = await request(app).get('/api/auth/users');
+
+      expect(res.body.map(user => user.locked)).toEqual([false, true, false]);
+      expect(prisma.user.findMany.mock.calls[0][0].select.lockedUntil).toBe(true);
+    });
+
+    it('unlocks an account and clears its counters', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...an, lockedUntil: new Date(Date.now() + MINUTE) });
+      attempts.set('login:user:an', { key: 'login:user:an', failures: 10 });
+      attempts.set('door_pin:user:2', { key: 'door_pin:user:2', failures: 3 });
+      attempts.set('login:ip:10.0.0.5', { key: 'login:ip:10.0.0.5', failures: 10 });
+
+      const res = await request(app).post('/api/auth/users/2/unlock');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 2, username: 'an', locked: false });
+      expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 2 }, data: { lockedUntil: null } });
+      expect([...attempts.keys()]).toEqual(['login:ip:10.0.0.5']);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'user.unlock', targetId: '2' }),
+      });
+    });
+
+    it('answers 404 for unknown users', async () => {
+      prisma.user.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).post('/api/auth/users/99/unlock');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  it('prunes stale counters', async () => {
+    await authAttemptService.pruneAttempts();
+
+    expect(prisma.authAttempt.deleteMany).toHaveBeenCalledWith({
+      where: {
+        lastFailureAt: { lt: expect.any(Date) },
+        OR: [{ blockedUntil: null }, { blockedUntil: { lt: expect.any(Date) } }],
+      },
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Invitation Tests
+ * Tests for closed registration, first-run bootstrap and household invitations
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    count: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    delete: jest.fn(),
+  },
+  invitation: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  role: {
+    findUnique: jest.fn(({ where }) =>
+      Promise.resolve(['ADMIN', 'USER'].includes(where.name) ? { name: where.name, permissions: '' } : null)),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => {
+  const authenticate = (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  };
+  return {
+    authenticate,
+    authenticateForSetup: authenticate,
+    authorize: () => (req, res, next) => next(),
+    manageableUser: () => (req, res, next) => next(),
+  };
+});
+
+const prisma = require('../../src/lib/prisma');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function hash(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function invitation(overrides = {}) {
+  return {
+    id: 5,
+    codeHash: hash('invite-code'),
+    role: 'USER',
+    note: 'Bình',
+    expiresAt: new Date(Date.now() + DAY),
+    acceptedAt: null,
+    revokedAt: null,
+    ...overrides,
+  };
+}
+
+describe('Invitations', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth.routes'));
+    app.use('/api/invitations', require('../../src/routes/invitation.routes'));
+    prisma.user.findUnique.mockResolvedValue(null);
+    prisma.user.create.mockImplementation(({ data }) => ({ id: 7, username: data.username, role: data.role }));
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('makes the very first user the admin', async () => {
+      prisma.user.count.mockResolvedValue(0);
+
+      const res = await request(app).post('/api/auth/register').send({ username: 'owner', password: 'secret123' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual({ id: 7, username: 'owner', role: 'ADMIN' });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'user.bootstrap' }),
+      });
+    });
+
+    it('is closed once the installation has users', async () => {
+      prisma.user.count.mockResolvedValue(3);
+
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'mallory', password: 'secret123', role: 'ADMIN' });
+
+      expect(res.status).toBe(403);
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps only the earliest account when two first-run registrations race', async () => {
+      prisma.user.count
+        .mockResolvedValueOnce(0)
+        .mockResolvedValueOnce(1);
+
+      const res = await request(app).post('/api/auth/register').send({ username: 'late', password: 'secret123' });
+
+      expect(res.status).toBe(403);
+      expect(prisma.user.count).toHaveBeenLastCalledWith({ where: { id: { lt: 7 } } });
+      expect(prisma.user.delete).toHaveBeenCalledWith({ where: { id: 7 } });
+    });
+
+    it('reports the bootstrap state', async () => {
+      prisma.user.count.mockResolvedValue(0);
+
+      const res = await request(app).get('/api/auth/registration');
+
+      expect(res.body).toEqual({ bootstrap: true, openRegistration: false });
+    });
+  });
+
+  describe('Admin', () => {
+    it('creates an invitation and shows its code once', async () => {
+      prisma.invitation.create.mockImplementation(({ data }) => ({ id: 5, ...data }));
+
+      const res = await request(app).post('/api/invitations').send({ role: 'ADMIN', note: 'Bình' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.code).toMatch(/^[\w-]{24}$/);
+      expect(res.body.codeHash).toBeUndefined();
+      expect(res.body.status).toBe('PENDING');
+      const { data } = prisma.invitation.create.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ codeHash: hash(res.body.code), role: 'ADMIN', createdById: 1 }));
+      expect(data.expiresAt - Date.now()).toBeGreaterThan(6.9 * DAY);
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'invitation.create', targetId: '5' }),
+      });
+    });
+
+    it('rejects unknown roles and far-off expiries', async () => {
+      const role = await request(app).post('/api/invitations').send({ role: 'OWNER' });
+      const expiry = await request(app)
+        .post('/api/invitations')
+        .send({ expiresAt: new Date(Date.now() + 60 * DAY).toISOString() });
+
+      expect(role.status).toBe(400);
+      expect(expiry.status).toBe(400);
+      expect(prisma.invitation.create).not.toHaveBeenCalled();
+    });
+
+    it('lists invitations by status', async () => {
+      prisma.invitation.findMany.mockResolvedValue([
+        invitation(),
+        invitation({ id: 6, expiresAt: new Date(Date.now() - DAY) }),
+        invitation({ id: 7, acceptedAt: new Date() }),
+      ]);
+
+      const res = await request(app).get('/api/invitations?status=EXPIRED');
+
+      expect(res.status).toBe(200);
+      expect(res.body.map(item => item.id)).toEqual([6]);
+    });
+
+    it('revokes a pending invitation', async () => {
+      prisma.invitation.updateMany.mockResolvedValue({ count: 1 });
+      prisma.invitation.findUnique.mockResolvedValue(invitation({ revokedAt: new Date() }));
+
+      const res = await request(app).delete('/api/invitations/5');
+
+      expect(res.status).toBe(204);
+      expect(prisma.invitation.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: expect.any(Date) },
+      });
+    });
+
+    it('cannot revoke an accepted invitation', async () => {
+      prisma.invitation.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app).delete('/api/invitations/5');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Accepting', () => {
+    it('previews a pending invitation', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(invitation());
+
+      const res = await request(app).get('/api/invitations/code/invite-code');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ role: 'USER', note: 'Bình', expiresAt: expect.any(String) });
+      expect(prisma.invitation.findUnique).toHaveBeenCalledWith({ where: { codeHash: hash('invite-code') } });
+    });
+
+    it('creates an account with the invitation role', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(invitation({ role: 'ADMIN' }));
+      prisma.invitation.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ code: 'invite-code', username: 'binh', password: 'secret123', role: 'USER' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual({ id: 7, username: 'binh', role: 'ADMIN' });
+      expect(prisma.invitation.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { acceptedById: 7 } });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'invitation.accept', targetId: '5' }),
+      });
+    });
+
+    it('refuses expired, revoked and used invitations', async () => {
+      for (const used of [
+        invitation({ expiresAt: new Date(Date.now() - 1000) }),
+        invitation({ revokedAt: new Date() }),
+        invitation({ acceptedAt: new Date() }),
+      ]) {
+        prisma.invitation.findUnique.mockResolvedValue(used);
+
+        const res = await request(app)
+          .post('/api/invitations/accept')
+          .send({ code: 'invite-code', username: 'binh', password: 'secret123' });
+
+        expect(res.status).toBe(400);
+      }
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('lets only one of two parallel acceptances create an account', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(invitation());
+      prisma.invitation.updateMany.mockResolvedValue({ count: 0 });
+
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ code: 'invite-code', username: 'binh', password: 'secret123' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.create).not.toHaveBeenCalled();
+    });
+
+    it('gives the invitation back when the username is taken', async () => {
+      prisma.invitation.findUnique.mockResolvedValue(invitation());
+      prisma.invitation.updateMany.mockResolvedValue({ count: 1 });
+      prisma.user.findUnique.mockResolvedValue({ id: 3, username: 'binh' });
+
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ code: 'invite-code', username: 'binh', password: 'secret123' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.invitation.update).toHaveBeenCalledWith({ where: { id: 5 }, data: { acceptedAt: null } });
+    });
+  });
+});
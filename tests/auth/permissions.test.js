@@ -0,0 +1,267 @@
+/**
+ * Permission Tests
+ * Tests for permission checks, custom roles and who may hand them out
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    count: jest.fn(),
+  },
+  session: {
+    findUnique: jest.fn(),
+  },
+  role: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  invitation: {
+    count: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/mqtt.service', () => ({}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = require('../../src/lib/prisma');
+const { authenticate, authorize } = require('../../src/middleware/auth.middleware');
+
+const SESSION_ID = '0b6f4a52-8d1e-4c3a-9f27-5e8a1c2d3b44';
+const HOUR = 60 * 60 * 1000;
+
+const roles = {
+  ADMIN: { name: 'ADMIN', builtIn: true, permissions: '' },
+  USER: { name: 'USER', builtIn: true, permissions: 'door.history.view,alerts.ack' },
+  MAINTENANCE: { name: 'MAINTENANCE', builtIn: false, permissions: 'door.history.view,devices.manage' },
+  MANAGER: { name: 'MANAGER', builtIn: false, permissions: 'users.manage,door.history.view' },
+  KEYHOLDER: { name: 'KEYHOLDER', builtIn: false, permissions: 'door.pin.manage' },
+};
+
+// Signs in as a user with the given role, loaded the way authenticate() does
+function signInAs(role) {
+  prisma.session.findUnique.mockResolvedValue({
+    id: SESSION_ID,
+    userId: 2,
+    expiresAt: new Date(Date.now() + HOUR),
+    revokedAt: null,
+    user: { id: 2, username: 'an', role, roleDefinition: roles[role] },
+  });
+  const token = jwt.sign({ userId: 2, role, sid: SESSION_ID }, process.env.JWT_SECRET, { expiresIn: '15m' });
+  return `Bearer ${token}`;
+}
+
+describe('Permissions', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth.routes'));
+    app.use('/api/roles', require('../../src/routes/role.routes'));
+    app.use('/api/doors', require('../../src/routes/door.routes'));
+    app.post('/api/unlock', authenticate, authorize('door.unlock'), (req, res) => res.json({ ok: true }));
+    app.get('/api/history', authenticate, authorize('door.history.view'), (req, res) => res.json({ ok: true }));
+    prisma.role.findUnique.mockImplementation(({ where }) => Promise.resolve(roles[where.name] || null));
+  });
+
+  describe('authorize', () => {
+    it('allows what the role grants and refuses the rest', async () => {
+      const auth = signInAs('MAINTENANCE');
+
+      const history = await request(app).get('/api/history').set('Authorization', auth);
+      const unlock = await request(app).post('/api/unlock').set('Authorization', auth);
+
+      expect(history.status).toBe(200);
+      expect(unlock.status).toBe(403);
+    });
+
+    it('loads the role together with the session user', async () => {
+      await request(app).get('/api/history').set('Authorization', signInAs('USER'));
+
+      expect(prisma.session.findUnique).toHaveBeenCalledWith({
+        where: { id: SESSION_ID },
+        include: { user: { include: { roleDefinition: true } } },
+      });
+    });
+
+    it('gives ADMIN every permission', async () => {
+      const res = await request(app).post('/api/unlock').set('Authorization', signInAs('ADMIN'));
+
+      expect(res.status).toBe(200);
+    });
+
+    it('lists the own permissions on /me', async () => {
+      const res = await request(app).get('/api/auth/me').set('Authorization', signInAs('USER'));
+
+      expect(res.body.permissions).toEqual(['door.history.view', 'alerts.ack']);
+    });
+  });
+
+  describe('Roles', () => {
+    it('creates a custom role and records it', async () => {
+      prisma.role.create.mockImplementation(({ data }) => Promise.resolve({ builtIn: false, ...data }));
+
+      const res = await request(app)
+        .post('/api/roles')
+        .set('Authorization', signInAs('ADMIN'))
+        .send({ name: 'CHILD', permissions: ['door.history.view', 'door.history.view'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.permissions).toEqual(['door.history.view']);
+      expect(prisma.role.create).toHaveBeenCalledWith({
+        data: { name: 'CHILD', description: null, permissions: 'door.history.view' },
+      });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'role.create', targetId: 'CHILD' }),
+      });
+    });
+
+    it('rejects bad names, unknown permissions and duplicates', async () => {
+      const auth = signInAs('ADMIN');
+
+      const name = await request(app).post('/api/roles').set('Authorization', auth).send({ name: 'child' });
+      const permission = await request(app)
+        .post('/api/roles')
+        .set('Authorization', auth)
+        .send({ name: 'CHILD', permissions: ['door.fly'] });
+      const duplicate = await request(app).post('/api/roles').set('Authorization', auth).send({ name: 'MAINTENANCE' });
+
+      expect(name.status).toBe(400);
+      expect(permission.status).toBe(400);
+      expect(duplicate.status).toBe(400);
+      expect(prisma.role.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps ADMIN and the built-in roles', async () => {
+      const auth = signInAs('ADMIN');
+
+      const update = await request(app)
+        .patch('/api/roles/ADMIN')
+        .set('Authorization', auth)
+        .send({ permissions: [] });
+      const remove = await request(app).delete('/api/roles/USER').set('Authorization', auth);
+
+      expect(update.status).toBe(400);
+      expect(remove.status).toBe(400);
+      expect(prisma.role.update).not.toHaveBeenCalled();
+      expect(prisma.role.delete).not.toHaveBeenCalled();
+    });
+
+    it('does not delete a role that is still assigned', async () => {
+      prisma.user.count.mockResolvedValue(1);
+      prisma.invitation.count.mockResolvedValue(0);
+
+      const res = await request(app).delete('/api/roles/MAINTENANCE').set('Authorization', signInAs('ADMIN'));
+
+      expect(res.status).toBe(400);
+      expect(prisma.role.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Handing out roles', () => {
+    it('assigns a custom role to a user', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 5, username: 'bob', role: 'USER' });
+      prisma.user.update.mockResolvedValue({ id: 5, username: 'bob', role: 'MAINTENANCE' });
+
+      const res = await request(app)
+        .patch('/api/auth/users/5/role')
+        .set('Authorization', signInAs('ADMIN'))
+        .send({ role: 'MAINTENANCE' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({ data: { role: 'MAINTENANCE' } }));
+    });
+
+    it('rejects roles that do not exist', async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 5, username: 'bob', role: 'USER' });
+
+      const res = await request(app)
+        .patch('/api/auth/users/5/role')
+        .set('Authorization', signInAs('ADMIN'))
+        .send({ role: 'OWNER' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('does not let users.manage grant more than its holder has', async () => {
+      const auth = signInAs('MANAGER');
+      prisma.user.findUnique.mockResolvedValue({ id: 5, username: 'bob', role: 'USER' });
+
+      const admin = await request(app).patch('/api/auth/users/5/role').set('Authorization', auth).send({ role: 'ADMIN' });
+      const devices = await request(app)
+        .patch('/api/auth/users/5/role')
+        .set('Authorization', auth)
+        .send({ role: 'MAINTENANCE' });
+      const role = await request(app)
+        .post('/api/roles')
+        .set('Authorization', auth)
+        .send({ name: 'OPENER', permissions: ['door.unlock'] });
+
+      expect(admin.status).toBe(400);
+      expect(devices.status).toBe(400);
+      expect(role.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(prisma.role.create).not.toHaveBeenCalled();
+    });
+
+    it('does not let users.manage demote or delete an admin', async () => {
+      const auth = signInAs('MANAGER');
+      prisma.user.findUnique.mockResolvedValue({ id: 1, username: 'owner', role: 'ADMIN' });
+
+      const demote = await request(app).patch('/api/auth/users/1/role').set('Authorization', auth).send({ role: 'USER' });
+      const remove = await request(app).delete('/api/auth/users/1').set('Authorization', auth);
+
+      expect(demote.status).toBe(400);
+      expect(remove.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it("does not let users.manage reset an admin's 2FA, sessions or lockout", async () => {
+      const auth = signInAs('MANAGER');
+      prisma.user.findUnique.mockResolvedValue({ id: 1, username: 'owner', role: 'ADMIN' });
+
+      const responses = await Promise.all([
+        request(app).delete('/api/auth/users/1/2fa').set('Authorization', auth),
+        request(app).put('/api/auth/users/1/2fa/required').set('Authorization', auth).send({ required: false }),
+        request(app).get('/api/auth/users/1/sessions').set('Authorization', auth),
+        request(app).delete('/api/auth/users/1/sessions').set('Authorization', auth),
+        request(app).delete('/api/auth/users/1/sessions/s-1').set('Authorization', auth),
+        request(app).post('/api/auth/users/1/unlock').set('Authorization', auth),
+      ]);
+
+      expect(responses.map(res => res.status)).toEqual([403, 403, 403, 403, 403, 403]);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(prisma.auditLog.create).not.toHaveBeenCalled();
+    });
+
+    it("does not let a lower role reset an admin's door PIN or duress alerts", async () => {
+      prisma.user.findUnique.mockResolvedValue({ id: 1, username: 'owner', role: 'ADMIN' });
+
+      const pin = await request(app).delete('/api/doors/user-pin/1').set('Authorization', signInAs('KEYHOLDER'));
+      const duress = await request(app)
+        .put('/api/doors/duress-recipients/1')
+        .set('Authorization', signInAs('MANAGER'))
+        .send({ enabled: false });
+
+      expect(pin.status).toBe(403);
+      expect(duress.status).toBe(403);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+      expect(prisma.auditLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
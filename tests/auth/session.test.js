@@ -0,0 +1,300 @@
+/**
+ * Session Tests
+ * Tests for short-lived access tokens, rotating refresh tokens and session revocation
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  session: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  authAttempt: {
+    upsert: jest.fn().mockResolvedValue({ failures: 1 }),
+    updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+    deleteMany: jest.fn(),
+  },
+  role: {
+    findUnique: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = require('../../src/lib/prisma');
+const sessionService = require('../../src/services/session.service');
+
+const SESSION_ID = '6f1c1a4e-2b7d-4f7e-9a57-3c1f0a9d2b11';
+const HOUR = 60 * 60 * 1000;
+
+const passwordHash = bcrypt.hashSync('secret123', 4);
+const user = { id: 2, username: 'an', role: 'USER', passwordHash };
+
+function hash(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function session(overrides = {}) {
+  return {
+    id: SESSION_ID,
+    userId: 2,
+    deviceName: 'Pixel 8',
+    refreshTokenHash: hash('current'),
+    previousTokenHash: hash('previous'),
+    expiresAt: new Date(Date.now() + HOUR),
+    revokedAt: null,
+    user,
+    ...overrides,
+  };
+}
+
+function accessToken(payload = { userId: 2, role: 'USER', sid: SESSION_ID }) {
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '15m' });
+}
+
+describe('Session Feature', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth.routes'));
+    app.get('/api/protected', require('../../src/middleware/auth.middleware').authenticate, (req, res) => {
+      res.json({ userId: req.user.id, sessionId: req.sessionId });
+    });
+    prisma.session.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('creates a session and returns an access and a refresh token', async () => {
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.session.create.mockImplementation(({ data }) => ({ id: SESSION_ID, ...data }));
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'SmartHome/2.1 (Android 14)')
+        .send({ username: 'an', password: 'secret123', deviceName: 'Pixel 8' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toEqual({ id: 2, username: 'an', role: 'USER' });
+      expect(res.body.expiresIn).toBe('15m');
+      expect(jwt.verify(res.body.token, process.env.JWT_SECRET)).toEqual(expect.objectContaining({ userId: 2, sid: SESSION_ID }));
+
+      const [sessionId, secret] = res.body.refreshToken.split('.');
+      expect(sessionId).toBe(SESSION_ID);
+      expect(prisma.session.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 2,
+          deviceName: 'Pixel 8',
+          userAgent: 'SmartHome/2.1 (Android 14)',
+          refreshTokenHash: hash(secret),
+        }),
+      });
+    });
+
+    it('names the session after the user agent when no device name is given', async () => {
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.session.create.mockImplementation(({ data }) => ({ id: SESSION_ID, ...data }));
+
+      await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0')
+        .send({ username: 'an', password: 'secret123' });
+
+      expect(prisma.session.create.mock.calls[0][0].data.deviceName).toBe('Mozilla/5.0');
+    });
+  });
+
+  describe('authenticate middleware', () => {
+    it('accepts an access token of an active session', async () => {
+      prisma.session.findUnique.mockResolvedValue(session());
+
+      const res = await request(app).get('/api/protected').set('Authorization', `Bearer ${accessToken()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ userId: 2, sessionId: SESSION_ID });
+    });
+
+    it('rejects access tokens of a revoked session right away', async () => {
+      prisma.session.findUnique.mockResolvedValue(session({ revokedAt: new Date() }));
+
+      const res = await request(app).get('/api/protected').set('Authorization', `Bearer ${accessToken()}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Session expired or revoked');
+    });
+
+    it('rejects tokens issued without a session', async () => {
+      const res = await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${accessToken({ userId: 2, role: 'USER' })}`);
+
+      expect(res.status).toBe(401);
+      expect(prisma.session.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('rotates the refresh token', async () => {
+      prisma.session.findUnique.mockResolvedValue(session());
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${SESSION_ID}.current` });
+
+      expect(res.status).toBe(200);
+      expect(res.body.refreshToken).not.toBe(`${SESSION_ID}.current`);
+      expect(prisma.session.updateMany).toHaveBeenCalledWith({
+        where: { id: SESSION_ID, refreshTokenHash: hash('current'), revokedAt: null },
+        data: expect.objectContaining({
+          refreshTokenHash: hash(res.body.refreshToken.split('.')[1]),
+          previousTokenHash: hash('current'),
+        }),
+      });
+    });
+
+    it('revokes the session when a rotated-out refresh token is reused', async () => {
+      prisma.session.findUnique.mockResolvedValue(session());
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${SESSION_ID}.previous` });
+
+      expect(res.status).toBe(401);
+      expect(prisma.session.updateMany).toHaveBeenCalledWith({
+        where: { id: SESSION_ID, revokedAt: null },
+        data: { revokedAt: expect.any(Date), revokedReason: 'refresh_token_reuse' },
+      });
+    });
+
+    it('refuses to refresh an expired session', async () => {
+      prisma.session.findUnique.mockResolvedValue(session({ expiresAt: new Date(Date.now() - 1000) }));
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${SESSION_ID}.current` });
+
+      expect(res.status).toBe(401);
+      expect(prisma.session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('lets only one of two concurrent refreshes succeed', async () => {
+      prisma.session.findUnique.mockResolvedValue(session());
+      prisma.session.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(sessionService.refreshSession(`${SESSION_ID}.current`)).rejects.toThrow('Refresh token không hợp lệ');
+    });
+
+    it('rejects malformed refresh tokens', async () => {
+      const res = await request(app).post('/api/auth/refresh').send({ refreshToken: 'garbage' });
+
+      expect(res.status).toBe(401);
+      expect(prisma.session.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Session management', () => {
+    beforeEach(() => {
+      // Requests come from the session being looked up unless a test says otherwise
+      prisma.session.findUnique.mockResolvedValue(session());
+    });
+
+    function asUser(req, payload) {
+      return req.set('Authorization', `Bearer ${accessToken(payload)}`);
+    }
+
+    it('logs out by revoking the current session', async () => {
+      const res = await asUser(request(app).post('/api/auth/logout'));
+
+      expect(res.status).toBe(204);
+      expect(prisma.session.updateMany).toHaveBeenCalledWith({
+        where: { id: SESSION_ID, revokedAt: null },
+        data: { revokedAt: expect.any(Date), revokedReason: 'logout' },
+      });
+    });
+
+    it('lists the active sessions and marks the current one', async () => {
+      prisma.session.findMany.mockResolvedValue([
+        { id: SESSION_ID, deviceName: 'Pixel 8' },
+        { id: 'other', deviceName: 'iPad' },
+      ]);
+
+      const res = await asUser(request(app).get('/api/auth/sessions'));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual([
+        { id: SESSION_ID, deviceName: 'Pixel 8', current: true },
+        { id: 'other', deviceName: 'iPad', current: false },
+      ]);
+      expect(prisma.session.findMany.mock.calls[0][0].select.refreshTokenHash).toBeUndefined();
+    });
+
+    it('does not let users revoke sessions of others', async () => {
+      prisma.session.findUnique
+        .mockResolvedValueOnce(session())
+        .mockResolvedValueOnce({ id: 'other', userId: 3 });
+
+      const res = await asUser(request(app).delete('/api/auth/sessions/other'));
+
+      expect(res.status).toBe(404);
+      expect(prisma.session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('lets admins revoke a session of another user', async () => {
+      const admin = { id: 1, username: 'admin', role: 'ADMIN' };
+      prisma.session.findUnique
+        .mockResolvedValueOnce(session({ userId: 1, user: admin }))
+        .mockResolvedValueOnce({ id: 'lost-phone', userId: 2, deviceName: 'Pixel 8' });
+      prisma.user.findUnique.mockResolvedValue(user);
+      prisma.role.findUnique.mockImplementation(({ where }) => Promise.resolve({ name: where.name, builtIn: true, permissions: '' }));
+
+      const res = await asUser(
+        request(app).delete('/api/auth/users/2/sessions/lost-phone'),
+        { userId: 1, role: 'ADMIN', sid: SESSION_ID }
+      );
+
+      expect(res.status).toBe(204);
+      expect(prisma.session.updateMany).toHaveBeenCalledWith({
+        where: { id: 'lost-phone', revokedAt: null },
+        data: { revokedAt: expect.any(Date), revokedReason: 'revoked_by_admin' },
+      });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'session.revoke', targetId: '2' }),
+      });
+    });
+
+    it('keeps admin session routes away from users', async () => {
+      const res = await asUser(request(app).delete('/api/auth/users/3/sessions'));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('signs other devices out after a password change', async () => {
+      prisma.user.findUnique.mockResolvedValue(user);
+
+      const res = await asUser(request(app).patch('/api/auth/password'))
+        .send({ currentPassword: 'secret123', newPassword: 'newsecret' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.session.updateMany).toHaveBeenCalledWith({
+        where: { userId: 2, revokedAt: null, id: { not: SESSION_ID } },
+        data: { revokedAt: expect.any(Date), revokedReason: 'password_change' },
+      });
+    });
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Two-factor Authentication Tests
+ * Tests for TOTP enrollment, the two-step login, recovery codes and step-up checks
+ */
+
+const request = require('supertest');
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/lib/prisma', () => ({
+  user: {
+    findUnique: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  session: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  recoveryCode: {
+    count: jest.fn(),
+    createMany: jest.fn(),
+    deleteMany: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  authAttempt: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  role: {
+    findUnique: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = require('../../src/lib/prisma');
+const twoFactorService = require('../../src/services/twoFactor.service');
+const { authenticate, requireStepUp } = require('../../src/middleware/auth.middleware');
+
+const SESSION_ID = '6f1c1a4e-2b7d-4f7e-9a57-3c1f0a9d2b11';
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const MINUTE = 60 * 1000;
+
+const passwordHash = bcrypt.hashSync('secret123', 4);
+const admin = {
+  id: 1,
+  username: 'admin',
+  role: 'ADMIN',
+  passwordHash,
+  lockedUntil: null,
+  totpSecret: SECRET,
+  totpEnabledAt: new Date('2026-01-01T00:00:00Z'),
+  totpLastStep: null,
+  totpRequired: false,
+};
+
+function currentCode() {
+  return twoFactorService.totpAt(SECRET, twoFactorService.currentStep());
+}
+
+function session(user, overrides = {}) {
+  return {
+    id: SESSION_ID,
+    userId: user.id,
+    expiresAt: new Date(Date.now() + 60 * MINUTE),
+    revokedAt: null,
+    mfaVerifiedAt: null,
+    user,
+    ...overrides,
+  };
+}
+
+function asUser(req, user) {
+  const token = jwt.sign({ userId: user.id, role: user.role, sid: SESSION_ID }, process.env.JWT_SECRET);
+  return req.set('Authorization', `Bearer ${token}`);
+}
+
+describe('Two-factor Authentication', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../../src/routes/auth.routes'));
+    app.post('/api/sensitive', authenticate, requireStepUp, (req, res) => res.json({ ok: true }));
+    app.get('/api/protected', authenticate, (req, res) => res.json({ ok: true }));
+    prisma.user.findUnique.mockResolvedValue(admin);
+    prisma.role.findUnique.mockImplementation(({ where }) => Promise.resolve({ name: where.name, builtIn: true, permissions: '' }));
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.recoveryCode.updateMany.mockResolvedValue({ count: 0 });
+    prisma.authAttempt.upsert.mockResolvedValue({ failures: 1 });
+    prisma.authAttempt.updateMany.mockResolvedValue({ count: 1 });
+    prisma.session.create.mockImplementation(({ data }) => ({ id: SESSION_ID, ...data }));
+  });
+
+  describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      expect(twoFactorService.base32Encode(Buffer.from('12345678901234567890'))).toBe(SECRET);
+      expect(twoFactorService.totpAt(SECRET, twoFactorService.currentStep(59 * 1000))).toBe('287082');
+      expect(twoFactorService.totpAt(SECRET, twoFactorService.currentStep(1111111109 * 1000))).toBe('081804');
+    });
+
+    it('accepts the previous step for clock drift but not older ones', () => {
+      const now = 1111111109 * 1000;
+      const step = twoFactorService.currentStep(now);
+
+      expect(twoFactorService.matchTotp(SECRET, twoFactorService.totpAt(SECRET, step - 1), null, now)).toBe(step - 1);
+      expect(twoFactorService.matchTotp(SECRET, twoFactorService.totpAt(SECRET, step - 3), null, now)).toBeNull();
+    });
+  });
+
+  describe('Enrollment', () => {
+    const newUser = { ...admin, totpSecret: null, totpEnabledAt: null };
+
+    beforeEach(() => {
+      prisma.session.findUnique.mockResolvedValue(session(newUser));
+    });
+
+    it('returns a secret and an otpauth URI', async () => {
+      const res = await asUser(request(app).post('/api/auth/2fa/setup'), newUser);
+
+      expect(res.status).toBe(200);
+      expect(res.body.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(res.body.otpauthUri).toBe(
+        `otpauth://totp/SmartHome%3Aadmin?secret=${res.body.secret}&issuer=SmartHome&algorithm=SHA1&digits=6&period=30`
+      );
+      expect(prisma.user.update).toHaveBeenCalledWith({ where: { id: 1 }, data: { totpSecret: res.body.secret } });
+    });
+
+    it('enables 2FA with a code from the app and returns recovery codes', async () => {
+      prisma.session.findUnique.mockResolvedValue(session({ ...newUser, totpSecret: SECRET }));
+
+      const res = await asUser(request(app).post('/api/auth/2fa/enable'), newUser).send({ code: currentCode() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.recoveryCodes).toHaveLength(10);
+      const { data } = prisma.recoveryCode.createMany.mock.calls[0][0];
+      expect(data[0].codeHash).toBe(
+        crypto.createHash('sha256').update(res.body.recoveryCodes[0].replace('-', '')).digest('hex')
+      );
+      expect(prisma.session.update).toHaveBeenCalledWith({
+        where: { id: SESSION_ID },
+        data: { mfaVerifiedAt: expect.any(Date) },
+      });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'user.2fa_enable' }),
+      });
+    });
+
+    it('refuses a wrong code', async () => {
+      prisma.session.findUnique.mockResolvedValue(session({ ...newUser, totpSecret: SECRET }));
+
+      const res = await asUser(request(app).post('/api/auth/2fa/enable'), newUser).send({ code: '000000' });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('keeps users who must set up 2FA away from everything else', async () => {
+      const pending = { ...newUser, totpRequired: true };
+      prisma.session.findUnique.mockResolvedValue(session(pending));
+
+      const blocked = await asUser(request(app).get('/api/protected'), pending);
+      const setup = await asUser(request(app).post('/api/auth/2fa/setup'), pending);
+
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.twoFactorSetupRequired).toBe(true);
+      expect(setup.status).toBe(200);
+    });
+
+    it('does not let a required 2FA be turned off', async () => {
+      prisma.session.findUnique.mockResolvedValue(session({ ...admin, totpRequired: true }));
+
+      const res = await asUser(request(app).post('/api/auth/2fa/disable'), admin).send({ code: currentCode() });
+
+      expect(res.status).toBe(400);
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Login', () => {
+    async function challenge() {
+      const res = await request(app).post('/api/auth/login').send({ username: 'admin', password: 'secret123' });
+      return res.body.challengeToken;
+    }
+
+    it('answers a correct password with a challenge instead of tokens', async () => {
+      const res = await request(app).post('/api/auth/login').send({ username: 'admin', password: 'secret123' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String), expiresIn: '5m' });
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+
+    it('creates a 2FA-verified session for the challenge and a TOTP code', async () => {
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await challenge(), code: currentCode() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.refreshToken).toBeDefined();
+      expect(prisma.session.create.mock.calls[0][0].data.mfaVerifiedAt).toEqual(expect.any(Date));
+    });
+
+    it('refuses a TOTP code that was already used', async () => {
+      const token = await challenge();
+      prisma.user.findUnique.mockResolvedValue({ ...admin, totpLastStep: twoFactorService.currentStep() + 1 });
+
+      const res = await request(app).post('/api/auth/login/2fa').send({ challengeToken: token, code: currentCode() });
+
+      expect(res.status).toBe(401);
+      expect(prisma.authAttempt.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { key: 'two_factor:user:1' },
+      }));
+    });
+
+    it('accepts a recovery code once', async () => {
+      prisma.recoveryCode.updateMany.mockResolvedValue({ count: 1 });
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: await challenge(), code: 'ABCDE-12345' });
+
+      expect(res.status).toBe(200);
+      expect(prisma.recoveryCode.updateMany).toHaveBeenCalledWith({
+        where: {
+          userId: 1,
+          codeHash: crypto.createHash('sha256').update('abcde12345').digest('hex'),
+          usedAt: null,
+        },
+        data: { usedAt: expect.any(Date) },
+      });
+    });
+
+    it('refuses access tokens as challenge tokens', async () => {
+      const accessToken = jwt.sign({ userId: 1, role: 'ADMIN', sid: SESSION_ID }, process.env.JWT_SECRET);
+
+      const res = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: accessToken, code: currentCode() });
+
+      expect(res.status).toBe(401);
+      expect(prisma.session.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Step-up', () => {
+    it('requires a 2FA check before sensitive actions', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin));
+
+      const res = await asUser(request(app).post('/api/sensitive'), admin);
+
+      expect(res.status).toBe(403);
+      expect(res.body.stepUpRequired).toBe(true);
+    });
+
+    it('allows sensitive actions shortly after a 2FA check', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin, { mfaVerifiedAt: new Date(Date.now() - MINUTE) }));
+
+      const res = await asUser(request(app).post('/api/sensitive'), admin);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('asks again once the check is too old', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin, { mfaVerifiedAt: new Date(Date.now() - 10 * MINUTE) }));
+
+      const res = await asUser(request(app).post('/api/sensitive'), admin);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('refuses sensitive actions to accounts without 2FA', async () => {
+      const plain = { ...admin, totpSecret: null, totpEnabledAt: null };
+      prisma.session.findUnique.mockResolvedValue(session(plain, { mfaVerifiedAt: new Date() }));
+
+      const res = await asUser(request(app).post('/api/sensitive'), plain);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Two-factor authentication must be enabled');
+    });
+
+    it('records a step-up check in the session', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin));
+
+      const res = await asUser(request(app).post('/api/auth/2fa/verify'), admin).send({ code: currentCode() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.method).toBe('totp');
+      expect(new Date(res.body.validUntil) - new Date(res.body.verifiedAt)).toBe(5 * MINUTE);
+      expect(prisma.session.update).toHaveBeenCalledWith({
+        where: { id: SESSION_ID },
+        data: { mfaVerifiedAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe('Admin', () => {
+    it('requires 2FA for a user', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin));
+      prisma.user.update.mockResolvedValue({ id: 2, username: 'an', totpRequired: true, totpEnabledAt: null });
+
+      const res = await asUser(request(app).put('/api/auth/users/2/2fa/required'), admin).send({ required: true });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 2, username: 'an', twoFactorRequired: true, twoFactorEnabled: false });
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'user.2fa_require', targetId: '2' }),
+      });
+    });
+
+    it('resets 2FA of a user and drops the recovery codes', async () => {
+      prisma.session.findUnique.mockResolvedValue(session(admin));
+
+      const res = await asUser(request(app).delete('/api/auth/users/2/2fa'), admin);
+
+      expect(res.status).toBe(204);
+      expect(prisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+      });
+      expect(prisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 2 } });
+    });
+  });
+});
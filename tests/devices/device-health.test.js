@@ -0,0 +1,192 @@
+/**
+ * Device Health Tests
+ * Tests for persisted offline/online transitions and availability statistics
+ */
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  device: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  deviceOutage: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  alert: {
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const deviceHealthService = require('../../src/services/deviceHealth.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const activeDevice = (overrides = {}) => ({
+  id: 'esp32-sensor-1',
+  name: 'Cảm biến bếp',
+  type: 'sensor_node',
+  status: 'ACTIVE',
+  online: true,
+  lastSeen: new Date(Date.now() - 5 * MINUTE),
+  provisionedAt: new Date(Date.now() - 48 * HOUR),
+  ...overrides,
+});
+
+describe('Device Health', () => {
+  let handleMessage;
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+    mqttService.connect();
+    const client = mqtt.connect.mock.results[0].value;
+    handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    prisma.door.findMany.mockResolvedValue([]);
+    prisma.device.findMany.mockResolvedValue([]);
+    prisma.device.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+    prisma.deviceOutage.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, endedAt: null, ...data }));
+    prisma.deviceOutage.update.mockImplementation(({ where, data }) =>
+      Promise.resolve({ id: where.id, startedAt: new Date(Date.now() - 2 * HOUR), ...data }));
+  });
+
+  describe('offline detection', () => {
+    it('opens an outage starting at the last heartbeat and notifies once', async () => {
+      const device = activeDevice();
+      prisma.device.findMany.mockResolvedValue([device]);
+      prisma.device.updateMany.mockResolvedValue({ count: 1 });
+
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(prisma.device.updateMany).toHaveBeenCalledWith({
+        where: { id: device.id, online: true, lastSeen: { lt: expect.any(Date) } },
+        data: { online: false },
+      });
+      expect(prisma.deviceOutage.create).toHaveBeenCalledWith({
+        data: { deviceId: device.id, startedAt: device.lastSeen },
+      });
+      expect(pushService.sendToAll).toHaveBeenCalledWith(
+        '📡 Device Offline',
+        'Cảm biến bếp (esp32-sensor-1) is offline',
+        { category: 'device_offline', level: 'WARNING' }
+      );
+    });
+
+    it('does not notify when another check already marked the device offline', async () => {
+      prisma.device.findMany.mockResolvedValue([activeDevice()]);
+      prisma.device.updateMany.mockResolvedValue({ count: 0 });
+
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(prisma.deviceOutage.create).not.toHaveBeenCalled();
+      expect(pushService.sendToAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recovery', () => {
+    const heartbeat = () =>
+      handleMessage('home/device/heartbeat', Buffer.from(JSON.stringify({ deviceId: 'esp32-sensor-1' })));
+
+    it('closes the outage and sends a recovered notification', async () => {
+      prisma.device.findUnique.mockResolvedValue(activeDevice({ online: false }));
+      prisma.device.updateMany.mockResolvedValue({ count: 1 });
+      prisma.deviceOutage.findFirst.mockResolvedValue({ id: 7, startedAt: new Date(Date.now() - 2 * HOUR), endedAt: null });
+
+      await heartbeat();
+
+      expect(prisma.deviceOutage.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { endedAt: expect.any(Date) },
+      });
+      expect(pushService.sendToAll).toHaveBeenCalledWith(
+        '✅ Device Recovered',
+        'Cảm biến bếp (esp32-sensor-1) is back online after 2h 0m',
+        { category: 'device_offline', level: 'INFO' }
+      );
+    });
+
+    it('stays quiet for heartbeats of a device that is already online', async () => {
+      prisma.device.findUnique.mockResolvedValue(activeDevice());
+      prisma.device.updateMany.mockResolvedValue({ count: 0 });
+
+      await heartbeat();
+
+      expect(prisma.deviceOutage.update).not.toHaveBeenCalled();
+      expect(pushService.sendToAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDeviceHealth', () => {
+    it('reports availability over the monitored part of each window', async () => {
+      const now = Date.now();
+      const device = activeDevice({ online: false, lastSeen: new Date(now - HOUR) });
+      const outages = [
+        // Ongoing: down for the last hour
+        { id: 2, deviceId: device.id, startedAt: new Date(now - HOUR), endedAt: null },
+        // Earlier: down for 1 hour, 30 hours ago
+        { id: 1, deviceId: device.id, startedAt: new Date(now - 31 * HOUR), endedAt: new Date(now - 30 * HOUR) },
+      ];
+      prisma.device.findUnique.mockResolvedValue(device);
+      prisma.deviceOutage.findMany.mockResolvedValue(outages);
+
+      const health = await deviceHealthService.getDeviceHealth(device.id);
+
+      expect(health).toMatchObject({
+        deviceId: device.id,
+        online: false,
+        since: outages[0].startedAt,
+        currentOutage: { id: 2, durationMs: HOUR },
+        outagesLast30d: 2,
+      });
+      // 1h of 24h down, and 2h of the 48h since provisioning
+      expect(health.availability).toEqual({ last24h: 95.83, last7d: 95.83, last30d: 95.83 });
+      expect(health.recentOutages.map(o => o.durationMs)).toEqual([HOUR, HOUR]);
+    });
+
+    it('has no availability for a device that was never provisioned', async () => {
+      prisma.device.findUnique.mockResolvedValue(activeDevice({ status: 'PENDING', online: false, provisionedAt: null }));
+      prisma.deviceOutage.findMany.mockResolvedValue([]);
+
+      const health = await deviceHealthService.getDeviceHealth('esp32-sensor-1');
+
+      expect(health.availability).toEqual({ last24h: null, last7d: null, last30d: null });
+      expect(health.since).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Device Registry Tests
+ * Tests for registration, the MQTT provisioning handshake and unknown heartbeats
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    update: jest.fn(),
+  },
+  device: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    upsert: jest.fn(),
+    count: jest.fn(),
+  },
+  deviceOutage: {
+    updateMany: jest.fn(),
+  },
+  alert: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const deviceService = require('../../src/services/device.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+// What the ESP32 derives from its one-time code
+function codeKey(code, deviceId) {
+  return crypto.pbkdf2Sync(code, deviceId, 100000, 32, 'sha256');
+}
+
+function proveCode(code, deviceId, nonce) {
+  return crypto.createHmac('sha256', codeKey(code, deviceId)).update(`provision\n${deviceId}\n${nonce}`).digest('hex');
+}
+
+function decryptSecret({ iv, secret, tag }, code, deviceId, nonce) {
+  const key = Buffer.from(crypto.hkdfSync('sha256', codeKey(code, deviceId), Buffer.from(nonce, 'hex'),
+    `provision-wrap\n${deviceId}`, 32));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(secret, 'hex')), decipher.final()]).toString('utf8');
+}
+
+const mockDoor = { id: 'door-uuid-123', name: 'Cửa chính', isDefault: true };
+
+describe('Device Registry', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findUnique.mockResolvedValue(mockDoor);
+    prisma.device.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+  });
+
+  describe('registerDevice', () => {
+    it('stores only a key derived from the one-time provisioning code', async () => {
+      prisma.device.findUnique
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 'esp32-door-1', type: 'door_controller', status: 'PENDING' });
+
+      const { device, provisioningCode } = await deviceService.registerDevice({
+        id: 'esp32-door-1',
+        type: 'door_controller',
+        doorId: mockDoor.id,
+      });
+
+      expect(device.status).toBe('PENDING');
+      expect(provisioningCode).toMatch(/^[a-f0-9]{16}$/);
+      expect(prisma.device.update).toHaveBeenCalledWith({
+        where: { id: 'esp32-door-1' },
+        data: expect.objectContaining({ provisioningCodeHash: codeKey(provisioningCode, 'esp32-door-1').toString('hex') }),
+      });
+    });
+
+    it('refuses IDs that could not be used in MQTT topics', async () => {
+      await expect(deviceService.registerDevice({ id: 'door/#', type: 'sensor_node' }))
+        .rejects.toThrow('Mã thiết bị');
+    });
+
+    it('refuses a device that is already active', async () => {
+      prisma.device.findUnique.mockResolvedValue({ id: 'esp32-door-1', status: 'ACTIVE' });
+
+      await expect(deviceService.registerDevice({ id: 'esp32-door-1', type: 'door_controller' }))
+        .rejects.toThrow('Thiết bị đã được đăng ký');
+    });
+  });
+
+  describe('provisioning handshake over MQTT', () => {
+    const code = '0123456789abcdef';
+    const nonce = '00112233445566778899aabbccddeeff';
+    let client;
+    let handleMessage;
+
+    const pendingDevice = (fields = {}) => ({
+      id: 'esp32-door-1',
+      type: 'door_controller',
+      status: 'PENDING',
+      doorId: mockDoor.id,
+      provisioningCodeHash: codeKey(code, 'esp32-door-1').toString('hex'),
+      provisioningExpiresAt: new Date(Date.now() + 60000),
+      provisioningNonce: nonce,
+      nonceExpiresAt: new Date(Date.now() + 60000),
+      ...fields,
+    });
+
+    const response = () => {
+      const call = client.publish.mock.calls.find(([topic]) => topic === 'home/device/esp32-door-1/provision/response');
+      return JSON.parse(call[1]);
+    };
+
+    beforeAll(() => {
+      jest.useFakeTimers({ doNotFake: ['Date'] });
+      mqttService.connect();
+      client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+      prisma.device.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    const request = (payload) =>
+      handleMessage('home/device/provision/request', Buffer.from(JSON.stringify(payload)));
+
+    it('answers a bare request with a fresh challenge', async () => {
+      prisma.device.findUnique.mockResolvedValue(pendingDevice({ provisioningNonce: null, nonceExpiresAt: null }));
+
+      await request({ deviceId: 'esp32-door-1' });
+
+      const body = response();
+      expect(body).toMatchObject({ status: 'challenge', nonce: expect.stringMatching(/^[a-f0-9]{32}$/) });
+      expect(prisma.device.update).toHaveBeenCalledWith({
+        where: { id: 'esp32-door-1' },
+        data: { provisioningNonce: body.nonce, nonceExpiresAt: expect.any(Date) },
+      });
+    });
+
+    it('issues a secret only the device holding the code can decrypt', async () => {
+      prisma.device.findUnique.mockResolvedValue(pendingDevice());
+
+      await request({ deviceId: 'esp32-door-1', nonce, proof: proveCode(code, 'esp32-door-1', nonce), firmwareVersion: '2.1.0' });
+
+      const body = response();
+      const secret = decryptSecret(body, code, 'esp32-door-1', nonce);
+
+      expect(body.status).toBe('provisioned');
+      expect(secret).toMatch(/^[a-f0-9]{64}$/);
+      // Nothing on the broker is enough to unwrap the secret without the code
+      expect(JSON.stringify(body)).not.toContain(code);
+      expect(prisma.device.update).toHaveBeenCalledWith({
+        where: { id: 'esp32-door-1' },
+        data: expect.objectContaining({ status: 'ACTIVE', secret, provisioningCodeHash: null, firmwareVersion: '2.1.0' }),
+      });
+      // The door controller's secret becomes the door's signing key
+      expect(prisma.door.update).toHaveBeenCalledWith({
+        where: { id: mockDoor.id },
+        data: { deviceSecret: secret, allowUnsigned: false },
+      });
+    });
+
+    it('rejects a proof made without the code and burns the challenge', async () => {
+      prisma.device.findUnique.mockResolvedValue(pendingDevice());
+
+      await request({ deviceId: 'esp32-door-1', nonce, proof: proveCode('ffffffffffffffff', 'esp32-door-1', nonce) });
+
+      expect(response()).toMatchObject({ status: 'rejected', reason: 'invalid_proof' });
+      expect(prisma.device.updateMany).toHaveBeenCalledWith({
+        where: { id: 'esp32-door-1', provisioningNonce: nonce },
+        data: { provisioningNonce: null, nonceExpiresAt: null },
+      });
+      expect(prisma.device.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects an answer to a stale or already used challenge', async () => {
+      prisma.device.findUnique.mockResolvedValue(pendingDevice({ provisioningNonce: null }));
+
+      await request({ deviceId: 'esp32-door-1', nonce, proof: proveCode(code, 'esp32-door-1', nonce) });
+
+      expect(response()).toMatchObject({ status: 'rejected', reason: 'invalid_challenge' });
+      expect(prisma.device.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects an expired code', async () => {
+      prisma.device.findUnique.mockResolvedValue(pendingDevice({ provisioningExpiresAt: new Date(Date.now() - 1000) }));
+
+      await request({ deviceId: 'esp32-door-1' });
+
+      expect(response()).toMatchObject({ status: 'rejected', reason: 'code_expired' });
+    });
+
+    it('revokes a code that was sent in plaintext', async () => {
+      await request({ deviceId: 'esp32-door-1', code });
+
+      expect(response()).toMatchObject({ status: 'rejected', reason: 'code_sent_in_clear' });
+      expect(prisma.device.updateMany).toHaveBeenCalledWith({
+        where: { id: 'esp32-door-1', provisioningCodeHash: { not: null } },
+        data: expect.objectContaining({ provisioningCodeHash: null, provisioningExpiresAt: null }),
+      });
+      expect(prisma.device.update).not.toHaveBeenCalled();
+    });
+
+    it('flags a heartbeat from an unknown device instead of tracking it', async () => {
+      prisma.device.findUnique.mockResolvedValue(null);
+      prisma.device.count.mockResolvedValue(0);
+      prisma.alert.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+
+      await handleMessage('home/device/heartbeat', Buffer.from(JSON.stringify({ deviceId: 'mystery-1' })));
+
+      expect(prisma.device.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ id: 'mystery-1', status: 'UNREGISTERED' }),
+      });
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'device', level: 'WARNING', source: 'mystery-1' }),
+      }));
+    });
+
+    it('stops recording unknown devices once too many are flagged', async () => {
+      prisma.device.findUnique.mockResolvedValue(null);
+      prisma.device.count.mockResolvedValue(20);
+      prisma.alert.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+
+      await handleMessage('home/device/heartbeat', Buffer.from(JSON.stringify({ deviceId: 'mystery-21' })));
+
+      expect(prisma.device.create).not.toHaveBeenCalled();
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ source: 'unregistered-device-limit' }),
+      }));
+    });
+  });
+
+  describe('decommissionDevice', () => {
+    it('revokes the credentials and re-keys the door', async () => {
+      prisma.device.findUnique.mockResolvedValue({
+        id: 'esp32-door-1',
+        type: 'door_controller',
+        status: 'ACTIVE',
+        doorId: mockDoor.id,
+      });
+
+      const device = await deviceService.decommissionDevice('esp32-door-1');
+
+      expect(device).toMatchObject({ status: 'DECOMMISSIONED', online: false, secret: null });
+      expect(prisma.deviceOutage.updateMany).toHaveBeenCalledWith({
+        where: { deviceId: 'esp32-door-1', endedAt: null },
+        data: { endedAt: expect.any(Date) },
+      });
+      expect(prisma.door.update).toHaveBeenCalledWith({
+        where: { id: mockDoor.id },
+        data: { deviceSecret: expect.stringMatching(/^[a-f0-9]{64}$/), allowUnsigned: false },
+      });
+    });
+  });
+});
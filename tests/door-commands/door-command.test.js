@@ -0,0 +1,167 @@
+/**
+ * Door Command Delivery Tests
+ * Tests for command IDs, device acks on door/command/ack and waiting for the outcome
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+  },
+  doorAccessLog: {
+    create: jest.fn(),
+  },
+  doorCommand: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/mqtt.service', () => ({
+  connect: jest.fn(),
+  publish: jest.fn(),
+  publishToDoor: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  manageableUser: () => (req, res, next) => next(),
+  requireStepUp: (req, res, next) => next(),
+}));
+
+const prisma = require('../../src/lib/prisma');
+const mqttService = require('../../src/services/mqtt.service');
+const doorCommandService = require('../../src/services/doorCommand.service');
+
+const mockDoor = { id: 'door-uuid-123', name: 'Cửa chính', isDefault: true };
+const pendingCommand = { id: 'cmd-1', doorId: mockDoor.id, action: 'unlock', status: 'PENDING' };
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/doors', require('../../src/routes/door.routes'));
+  return app;
+};
+
+describe('Door Command Delivery', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findFirst.mockResolvedValue(mockDoor);
+    prisma.door.findUnique.mockResolvedValue(mockDoor);
+    prisma.doorCommand.create.mockResolvedValue(pendingCommand);
+  });
+
+  describe('acknowledgeCommand', () => {
+    it('settles a pending command of the acking door', async () => {
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 1 });
+      prisma.doorCommand.findUnique.mockResolvedValue({ ...pendingCommand, status: 'FAILED', error: 'jammed' });
+
+      const command = await doorCommandService.acknowledgeCommand('cmd-1', mockDoor.id, { success: false, error: 'jammed' });
+
+      expect(command.status).toBe('FAILED');
+      expect(prisma.doorCommand.updateMany).toHaveBeenCalledWith({
+        where: { id: 'cmd-1', doorId: mockDoor.id, status: 'PENDING' },
+        data: expect.objectContaining({ status: 'FAILED', error: 'jammed' }),
+      });
+    });
+
+    it('ignores an ack for a command that is already settled', async () => {
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 0 });
+
+      const command = await doorCommandService.acknowledgeCommand('cmd-1', mockDoor.id, { success: true });
+
+      expect(command).toBeNull();
+      expect(prisma.doorCommand.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitForAck', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('times the command out when no ack arrives', async () => {
+      jest.useFakeTimers();
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 1 });
+      prisma.doorCommand.findUnique.mockResolvedValue({ ...pendingCommand, status: 'TIMED_OUT' });
+
+      const result = doorCommandService.waitForAck('cmd-1');
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect((await result).status).toBe('TIMED_OUT');
+      expect(prisma.doorCommand.updateMany).toHaveBeenCalledWith({
+        where: { id: 'cmd-1', status: 'PENDING' },
+        data: { status: 'TIMED_OUT' },
+      });
+    });
+  });
+
+  describe('expireCommands', () => {
+    it('times out pending commands nobody waited for', async () => {
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 2 });
+
+      expect(await doorCommandService.expireCommands()).toBe(2);
+      expect(prisma.doorCommand.updateMany).toHaveBeenCalledWith({
+        where: { status: 'PENDING', createdAt: { lte: expect.any(Date) } },
+        data: { status: 'TIMED_OUT' },
+      });
+    });
+  });
+
+  describe('POST /api/doors/unlock', () => {
+    let app;
+
+    beforeAll(() => {
+      app = createTestApp();
+    });
+
+    it('publishes the command ID and replies without waiting by default', async () => {
+      const response = await request(app).post('/api/doors/unlock');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ commandId: 'cmd-1', status: 'PENDING' });
+      expect(mqttService.publishToDoor).toHaveBeenCalledWith(
+        mockDoor,
+        'command',
+        expect.objectContaining({ action: 'unlock', commandId: 'cmd-1' })
+      );
+    });
+
+    it('returns the device outcome with wait=true', async () => {
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 1 });
+      prisma.doorCommand.findUnique.mockResolvedValue({ ...pendingCommand, status: 'SUCCEEDED' });
+
+      // The device acks as soon as the command is published
+      mqttService.publishToDoor.mockImplementation((door, subtopic, message) => {
+        doorCommandService.acknowledgeCommand(message.commandId, door.id, { success: true });
+      });
+
+      const response = await request(app).post('/api/doors/unlock?wait=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('SUCCEEDED');
+    });
+
+    it('returns 502 when the device reports a failure', async () => {
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 1 });
+      prisma.doorCommand.findUnique.mockResolvedValue({ ...pendingCommand, status: 'FAILED', error: 'jammed' });
+
+      mqttService.publishToDoor.mockImplementation((door, subtopic, message) => {
+        doorCommandService.acknowledgeCommand(message.commandId, door.id, { success: false, error: 'jammed' });
+      });
+
+      const response = await request(app).post('/api/doors/reset-alarm').send({ wait: true });
+
+      expect(response.status).toBe(502);
+      expect(response.body).toMatchObject({ status: 'FAILED', message: 'Thiết bị báo lỗi: jammed' });
+    });
+  });
+});
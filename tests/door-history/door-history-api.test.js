@@ -43,6 +43,8 @@ jest.mock('../../src/middleware/auth.middleware', () => ({
     next();
   },
   authorize: () => (req, res, next) => next(),
+  manageableUser: () => (req, res, next) => next(),
+  requireStepUp: (req, res, next) => next(),
 }));
 
 const { PrismaClient } = require('@prisma/client');
@@ -177,6 +179,20 @@ describe('Door History API Endpoints', () => {
 
       expect(response.status).toBe(200);
     });
+
+    it('hides duress openings from users who do not receive duress alerts', async () => {
+      prisma.doorAccessLog.findMany.mockResolvedValue([]);
+      prisma.doorAccessLog.count.mockResolvedValue(0);
+
+      const response = await request(app)
+        .get('/api/doors/logs')
+        .query({ event: 'duress_unlock' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.doorAccessLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ event: 'duress_unlock', AND: [{ event: { not: 'duress_unlock' } }] }),
+      }));
+    });
   });
 });
 
@@ -185,6 +185,18 @@ describe('Door History Feature', () => {
       );
     });
 
+    it('should include confirmed remote unlocks in all and granted history', async () => {
+      prisma.doorAccessLog.findMany.mockResolvedValue([]);
+      prisma.doorAccessLog.count.mockResolvedValue(0);
+
+      await doorService.getDoorHistory({ page: 1, limit: 20 });
+      await doorService.getDoorHistory({ page: 1, limit: 20, eventFilter: 'granted' });
+
+      const [all, granted] = prisma.doorAccessLog.findMany.mock.calls.map(([{ where }]) => where.event.in);
+      expect(all).toContain('remote_unlock');
+      expect(granted).toContain('remote_unlock');
+    });
+
     it('should order logs by timestamp descending', async () => {
       prisma.doorAccessLog.findMany.mockResolvedValue(mockLogs);
       prisma.doorAccessLog.count.mockResolvedValue(3);
@@ -267,6 +279,20 @@ describe('Door History Feature', () => {
         })
       );
     });
+
+    it('should leave out duress openings unless asked to include them', async () => {
+      prisma.doorAccessLog.findMany.mockResolvedValue([]);
+      prisma.doorAccessLog.count.mockResolvedValue(0);
+
+      await doorService.getAccessLogs({ page: 1, limit: 50 });
+      await doorService.getAccessLogs({ page: 1, limit: 50, includeDuress: true });
+
+      expect(prisma.doorAccessLog.findMany.mock.calls[0][0].where).toEqual({
+        doorId: 'door-uuid-123',
+        AND: [{ event: { not: 'duress_unlock' } }],
+      });
+      expect(prisma.doorAccessLog.findMany.mock.calls[1][0].where).toEqual({ doorId: 'door-uuid-123' });
+    });
   });
 });
 
@@ -0,0 +1,179 @@
+/**
+ * Door Monitoring Tests
+ * Tests for forced-entry and held-open detection from home/door/state
+ */
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  doorAccessLog: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+  },
+  accessLog: {
+    create: jest.fn(),
+  },
+  doorCommand: {
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  device: {
+    findMany: jest.fn(),
+  },
+  alert: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+// Legacy firmware without a device secret, so its state messages are plain JSON
+const mockDoor = { id: 'door-uuid-123', name: 'Cửa chính', isDefault: true, heldOpenThreshold: 60, allowUnsigned: true };
+
+describe('Door Monitoring', () => {
+  let handleMessage;
+
+  const doorState = (status) =>
+    handleMessage('home/door/state', Buffer.from(JSON.stringify({ status, actor: 'sensor' })));
+
+  const loggedEvents = () => prisma.doorAccessLog.create.mock.calls.map(([{ data }]) => data.event);
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+    mqttService.connect();
+    const client = mqtt.connect.mock.results[0].value;
+    handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    prisma.door.findFirst.mockResolvedValue(mockDoor);
+    prisma.door.findUnique.mockResolvedValue(mockDoor);
+    prisma.door.findMany.mockResolvedValue([]);
+    prisma.device.findMany.mockResolvedValue([]);
+    prisma.alert.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+
+    // Every test starts with the door closed
+    await doorState('closed');
+    jest.clearAllMocks();
+  });
+
+  describe('forced entry', () => {
+    it('raises a CRITICAL alert when the door opens without an unlock', async () => {
+      prisma.doorAccessLog.findFirst.mockResolvedValue(null);
+
+      await doorState('open');
+
+      expect(loggedEvents()).toEqual(['forced_entry', 'door_opened']);
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'door', level: 'CRITICAL' }),
+      }));
+      expect(prisma.doorAccessLog.findFirst).toHaveBeenCalledWith({
+        where: expect.objectContaining({
+          doorId: mockDoor.id,
+          event: { in: ['access_granted', 'duress_unlock', 'remote_unlock'] },
+        }),
+      });
+    });
+
+    it('stays quiet when the door was unlocked just before', async () => {
+      prisma.doorAccessLog.findFirst.mockResolvedValue({ id: 9, event: 'access_granted' });
+
+      await doorState('open');
+
+      expect(loggedEvents()).toEqual(['door_opened']);
+      expect(prisma.alert.create).not.toHaveBeenCalled();
+    });
+
+    it('counts a remote unlock only once the device confirms it', async () => {
+      const ack = (success) => handleMessage('door/command/ack', Buffer.from(JSON.stringify({ commandId: 'cmd-1', success })));
+      prisma.doorCommand.updateMany.mockResolvedValue({ count: 1 });
+      prisma.doorCommand.findUnique.mockResolvedValueOnce({ id: 'cmd-1', action: 'unlock', status: 'FAILED', requestedById: 1 });
+
+      await ack(false);
+      expect(prisma.doorAccessLog.create).not.toHaveBeenCalled();
+
+      prisma.doorCommand.findUnique.mockResolvedValueOnce({ id: 'cmd-1', action: 'unlock', status: 'SUCCEEDED', requestedById: 1 });
+      await ack(true);
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ doorId: mockDoor.id, userId: 1, event: 'remote_unlock', method: 'remote' }),
+      });
+    });
+
+    it('checks only once while the door stays open', async () => {
+      prisma.doorAccessLog.findFirst.mockResolvedValue({ id: 9, event: 'access_granted' });
+
+      await doorState('open');
+      await doorState('open');
+
+      expect(prisma.doorAccessLog.findFirst).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores state messages from a deleted door', async () => {
+      prisma.door.findUnique.mockResolvedValue(null);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(handleMessage('home/door/state', Buffer.from(JSON.stringify({ status: 'open', doorId: 'gone' }))))
+        .resolves.toBeUndefined();
+
+      expect(prisma.doorAccessLog.create).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('held open', () => {
+    beforeEach(async () => {
+      prisma.doorAccessLog.findFirst.mockResolvedValue({ id: 9, event: 'access_granted' });
+      await doorState('open');
+      jest.clearAllMocks();
+    });
+
+    const alertLevels = () => prisma.alert.create.mock.calls.map(([{ data }]) => data.level);
+
+    it('does not alert before the threshold', async () => {
+      await jest.advanceTimersByTimeAsync(55000);
+      expect(prisma.alert.create).not.toHaveBeenCalled();
+    });
+
+    it('alerts once per threshold period and escalates to CRITICAL', async () => {
+      await jest.advanceTimersByTimeAsync(185000);
+
+      expect(alertLevels()).toEqual(['WARNING', 'WARNING', 'CRITICAL']);
+      expect(loggedEvents()).toEqual(['door_held_open', 'door_held_open', 'door_held_open']);
+    });
+
+    it('stops alerting once the door closes', async () => {
+      await jest.advanceTimersByTimeAsync(65000);
+      await doorState('closed');
+      await jest.advanceTimersByTimeAsync(120000);
+
+      expect(alertLevels()).toEqual(['WARNING']);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Duress PIN Tests
+ * Tests for duress PINs that unlock normally but raise a silent alarm
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+  securityModeRule: {
+    findMany: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  doorAccessLog: {
+    create: jest.fn(),
+  },
+  alert: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const doorService = require('../../src/services/door.service');
+const pushService = require('../../src/services/push.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+const baseDoor = {
+  id: 'door-uuid-123',
+  name: 'Cửa chính',
+  pinHash: sha256('1234'),
+  duressPinHash: sha256('9111'),
+  securityMode: 'rfid_or_pin',
+  isDefault: true,
+  allowUnsigned: true,
+};
+const alice = {
+  id: 2,
+  username: 'alice',
+  role: 'USER',
+  doorPinSalt: 'salt-a',
+  doorPinHash: sha256('salt-a' + '5678'),
+  duressPinSalt: 'salt-d',
+  duressPinHash: sha256('salt-d' + '8765'),
+};
+
+describe('Duress PINs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findFirst.mockResolvedValue(baseDoor);
+    prisma.door.findUnique.mockResolvedValue(baseDoor);
+    prisma.user.findUnique.mockResolvedValue(alice);
+    prisma.securityModeRule.findMany.mockResolvedValue([]);
+  });
+
+  describe('authenticatePin', () => {
+    it('unlocks with a user duress PIN and flags it', async () => {
+      const result = await doorService.authenticatePin('8765', undefined, 2);
+      expect(result).toEqual({ allowed: true, userId: 2, username: 'alice', role: 'USER', duress: true });
+    });
+
+    it('unlocks with the household duress PIN anonymously', async () => {
+      const result = await doorService.authenticatePin('9111');
+      expect(result).toEqual({ allowed: true, userId: null, username: null, duress: true });
+    });
+
+    it('salts a newly set household duress PIN', async () => {
+      prisma.door.update.mockImplementation(({ data }) => Promise.resolve({ ...baseDoor, ...data }));
+
+      const door = await doorService.setDoorDuressPin('4455', '1234');
+      prisma.door.findFirst.mockResolvedValue(door);
+
+      expect(door.duressPinSalt).toMatch(/^[a-f0-9]{32}$/);
+      expect(door.duressPinHash).toBe(sha256(door.duressPinSalt + '4455'));
+      expect(await doorService.authenticatePin('4455')).toEqual({ allowed: true, userId: null, username: null, duress: true });
+    });
+
+    it('does not flag the normal personal PIN', async () => {
+      const result = await doorService.authenticatePin('5678', undefined, 2);
+      expect(result.duress).toBeUndefined();
+    });
+
+    it('does not accept a user duress PIN without the user ID', async () => {
+      const result = await doorService.authenticatePin('8765');
+      expect(result).toEqual({ allowed: false, reason: 'invalid_pin' });
+    });
+  });
+
+  describe('checkRfidSecurity', () => {
+    it('accepts a duress PIN with the card in rfid_and_pin mode', async () => {
+      prisma.user.findUnique.mockResolvedValue(alice);
+
+      const result = await doorService.checkRfidSecurity({ ...baseDoor, securityMode: 'rfid_and_pin' }, 2, '8765');
+      expect(result).toEqual({ allowed: true, method: 'rfid_pin', mode: 'rfid_and_pin', duress: true });
+    });
+  });
+
+  describe('handlePinAuth over MQTT', () => {
+    let client;
+    let handleMessage;
+
+    beforeAll(() => {
+      jest.useFakeTimers();
+      mqttService.connect();
+      client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+
+      // Simulate the broker connection so alerts are published over MQTT
+      client.on.mock.calls.find(([event]) => event === 'connect')[1]();
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+      jest.spyOn(pushService, 'sendToUser').mockResolvedValue();
+      jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+      prisma.alert.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+    });
+
+    const published = (topic) => client.publish.mock.calls
+      .filter(([t]) => t === topic)
+      .map(([, message]) => JSON.parse(message));
+
+    it('answers the ESP32 like a normal unlock', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 1, username: 'admin' }]);
+
+      await handleMessage('door/pin/auth', Buffer.from(JSON.stringify({ userId: 2, pin: '8765' })));
+
+      expect(published('door/pin/result').pop()).toMatchObject({ allow: true, username: 'alice' });
+    });
+
+    it('logs duress_unlock and raises a silent CRITICAL alert for chosen admins only', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 1, username: 'admin' }]);
+
+      await handleMessage('door/pin/auth', Buffer.from(JSON.stringify({ userId: 2, pin: '8765' })));
+
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'duress_unlock', method: 'pin', userId: 2 }),
+      });
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'door', level: 'CRITICAL' }),
+      }));
+      expect(published('home/alert/new')).toHaveLength(0);
+      expect(prisma.user.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: { role: 'ADMIN', duressAlerts: true },
+      }));
+      expect(pushService.sendToUser).toHaveBeenCalledTimes(1);
+      expect(pushService.sendToUser).toHaveBeenCalledWith(1, expect.any(String), expect.any(String));
+      expect(pushService.sendToAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Guest Access Code Tests
+ * Tests for minting, redeeming and expiring temporary guest PINs
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+  },
+  guestCode: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/lib/prisma');
+const guestCodeService = require('../../src/services/guestCode.service');
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+const mockDoor = { id: 'door-uuid-123', name: 'Cửa chính', pinHash: sha256('1234'), isDefault: true };
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('Guest Access Codes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findFirst.mockResolvedValue(mockDoor);
+    prisma.guestCode.findFirst.mockResolvedValue(null);
+    prisma.guestCode.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+  });
+
+  describe('createGuestCode', () => {
+    it('generates a 6-digit PIN and stores only its hash', async () => {
+      const code = await guestCodeService.createGuestCode({
+        label: 'Giao hàng',
+        expiresAt: inOneHour(),
+        createdById: 1,
+      });
+
+      expect(code.pin).toMatch(/^\d{6}$/);
+      expect(code).not.toHaveProperty('pinHash');
+      expect(prisma.guestCode.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          doorId: mockDoor.id,
+          pinHash: sha256(code.pin),
+          maxUses: 1,
+        }),
+      });
+    });
+
+    it('rejects a custom PIN equal to the household PIN', async () => {
+      await expect(guestCodeService.createGuestCode({
+        label: 'Khách',
+        expiresAt: inOneHour(),
+        pin: '1234',
+      })).rejects.toThrow('Mã khách đã được sử dụng');
+    });
+
+    it('rejects an expiry in the past', async () => {
+      await expect(guestCodeService.createGuestCode({
+        label: 'Khách',
+        expiresAt: new Date(Date.now() - 1000),
+      })).rejects.toThrow('Thời gian hết hạn phải ở tương lai');
+    });
+  });
+
+  describe('redeemGuestCode', () => {
+    const activeCode = () => ({
+      id: 7,
+      label: 'Giao hàng',
+      maxUses: 2,
+      useCount: 0,
+      expiresAt: inOneHour(),
+      status: 'ACTIVE',
+    });
+
+    it('denies an unknown code', async () => {
+      const result = await guestCodeService.redeemGuestCode('hash', mockDoor.id);
+      expect(result).toEqual({ allowed: false, reason: 'unknown_code' });
+    });
+
+    it('consumes one use of a valid code', async () => {
+      prisma.guestCode.findFirst.mockResolvedValue(activeCode());
+      prisma.guestCode.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await guestCodeService.redeemGuestCode('hash', mockDoor.id);
+
+      expect(result).toEqual({ allowed: true, guestCodeId: 7, label: 'Giao hàng', remainingUses: 1 });
+      expect(prisma.guestCode.updateMany).toHaveBeenCalledWith({
+        where: { id: 7, status: 'ACTIVE', useCount: { lt: 2 } },
+        data: expect.objectContaining({ useCount: { increment: 1 } }),
+      });
+      expect(prisma.guestCode.update).not.toHaveBeenCalled();
+    });
+
+    it('marks the code exhausted on its last use', async () => {
+      prisma.guestCode.findFirst.mockResolvedValue({ ...activeCode(), useCount: 1 });
+      prisma.guestCode.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await guestCodeService.redeemGuestCode('hash', mockDoor.id);
+
+      expect(result.allowed).toBe(true);
+      expect(prisma.guestCode.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { status: 'EXHAUSTED' },
+      });
+    });
+
+    it('denies a code whose limit was reached concurrently', async () => {
+      prisma.guestCode.findFirst.mockResolvedValue(activeCode());
+      prisma.guestCode.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await guestCodeService.redeemGuestCode('hash', mockDoor.id);
+      expect(result.reason).toBe('code_exhausted');
+    });
+
+    it('denies and expires a code past its expiry time', async () => {
+      prisma.guestCode.findFirst.mockResolvedValue({ ...activeCode(), expiresAt: new Date(Date.now() - 1000) });
+
+      const result = await guestCodeService.redeemGuestCode('hash', mockDoor.id);
+
+      expect(result.reason).toBe('code_expired');
+      expect(prisma.guestCode.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { status: 'EXPIRED' },
+      });
+    });
+  });
+
+  describe('expireGuestCodes', () => {
+    it('expires active codes past their expiry time', async () => {
+      prisma.guestCode.updateMany.mockResolvedValue({ count: 3 });
+
+      const count = await guestCodeService.expireGuestCodes();
+
+      expect(count).toBe(3);
+      expect(prisma.guestCode.updateMany).toHaveBeenCalledWith({
+        where: { status: 'ACTIVE', expiresAt: { lte: expect.any(Date) } },
+        data: { status: 'EXPIRED' },
+      });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Signed MQTT Message Tests
+ * Tests for HMAC-signed, replay-protected messages between backend and door controllers
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+  },
+  rfidCard: {
+    findFirst: jest.fn(),
+  },
+  securityModeRule: {
+    findMany: jest.fn(),
+  },
+  doorAccessLog: {
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+  messageNonce: {
+    create: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const messageSigning = require('../../src/services/messageSigning.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const SECRET = 'a'.repeat(64);
+
+// What the ESP32 sends: its clock as seq and a random nonce
+function deviceEnvelope(topic, message, overrides = {}) {
+  const envelope = {
+    payload: JSON.stringify(message),
+    seq: Date.now(),
+    nonce: crypto.randomBytes(8).toString('hex'),
+    ...overrides,
+  };
+  return { ...envelope, sig: messageSigning.computeSignature(SECRET, topic, envelope) };
+}
+
+// Nonces as the database stores them: a second insert of a key fails
+const mockNonces = new Set();
+function useNonceStore() {
+  mockNonces.clear();
+  prisma.messageNonce.create.mockImplementation(async ({ data }) => {
+    if (mockNonces.has(data.key)) throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    mockNonces.add(data.key);
+    return data;
+  });
+}
+
+describe('Signed MQTT messages', () => {
+  beforeEach(() => {
+    useNonceStore();
+  });
+
+  describe('signMessage', () => {
+    it('produces a verifiable envelope with an increasing seq', () => {
+      const first = messageSigning.signMessage(SECRET, 'door/command', { action: 'unlock' });
+      const second = messageSigning.signMessage(SECRET, 'door/command', { action: 'unlock' });
+
+      expect(JSON.parse(first.payload)).toEqual({ action: 'unlock' });
+      expect(first.sig).toBe(messageSigning.computeSignature(SECRET, 'door/command', first));
+      expect(second.seq).toBeGreaterThan(first.seq);
+      expect(second.nonce).not.toBe(first.nonce);
+    });
+  });
+
+  describe('verifyMessage', () => {
+    const topic = 'door/access';
+
+    it('accepts a valid envelope and unwraps the payload', async () => {
+      const result = await messageSigning.verifyMessage(SECRET, topic, deviceEnvelope(topic, { event: 'access_granted' }), 'd1');
+      expect(result).toEqual({ valid: true, message: { event: 'access_granted' } });
+    });
+
+    it('rejects plain JSON', async () => {
+      const result = await messageSigning.verifyMessage(SECRET, topic, { event: 'access_granted' }, 'd1');
+      expect(result.reason).toBe('unsigned_message');
+    });
+
+    it('rejects a tampered payload', async () => {
+      const envelope = deviceEnvelope(topic, { event: 'access_denied' });
+      envelope.payload = JSON.stringify({ event: 'access_granted' });
+
+      expect((await messageSigning.verifyMessage(SECRET, topic, envelope, 'd1')).reason).toBe('invalid_signature');
+    });
+
+    it('rejects a message signed for another topic', async () => {
+      const envelope = deviceEnvelope('door/alarm', { event: 'access_granted' });
+      expect((await messageSigning.verifyMessage(SECRET, topic, envelope, 'd1')).reason).toBe('invalid_signature');
+    });
+
+    it('rejects a stale message', async () => {
+      const envelope = deviceEnvelope(topic, { event: 'access_granted' }, { seq: Date.now() - 10 * 60 * 1000 });
+      expect((await messageSigning.verifyMessage(SECRET, topic, envelope, 'd1')).reason).toBe('stale_message');
+    });
+
+    it('rejects a replayed message using the stored nonces', async () => {
+      const envelope = deviceEnvelope(topic, { event: 'access_granted' });
+
+      expect((await messageSigning.verifyMessage(SECRET, topic, envelope, 'd1')).valid).toBe(true);
+      expect((await messageSigning.verifyMessage(SECRET, topic, envelope, 'd1')).reason).toBe('replayed_message');
+      expect(prisma.messageNonce.create).toHaveBeenCalledWith({
+        data: { key: `d1:${envelope.nonce}`, expiresAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe('door messages over MQTT', () => {
+    const door = { id: 'door-uuid-123', name: 'Cửa chính', isDefault: true, securityMode: 'rfid_or_pin' };
+    let client;
+    let handleMessage;
+
+    beforeAll(() => {
+      jest.useFakeTimers();
+      mqttService.connect();
+      client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      // Rejected messages are logged once a minute per door and reason
+      jest.setSystemTime(Date.now() + 60 * 1000);
+      useNonceStore();
+      prisma.door.findFirst.mockResolvedValue(door);
+      prisma.door.findUnique.mockImplementation(({ select }) =>
+        Promise.resolve(select ? { deviceSecret: SECRET } : door)
+      );
+      prisma.securityModeRule.findMany.mockResolvedValue([]);
+      prisma.rfidCard.findFirst.mockResolvedValue({
+        status: 'ACTIVE',
+        userId: 1,
+        accessSchedules: [],
+        user: { id: 1, username: 'alice', role: 'USER', accessSchedules: [] },
+      });
+    });
+
+    it('rejects and logs an unsigned request from a provisioned door', async () => {
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify({ uid: 'ABCD1234' })));
+
+      expect(client.publish).not.toHaveBeenCalled();
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'message_rejected', method: 'unsigned_message' }),
+      });
+    });
+
+    it('logs repeated rejections of a door once a minute', async () => {
+      const unsigned = Buffer.from(JSON.stringify({ uid: 'ABCD1234' }));
+
+      await handleMessage('door/rfid/auth', unsigned);
+      await handleMessage('door/rfid/auth', unsigned);
+      await handleMessage('door/access', unsigned);
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledTimes(1);
+
+      jest.setSystemTime(Date.now() + 60 * 1000);
+      await handleMessage('door/rfid/auth', unsigned);
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('answers a signed request with a signed response', async () => {
+      const request = deviceEnvelope('door/rfid/auth', { uid: 'ABCD1234' });
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify(request)));
+
+      const [topic, raw] = client.publish.mock.calls.find(([t]) => t === 'door/rfid/result');
+      const response = JSON.parse(raw);
+
+      expect(response.sig).toBe(messageSigning.computeSignature(SECRET, topic, response));
+      expect(JSON.parse(response.payload)).toMatchObject({ allow: true, username: 'alice' });
+    });
+
+    it('rejects plain messages from a door without a secret unless it is flagged as legacy', async () => {
+      prisma.door.findUnique.mockImplementation(({ select }) => Promise.resolve(select ? { deviceSecret: null } : door));
+
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify({ uid: 'ABCD1234' })));
+      expect(client.publish).not.toHaveBeenCalled();
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'message_rejected', method: 'door_not_provisioned' }),
+      });
+
+      prisma.door.findFirst.mockResolvedValue({ ...door, allowUnsigned: true });
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify({ uid: 'ABCD1234' })));
+      expect(client.publish).toHaveBeenCalledWith('door/rfid/result', expect.any(String));
+    });
+
+    it('checks door state messages against the secret of the door they name', async () => {
+      await handleMessage('home/door/state', Buffer.from(JSON.stringify({ status: 'open', actor: 'sensor' })));
+
+      const forged = deviceEnvelope('home/door/state', { status: 'open', doorId: door.id });
+      forged.sig = messageSigning.computeSignature('b'.repeat(64), 'home/door/state', forged);
+      await handleMessage('home/door/state', Buffer.from(JSON.stringify(forged)));
+
+      expect(prisma.doorAccessLog.create.mock.calls.map(([{ data }]) => data.method))
+        .toEqual(['unsigned_message', 'invalid_signature']);
+    });
+  });
+});
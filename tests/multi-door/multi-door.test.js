@@ -0,0 +1,238 @@
+/**
+ * Multi-Door Support Tests
+ * Tests for door resolution, door-scoped RFID cards and /api/doors/:doorId routes
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('@prisma/client', () => {
+  const mockPrisma = {
+    door: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+    doorAccessLog: {
+      create: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+    },
+    rfidCard: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn(),
+    },
+    user: {
+      findUnique: jest.fn(),
+    },
+    doorCommand: {
+      create: jest.fn(),
+    },
+    $connect: jest.fn(),
+    $disconnect: jest.fn(),
+  };
+  return { PrismaClient: jest.fn(() => mockPrisma) };
+});
+
+jest.mock('../../src/services/mqtt.service', () => ({
+  connect: jest.fn(),
+  publish: jest.fn(),
+  publishToDoor: jest.fn(),
+  publishRfidWhitelist: jest.fn(),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+  manageableUser: () => (req, res, next) => next(),
+  requireStepUp: (req, res, next) => next(),
+}));
+
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const doorService = require('../../src/services/door.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const defaultDoor = { id: 'door-default', name: 'Cửa chính', pinHash: 'hash', isDefault: true };
+const garageDoor = { id: 'door-garage', name: 'Garage', pinHash: 'hash', isDefault: false };
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/doors', require('../../src/routes/door.routes'));
+  return app;
+};
+
+describe('Multi-Door Support', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findFirst.mockResolvedValue(defaultDoor);
+    prisma.door.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve([defaultDoor, garageDoor].find(d => d.id === where.id) || null)
+    );
+  });
+
+  describe('resolveDoor', () => {
+    it('returns the default door when no doorId is given', async () => {
+      const door = await doorService.resolveDoor();
+
+      expect(door).toBe(defaultDoor);
+      expect(prisma.door.findFirst).toHaveBeenCalledWith({ where: { isDefault: true } });
+    });
+
+    it('returns the requested door by ID', async () => {
+      const door = await doorService.resolveDoor('door-garage');
+      expect(door).toBe(garageDoor);
+    });
+
+    it('throws for an unknown door', async () => {
+      await expect(doorService.resolveDoor('missing')).rejects.toThrow('Cửa không tồn tại');
+    });
+
+    it('creates the default door when none exists', async () => {
+      prisma.door.findFirst.mockResolvedValue(null);
+      prisma.door.create.mockResolvedValue(defaultDoor);
+
+      await doorService.resolveDoor();
+
+      expect(prisma.door.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ isDefault: true }),
+      });
+    });
+  });
+
+  describe('Door-scoped RFID authentication', () => {
+    it('scopes card lookup to the given door', async () => {
+      prisma.rfidCard.findFirst.mockResolvedValue(null);
+
+      await doorService.authenticateRfid('abc', 'door-garage');
+
+      expect(prisma.rfidCard.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { uidHash: 'abc', doorId: 'door-garage' } })
+      );
+    });
+
+    it('scopes card lookup to the default door for legacy callers', async () => {
+      prisma.rfidCard.findFirst.mockResolvedValue(null);
+
+      await doorService.authenticateRfid('abc');
+
+      expect(prisma.rfidCard.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { uidHash: 'abc', door: { isDefault: true } } })
+      );
+    });
+  });
+
+  describe('Access logs', () => {
+    it('writes logs against the given door', async () => {
+      await doorService.createAccessLog({ event: 'door_opened', method: 'system', doorId: 'door-garage' });
+
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ doorId: 'door-garage', event: 'door_opened' }),
+      });
+    });
+  });
+
+  describe('Door deletion', () => {
+    it('refuses to delete the default door', async () => {
+      await expect(doorService.deleteDoor('door-default')).rejects.toThrow('Không thể xóa cửa mặc định');
+      expect(prisma.door.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('API routes', () => {
+    let app;
+
+    beforeAll(() => {
+      app = createTestApp();
+    });
+
+    beforeEach(() => {
+      prisma.doorAccessLog.findMany.mockResolvedValue([]);
+      prisma.doorAccessLog.count.mockResolvedValue(0);
+    });
+
+    it('GET /api/doors/:doorId/history reads the requested door', async () => {
+      const response = await request(app).get('/api/doors/door-garage/history');
+
+      expect(response.status).toBe(200);
+      expect(prisma.doorAccessLog.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ doorId: 'door-garage' }),
+        })
+      );
+    });
+
+    it('GET /api/doors/history keeps using the default door', async () => {
+      const response = await request(app).get('/api/doors/history');
+
+      expect(response.status).toBe(200);
+      expect(prisma.doorAccessLog.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ doorId: 'door-default' }),
+        })
+      );
+    });
+
+    it('returns 404 for an unknown door', async () => {
+      const response = await request(app).get('/api/doors/missing/history');
+      expect(response.status).toBe(404);
+    });
+
+    it('POST /api/doors/:doorId/unlock publishes to that door', async () => {
+      prisma.doorCommand.create.mockResolvedValue({ id: 'cmd-1', status: 'PENDING' });
+
+      const response = await request(app).post('/api/doors/door-garage/unlock');
+
+      expect(response.status).toBe(200);
+      expect(mqttService.publishToDoor).toHaveBeenCalledWith(
+        garageDoor,
+        'command',
+        expect.objectContaining({ action: 'unlock' })
+      );
+    });
+
+    it('DELETE /api/doors/:doorId/rfid/:cardId only removes cards of that door', async () => {
+      prisma.rfidCard.findUnique.mockResolvedValue({ id: 4, doorId: 'door-default', userId: 2 });
+
+      const response = await request(app).delete('/api/doors/door-garage/rfid/4');
+
+      expect(response.status).toBe(400);
+      expect(prisma.rfidCard.update).not.toHaveBeenCalled();
+      expect(mqttService.publishRfidWhitelist).not.toHaveBeenCalled();
+    });
+
+    it('PATCH /api/doors updates the default door', async () => {
+      prisma.door.update.mockResolvedValue({ ...defaultDoor, name: 'Cửa trước' });
+
+      const response = await request(app).patch('/api/doors').send({ name: 'Cửa trước' });
+
+      expect(response.status).toBe(200);
+      expect(prisma.door.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'door-default' },
+        data: expect.objectContaining({ name: 'Cửa trước' }),
+      }));
+    });
+
+    it('GET /api/doors/list returns all doors', async () => {
+      prisma.door.findMany.mockResolvedValue([defaultDoor, garageDoor]);
+
+      const response = await request(app).get('/api/doors/list');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      // Any signed-in user may list doors, so no PIN hash is returned
+      expect(prisma.door.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        omit: { pinHash: true, duressPinHash: true, duressPinSalt: true },
+      }));
+    });
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * Notification Channels Tests
+ * Tests for email, webhook and bot delivery channels against local stand-ins
+ */
+
+const net = require('net');
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  notificationChannel: {
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn(),
+  },
+  notificationDelivery: {
+    createMany: jest.fn(),
+    findMany: jest.fn(),
+  },
+  notificationPreference: {
+    findMany: jest.fn(),
+  },
+  notification: {
+    createMany: jest.fn(),
+  },
+  user: {
+    findMany: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+}));
+
+const mockSendEachForMulticast = jest.fn();
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: () => ({ sendEachForMulticast: mockSendEachForMulticast }),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 2, username: 'an', role: 'USER' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+process.env.FIREBASE_PROJECT_ID = 'test-project';
+
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const notificationChannelService = require('../../src/services/notificationChannel.service');
+const emailChannel = require('../../src/services/channels/email.channel');
+const webhookChannel = require('../../src/services/channels/webhook.channel');
+const telegramChannel = require('../../src/services/channels/telegram.channel');
+
+const message = { title: '🔥 Fire Alert!', body: 'Fire detected at kitchen', category: 'fire', level: 'CRITICAL' };
+
+// Local SMTP catcher: accepts every message, or rejects recipients in `reject`
+function startSmtpCatcher({ reject = [] } = {}) {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let current = { commands: [], data: '' };
+
+    socket.setEncoding('utf8');
+    socket.write('220 localhost catcher\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { commands: [], data: '' };
+            socket.write('250 queued\r\n');
+          } else {
+            current.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        current.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('RCPT') && reject.some(address => line.includes(address))) socket.write('550 no such user\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, messages, server }));
+  });
+}
+
+// Local HTTP receiver answering every request with `status` and `body`
+function startReceiver({ status = 200, body = {} } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: data });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      server,
+    }));
+  });
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function decodeMessage(data) {
+  const [headers, body] = data.split('\r\n\r\n');
+  const subject = headers.match(/^Subject: =\?UTF-8\?B\?(.+)\?=$/m)[1];
+  return {
+    headers,
+    subject: Buffer.from(subject, 'base64').toString(),
+    text: Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString(),
+  };
+}
+
+describe('Notification Channels Feature', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.notificationPreference.findMany.mockResolvedValue([]);
+    prisma.notification.createMany.mockResolvedValue({ count: 1 });
+    prisma.notificationDelivery.createMany.mockResolvedValue({ count: 1 });
+    prisma.notificationChannel.findMany.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe('email channel', () => {
+    let catcher = null;
+
+    afterEach(async () => {
+      if (catcher) await closeServer(catcher.server);
+      catcher = null;
+    });
+
+    it('delivers a UTF-8 message through the SMTP server', async () => {
+      catcher = await startSmtpCatcher();
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(catcher.port);
+      process.env.SMTP_FROM = 'Smart Home <alerts@home.local>';
+
+      await emailChannel.send({ address: 'an@example.com' }, { ...message, body: 'Phát hiện cháy ở bếp' });
+
+      expect(catcher.messages).toHaveLength(1);
+      const [mail] = catcher.messages;
+      expect(mail.commands).toContain('MAIL FROM:<alerts@home.local>');
+      expect(mail.commands).toContain('RCPT TO:<an@example.com>');
+      expect(mail.commands.some(c => c.startsWith('AUTH'))).toBe(false);
+
+      const decoded = decodeMessage(mail.data);
+      expect(decoded.headers).toContain('To: <an@example.com>');
+      expect(decoded.subject).toBe('🔥 Fire Alert!');
+      expect(decoded.text).toBe('Phát hiện cháy ở bếp');
+    });
+
+    it('does not send credentials over a connection without TLS', async () => {
+      catcher = await startSmtpCatcher();
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(catcher.port);
+      process.env.SMTP_USER = 'mailer';
+      process.env.SMTP_PASS = 'secret';
+
+      await expect(emailChannel.send({ address: 'an@example.com' }, message)).rejects.toThrow('TLS');
+      expect(catcher.messages).toHaveLength(0);
+    });
+
+    it('authenticates without TLS only when explicitly allowed', async () => {
+      catcher = await startSmtpCatcher();
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(catcher.port);
+      process.env.SMTP_USER = 'mailer';
+      process.env.SMTP_PASS = 'secret';
+      process.env.SMTP_ALLOW_INSECURE_AUTH = 'true';
+
+      await emailChannel.send({ address: 'an@example.com' }, message);
+
+      const credentials = Buffer.from('\0mailer\0secret').toString('base64');
+      expect(catcher.messages[0].commands).toContain(`AUTH PLAIN ${credentials}`);
+    });
+
+    it('fails when the server rejects the recipient', async () => {
+      catcher = await startSmtpCatcher({ reject: ['nobody@example.com'] });
+      process.env.SMTP_HOST = '127.0.0.1';
+      process.env.SMTP_PORT = String(catcher.port);
+
+      await expect(emailChannel.send({ address: 'nobody@example.com' }, message)).rejects.toThrow('SMTP 550');
+      expect(catcher.messages).toHaveLength(0);
+    });
+
+    it('rejects invalid addresses', () => {
+      expect(() => emailChannel.validateConfig({ address: 'an@example.com\r\nBcc: x@y.z' })).toThrow('Địa chỉ email không hợp lệ');
+    });
+  });
+
+  describe('webhook channel', () => {
+    let receiver = null;
+
+    beforeEach(() => {
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    });
+
+    afterEach(async () => {
+      if (receiver) await closeServer(receiver.server);
+      receiver = null;
+    });
+
+    it('posts the notification with an HMAC signature', async () => {
+      receiver = await startReceiver();
+      const config = await webhookChannel.validateConfig({ url: `${receiver.url}/hook` });
+
+      await webhookChannel.send(config, message);
+
+      expect(receiver.requests).toHaveLength(1);
+      const [req] = receiver.requests;
+      expect(req.method).toBe('POST');
+      expect(req.url).toBe('/hook');
+      expect(JSON.parse(req.body)).toEqual(expect.objectContaining({ event: 'notification', ...message }));
+
+      const timestamp = req.headers['x-smarthome-timestamp'];
+      const expected = crypto.createHmac('sha256', config.secret).update(`${timestamp}.${req.body}`).digest('hex');
+      expect(req.headers['x-smarthome-signature']).toBe(`sha256=${expected}`);
+    });
+
+    it('fails on a non-2xx response', async () => {
+      receiver = await startReceiver({ status: 500 });
+      const config = await webhookChannel.validateConfig({ url: receiver.url });
+
+      await expect(webhookChannel.send(config, message)).rejects.toThrow('HTTP 500');
+    });
+
+    it('does not follow redirects', async () => {
+      receiver = await startReceiver({ status: 302 });
+      const config = await webhookChannel.validateConfig({ url: receiver.url });
+
+      await expect(webhookChannel.send(config, message)).rejects.toThrow('HTTP 302');
+      expect(receiver.requests).toHaveLength(1);
+    });
+
+    it('refuses private, loopback and link-local targets', async () => {
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+      await expect(webhookChannel.validateConfig({ url: 'http://169.254.169.254/latest/meta-data' })).rejects.toThrow('địa chỉ nội bộ');
+      await expect(webhookChannel.validateConfig({ url: 'http://192.168.1.10/hook' })).rejects.toThrow('địa chỉ nội bộ');
+      await expect(webhookChannel.validateConfig({ url: 'http://[::1]:8080/hook' })).rejects.toThrow('địa chỉ nội bộ');
+      await expect(webhookChannel.validateConfig({ url: 'http://localhost:8080/hook' })).rejects.toThrow('địa chỉ nội bộ');
+    });
+
+    it('checks the address again when sending', async () => {
+      receiver = await startReceiver();
+      const port = new URL(receiver.url).port;
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+      await expect(webhookChannel.send({ url: receiver.url, secret: 's' }, message)).rejects.toThrow('địa chỉ nội bộ');
+      await expect(webhookChannel.send({ url: `http://localhost:${port}`, secret: 's' }, message)).rejects.toThrow('địa chỉ nội bộ');
+      expect(receiver.requests).toHaveLength(0);
+    });
+
+    it('keeps the secret when the URL changes', async () => {
+      const current = await webhookChannel.validateConfig({ url: 'https://203.0.113.10/a' });
+
+      const updated = await webhookChannel.validateConfig({ url: 'https://203.0.113.10/b' }, current);
+
+      expect(updated.secret).toBe(current.secret);
+      await expect(webhookChannel.validateConfig({ url: 'ftp://example.com' })).rejects.toThrow('http hoặc https');
+    });
+  });
+
+  describe('telegram channel', () => {
+    let receiver;
+
+    afterEach(async () => {
+      await closeServer(receiver.server);
+    });
+
+    it('sends the message through the bot API', async () => {
+      receiver = await startReceiver({ body: { ok: true } });
+      process.env.TELEGRAM_API_URL = receiver.url;
+      process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+
+      await telegramChannel.send(telegramChannel.validateConfig({ chatId: 42 }), message);
+
+      const [req] = receiver.requests;
+      expect(req.url).toBe('/bot123:abc/sendMessage');
+      expect(JSON.parse(req.body)).toEqual({ chat_id: '42', text: '🔥 Fire Alert!\nFire detected at kitchen' });
+    });
+
+    it('reports the API error description', async () => {
+      receiver = await startReceiver({ status: 400, body: { ok: false, description: 'Bad Request: chat not found' } });
+      process.env.TELEGRAM_API_URL = receiver.url;
+      process.env.TELEGRAM_BOT_TOKEN = '123:abc';
+
+      await expect(telegramChannel.send({ chatId: '42' }, message)).rejects.toThrow('chat not found');
+    });
+  });
+
+  describe('notificationChannel.service', () => {
+    it('records one delivery per channel, failed ones with their error', async () => {
+      const receiver = await startReceiver();
+      delete process.env.SMTP_HOST;
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+      prisma.notificationChannel.findMany.mockResolvedValue([
+        { id: 1, userId: 2, type: 'webhook', name: 'Home Assistant', config: { url: receiver.url, secret: 's' }, enabled: true },
+        { id: 2, userId: 2, type: 'email', name: 'Email', config: { address: 'an@example.com' }, enabled: true },
+      ]);
+
+      try {
+        await notificationChannelService.dispatch([2], message);
+      } finally {
+        await closeServer(receiver.server);
+      }
+
+      expect(prisma.notificationChannel.findMany).toHaveBeenCalledWith({
+        where: { userId: { in: [2] }, enabled: true },
+      });
+      expect(prisma.notificationDelivery.createMany).toHaveBeenCalledWith({
+        data: [
+          { userId: 2, channelId: 1, channelType: 'webhook', title: '🔥 Fire Alert!', status: 'SENT', error: null },
+          expect.objectContaining({ channelId: 2, status: 'FAILED', error: expect.stringContaining('SMTP_HOST') }),
+        ],
+      });
+    });
+
+    it('rejects unknown channel types', async () => {
+      await expect(notificationChannelService.createChannel(2, { type: 'sms', name: 'SMS', config: {} }))
+        .rejects.toThrow('Loại kênh phải là một trong');
+      expect(prisma.notificationChannel.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('push.service', () => {
+    it('sends through the recipients channels and records FCM results', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      prisma.pushToken.findMany.mockResolvedValue([
+        { id: 1, token: 'token-a', userId: 1 },
+        { id: 2, token: 'token-b', userId: 2 },
+      ]);
+      mockSendEachForMulticast.mockResolvedValue({
+        successCount: 1,
+        failureCount: 1,
+        responses: [{ success: true }, { success: false, error: { code: 'messaging/internal-error', message: 'Internal error' } }],
+      });
+
+      await pushService.sendToAll(message.title, message.body, { category: 'fire', level: 'CRITICAL' });
+
+      expect(prisma.notificationChannel.findMany).toHaveBeenCalledWith({
+        where: { userId: { in: [1, 2] }, enabled: true },
+      });
+      expect(prisma.notificationDelivery.createMany).toHaveBeenCalledWith({
+        data: [
+          { userId: 1, channelType: 'fcm', title: '🔥 Fire Alert!', status: 'SENT', error: null },
+          { userId: 2, channelType: 'fcm', title: '🔥 Fire Alert!', status: 'FAILED', error: 'Internal error' },
+        ],
+      });
+    });
+
+    it('does not wait for slow channels before sending the push', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 1 }]);
+      prisma.pushToken.findMany.mockResolvedValue([{ id: 1, token: 'token-a', userId: 1 }]);
+      prisma.notificationChannel.findMany.mockReturnValue(new Promise(() => {}));
+      mockSendEachForMulticast.mockResolvedValue({ successCount: 1, failureCount: 0, responses: [{ success: true }] });
+
+      await pushService.sendToAll(message.title, message.body, { category: 'fire', level: 'CRITICAL' });
+
+      expect(mockSendEachForMulticast).toHaveBeenCalled();
+    });
+  });
+
+  describe('Channel routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/notification-channels', require('../../src/routes/notificationChannel.routes'));
+    });
+
+    it('creates a webhook channel and shows its secret once', async () => {
+      prisma.notificationChannel.count.mockResolvedValue(0);
+      prisma.notificationChannel.create.mockImplementation(({ data }) => ({ id: 5, ...data }));
+
+      const res = await request(app)
+        .post('/api/notification-channels')
+        .send({ type: 'webhook', name: 'Home Assistant', config: { url: 'https://203.0.113.10/api/webhook/x' } });
+
+      expect(res.status).toBe(201);
+      expect(res.body.config.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(prisma.notificationChannel.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 2, type: 'webhook', enabled: true }),
+      });
+    });
+
+    it('hides the webhook secret when listing channels', async () => {
+      prisma.notificationChannel.findMany.mockResolvedValue([
+        { id: 5, userId: 2, type: 'webhook', name: 'Home Assistant', config: { url: 'https://ha.local/x', secret: 's' } },
+      ]);
+
+      const res = await request(app).get('/api/notification-channels');
+
+      expect(res.status).toBe(200);
+      expect(res.body[0].config).toEqual({ url: 'https://ha.local/x' });
+    });
+
+    it('returns 404 for channels of other users', async () => {
+      prisma.notificationChannel.findUnique.mockResolvedValue({ id: 5, userId: 3, type: 'email', config: {} });
+
+      const res = await request(app).post('/api/notification-channels/5/test');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Kênh thông báo không tồn tại');
+    });
+
+    it('sends a test message and returns the delivery result', async () => {
+      const receiver = await startReceiver();
+      process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+      prisma.notificationChannel.findUnique.mockResolvedValue({
+        id: 5, userId: 2, type: 'webhook', name: 'Home Assistant', config: { url: receiver.url, secret: 's' }, enabled: false,
+      });
+
+      let res;
+      try {
+        res = await request(app).post('/api/notification-channels/5/test');
+      } finally {
+        await closeServer(receiver.server);
+      }
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ channelId: 5, status: 'SENT' }));
+      expect(receiver.requests).toHaveLength(1);
+    });
+  });
+});
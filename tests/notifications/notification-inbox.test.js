@@ -0,0 +1,225 @@
+/**
+ * Notification Inbox Tests
+ * Tests for persisted per-user notifications with read/unread state
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  notification: {
+    createMany: jest.fn(),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  notificationPreference: {
+    findMany: jest.fn(),
+  },
+  user: {
+    findMany: jest.fn(),
+  },
+  notificationChannel: {
+    findMany: jest.fn(),
+  },
+  notificationDelivery: {
+    createMany: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 2, username: 'an', role: 'USER' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+// No credentials: FCM stays unconfigured
+delete process.env.FIREBASE_PROJECT_ID;
+
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const notificationService = require('../../src/services/notification.service');
+
+function notification(overrides = {}) {
+  return {
+    id: 10,
+    userId: 2,
+    title: '🔥 Fire Alert!',
+    body: 'Fire detected at kitchen',
+    category: 'fire',
+    level: 'CRITICAL',
+    readAt: null,
+    createdAt: new Date(),
+    ...overrides,
+  };
+}
+
+describe('Notification Inbox Feature', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.notificationChannel.findMany.mockResolvedValue([]);
+    prisma.user.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+    prisma.notificationPreference.findMany.mockResolvedValue([]);
+    prisma.notification.createMany.mockResolvedValue({ count: 2 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('push.service', () => {
+    it('stores a notification for every user even without FCM', async () => {
+      await pushService.sendToAll('🔥 Fire Alert!', 'Fire detected at kitchen', { category: 'fire', level: 'CRITICAL' });
+
+      expect(prisma.notification.createMany).toHaveBeenCalledWith({
+        data: [
+          { userId: 1, title: '🔥 Fire Alert!', body: 'Fire detected at kitchen', category: 'fire', level: 'CRITICAL' },
+          { userId: 2, title: '🔥 Fire Alert!', body: 'Fire detected at kitchen', category: 'fire', level: 'CRITICAL' },
+        ],
+      });
+      expect(prisma.pushToken.findMany).not.toHaveBeenCalled();
+    });
+
+    it('skips the inbox of users who muted the category', async () => {
+      prisma.notificationPreference.findMany.mockResolvedValue([
+        { userId: 1, mutedCategories: 'guest_access', minLevel: 'INFO', quietHoursStart: null },
+      ]);
+
+      await pushService.sendToAll('🔑 Mã khách đã được sử dụng', 'Khách đã mở Cửa chính', {
+        category: 'guest_access',
+        level: 'INFO',
+      });
+
+      expect(prisma.notification.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({ userId: 2 })],
+      });
+    });
+
+    it('keeps notifications held back by quiet hours in the inbox', async () => {
+      // Quiet all day long
+      prisma.notificationPreference.findMany.mockResolvedValue([
+        { userId: 2, mutedCategories: '', minLevel: 'INFO', quietHoursStart: '00:00', quietHoursEnd: '23:59', timezone: 'UTC' },
+      ]);
+
+      await pushService.sendToUser(2, '📡 Device Offline', 'ESP32 is offline', { category: 'device_offline', level: 'WARNING' });
+
+      expect(prisma.notification.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({ userId: 2, category: 'device_offline' })],
+      });
+    });
+
+    it('does not fail the push when the inbox cannot be written', async () => {
+      prisma.notification.createMany.mockRejectedValue(new Error('db down'));
+
+      await expect(pushService.sendToUser(2, 'Test', 'Test notification')).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalledWith('Notification inbox error:', expect.any(Error));
+    });
+  });
+
+  describe('notification.service', () => {
+    it('returns a page of notifications with the unread count', async () => {
+      prisma.notification.findMany.mockResolvedValue([notification()]);
+      prisma.notification.count.mockResolvedValueOnce(1).mockResolvedValueOnce(1);
+
+      const result = await notificationService.getNotifications(2, { unread: true });
+
+      expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 2, readAt: null },
+        orderBy: { createdAt: 'desc' },
+      }));
+      expect(result).toEqual(expect.objectContaining({ total: 1, unreadCount: 1, page: 1, totalPages: 1 }));
+    });
+
+    it('does not let users mark notifications of others', async () => {
+      prisma.notification.findUnique.mockResolvedValue(notification({ userId: 3 }));
+
+      await expect(notificationService.markAsRead(2, 10)).rejects.toThrow('Thông báo không tồn tại');
+      expect(prisma.notification.update).not.toHaveBeenCalled();
+    });
+
+    it('leaves notifications that were already read untouched', async () => {
+      const read = notification({ readAt: new Date() });
+      prisma.notification.findUnique.mockResolvedValue(read);
+
+      await expect(notificationService.markAsRead(2, 10)).resolves.toBe(read);
+      expect(prisma.notification.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Notification routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/notifications', require('../../src/routes/notification.routes'));
+    });
+
+    it('lists the current user notifications', async () => {
+      prisma.notification.findMany.mockResolvedValue([notification()]);
+      prisma.notification.count.mockResolvedValueOnce(5).mockResolvedValueOnce(2);
+
+      const res = await request(app).get('/api/notifications?limit=1');
+
+      expect(res.status).toBe(200);
+      expect(prisma.notification.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 2 },
+        take: 1,
+      }));
+      expect(res.body).toEqual(expect.objectContaining({ total: 5, unreadCount: 2, totalPages: 5 }));
+    });
+
+    it('returns the unread count', async () => {
+      prisma.notification.count.mockResolvedValue(3);
+
+      const res = await request(app).get('/api/notifications/unread-count');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ unreadCount: 3 });
+      expect(prisma.notification.count).toHaveBeenCalledWith({ where: { userId: 2, readAt: null } });
+    });
+
+    it('marks a notification as read', async () => {
+      prisma.notification.findUnique.mockResolvedValue(notification());
+      prisma.notification.update.mockResolvedValue(notification({ readAt: new Date() }));
+
+      const res = await request(app).patch('/api/notifications/10/read');
+
+      expect(res.status).toBe(200);
+      expect(prisma.notification.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { readAt: expect.any(Date) },
+      });
+    });
+
+    it('returns 404 for an unknown notification', async () => {
+      prisma.notification.findUnique.mockResolvedValue(null);
+
+      const res = await request(app).patch('/api/notifications/99/read');
+
+      expect(res.status).toBe(404);
+    });
+
+    it('marks all unread notifications of the user as read', async () => {
+      prisma.notification.updateMany.mockResolvedValue({ count: 4 });
+
+      const res = await request(app).patch('/api/notifications/read-all');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ updated: 4, unreadCount: 0 });
+      expect(prisma.notification.updateMany).toHaveBeenCalledWith({
+        where: { userId: 2, readAt: null },
+        data: { readAt: expect.any(Date) },
+      });
+    });
+  });
+});
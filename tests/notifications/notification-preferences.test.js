@@ -0,0 +1,229 @@
+/**
+ * Notification Preferences Tests
+ * Tests for per-user notification categories, minimum level and quiet hours
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  notificationPreference: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  user: {
+    findMany: jest.fn(),
+  },
+  notificationChannel: {
+    findMany: jest.fn(),
+  },
+  notificationDelivery: {
+    createMany: jest.fn(),
+  },
+  notification: {
+    createMany: jest.fn(),
+  },
+}));
+
+const mockSendEachForMulticast = jest.fn();
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: () => ({ sendEachForMulticast: mockSendEachForMulticast }),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 2, username: 'an', role: 'USER' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+process.env.FIREBASE_PROJECT_ID = 'test-project';
+
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const notificationPreferenceService = require('../../src/services/notificationPreference.service');
+
+// 23:30 and 12:00 in UTC
+const NIGHT = new Date('2026-01-15T23:30:00Z');
+const NOON = new Date('2026-01-15T12:00:00Z');
+
+function preference(overrides = {}) {
+  return {
+    userId: 2,
+    mutedCategories: '',
+    minLevel: 'INFO',
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    timezone: null,
+    ...overrides,
+  };
+}
+
+const quiet = preference({ quietHoursStart: '22:00', quietHoursEnd: '07:00', timezone: 'UTC' });
+
+describe('Notification Preferences Feature', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.notificationPreference.findMany.mockResolvedValue([]);
+    prisma.notificationPreference.findUnique.mockResolvedValue(null);
+    prisma.notificationChannel.findMany.mockResolvedValue([]);
+    prisma.user.findMany.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    prisma.notification.createMany.mockResolvedValue({ count: 0 });
+    mockSendEachForMulticast.mockResolvedValue({ successCount: 1, failureCount: 0, responses: [{ success: true }] });
+  });
+
+  describe('shouldDeliver', () => {
+    it('delivers everything to users who kept the defaults', () => {
+      expect(notificationPreferenceService.shouldDeliver(null, { category: 'gas', level: 'INFO' })).toBe(true);
+    });
+
+    it('skips muted categories', () => {
+      const muted = preference({ mutedCategories: 'guest_access,device_offline' });
+
+      expect(notificationPreferenceService.shouldDeliver(muted, { category: 'device_offline', level: 'WARNING' })).toBe(false);
+      expect(notificationPreferenceService.shouldDeliver(muted, { category: 'fire', level: 'WARNING' })).toBe(true);
+    });
+
+    it('skips notifications below the minimum level', () => {
+      const warningUp = preference({ minLevel: 'WARNING' });
+
+      expect(notificationPreferenceService.shouldDeliver(warningUp, { category: 'gas', level: 'INFO' })).toBe(false);
+      expect(notificationPreferenceService.shouldDeliver(warningUp, { category: 'gas', level: 'WARNING' })).toBe(true);
+    });
+
+    it('delivers only CRITICAL notifications during overnight quiet hours', () => {
+      expect(notificationPreferenceService.shouldDeliver(quiet, { category: 'gas', level: 'WARNING' }, NIGHT)).toBe(false);
+      expect(notificationPreferenceService.shouldDeliver(quiet, { category: 'gas', level: 'CRITICAL' }, NIGHT)).toBe(true);
+      expect(notificationPreferenceService.shouldDeliver(quiet, { category: 'gas', level: 'WARNING' }, NOON)).toBe(true);
+    });
+
+    it('evaluates quiet hours in the user timezone', () => {
+      // 12:00 UTC is 19:00 in Ho Chi Minh City
+      const evening = preference({ quietHoursStart: '18:00', quietHoursEnd: '20:00', timezone: 'Asia/Ho_Chi_Minh' });
+
+      expect(notificationPreferenceService.isQuietTime(evening, NOON)).toBe(true);
+      expect(notificationPreferenceService.isQuietTime(evening, NIGHT)).toBe(false);
+    });
+  });
+
+  describe('push.service', () => {
+    it('sends only to users whose preferences allow the notification', async () => {
+      prisma.pushToken.findMany.mockResolvedValue([{ id: 1, token: 'token-a' }]);
+      prisma.notificationPreference.findMany.mockResolvedValue([
+        preference({ userId: 2, mutedCategories: 'device_offline' }),
+        preference({ userId: 3, minLevel: 'CRITICAL' }),
+      ]);
+
+      await pushService.sendToAll('📡 Device Offline', 'ESP32 is offline', { category: 'device_offline', level: 'WARNING' });
+
+      expect(prisma.pushToken.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: { in: [1] } },
+      }));
+      expect(mockSendEachForMulticast).toHaveBeenCalledWith({
+        notification: { title: '📡 Device Offline', body: 'ESP32 is offline' },
+        tokens: ['token-a'],
+      });
+    });
+
+    it('does not call FCM when nobody wants the notification', async () => {
+      prisma.user.findMany.mockResolvedValue([{ id: 2 }]);
+      prisma.notificationPreference.findMany.mockResolvedValue([preference({ mutedCategories: 'guest_access' })]);
+
+      await pushService.sendToAll('🔑 Mã khách đã được sử dụng', 'Khách đã mở Cửa chính', { category: 'guest_access' });
+
+      expect(prisma.pushToken.findMany).not.toHaveBeenCalled();
+      expect(mockSendEachForMulticast).not.toHaveBeenCalled();
+    });
+
+    it('bypasses preferences for pushes without a category', async () => {
+      prisma.pushToken.findMany.mockResolvedValue([{ token: 'token-b' }]);
+
+      await pushService.sendToUser(2, 'Thông báo bảo mật', 'Cửa chính - an');
+
+      expect(prisma.notificationPreference.findMany).not.toHaveBeenCalled();
+      expect(mockSendEachForMulticast).toHaveBeenCalledWith(expect.objectContaining({ tokens: ['token-b'] }));
+    });
+
+    it('applies preferences to pushes sent to a single user', async () => {
+      prisma.notificationPreference.findMany.mockResolvedValue([quiet]);
+      jest.useFakeTimers({ now: NIGHT });
+
+      try {
+        await pushService.sendToUser(2, '⚠️ Gas Leak!', 'Gas leak detected: 600 ppm', { category: 'gas', level: 'WARNING' });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(prisma.pushToken.findMany).not.toHaveBeenCalled();
+      expect(mockSendEachForMulticast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Preference routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/push', require('../../src/routes/push.routes'));
+    });
+
+    it('returns the defaults for a user without preferences', async () => {
+      const res = await request(app).get('/api/push/preferences');
+
+      expect(res.status).toBe(200);
+      expect(res.body.minLevel).toBe('INFO');
+      expect(res.body.quietHours).toBeNull();
+      expect(Object.values(res.body.categories).every(Boolean)).toBe(true);
+    });
+
+    it('mutes categories and keeps the others', async () => {
+      prisma.notificationPreference.findUnique.mockResolvedValue(preference({ mutedCategories: 'guest_access' }));
+      prisma.notificationPreference.upsert.mockImplementation(({ update }) => preference(update));
+
+      const res = await request(app)
+        .put('/api/push/preferences')
+        .send({ categories: { device_offline: false }, quietHours: { start: '22:00', end: '07:00' } });
+
+      expect(res.status).toBe(200);
+      expect(prisma.notificationPreference.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 2 },
+        update: {
+          mutedCategories: 'guest_access,device_offline',
+          quietHoursStart: '22:00',
+          quietHoursEnd: '07:00',
+          timezone: null,
+        },
+      }));
+      expect(res.body.categories.device_offline).toBe(false);
+      expect(res.body.categories.fire).toBe(true);
+      expect(res.body.quietHours).toEqual({ start: '22:00', end: '07:00', timezone: 'Asia/Ho_Chi_Minh' });
+    });
+
+    it('rejects unknown categories', async () => {
+      const res = await request(app)
+        .put('/api/push/preferences')
+        .send({ categories: { weather: false } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Loại thông báo');
+      expect(prisma.notificationPreference.upsert).not.toHaveBeenCalled();
+    });
+
+    it('rejects malformed quiet hours', async () => {
+      const res = await request(app)
+        .put('/api/push/preferences')
+        .send({ quietHours: { start: '10pm', end: '07:00' } });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Door Security Mode Tests
+ * Tests for rfid_only / pin_only / rfid_or_pin / rfid_and_pin enforcement
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  rfidCard: {
+    findFirst: jest.fn(),
+  },
+  securityModeRule: {
+    findMany: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+  },
+  doorAccessLog: {
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const doorService = require('../../src/services/door.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+const baseDoor = { id: 'door-uuid-123', name: 'Cửa chính', pinHash: sha256('1234'), isDefault: true, allowUnsigned: true };
+
+describe('Door Security Mode', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.securityModeRule.findMany.mockResolvedValue([]);
+    prisma.user.findUnique.mockResolvedValue({ doorPinHash: null, doorPinSalt: null });
+    prisma.user.findMany.mockResolvedValue([]);
+  });
+
+  describe('getEffectiveSecurityMode', () => {
+    it('uses the base mode when no rule is active', async () => {
+      const mode = await doorService.getEffectiveSecurityMode({ ...baseDoor, securityMode: 'rfid_only' });
+      expect(mode).toBe('rfid_only');
+    });
+
+    it('switches mode while a time-of-day rule is active', async () => {
+      prisma.securityModeRule.findMany.mockResolvedValue([
+        { mode: 'rfid_and_pin', daysOfWeek: '0,1,2,3,4,5,6', startTime: '22:00', endTime: '06:00', timezone: 'Asia/Ho_Chi_Minh' },
+      ]);
+      const door = { ...baseDoor, securityMode: 'rfid_or_pin' };
+
+      // 23:00 and 12:00 in Vietnam
+      expect(await doorService.getEffectiveSecurityMode(door, new Date('2026-01-05T16:00:00Z'))).toBe('rfid_and_pin');
+      expect(await doorService.getEffectiveSecurityMode(door, new Date('2026-01-05T05:00:00Z'))).toBe('rfid_or_pin');
+    });
+  });
+
+  describe('checkRfidSecurity', () => {
+    const door = { ...baseDoor, securityMode: 'rfid_and_pin' };
+
+    it('requires a PIN with the card in rfid_and_pin mode', async () => {
+      const result = await doorService.checkRfidSecurity(door, 1);
+      expect(result).toEqual({ allowed: false, reason: 'pin_required', mode: 'rfid_and_pin' });
+    });
+
+    it('accepts the door PIN for users without a personal PIN', async () => {
+      const result = await doorService.checkRfidSecurity(door, 1, '1234');
+      expect(result).toEqual({ allowed: true, method: 'rfid_pin', mode: 'rfid_and_pin' });
+    });
+
+    it('requires the personal PIN when the user has one', async () => {
+      prisma.user.findUnique.mockResolvedValue({ doorPinSalt: 's', doorPinHash: sha256('s' + '9999') });
+
+      expect((await doorService.checkRfidSecurity(door, 1, '1234')).reason).toBe('invalid_pin');
+      expect((await doorService.checkRfidSecurity(door, 1, '9999')).allowed).toBe(true);
+    });
+
+    it('refuses cards in pin_only mode', async () => {
+      const result = await doorService.checkRfidSecurity({ ...baseDoor, securityMode: 'pin_only' }, 1);
+      expect(result.reason).toBe('rfid_disabled');
+    });
+  });
+
+  describe('checkPinSecurity', () => {
+    it.each([
+      ['rfid_only', false, 'pin_disabled'],
+      ['rfid_and_pin', false, 'rfid_required'],
+      ['pin_only', true, undefined],
+      ['rfid_or_pin', true, undefined],
+    ])('mode %s allows PIN alone: %s', async (securityMode, allowed, reason) => {
+      const result = await doorService.checkPinSecurity({ ...baseDoor, securityMode });
+      expect(result.allowed).toBe(allowed);
+      expect(result.reason).toBe(reason);
+    });
+  });
+
+  describe('handleRfidAuth over MQTT', () => {
+    let client;
+    let handleMessage;
+
+    beforeAll(() => {
+      jest.useFakeTimers();
+      mqttService.connect();
+      client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    beforeEach(() => {
+      prisma.door.findFirst.mockResolvedValue({ ...baseDoor, securityMode: 'rfid_and_pin' });
+      prisma.door.findUnique.mockResolvedValue({ ...baseDoor, securityMode: 'rfid_and_pin' });
+      prisma.rfidCard.findFirst.mockResolvedValue({
+        status: 'ACTIVE',
+        userId: 1,
+        accessSchedules: [],
+        user: { id: 1, username: 'alice', role: 'USER', accessSchedules: [] },
+      });
+    });
+
+    const lastResult = () => {
+      const call = client.publish.mock.calls.filter(([topic]) => topic === 'door/rfid/result').pop();
+      return JSON.parse(call[1]);
+    };
+
+    it('refuses a card alone and asks for the PIN', async () => {
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify({ uid: 'ABCD1234' })));
+
+      expect(lastResult()).toMatchObject({ allow: false, reason: 'pin_required', requirePin: true });
+      expect(prisma.doorAccessLog.create).not.toHaveBeenCalled();
+    });
+
+    it('grants card + PIN and logs method rfid_pin', async () => {
+      await handleMessage('door/rfid/auth', Buffer.from(JSON.stringify({ uid: 'ABCD1234', pin: '1234' })));
+
+      expect(lastResult()).toMatchObject({ allow: true, username: 'alice' });
+      expect(prisma.doorAccessLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ event: 'access_granted', method: 'rfid_pin', userId: 1 }),
+      });
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Sensor Time-Series Tests
+ * Tests for storing home/sensor/* payloads, downsampling and the readings endpoint
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  sensorReading: {
+    create: jest.fn(),
+    findMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  sensorRollup: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    createMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  sensorThreshold: {
+    findUnique: jest.fn(),
+  },
+  sensorAlertState: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+  door: {
+    findMany: jest.fn(),
+  },
+  device: {
+    findMany: jest.fn(),
+  },
+  alert: {
+    findFirst: jest.fn(),
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'testuser', role: 'USER' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const sensorService = require('../../src/services/sensor.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Sensor Time-Series', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    prisma.sensorReading.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data }));
+    prisma.alert.create.mockImplementation(({ data }) => Promise.resolve({ id: 1, ...data, createdAt: new Date() }));
+  });
+
+  describe('storing payloads from home/sensor/*', () => {
+    let handleMessage;
+
+    const sensor = (kind, payload) =>
+      handleMessage(`home/sensor/${kind}`, Buffer.from(JSON.stringify(payload)));
+
+    beforeAll(() => {
+      jest.useFakeTimers();
+      mqttService.connect();
+      const client = mqtt.connect.mock.results[0].value;
+      handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+    });
+
+    afterAll(() => {
+      jest.useRealTimers();
+    });
+
+    it('stores gas readings below the alert threshold', async () => {
+      await sensor('gas', { level: 120 });
+
+      expect(prisma.sensorReading.create).toHaveBeenCalledWith({
+        data: { sensorId: 'gas', kind: 'gas', value: 120 },
+      });
+      expect(prisma.alert.create).not.toHaveBeenCalled();
+    });
+
+    it('stores fire non-detections as 0 under the sensor ID', async () => {
+      await sensor('fire', { detected: false, sensorId: 'kitchen-fire' });
+
+      expect(prisma.sensorReading.create).toHaveBeenCalledWith({
+        data: { sensorId: 'kitchen-fire', kind: 'fire', value: 0 },
+      });
+    });
+
+    it('still raises the gas alert when storage fails', async () => {
+      prisma.sensorReading.create.mockRejectedValue(new Error('db down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await sensor('gas', { level: 900 });
+
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'gas', level: 'CRITICAL' }),
+      }));
+      console.error.mockRestore();
+    });
+
+    it('stores the value field of other sensor kinds and ignores payloads without one', async () => {
+      await sensor('temperature', { value: 24.5, sensorId: 'living-room' });
+      await sensor('temperature', { status: 'ok' });
+
+      expect(prisma.sensorReading.create).toHaveBeenCalledTimes(1);
+      expect(prisma.sensorReading.create).toHaveBeenCalledWith({
+        data: { sensorId: 'living-room', kind: 'temperature', value: 24.5 },
+      });
+    });
+  });
+
+  describe('downsampling', () => {
+    it('rolls raw readings into one minute bucket per sensor', async () => {
+      const base = new Date('2026-01-10T08:00:00.000Z');
+      prisma.sensorRollup.findFirst.mockResolvedValue(null);
+      prisma.sensorReading.findMany.mockResolvedValue([
+        { sensorId: 'gas', kind: 'gas', value: 100, recordedAt: new Date(base.getTime() + 5000) },
+        { sensorId: 'gas', kind: 'gas', value: 300, recordedAt: new Date(base.getTime() + 50000) },
+        { sensorId: 'gas', kind: 'gas', value: 200, recordedAt: new Date(base.getTime() + MINUTE + 1000) },
+      ]);
+
+      await sensorService.rollUp('minute');
+
+      expect(prisma.sensorRollup.createMany).toHaveBeenCalledWith({
+        data: [
+          { sensorId: 'gas', kind: 'gas', resolution: 'minute', bucket: base, count: 2, sum: 400, min: 100, max: 300 },
+          { sensorId: 'gas', kind: 'gas', resolution: 'minute', bucket: new Date(base.getTime() + MINUTE), count: 1, sum: 200, min: 200, max: 200 },
+        ],
+        skipDuplicates: true,
+      });
+    });
+
+    it('rolls minute buckets into hours, continuing after the newest hour', async () => {
+      const hour = new Date('2026-01-10T08:00:00.000Z');
+      prisma.sensorRollup.findFirst.mockResolvedValue({ bucket: new Date(hour.getTime() - HOUR) });
+      prisma.sensorRollup.findMany.mockResolvedValue([
+        { sensorId: 'gas', kind: 'gas', bucket: hour, count: 2, sum: 400, min: 100, max: 300 },
+        { sensorId: 'gas', kind: 'gas', bucket: new Date(hour.getTime() + 59 * MINUTE), count: 3, sum: 150, min: 20, max: 80 },
+      ]);
+
+      await sensorService.rollUp('hour');
+
+      expect(prisma.sensorRollup.findMany).toHaveBeenCalledWith({
+        where: { resolution: 'minute', bucket: { gte: hour, lt: expect.any(Date) } },
+      });
+      expect(prisma.sensorRollup.createMany).toHaveBeenCalledWith({
+        data: [{ sensorId: 'gas', kind: 'gas', resolution: 'hour', bucket: hour, count: 5, sum: 550, min: 20, max: 300 }],
+        skipDuplicates: true,
+      });
+    });
+  });
+
+  describe('GET /api/sensors/:id/readings', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/sensors', require('../../src/routes/sensor.routes'));
+    });
+
+    it('serves raw readings for a recent short range', async () => {
+      const time = new Date(Date.now() - 10 * MINUTE);
+      prisma.sensorReading.findMany.mockResolvedValue([{ recordedAt: time, value: 120 }]);
+
+      const res = await request(app)
+        .get('/api/sensors/gas/readings')
+        .query({ from: new Date(Date.now() - HOUR).toISOString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.resolution).toBe('raw');
+      expect(res.body.points).toEqual([{ time: time.toISOString(), value: 120 }]);
+    });
+
+    it('switches to hourly rollups with avg/min/max for long ranges', async () => {
+      const bucket = new Date('2026-01-10T08:00:00.000Z');
+      prisma.sensorRollup.findMany.mockResolvedValue([{ bucket, count: 4, sum: 400, min: 50, max: 180 }]);
+
+      const res = await request(app).get('/api/sensors/gas/readings').query({
+        from: new Date(Date.now() - 30 * 24 * HOUR).toISOString(),
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.resolution).toBe('hour');
+      expect(res.body.points).toEqual([{ time: bucket.toISOString(), avg: 100, min: 50, max: 180, count: 4 }]);
+      expect(prisma.sensorRollup.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ sensorId: 'gas', resolution: 'hour' }),
+      }));
+    });
+
+    it('rejects an unknown resolution', async () => {
+      const res = await request(app).get('/api/sensors/gas/readings').query({ resolution: 'second' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('rejects a range that ends before it starts', async () => {
+      const res = await request(app).get('/api/sensors/gas/readings').query({
+        from: '2026-01-10T09:00:00Z',
+        to: '2026-01-10T08:00:00Z',
+      });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
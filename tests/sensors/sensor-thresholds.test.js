@@ -0,0 +1,257 @@
+/**
+ * Sensor Threshold Tests
+ * Tests for per-sensor WARNING/CRITICAL thresholds, hysteresis and resolution
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/lib/prisma', () => ({
+  sensorReading: {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+  },
+  sensorThreshold: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  sensorAlertState: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  door: {
+    findMany: jest.fn(),
+  },
+  device: {
+    findMany: jest.fn(),
+  },
+  alert: {
+    findFirst: jest.fn(),
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  auditLog: {
+    create: jest.fn(),
+  },
+  pushToken: {
+    findMany: jest.fn(),
+  },
+}));
+
+jest.mock('mqtt', () => {
+  const client = { on: jest.fn(), subscribe: jest.fn(), publish: jest.fn() };
+  return { connect: jest.fn(() => client) };
+});
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: jest.fn(() => ({ sendEachForMulticast: jest.fn() })),
+}));
+
+jest.mock('../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'ADMIN' };
+    next();
+  },
+  authorize: () => (req, res, next) => next(),
+}));
+
+const mqtt = require('mqtt');
+const prisma = require('../../src/lib/prisma');
+const pushService = require('../../src/services/push.service');
+const sensorThresholdService = require('../../src/services/sensorThreshold.service');
+const mqttService = require('../../src/services/mqtt.service');
+
+const kitchenThresholds = {
+  sensorId: 'kitchen-gas',
+  kind: 'gas',
+  warningAbove: 300,
+  criticalAbove: 600,
+  hysteresis: 40,
+};
+
+describe('Sensor Thresholds', () => {
+  let client;
+  let handleMessage;
+  // Persisted alert level of the sensor, kept in step with the prisma mocks
+  let state;
+
+  const gas = (level) =>
+    handleMessage('home/sensor/gas', Buffer.from(JSON.stringify({ sensorId: 'kitchen-gas', level })));
+
+  beforeAll(() => {
+    jest.useFakeTimers();
+    mqttService.connect();
+    client = mqtt.connect.mock.results[0].value;
+    handleMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    state = null;
+    jest.spyOn(pushService, 'sendToAll').mockResolvedValue();
+    prisma.sensorThreshold.findUnique.mockResolvedValue(kitchenThresholds);
+    prisma.sensorAlertState.findUnique.mockImplementation(() => Promise.resolve(state && { ...state }));
+    prisma.sensorAlertState.create.mockImplementation(({ data }) => {
+      state = { alertId: null, ...data };
+      return Promise.resolve(state);
+    });
+    prisma.sensorAlertState.updateMany.mockImplementation(({ data }) => {
+      state = { ...state, level: data.level, alertId: data.alertId === undefined ? state.alertId : data.alertId };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.sensorAlertState.update.mockImplementation(({ data }) => {
+      state = { ...state, ...data };
+      return Promise.resolve(state);
+    });
+    let alertId = 0;
+    prisma.alert.create.mockImplementation(({ data }) =>
+      Promise.resolve({ id: ++alertId, ...data, createdAt: new Date() }));
+    prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+    prisma.alert.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve({ id: where.id, type: 'gas', level: 'WARNING', status: 'RESOLVED', createdAt: new Date() }));
+  });
+
+  describe('levelFor', () => {
+    it('applies hysteresis only to a level already reached', () => {
+      expect(sensorThresholdService.levelFor(290, kitchenThresholds, 'NORMAL')).toBe('NORMAL');
+      expect(sensorThresholdService.levelFor(290, kitchenThresholds, 'WARNING')).toBe('WARNING');
+      expect(sensorThresholdService.levelFor(250, kitchenThresholds, 'WARNING')).toBe('NORMAL');
+      expect(sensorThresholdService.levelFor(580, kitchenThresholds, 'CRITICAL')).toBe('CRITICAL');
+      expect(sensorThresholdService.levelFor(580, kitchenThresholds, 'WARNING')).toBe('WARNING');
+    });
+  });
+
+  describe('alerting on crossings', () => {
+    it('raises one alert per crossing instead of one per reading', async () => {
+      await gas(350);
+      await gas(380);
+      await gas(310);
+
+      expect(prisma.alert.create).toHaveBeenCalledTimes(1);
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          type: 'gas',
+          level: 'WARNING',
+          message: 'Gas leak detected (kitchen-gas): 350 ppm',
+          source: 'kitchen-gas',
+        }),
+      }));
+      expect(pushService.sendToAll).toHaveBeenCalledTimes(1);
+      expect(state).toMatchObject({ level: 'WARNING', alertId: 1 });
+    });
+
+    it('ignores the threshold sent in the payload', async () => {
+      await handleMessage('home/sensor/gas', Buffer.from(JSON.stringify({
+        sensorId: 'kitchen-gas',
+        level: 350,
+        threshold: 1000,
+      })));
+
+      expect(prisma.alert.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('escalates to CRITICAL and resolves the superseded WARNING alert', async () => {
+      await gas(350);
+      await gas(650);
+
+      expect(prisma.alert.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ level: 'CRITICAL' }),
+      }));
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, status: { in: ['OPEN', 'ACKNOWLEDGED'] } },
+        data: { status: 'RESOLVED', resolvedAt: expect.any(Date), resolvedById: null },
+      });
+      expect(state).toMatchObject({ level: 'CRITICAL', alertId: 2 });
+    });
+
+    it('resolves the alert only after the value drops below threshold minus hysteresis', async () => {
+      await gas(350);
+      await gas(280);
+      expect(prisma.alert.updateMany).not.toHaveBeenCalled();
+
+      await gas(250);
+
+      expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, status: { in: ['OPEN', 'ACKNOWLEDGED'] } },
+        data: { status: 'RESOLVED', resolvedAt: expect.any(Date), resolvedById: null },
+      });
+      expect(pushService.sendToAll).toHaveBeenLastCalledWith(
+        '✅ Gas Level Normal',
+        'Gas (kitchen-gas) back to normal: 250 ppm',
+        { category: 'gas', level: 'INFO' }
+      );
+      expect(state).toMatchObject({ level: 'NORMAL', alertId: null });
+    });
+
+    it('falls back to the gas defaults for unconfigured sensors', async () => {
+      prisma.sensorThreshold.findUnique.mockResolvedValue(null);
+
+      await gas(450);
+      expect(prisma.alert.create).not.toHaveBeenCalled();
+
+      await gas(850);
+      expect(prisma.alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ level: 'CRITICAL' }),
+      }));
+    });
+  });
+
+  describe('PUT /api/sensors/:id/thresholds', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/sensors', require('../../src/routes/sensor.routes'));
+    });
+
+    it('stores the thresholds and audits the change', async () => {
+      prisma.sensorReading.findFirst.mockResolvedValue({ kind: 'gas' });
+      prisma.sensorThreshold.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+      const res = await request(app)
+        .put('/api/sensors/kitchen-gas/thresholds')
+        .send({ warningAbove: 250, criticalAbove: 500, hysteresis: 25 });
+
+      expect(res.status).toBe(200);
+      expect(prisma.sensorThreshold.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: { sensorId: 'kitchen-gas', kind: 'gas', warningAbove: 250, criticalAbove: 500, hysteresis: 25 },
+      }));
+      expect(prisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'sensor.threshold_change',
+          before: { warningAbove: 300, criticalAbove: 600, hysteresis: 40 },
+          after: { warningAbove: 250, criticalAbove: 500, hysteresis: 25 },
+        }),
+      });
+    });
+
+    it('rejects a WARNING threshold above the CRITICAL one', async () => {
+      const res = await request(app)
+        .put('/api/sensors/kitchen-gas/thresholds')
+        .send({ warningAbove: 700, criticalAbove: 500 });
+
+      expect(res.status).toBe(400);
+      expect(prisma.sensorThreshold.upsert).not.toHaveBeenCalled();
+    });
+
+    it('rejects negative hysteresis', async () => {
+      const res = await request(app)
+        .put('/api/sensors/kitchen-gas/thresholds')
+        .send({ warningAbove: 300, hysteresis: -5 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Personal PIN Tests
+ * Tests for per-user salted door PINs and PIN authentication
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../../src/lib/prisma', () => ({
+  door: {
+    findFirst: jest.fn(),
+    update: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+  },
+}));
+
+const prisma = require('../../src/lib/prisma');
+const doorService = require('../../src/services/door.service');
+
+function sha256(input) {
+  return crypto.createHash('sha256').update(input).digest('hex');
+}
+
+const mockDoor = { id: 'door-uuid-123', pinHash: sha256('1234'), isDefault: true };
+const alice = { id: 2, username: 'alice', role: 'USER', doorPinSalt: 'salt-a', doorPinHash: sha256('salt-a' + '5678') };
+
+describe('Personal PINs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.door.findFirst.mockResolvedValue(mockDoor);
+    prisma.user.findUnique.mockResolvedValue(alice);
+  });
+
+  describe('authenticatePin', () => {
+    it('resolves a personal PIN entered with the user ID', async () => {
+      const result = await doorService.authenticatePin('5678', undefined, 2);
+      expect(result).toEqual({ allowed: true, userId: 2, username: 'alice', role: 'USER' });
+      expect(prisma.user.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 2 } }));
+    });
+
+    it('does not accept a personal PIN without the user ID', async () => {
+      const result = await doorService.authenticatePin('5678');
+      expect(result).toEqual({ allowed: false, reason: 'invalid_pin' });
+    });
+
+    it('does not accept the shared door PIN as a personal PIN', async () => {
+      const result = await doorService.authenticatePin('1234', undefined, 2);
+      expect(result).toEqual({ allowed: false, reason: 'invalid_pin' });
+    });
+
+    it('accepts the shared door PIN anonymously', async () => {
+      const result = await doorService.authenticatePin('1234');
+      expect(result).toEqual({ allowed: true, userId: null, username: null });
+    });
+
+    it('rejects an unknown PIN', async () => {
+      const result = await doorService.authenticatePin('0000');
+      expect(result).toEqual({ allowed: false, reason: 'invalid_pin' });
+    });
+  });
+
+  describe('setUserPin', () => {
+    const bob = { id: 3, username: 'bob', passwordHash: bcrypt.hashSync('secret', 4) };
+
+    beforeEach(() => {
+      prisma.user.findUnique.mockResolvedValue(bob);
+      prisma.door.findFirst.mockResolvedValue(null);
+    });
+
+    it('stores the PIN hashed with a fresh per-user salt', async () => {
+      await doorService.setUserPin(3, '4321', 'secret');
+
+      const { data } = prisma.user.update.mock.calls[0][0];
+      expect(data.doorPinSalt).toMatch(/^[a-f0-9]{32}$/);
+      expect(data.doorPinHash).toBe(sha256(data.doorPinSalt + '4321'));
+    });
+
+    it('requires the account password', async () => {
+      await expect(doorService.setUserPin(3, '4321', 'wrong')).rejects.toThrow('Mật khẩu hiện tại không đúng');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('accepts a PIN another user has, so it does not reveal theirs', async () => {
+      await doorService.setUserPin(3, '5678', 'secret');
+
+      expect(prisma.user.update).toHaveBeenCalled();
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+
+    it('rejects the own duress PIN', async () => {
+      prisma.user.findUnique.mockResolvedValue({ ...bob, duressPinSalt: 'salt-d', duressPinHash: sha256('salt-d' + '4321') });
+
+      await expect(doorService.setUserPin(3, '4321', 'secret')).rejects.toThrow('phải khác mã PIN khẩn cấp');
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDoorPin', () => {
+    it('is not compared with personal PINs', async () => {
+      await doorService.updateDoorPin('5678', '1234');
+
+      expect(prisma.door.update).toHaveBeenCalled();
+      expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+
+    it('rejects the household duress PIN', async () => {
+      prisma.door.findFirst.mockResolvedValue({ ...mockDoor, duressPinHash: sha256('9111') });
+
+      await expect(doorService.updateDoorPin('9111', '1234')).rejects.toThrow('phải khác mã PIN khẩn cấp');
+      expect(prisma.door.update).not.toHaveBeenCalled();
+    });
+  });
+});